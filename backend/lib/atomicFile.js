@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+let counter = 0;
+
+/**
+ * Replace `filePath` with `data` so that readers only ever see the old or the
+ * new content: the data is written and flushed to a temporary file in the
+ * same directory, which is then renamed over the target. A crash mid-write
+ * leaves at most a stray temporary file behind.
+ */
+async function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${counter++}.tmp`);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,350 @@
+const { computeIndicators, warmupBars } = require('./indicators');
+const { LOT_SIZE, brokerageFee, transactionTax } = require('./twFees');
+
+/**
+ * Backtests of simple rules on daily bars.
+ *
+ *   maCross   buy when the fast MA crosses above the slow MA, sell when it crosses back below
+ *   kdCross   buy on a KD golden cross (K crosses above D), optionally only with K below
+ *             `below`; sell on the dead cross
+ *   breakout  buy when the close breaks the highest high of the previous `period` days,
+ *             sell when it breaks the lowest low of the previous `exitPeriod` days
+ *   buyHold   buy on the first day and hold
+ *   dca       定期定額: invest `amount` on the first trading day on or after `day` of each month,
+ *             or on the month's last trading day when none is left on or after `day`
+ *
+ * Signals are decided on a day's close and filled at the next trading day's
+ * open, so a rule never trades on prices it could not have seen. Signal rules
+ * go all in with the capital and sell the whole position; orders are rounded
+ * down to whole lots (張) unless odd lots (零股) are allowed. Buys pay the
+ * brokerage fee, sells the fee and the transaction tax (lib/twFees.js).
+ * A position still open on the last day is valued at its close.
+ *
+ * Bars are expected oldest first and may start before `from` so indicators
+ * have settled; days without a trade are skipped. Bars are used as given and
+ * no dividends are paid out: with raw (not dividend-adjusted) bars,
+ * buy-and-hold and DCA results leave dividends out; with 還原 bars they count
+ * as reinvested through the scaled prices.
+ */
+
+const TRADING_DAYS_PER_YEAR = 245;
+const MAX_PERIOD = 240;
+const DEFAULT_CAPITAL = 1000000;
+const MAX_DCA_DAY = 28;
+
+const STRATEGIES = {
+  maCross: { fast: 5, slow: 20 },
+  kdCross: { period: 9, below: null },
+  breakout: { period: 20, exitPeriod: 10 },
+  buyHold: {},
+  dca: { amount: 10000, day: 1 }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const isPeriod = (value) => Number.isInteger(value) && value >= 2 && value <= MAX_PERIOD;
+
+// Strategy parameters arrive as JSON; empty values fall back to the defaults
+const numberOr = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+/**
+ * Validate a strategy, e.g. { type: "maCross", fast: 5, slow: 20 }.
+ * Returns { strategy } with the defaults filled in, or { error }.
+ */
+function normalizeStrategy(input = {}) {
+  const type = input.type;
+  if (!Object.prototype.hasOwnProperty.call(STRATEGIES, type)) {
+    return { error: `strategy.type must be one of ${Object.keys(STRATEGIES).join(', ')}` };
+  }
+  const strategy = { type };
+  Object.entries(STRATEGIES[type]).forEach(([name, fallback]) => {
+    strategy[name] = numberOr(input[name], fallback);
+  });
+
+  switch (type) {
+    case 'maCross':
+      if (!isPeriod(strategy.fast) || !isPeriod(strategy.slow)) {
+        return { error: `MA periods must be integers between 2 and ${MAX_PERIOD}` };
+      }
+      if (strategy.fast >= strategy.slow) {
+        return { error: 'fast must be shorter than slow' };
+      }
+      break;
+    case 'kdCross':
+      if (!isPeriod(strategy.period)) {
+        return { error: `period must be an integer between 2 and ${MAX_PERIOD}` };
+      }
+      if (strategy.below !== null && !(strategy.below > 0 && strategy.below <= 100)) {
+        return { error: 'below must be between 0 and 100' };
+      }
+      break;
+    case 'breakout':
+      if (!isPeriod(strategy.period) || !isPeriod(strategy.exitPeriod)) {
+        return { error: `period and exitPeriod must be integers between 2 and ${MAX_PERIOD}` };
+      }
+      break;
+    case 'dca':
+      if (!(strategy.amount > 0)) {
+        return { error: 'amount must be a positive number' };
+      }
+      if (!Number.isInteger(strategy.day) || strategy.day < 1 || strategy.day > MAX_DCA_DAY) {
+        return { error: `day must be an integer between 1 and ${MAX_DCA_DAY}` };
+      }
+      break;
+  }
+  return { strategy };
+}
+
+// Indicator specs the rule reads, in the format of lib/indicators.js
+function indicatorSpecs(strategy) {
+  switch (strategy.type) {
+    case 'maCross':
+      return [
+        { key: 'fast', type: 'ma', period: strategy.fast },
+        { key: 'slow', type: 'ma', period: strategy.slow }
+      ];
+    case 'kdCross':
+      return [{ key: 'kd', type: 'kd', period: strategy.period }];
+    default:
+      return [];
+  }
+}
+
+/** Trading days needed before `from` for the rule's first signal to be meaningful. */
+function strategyWarmupBars(strategy) {
+  if (strategy.type === 'breakout') {
+    return Math.max(strategy.period, strategy.exitPeriod);
+  }
+  return warmupBars(indicatorSpecs(strategy));
+}
+
+const crossedAbove = (a, b, i) => i > 0 && [a[i - 1], b[i - 1], a[i], b[i]].every(v => v !== null) && a[i - 1] <= b[i - 1] && a[i] > b[i];
+
+// Highest high / lowest low of the `period` bars before index i; null while there are not enough
+function priorExtreme(bars, i, period, field, pick) {
+  if (i < period) {
+    return null;
+  }
+  return pick(...bars.slice(i - period, i).map(bar => bar[field]));
+}
+
+/** 'buy', 'sell' or null for every bar, decided on that bar's close. */
+function signalsFor(bars, strategy) {
+  const { series } = computeIndicators(bars, indicatorSpecs(strategy));
+  return bars.map((bar, i) => {
+    switch (strategy.type) {
+      case 'maCross':
+        if (crossedAbove(series.fast, series.slow, i)) return 'buy';
+        if (crossedAbove(series.slow, series.fast, i)) return 'sell';
+        return null;
+      case 'kdCross': {
+        const { k, d } = series.kd;
+        if (crossedAbove(k, d, i) && (strategy.below === null || k[i] < strategy.below)) return 'buy';
+        if (crossedAbove(d, k, i)) return 'sell';
+        return null;
+      }
+      case 'breakout': {
+        const high = priorExtreme(bars, i, strategy.period, 'high', Math.max);
+        const low = priorExtreme(bars, i, strategy.exitPeriod, 'low', Math.min);
+        if (high !== null && bar.close > high) return 'buy';
+        if (low !== null && bar.close < low) return 'sell';
+        return null;
+      }
+      default:
+        return null;
+    }
+  });
+}
+
+// Most shares `cash` buys at `price` in multiples of `unit`, fee included
+function affordableShares(cash, price, unit, fees) {
+  let shares = Math.floor(cash / (price * (1 + fees.feeRate * fees.feeDiscount)) / unit) * unit;
+  while (shares > 0 && shares * price + brokerageFee(shares * price, fees) > cash) {
+    shares -= unit;
+  }
+  return shares;
+}
+
+// Annualized money-weighted return of dated cash flows (negative = paid in), by bisection
+function xirr(flows) {
+  const first = flows[0].time;
+  const valueAt = (rate) => flows.reduce((sum, flow) => sum + flow.amount / (1 + rate) ** ((flow.time - first) / (365.25 * 864e5)), 0);
+  let low = -0.99;
+  let high = 10;
+  if (valueAt(low) * valueAt(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (valueAt(low) * valueAt(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+const dayTime = (date) => Date.parse(`${date}T00:00:00Z`);
+
+/**
+ * Stats of an equity curve with its deposits:
+ *   cagrPct         annualized return; money-weighted (IRR) when money was paid in over time
+ *   maxDrawdownPct  worst fall from a peak, negative, on the time-weighted curve so deposits do not count as gains
+ *   sharpe          mean / standard deviation of the daily time-weighted returns, annualized, no risk-free rate
+ */
+function curveStats(points, deposits) {
+  const last = points[points.length - 1];
+  const invested = last.invested;
+  const years = (dayTime(last.date) - dayTime(points[0].date)) / (365.25 * 864e5);
+
+  let cagr = null;
+  if (years > 0 && invested > 0) {
+    cagr = deposits.length > 1
+      ? xirr([...deposits.map(deposit => ({ time: dayTime(deposit.date), amount: -deposit.amount })), { time: dayTime(last.date), amount: last.equity }])
+      : (last.equity / invested) ** (1 / years) - 1;
+  }
+
+  const returns = [];
+  let index = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  for (let i = 1; i < points.length; i++) {
+    const before = points[i - 1].equity;
+    if (before <= 0) {
+      continue;
+    }
+    const r = (points[i].equity - (points[i].invested - points[i - 1].invested)) / before - 1;
+    returns.push(r);
+    index *= 1 + r;
+    peak = Math.max(peak, index);
+    maxDrawdown = Math.min(maxDrawdown, index / peak - 1);
+  }
+
+  let sharpe = null;
+  if (returns.length >= 2) {
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    sharpe = variance > 0 ? round2((mean / Math.sqrt(variance)) * Math.sqrt(TRADING_DAYS_PER_YEAR)) : null;
+  }
+
+  return {
+    cagrPct: cagr !== null && isFinite(cagr) ? round2(cagr * 100) : null,
+    maxDrawdownPct: round2(maxDrawdown * 100),
+    sharpe
+  };
+}
+
+/**
+ * Run a normalized strategy over bars.
+ * options: { code, from, capital, oddLots, fees } where `fees` are fee settings
+ * (lib/twFees.js) and `capital` is ignored for dca.
+ * Returns { trades, points: [{ date, close, equity, invested, shares }], position, stats }.
+ */
+function runBacktest(bars, strategy, { code, from, capital = DEFAULT_CAPITAL, oddLots = false, fees }) {
+  const traded = bars.filter(bar => bar.open !== null && bar.high !== null && bar.low !== null && bar.close !== null);
+  const signals = signalsFor(traded, strategy);
+  const found = traded.findIndex(bar => bar.date >= from);
+  const start = found === -1 ? traded.length : found;
+  const unit = oddLots ? 1 : LOT_SIZE;
+  const isDca = strategy.type === 'dca';
+
+  let cash = isDca ? 0 : capital;
+  let invested = isDca ? 0 : capital;
+  let shares = 0;
+  let cost = 0; // what the open position cost, fees included
+  let pending = strategy.type === 'buyHold' ? 'buy' : null;
+  let lastDcaMonth = null;
+  const deposits = isDca || start === traded.length ? [] : [{ date: traded[start].date, amount: capital }];
+  const trades = [];
+  const points = [];
+  const totals = { fees: 0, taxes: 0 };
+
+  const buy = (bar) => {
+    const bought = affordableShares(cash, bar.open, unit, fees);
+    if (bought === 0) {
+      return;
+    }
+    const amount = Math.round(bought * bar.open);
+    const fee = brokerageFee(amount, fees);
+    cash -= amount + fee;
+    cost += amount + fee;
+    shares += bought;
+    totals.fees += fee;
+    trades.push({ date: bar.date, side: 'buy', price: bar.open, shares: bought, amount, fee, tax: 0, profit: null, returnPct: null });
+  };
+
+  const sell = (bar) => {
+    const amount = Math.round(shares * bar.open);
+    const fee = brokerageFee(amount, fees);
+    const tax = transactionTax(amount, code, false, fees);
+    const proceeds = amount - fee - tax;
+    totals.fees += fee;
+    totals.taxes += tax;
+    trades.push({
+      date: bar.date,
+      side: 'sell',
+      price: bar.open,
+      shares,
+      amount,
+      fee,
+      tax,
+      profit: Math.round(proceeds - cost),
+      returnPct: round2(((proceeds - cost) / cost) * 100)
+    });
+    cash += proceeds;
+    shares = 0;
+    cost = 0;
+  };
+
+  for (let i = start; i < traded.length; i++) {
+    const bar = traded[i];
+    if (isDca) {
+      const month = bar.date.slice(0, 7);
+      const next = traded[i + 1];
+      // A month whose trading days all fall before `day` (e.g. 28 in February) invests on its last one
+      const lastOfMonth = next !== undefined && next.date.slice(0, 7) !== month;
+      if (month !== lastDcaMonth && (Number(bar.date.slice(8)) >= strategy.day || lastOfMonth)) {
+        lastDcaMonth = month;
+        cash += strategy.amount;
+        invested += strategy.amount;
+        deposits.push({ date: bar.date, amount: strategy.amount });
+        buy(bar);
+      }
+    } else if (pending === 'buy' && shares === 0) {
+      buy(bar);
+    } else if (pending === 'sell' && shares > 0) {
+      sell(bar);
+    }
+    pending = signals[i];
+    points.push({ date: bar.date, close: bar.close, equity: Math.round(cash + shares * bar.close), invested, shares });
+  }
+
+  const sells = trades.filter(trade => trade.side === 'sell');
+  const last = points[points.length - 1];
+  const stats = {
+    invested,
+    finalEquity: last ? last.equity : invested,
+    profit: last ? last.equity - invested : 0,
+    totalReturnPct: last && invested > 0 ? round2(((last.equity - invested) / invested) * 100) : null,
+    cagrPct: null,
+    maxDrawdownPct: null,
+    sharpe: null,
+    winRatePct: sells.length > 0 ? round2((sells.filter(trade => trade.profit > 0).length / sells.length) * 100) : null,
+    tradeCount: sells.length,
+    fees: totals.fees,
+    taxes: totals.taxes,
+    stockReturnPct: points.length > 0 ? round2(((last.close - points[0].close) / points[0].close) * 100) : null
+  };
+  if (points.length > 0) {
+    Object.assign(stats, curveStats(points, deposits));
+  }
+
+  return {
+    trades,
+    points,
+    position: { shares, cost: Math.round(cost), value: last ? Math.round(shares * last.close) : 0 },
+    stats
+  };
+}
+
+module.exports = { STRATEGIES, DEFAULT_CAPITAL, normalizeStrategy, strategyWarmupBars, runBacktest };
@@ -0,0 +1,148 @@
+const { parseNumber } = require('./dailyBars');
+const { rocToIsoDate } = require('./dates');
+const { normalizeStockQuote } = require('./quoteModel');
+
+/**
+ * Market breadth: how many stocks rise, fall or sit at their limits, how much
+ * the market trades, and how each sector moves.
+ *
+ * During the session the counts come from getStockInfo.jsp items of the whole
+ * market and the turnover from the index items (t00 / o00 `v`, in 百萬元).
+ * After the close they come from the daily reports:
+ *   - the full-market daily snapshot (lib/screener) for the counts
+ *   - TWSE FMTQIK / TPEx daily trading index, one row per day of a month with
+ *     the market's total turnover (成交金額, TPEx in 仟元)
+ *   - TWSE MI_INDEX (type=IND), closing value and % change of every sector index
+ */
+
+const EMPTY_COUNTS = { advancing: 0, declining: 0, unchanged: 0, untraded: 0, limitUp: 0, limitDown: 0, total: 0 };
+
+/**
+ * Advance / decline counts of rows shaped like the daily snapshot's
+ * ({ close, change, limit }); a row without a close did not trade.
+ */
+function countBreadth(stocks) {
+  const counts = { ...EMPTY_COUNTS };
+  stocks.forEach(stock => {
+    counts.total++;
+    if (stock.close === null || stock.change === null) {
+      counts.untraded++;
+      return;
+    }
+    if (stock.change > 0) {
+      counts.advancing++;
+    } else if (stock.change < 0) {
+      counts.declining++;
+    } else {
+      counts.unchanged++;
+    }
+    if (stock.limit === 'up') {
+      counts.limitUp++;
+    } else if (stock.limit === 'down') {
+      counts.limitDown++;
+    }
+  });
+  return counts;
+}
+
+/**
+ * getStockInfo.jsp item -> { close, change, limit } for countBreadth. Best
+ * bid / ask are not trades, so a stock that only has those counts as untraded.
+ */
+function breadthRowOfQuote(item) {
+  const quote = normalizeStockQuote(item);
+  if (quote.price === null || quote.previousClose === null || (quote.priceSource !== 'trade' && quote.priceSource !== 'lastTrade')) {
+    return { close: null, change: null, limit: null };
+  }
+  let limit = null;
+  if (quote.upperLimit !== null && quote.price >= quote.upperLimit) {
+    limit = 'up';
+  } else if (quote.lowerLimit !== null && quote.price <= quote.lowerLimit) {
+    limit = 'down';
+  }
+  return { close: quote.price, change: quote.change, limit };
+}
+
+// Reports come either as { fields, data } or as { tables: [{ fields, data }] }
+const tablesOf = (body) => {
+  if (!body) {
+    return [];
+  }
+  return Array.isArray(body.tables) ? body.tables : [body];
+};
+
+/**
+ * FMTQIK (TWSE) / daily trading index (TPEx) -> [{ date, turnover }] with the
+ * turnover in TWD. Amount columns labelled 仟元 / 千元 are scaled up.
+ */
+function parseMarketTurnover(body) {
+  const days = [];
+  tablesOf(body).forEach(table => {
+    const fields = Array.isArray(table.fields) ? table.fields : [];
+    const dateIndex = fields.findIndex(field => String(field).includes('日期'));
+    const amountIndex = fields.findIndex(field => String(field).includes('金額'));
+    if (dateIndex === -1 || amountIndex === -1 || !Array.isArray(table.data)) {
+      return;
+    }
+    const unit = /[仟千]元/.test(fields[amountIndex]) ? 1000 : 1;
+    table.data.forEach(row => {
+      const date = rocToIsoDate(row[dateIndex]);
+      const amount = parseNumber(row[amountIndex]);
+      if (date && amount !== null) {
+        days.push({ date, turnover: amount * unit });
+      }
+    });
+  });
+  return days;
+}
+
+/**
+ * MI_INDEX (type=IND) -> [{ name, close, changePct }] for every index of the
+ * price index table. The sign sits in a separate (HTML) column, so it is
+ * applied to the percentage rather than trusted from it.
+ */
+function parseSectorIndices(body) {
+  const sectors = [];
+  tablesOf(body).forEach(table => {
+    const fields = Array.isArray(table.fields) ? table.fields.map(String) : [];
+    const nameIndex = fields.indexOf('指數');
+    const closeIndex = fields.indexOf('收盤指數');
+    const signIndex = fields.findIndex(field => field.startsWith('漲跌(+/-)'));
+    const pctIndex = fields.findIndex(field => field.startsWith('漲跌百分比'));
+    if (nameIndex === -1 || closeIndex === -1 || pctIndex === -1 || !Array.isArray(table.data)) {
+      return;
+    }
+    table.data.forEach(row => {
+      const pct = parseNumber(row[pctIndex]);
+      const sign = signIndex !== -1 && String(row[signIndex]).replace(/<[^>]*>/g, '').includes('-') ? -1 : 1;
+      sectors.push({
+        name: String(row[nameIndex]).trim(),
+        close: parseNumber(row[closeIndex]),
+        changePct: pct === null ? null : Math.abs(pct) * sign
+      });
+    });
+  });
+  return sectors;
+}
+
+/** Mean turnover of the last `days` days before `date` in { date: turnover }, or null. */
+function averageTurnover(history, date, days) {
+  const values = Object.keys(history || {})
+    .filter(day => day < date)
+    .sort()
+    .slice(-days)
+    .map(day => history[day]);
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+module.exports = {
+  EMPTY_COUNTS,
+  countBreadth,
+  breadthRowOfQuote,
+  parseMarketTurnover,
+  parseSectorIndices,
+  averageTurnover
+};
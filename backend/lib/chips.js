@@ -0,0 +1,107 @@
+const { parseNumber } = require('./dailyBars');
+
+/**
+ * Daily chip reports of the whole market (籌碼), normalized to 張 (lots of
+ * 1,000 shares):
+ *
+ *   institutional  code -> { foreign, trust, dealer, total }  三大法人買賣超
+ *   margin         code -> { marginBalance, marginChange, shortBalance, shortChange }  融資融券餘額
+ *
+ * Sources, one response per market and trading day:
+ *   TWSE T86        fields + data rows, amounts in shares; looked up by field name
+ *   TWSE MI_MARGN   tables[], the per-stock table has 代號 first; amounts in 張
+ *   TPEx insti/dailyTrade   tables[0].data, fixed column order, amounts in shares
+ *   TPEx margin/balance     tables[0].data, fixed column order, amounts in 張
+ *
+ * Parsers return null when the response has no rows (holiday, or the report
+ * for the day is not out yet), so callers can tell that from an empty market.
+ */
+
+const toLots = (shares) => (shares === null ? null : Math.round(shares / 1000));
+
+// TWSE T86 column names; the foreign figure excludes foreign dealers, as in the exchange's own summary
+const T86_FIELDS = {
+  code: '證券代號',
+  foreign: '外陸資買賣超股數(不含外資自營商)',
+  trust: '投信買賣超股數',
+  dealer: '自營商買賣超股數',
+  total: '三大法人買賣超股數'
+};
+
+// TPEx 三大法人買賣明細: 代號, 名稱, then buy / sell / net for each group
+const TPEX_INSTITUTIONAL_COLUMNS = { code: 0, foreign: 4, trust: 13, dealer: 22, total: 23 };
+
+// MI_MARGN per-stock table: 代號, 名稱, 融資 買進 / 賣出 / 現金償還 / 前日餘額 / 今日餘額 / 限額, 融券 買進 / 賣出 / 現券償還 / 前日餘額 / 今日餘額 ...
+const TWSE_MARGIN_COLUMNS = { code: 0, marginPrevious: 5, marginBalance: 6, shortPrevious: 11, shortBalance: 12 };
+
+// TPEx 融資融券餘額: 代號, 名稱, 前資餘額, 資買, 資賣, 現償, 資餘額, 資屬證金, 資使用率, 資限額, 前券餘額, 券賣, 券買, 券償, 券餘額 ...
+const TPEX_MARGIN_COLUMNS = { code: 0, marginPrevious: 2, marginBalance: 6, shortPrevious: 10, shortBalance: 14 };
+
+const rowsOf = (body) => {
+  if (!body) {
+    return [];
+  }
+  if (Array.isArray(body.data)) {
+    return body.data;
+  }
+  return Array.isArray(body.tables) && body.tables[0] && Array.isArray(body.tables[0].data) ? body.tables[0].data : [];
+};
+
+function collect(rows, columns, toEntry) {
+  const result = {};
+  rows.forEach(row => {
+    const code = String(row[columns.code] || '').trim();
+    if (code) {
+      result[code] = toEntry(row);
+    }
+  });
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+const institutionalEntry = (columns, unit) => (row) => ({
+  foreign: unit(parseNumber(row[columns.foreign])),
+  trust: unit(parseNumber(row[columns.trust])),
+  dealer: unit(parseNumber(row[columns.dealer])),
+  total: unit(parseNumber(row[columns.total]))
+});
+
+const marginEntry = (columns) => (row) => {
+  const marginBalance = parseNumber(row[columns.marginBalance]);
+  const marginPrevious = parseNumber(row[columns.marginPrevious]);
+  const shortBalance = parseNumber(row[columns.shortBalance]);
+  const shortPrevious = parseNumber(row[columns.shortPrevious]);
+  return {
+    marginBalance,
+    marginChange: marginBalance !== null && marginPrevious !== null ? marginBalance - marginPrevious : null,
+    shortBalance,
+    shortChange: shortBalance !== null && shortPrevious !== null ? shortBalance - shortPrevious : null
+  };
+};
+
+/** TWSE T86 or TPEx daily institutional trading body -> code -> flows (張), or null */
+function parseInstitutional(body, market) {
+  if (market === 'tse') {
+    const fields = body && Array.isArray(body.fields) ? body.fields : [];
+    const columns = {};
+    Object.entries(T86_FIELDS).forEach(([key, name]) => {
+      columns[key] = fields.indexOf(name);
+    });
+    if (Object.values(columns).some(index => index === -1)) {
+      return null;
+    }
+    return collect(rowsOf(body), columns, institutionalEntry(columns, toLots));
+  }
+  return collect(rowsOf(body), TPEX_INSTITUTIONAL_COLUMNS, institutionalEntry(TPEX_INSTITUTIONAL_COLUMNS, toLots));
+}
+
+/** TWSE MI_MARGN or TPEx margin balance body -> code -> balances (張), or null */
+function parseMargin(body, market) {
+  if (market === 'tse') {
+    const tables = body && Array.isArray(body.tables) ? body.tables : [];
+    const table = tables.find(item => Array.isArray(item.fields) && item.fields[0] === '代號' && Array.isArray(item.data));
+    return table ? collect(table.data, TWSE_MARGIN_COLUMNS, marginEntry(TWSE_MARGIN_COLUMNS)) : null;
+  }
+  return collect(rowsOf(body), TPEX_MARGIN_COLUMNS, marginEntry(TPEX_MARGIN_COLUMNS));
+}
+
+module.exports = { parseInstitutional, parseMargin };
@@ -0,0 +1,104 @@
+/**
+ * Comparison of several daily close series, each rebased to 0% at its first
+ * close on or after the start date, with stats against a benchmark (normally
+ * the TAIEX):
+ *
+ *   returnPct         return over the period
+ *   relativeStrength  how much the series beat the benchmark: (1 + r) / (1 + r_bench) - 1, in %
+ *   correlation       Pearson correlation of daily returns on the days both traded
+ *   beta              covariance of those daily returns / variance of the benchmark's
+ *   volatilityPct     annualized standard deviation of daily returns
+ *
+ * Bars are expected oldest first; days without a close are skipped.
+ */
+
+const TRADING_DAYS_PER_YEAR = 245;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/** Closes on or after `from` -> { baseDate, points: [{ date, close, returnPct }] } */
+function rebase(bars, from) {
+  const closes = bars.filter(bar => bar.date >= from && bar.close !== null);
+  if (closes.length === 0) {
+    return { baseDate: null, points: [] };
+  }
+  const base = closes[0].close;
+  return {
+    baseDate: closes[0].date,
+    points: closes.map(bar => ({ date: bar.date, close: bar.close, returnPct: round2(((bar.close - base) / base) * 100) }))
+  };
+}
+
+/** Daily returns keyed by date, from consecutive points */
+function dailyReturns(points) {
+  const returns = new Map();
+  for (let i = 1; i < points.length; i++) {
+    returns.set(points[i].date, points[i].close / points[i - 1].close - 1);
+  }
+  return returns;
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample covariance; null with fewer than two pairs
+function covariance(xs, ys) {
+  if (xs.length < 2) {
+    return null;
+  }
+  const mx = mean(xs);
+  const my = mean(ys);
+  return xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / (xs.length - 1);
+}
+
+function pairStats(returns, benchmarkReturns) {
+  const xs = [];
+  const ys = [];
+  returns.forEach((value, date) => {
+    if (benchmarkReturns.has(date)) {
+      xs.push(value);
+      ys.push(benchmarkReturns.get(date));
+    }
+  });
+  const cov = covariance(xs, ys);
+  const varX = covariance(xs, xs);
+  const varY = covariance(ys, ys);
+  return {
+    correlation: cov !== null && varX > 0 && varY > 0 ? round4(cov / Math.sqrt(varX * varY)) : null,
+    beta: cov !== null && varY > 0 ? round4(cov / varY) : null
+  };
+}
+
+/**
+ * [{ code, name, bars }] -> [{ code, name, baseDate, points, returnPct,
+ * relativeStrength, correlation, beta, volatilityPct }], in the given order.
+ * The benchmark's own relative strength, correlation and beta are null.
+ */
+function compareSeries(seriesList, benchmarkCode, from) {
+  const rebased = seriesList.map(series => ({ ...series, ...rebase(series.bars, from) }));
+  const benchmark = rebased.find(series => series.code === benchmarkCode) || null;
+  const benchmarkReturn = benchmark && benchmark.points.length > 0 ? benchmark.points[benchmark.points.length - 1].returnPct : null;
+  const benchmarkReturns = benchmark ? dailyReturns(benchmark.points) : new Map();
+
+  return rebased.map(({ code, name, baseDate, points }) => {
+    const returnPct = points.length > 0 ? points[points.length - 1].returnPct : null;
+    const returns = dailyReturns(points);
+    const variance = covariance([...returns.values()], [...returns.values()]);
+    const isBenchmark = code === benchmarkCode;
+    const stats = isBenchmark ? { correlation: null, beta: null } : pairStats(returns, benchmarkReturns);
+    return {
+      code,
+      name,
+      baseDate,
+      points,
+      returnPct,
+      relativeStrength: !isBenchmark && returnPct !== null && benchmarkReturn !== null
+        ? round2(((1 + returnPct / 100) / (1 + benchmarkReturn / 100) - 1) * 100)
+        : null,
+      ...stats,
+      volatilityPct: variance !== null ? round2(Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100) : null
+    };
+  });
+}
+
+module.exports = { rebase, compareSeries };
@@ -0,0 +1,70 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing. Broker exports come as comma,
+ * tab or semicolon separated text, sometimes with a UTF-8 BOM and with
+ * thousands separators inside quoted numbers ("1,000").
+ */
+
+const detectDelimiter = (firstLine) => {
+  const counts = [',', '\t', ';'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/** Parse CSV text into rows of trimmed cells; blank lines are skipped. */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+const quote = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Rows of values to CSV text with a BOM, so Excel opens the Chinese text correctly. */
+function toCsv(rows) {
+  return '﻿' + rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,246 @@
+const { rocToIsoDate, shiftDate } = require('./dates');
+const { limitPrices } = require('./tickSize');
+
+/**
+ * Normalizes exchange daily trading rows into typed daily bars:
+ *   { date: "YYYY-MM-DD", open, high, low, close, change, exRights, volume, value, trades }
+ * volume is in shares and value in TWD. Prices are null on days without a trade ("--").
+ * `exRights` is true on the days TWSE marks as ex-rights / ex-dividend, whose
+ * change is measured from the reference price instead of the previous close.
+ */
+
+// Column order of TWSE STOCK_DAY, used when a response has no `fields`
+const STOCK_DAY_FIELDS = ['日期', '成交股數', '成交金額', '開盤價', '最高價', '最低價', '收盤價', '漲跌價差', '成交筆數'];
+
+// Column order of the TPEx daily trading table; volume is in 張 (1000 shares) and value in 仟元
+const OTC_DAY_COLUMNS = { date: 0, volume: 1, value: 2, open: 3, high: 4, low: 5, close: 6, change: 7, trades: 8 };
+const OTC_UNIT = 1000;
+
+// Column order of TWSE MI_5MINS_HIST (daily TAIEX open / high / low / close, no volume)
+const INDEX_DAY_FIELDS = ['日期', '開盤指數', '最高指數', '最低指數', '收盤指數'];
+
+const INTERVALS = ['day', 'week', 'month'];
+
+/** "1,234.50" -> 1234.5; "--" or "" -> null */
+function parseNumber(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Signed change as printed by TWSE: "+5.00", "-3.50", " 0.00", or "X-4.50"
+ * where X marks an ex-rights / ex-dividend day whose change is measured from
+ * the reference price (see isExRightsChange).
+ */
+function parseChange(value) {
+  return parseNumber(String(value || '').replace(/^\s*X/, '').replace(/^\s*\+/, ''));
+}
+
+/** True for a change printed with the ex-rights / ex-dividend marker "X". */
+const isExRightsChange = (value) => /^\s*X/.test(String(value || ''));
+
+const scaled = (value, unit) => (value === null ? null : value * unit);
+
+function toBars(rows, columns, unit = 1) {
+  return rows
+    .map(row => ({
+      date: rocToIsoDate(row[columns.date]),
+      open: parseNumber(row[columns.open]),
+      high: parseNumber(row[columns.high]),
+      low: parseNumber(row[columns.low]),
+      close: parseNumber(row[columns.close]),
+      change: parseChange(row[columns.change]),
+      exRights: isExRightsChange(row[columns.change]),
+      volume: scaled(parseNumber(row[columns.volume]), unit),
+      value: scaled(parseNumber(row[columns.value]), unit),
+      trades: parseNumber(row[columns.trades])
+    }))
+    .filter(bar => bar.date !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function parseStockDay(apiData) {
+  if (!apiData || !Array.isArray(apiData.data)) {
+    return [];
+  }
+  const fields = Array.isArray(apiData.fields) ? apiData.fields : STOCK_DAY_FIELDS;
+  const column = (name) => {
+    const index = fields.indexOf(name);
+    return index === -1 ? STOCK_DAY_FIELDS.indexOf(name) : index;
+  };
+  return toBars(apiData.data, {
+    date: column('日期'),
+    volume: column('成交股數'),
+    value: column('成交金額'),
+    open: column('開盤價'),
+    high: column('最高價'),
+    low: column('最低價'),
+    close: column('收盤價'),
+    change: column('漲跌價差'),
+    trades: column('成交筆數')
+  });
+}
+
+/** TPEx daily trading response; the older site used `aaData` instead of `tables`. */
+function parseOtcDay(apiData) {
+  if (!apiData) {
+    return [];
+  }
+  const table = Array.isArray(apiData.tables) ? apiData.tables[0] : null;
+  const rows = (table && Array.isArray(table.data) ? table.data : null) || apiData.aaData || [];
+  return toBars(rows, OTC_DAY_COLUMNS, OTC_UNIT);
+}
+
+/**
+ * TWSE MI_5MINS_HIST response. The report has no change column, so `change`
+ * is filled in by withIndexChanges once the months are stitched together;
+ * volume, value and trades are null.
+ */
+function parseIndexDay(apiData) {
+  if (!apiData || !Array.isArray(apiData.data)) {
+    return [];
+  }
+  const fields = Array.isArray(apiData.fields) ? apiData.fields : INDEX_DAY_FIELDS;
+  const column = (name) => {
+    const index = fields.indexOf(name);
+    return index === -1 ? INDEX_DAY_FIELDS.indexOf(name) : index;
+  };
+  return toBars(apiData.data, {
+    date: column('日期'),
+    open: column('開盤指數'),
+    high: column('最高指數'),
+    low: column('最低指數'),
+    close: column('收盤指數')
+  });
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Adds `changePct` to each bar: the change against the previous close, or
+ * against the reference price on ex-rights days, as the exchange reports it.
+ */
+function withChangePct(bars) {
+  return bars.map(bar => {
+    const previousClose = bar.close !== null && bar.change !== null ? bar.close - bar.change : null;
+    return {
+      ...bar,
+      changePct: previousClose ? round2((bar.change / previousClose) * 100) : null
+    };
+  });
+}
+
+// Daily price limits have been ±10% since this day (±7% before)
+const TEN_PERCENT_LIMITS_FROM = '2015-06-01';
+
+/**
+ * Adds `limit` to each bar: "up" or "down" when it closed at its limit price,
+ * otherwise null. The limits come from the reference price the exchange
+ * measured `change` against, so only unadjusted bars give the right answer.
+ * `type` is the security type from lib/tickSize ("stock" or "etf").
+ */
+function withLimits(bars, type) {
+  return bars.map(bar => {
+    if (bar.close === null || bar.change === null || bar.date < TEN_PERCENT_LIMITS_FROM) {
+      return { ...bar, limit: null };
+    }
+    const { limitUp, limitDown } = limitPrices(round2(bar.close - bar.change), type);
+    let limit = null;
+    if (limitUp !== null && bar.close >= limitUp) {
+      limit = 'up';
+    } else if (limitDown !== null && bar.close <= limitDown) {
+      limit = 'down';
+    }
+    return { ...bar, limit };
+  });
+}
+
+/** Fills the missing `change` of index bars (oldest first) from the previous close. */
+function withIndexChanges(bars) {
+  let previousClose = null;
+  return bars.map(bar => {
+    const change = bar.change === null && bar.close !== null && previousClose !== null ? round2(bar.close - previousClose) : bar.change;
+    if (bar.close !== null) {
+      previousClose = bar.close;
+    }
+    return { ...bar, change };
+  });
+}
+
+// Monday of the bar's week, used as the week key
+function weekStart(isoDate) {
+  const weekday = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return shiftDate(isoDate, { days: -((weekday + 6) % 7) });
+}
+
+/**
+ * Rolls daily bars (oldest first) up into weekly or monthly bars. Each bar
+ * is dated by its last trading day; `change` is measured against the close
+ * of the previous period (for the first period, the close before its first day).
+ * Price limits only apply to days, so rolled-up bars have `limit` null.
+ */
+function aggregateBars(bars, interval) {
+  if (interval === 'day') {
+    return bars;
+  }
+  const keyOf = interval === 'week' ? bar => weekStart(bar.date) : bar => bar.date.slice(0, 7);
+
+  const groups = [];
+  bars.forEach(bar => {
+    const key = keyOf(bar);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.bars.push(bar);
+    } else {
+      groups.push({ key, bars: [bar] });
+    }
+  });
+
+  const sum = (list, field) => list.reduce((total, bar) => total + (bar[field] || 0), 0);
+  let previousClose = null;
+
+  return groups.map(({ bars: group }) => {
+    const traded = group.filter(bar => bar.close !== null);
+    const first = traded[0];
+    const last = traded[traded.length - 1];
+    // The close before the first period; on an ex-rights day close - change is the reference price instead
+    if (previousClose === null && first && first.change !== null && !first.exRights) {
+      previousClose = first.close - first.change;
+    }
+    const close = last ? last.close : null;
+    const result = {
+      date: group[group.length - 1].date,
+      open: first ? first.open : null,
+      high: traded.length > 0 ? Math.max(...traded.map(bar => bar.high)) : null,
+      low: traded.length > 0 ? Math.min(...traded.map(bar => bar.low)) : null,
+      close,
+      change: close !== null && previousClose !== null ? round2(close - previousClose) : null,
+      exRights: group.some(bar => bar.exRights),
+      limit: null,
+      volume: sum(group, 'volume'),
+      value: sum(group, 'value'),
+      trades: sum(group, 'trades')
+    };
+    if (close !== null) {
+      previousClose = close;
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  INTERVALS,
+  parseStockDay,
+  parseOtcDay,
+  parseIndexDay,
+  parseNumber,
+  parseChange,
+  isExRightsChange,
+  withChangePct,
+  withLimits,
+  withIndexChanges,
+  aggregateBars
+};
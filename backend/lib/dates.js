@@ -0,0 +1,64 @@
+/**
+ * Date helpers. Calendar days and clock times are always taken in Taipei time
+ * (UTC+8, no daylight saving), whatever time zone the machine runs in.
+ */
+
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+
+// The UTC fields of the shifted date are the Taipei wall-clock fields
+const taipeiClock = (date) => new Date(date.getTime() + TAIPEI_OFFSET_MS);
+
+/** Date -> "YYYY-MM-DD" of its Taipei calendar day */
+function formatDate(date) {
+  const clock = taipeiClock(date);
+  return `${clock.getUTCFullYear()}-${pad(clock.getUTCMonth() + 1)}-${pad(clock.getUTCDate())}`;
+}
+
+/** Date -> "YYYYMMDD", the format TWSE report endpoints expect */
+function formatYmd(date) {
+  return formatDate(date).replace(/-/g, '');
+}
+
+/** Date -> "YYYYMM", the key used for monthly report data */
+function formatYm(date) {
+  return formatYmd(date).slice(0, 6);
+}
+
+/** Date -> "HH:MM:SS" Taipei time */
+function formatTime(date) {
+  const clock = taipeiClock(date);
+  return `${pad(clock.getUTCHours())}:${pad(clock.getUTCMinutes())}:${pad(clock.getUTCSeconds())}`;
+}
+
+/** Midnight Taipei time at the start of "YYYY-MM-DD" */
+function taipeiMidnight(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) - TAIPEI_OFFSET_MS);
+}
+
+/**
+ * "YYYY-MM-DD" moved by whole years, months and days; overflowing days roll
+ * into the next month like the Date constructor does ("2025-03-31" minus a
+ * month is "2025-03-03").
+ */
+function shiftDate(isoDate, { years = 0, months = 0, days = 0 }) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year + years, month - 1 + months, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * ROC (民國) date as printed by TWSE/TPEx reports, e.g. "112/10/23" -> "2023-10-23".
+ * Returns null when the string is not in that format.
+ */
+function rocToIsoDate(rocDate) {
+  const match = /^\s*(\d{2,3})\/(\d{1,2})\/(\d{1,2})\s*$/.exec(String(rocDate));
+  if (!match) {
+    return null;
+  }
+  return `${parseInt(match[1], 10) + 1911}-${pad(match[2])}-${pad(match[3])}`;
+}
+
+module.exports = { TAIPEI_OFFSET_MS, taipeiClock, formatDate, formatYmd, formatYm, formatTime, taipeiMidnight, shiftDate, rocToIsoDate };
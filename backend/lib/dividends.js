@@ -0,0 +1,213 @@
+const { parseNumber } = require('./dailyBars');
+const { rocToIsoDate } = require('./dates');
+
+/**
+ * Ex-rights / ex-dividend events (除權除息) and the price adjustment (還原)
+ * they imply. An event is
+ *
+ *   { code, name, market, date, type, cashDividend, stockDividend, rightsRate, rightsPrice, previousClose?, reference? }
+ *
+ * where `type` is 權, 息 or 權息, `cashDividend` is TWD per share and the
+ * rates are shares per share (無償配股率, 現金增資配股率). `previousClose`
+ * and `reference` (除權息前收盤價, 除權息參考價) are only known once the
+ * ex-date has passed.
+ *
+ * Sources, one list per market:
+ *   announced upcoming dates (預告表)
+ *     TWSE TWT48U              fields + data rows
+ *     TPEx bulletin/exRight    tables[0] with fields + data rows (same columns)
+ *   results of past ex-dates with their reference prices (計算結果表), by date range
+ *     TWSE TWT49U              fields + data rows; only the combined 權值+息值
+ *     TPEx bulletin/exDailyQ   tables[0] with fields + data rows; cash and stock dividends apart
+ * Columns are looked up by field name and fall back to the TWSE order.
+ */
+
+const SCHEDULE_FIELDS = {
+  date: ['除權除息日期', '除權息日期'],
+  code: ['股票代號', '代號'],
+  name: ['名稱'],
+  type: ['除權息'],
+  stockDividend: ['無償配股率'],
+  rightsRate: ['現金增資配股率'],
+  rightsPrice: ['現金增資認購價', '認購價'],
+  cashDividend: ['現金股利']
+};
+const SCHEDULE_COLUMNS = { date: 0, code: 1, name: 2, type: 3, stockDividend: 4, rightsRate: 5, rightsPrice: 6, cashDividend: 7 };
+
+const RESULT_FIELDS = {
+  date: ['資料日期', '除權息日期', '除權除息日期'],
+  code: ['股票代號', '代號'],
+  name: ['股票名稱', '名稱'],
+  previousClose: ['除權息前收盤價'],
+  reference: ['除權息參考價'],
+  value: ['權值+息值', '權值 + 息值'],
+  cashDividend: ['息值', '現金股利'],
+  stockPerThousand: ['每千股無償配股'],
+  type: ['權/息']
+};
+const RESULT_COLUMNS = { date: 0, code: 1, name: 2, previousClose: 3, reference: 4, value: 5, type: 6 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "112年10月12日" or "112/10/12" -> "2023-10-12"
+const scheduleDate = (value) => rocToIsoDate(String(value || '').replace(/[年月]/g, '/').replace(/日/g, ''));
+
+const tableOf = (body) => {
+  if (body && Array.isArray(body.data)) {
+    return body;
+  }
+  const table = body && Array.isArray(body.tables) ? body.tables[0] : null;
+  return table && Array.isArray(table.data) ? table : null;
+};
+
+// Column index of every wanted field; fields missing from the response fall back to `defaults` (or none)
+const columnsOf = (table, wanted, defaults) => {
+  const fields = Array.isArray(table.fields) ? table.fields.map(field => String(field).trim()) : [];
+  const columns = {};
+  Object.entries(wanted).forEach(([key, names]) => {
+    const index = fields.findIndex(field => names.includes(field));
+    columns[key] = index === -1 ? defaults[key] : index;
+  });
+  return columns;
+};
+
+/** TWT48U or TPEx ex-rights schedule body -> events, sorted by date */
+function parseExRightsSchedule(body, market) {
+  const table = tableOf(body);
+  if (!table) {
+    return [];
+  }
+  const columns = columnsOf(table, SCHEDULE_FIELDS, SCHEDULE_COLUMNS);
+
+  return table.data
+    .map(row => ({
+      code: String(row[columns.code] || '').trim(),
+      name: String(row[columns.name] || '').trim(),
+      market,
+      date: scheduleDate(row[columns.date]),
+      type: String(row[columns.type] || '').trim(),
+      cashDividend: parseNumber(row[columns.cashDividend]) || 0,
+      stockDividend: parseNumber(row[columns.stockDividend]) || 0,
+      rightsRate: parseNumber(row[columns.rightsRate]) || 0,
+      rightsPrice: parseNumber(row[columns.rightsPrice]) || 0
+    }))
+    .filter(event => event.code && event.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * TWT49U or TPEx ex-rights results body -> events with the exchange's
+ * previous close and reference price, sorted by date. TWT49U only has the
+ * combined value, which is the cash dividend of a 息 event; the dividends of
+ * other events are left at 0 unless the response lists them apart.
+ */
+function parseExRightsResults(body, market) {
+  const table = tableOf(body);
+  if (!table) {
+    return [];
+  }
+  const columns = columnsOf(table, RESULT_FIELDS, RESULT_COLUMNS);
+  const cell = (row, key) => (columns[key] === undefined ? undefined : row[columns[key]]);
+
+  return table.data
+    .map(row => {
+      const type = String(cell(row, 'type') || '').trim();
+      const cash = parseNumber(cell(row, 'cashDividend'));
+      const stockPerThousand = parseNumber(cell(row, 'stockPerThousand'));
+      return {
+        code: String(cell(row, 'code') || '').trim(),
+        name: String(cell(row, 'name') || '').trim(),
+        market,
+        date: scheduleDate(cell(row, 'date')),
+        type,
+        cashDividend: cash ?? (type === '息' ? parseNumber(cell(row, 'value')) || 0 : 0),
+        stockDividend: stockPerThousand === null ? 0 : stockPerThousand / 1000,
+        rightsRate: 0,
+        rightsPrice: 0,
+        previousClose: parseNumber(cell(row, 'previousClose')),
+        reference: parseNumber(cell(row, 'reference'))
+      };
+    })
+    .filter(event => event.code && event.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 除權除息參考價 from the close before the ex-date:
+ *   (close - cash dividend + subscription price * rights rate) / (1 + stock dividend rate + rights rate)
+ */
+function referencePrice(previousClose, event) {
+  const divisor = 1 + event.stockDividend + event.rightsRate;
+  const reference = (previousClose - event.cashDividend + event.rightsPrice * event.rightsRate) / divisor;
+  return reference > 0 ? reference : null;
+}
+
+// The exchange's own reference price when the event has one, scaled to the close the bars have
+const eventReference = (previousClose, event) => (event.reference > 0 && event.previousClose > 0
+  ? previousClose * event.reference / event.previousClose
+  : referencePrice(previousClose, event));
+
+/**
+ * Backward-adjusts daily bars (oldest first) for ex-rights / ex-dividend gaps,
+ * so the last bar keeps its traded price and earlier prices are scaled down by
+ * reference / previous close of every later ex-date. A day is an ex-date when
+ * `events` (same stock) lists it; past events carry the exchange's reference
+ * price, announced ones are priced with referencePrice(). Without an event, a
+ * bar marked `exRights` or whose change does not start from the previous
+ * close is an ex-date too: the exchange printed its change against the
+ * reference price, which is then close - change. The change of an ex-date is
+ * measured from its reference price and volumes are left as traded.
+ *
+ * Returns { bars, exDates: [{ date, reference, factor }] }.
+ */
+function adjustForDividends(bars, events = []) {
+  const eventsByDate = new Map(events.map(event => [event.date, event]));
+  const exDates = [];
+  const factorAt = []; // index of the ex-date bar -> factor for the bars before it
+  const referenceAt = [];
+  let previousClose = null;
+
+  bars.forEach((bar, index) => {
+    if (previousClose !== null && bar.close !== null) {
+      const event = eventsByDate.get(bar.date);
+      let reference = event ? eventReference(previousClose, event) : null;
+      if (reference === null && bar.change !== null && (bar.exRights || Math.abs(bar.close - bar.change - previousClose) >= 0.01)) {
+        reference = bar.close - bar.change;
+      }
+      if (reference !== null && reference > 0 && Math.abs(reference - previousClose) >= 0.005) {
+        const factor = reference / previousClose;
+        factorAt[index] = factor;
+        referenceAt[index] = reference;
+        exDates.push({ date: bar.date, reference: round2(reference), factor: Math.round(factor * 1e6) / 1e6 });
+      }
+    }
+    if (bar.close !== null) {
+      previousClose = bar.close;
+    }
+  });
+
+  if (exDates.length === 0) {
+    return { bars, exDates };
+  }
+
+  const scale = (value, factor) => (value === null ? null : round2(value * factor));
+  const adjusted = new Array(bars.length);
+  let factor = 1;
+  for (let index = bars.length - 1; index >= 0; index--) {
+    const bar = referenceAt[index] === undefined ? bars[index] : { ...bars[index], change: bars[index].close - referenceAt[index] };
+    adjusted[index] = {
+      ...bar,
+      open: scale(bar.open, factor),
+      high: scale(bar.high, factor),
+      low: scale(bar.low, factor),
+      close: scale(bar.close, factor),
+      change: scale(bar.change, factor)
+    };
+    if (factorAt[index] !== undefined) {
+      factor *= factorAt[index];
+    }
+  }
+  return { bars: adjusted, exDates };
+}
+
+module.exports = { parseExRightsSchedule, parseExRightsResults, referencePrice, adjustForDividends };
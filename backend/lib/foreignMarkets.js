@@ -0,0 +1,118 @@
+/**
+ * Markets outside of TWSE / TPEx. Their symbols are market-qualified,
+ * "US:AAPL", "SH:600519", "SZ:000001", so they can share watchlists with the
+ * "tse_" / "otc_" codes without ever being sent to getStockInfo.jsp.
+ *
+ * Each market has an adapter that maps its symbols to the quote source
+ * ticker (Yahoo Finance chart API) and knows the exchange's rules: timezone,
+ * currency, trading sessions and, for China A-shares, the daily price limits.
+ * Sessions follow the exchange's regular weekday schedule; exchange holidays
+ * are not modelled, the quotes simply stop changing on those days.
+ */
+
+const FOREIGN_CODE = /^(US|SH|SZ):([A-Z0-9.\-]{1,12})$/;
+
+// A-share sessions; the Shenzhen closing call auction (14:57-15:00) is part of the afternoon session
+const CHINA_SESSIONS = [
+  { phase: 'callAuction', label: '集合競價', start: '09:15', end: '09:25', live: true },
+  { phase: 'regular', label: '盤中交易', start: '09:30', end: '11:30', live: true },
+  { phase: 'lunchBreak', label: '午間休市', start: '11:30', end: '13:00', live: false },
+  { phase: 'regular', label: '盤中交易', start: '13:00', end: '15:00', live: true }
+];
+
+// STAR Market (688) and ChiNext (300 / 301) move up to 20% a day, other A-shares 10%
+const chinaLimitPct = (symbol) => (/^(688|689|300|301)/.test(symbol) ? 20 : 10);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const FOREIGN_MARKETS = {
+  US: {
+    id: 'US',
+    label: '美股',
+    timezone: 'America/New_York',
+    currency: 'USD',
+    sessions: [
+      { phase: 'preMarket', label: '盤前交易', start: '04:00', end: '09:30', live: false },
+      { phase: 'regular', label: '盤中交易', start: '09:30', end: '16:00', live: true },
+      { phase: 'postMarket', label: '盤後交易', start: '16:00', end: '20:00', live: false }
+    ],
+    isSymbol: (symbol) => /^[A-Z][A-Z0-9.\-]{0,9}$/.test(symbol),
+    // Share classes are written with a dot (BRK.B) but Yahoo uses a dash
+    ticker: (symbol) => symbol.replace(/\./g, '-'),
+    limits: () => null
+  },
+  SH: {
+    id: 'SH',
+    label: '滬市',
+    timezone: 'Asia/Shanghai',
+    currency: 'CNY',
+    sessions: CHINA_SESSIONS,
+    isSymbol: (symbol) => /^\d{6}$/.test(symbol),
+    ticker: (symbol) => `${symbol}.SS`,
+    limits: (symbol, previousClose) => {
+      const pct = chinaLimitPct(symbol);
+      return { upper: round2(previousClose * (1 + pct / 100)), lower: round2(previousClose * (1 - pct / 100)) };
+    }
+  },
+  SZ: {
+    id: 'SZ',
+    label: '深市',
+    timezone: 'Asia/Shanghai',
+    currency: 'CNY',
+    sessions: CHINA_SESSIONS,
+    isSymbol: (symbol) => /^\d{6}$/.test(symbol),
+    ticker: (symbol) => `${symbol}.SZ`,
+    limits: (symbol, previousClose) => {
+      const pct = chinaLimitPct(symbol);
+      return { upper: round2(previousClose * (1 + pct / 100)), lower: round2(previousClose * (1 - pct / 100)) };
+    }
+  }
+};
+
+/** "US:AAPL" -> { market, symbol } with the market definition, or null */
+function parseForeignCode(code) {
+  const match = FOREIGN_CODE.exec(String(code || ''));
+  if (!match) {
+    return null;
+  }
+  const market = FOREIGN_MARKETS[match[1]];
+  return market.isSymbol(match[2]) ? { market, symbol: match[2] } : null;
+}
+
+const isForeignCode = (code) => parseForeignCode(code) !== null;
+
+/** Wall clock of `date` in `timezone`: { date: "YYYY-MM-DD", time: "HH:MM:SS", weekday: 0-6 } */
+function localClock(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/** Session of a foreign market at `date`: { phase, label, live, localTime } */
+function foreignSessionAt(market, date) {
+  const clock = localClock(date, market.timezone);
+  const hhmm = clock.time.slice(0, 5);
+  const weekday = clock.weekday >= 1 && clock.weekday <= 5;
+  const session = weekday ? market.sessions.find(item => hhmm >= item.start && hhmm < item.end) : null;
+  return {
+    phase: session ? session.phase : 'closed',
+    label: session ? session.label : '休市',
+    live: session ? session.live : false,
+    localTime: `${clock.date} ${clock.time}`
+  };
+}
+
+module.exports = { FOREIGN_MARKETS, parseForeignCode, isForeignCode, localClock, foreignSessionAt };
@@ -0,0 +1,163 @@
+const { parseNumber } = require('./dailyBars');
+const { shiftDate } = require('./dates');
+
+/**
+ * Valuation and monthly revenue data from the exchanges' open data APIs.
+ *
+ * Valuations (本益比 / 殖利率 / 股價淨值比) come as one row per stock per day:
+ *   TWSE BWIBBU_ALL                    Code, Name, PEratio, DividendYield, PBratio (, Date)
+ *   TPEx tpex_mainboard_peratio_analysis  SecuritiesCompanyCode, CompanyName, PriceEarningRatio,
+ *                                       YieldRatio, PriceBookRatio, Date
+ *
+ * Monthly revenue (月營收, t187ap05) has one row per company for the latest
+ * reported month, with Chinese keys on both markets and amounts in 千元.
+ * Each row also carries last month's and last year's revenue, so a single
+ * report already yields three points of a company's revenue history.
+ */
+
+// "1140925" (ROC) or "20250925" -> "2025-09-25"; anything else -> null
+function parseReportDate(value) {
+  const digits = String(value || '').trim();
+  const match = /^(\d{3,4})(\d{2})(\d{2})$/.exec(digits);
+  if (!match) {
+    return null;
+  }
+  const year = parseInt(match[1], 10);
+  return `${year < 1911 ? year + 1911 : year}-${match[2]}-${match[3]}`;
+}
+
+// "11409" (ROC year + month) -> "2025-09"
+function parseRevenueMonth(value) {
+  const match = /^(\d{2,3})(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return `${parseInt(match[1], 10) + 1911}-${match[2]}`;
+}
+
+/** "2025-09" shifted by `months` */
+function shiftMonth(month, months) {
+  return shiftDate(`${month}-01`, { months }).slice(0, 7);
+}
+
+// Ratios of loss-making companies are printed as "-" or "0.00"; neither is a usable P/E
+const positiveOrNull = (value) => {
+  const number = parseNumber(value);
+  return number !== null && number > 0 ? number : null;
+};
+
+/**
+ * code -> { peRatio, dividendYield, pbRatio, date } from a BWIBBU_ALL (TWSE)
+ * or P/E analysis (TPEx) response. Rows without a code are skipped.
+ */
+function parseValuations(rows) {
+  const valuations = new Map();
+  (Array.isArray(rows) ? rows : []).forEach(row => {
+    const code = String(row.Code || row.SecuritiesCompanyCode || '').trim();
+    if (!code) {
+      return;
+    }
+    valuations.set(code, {
+      peRatio: positiveOrNull(row.PEratio ?? row.PriceEarningRatio),
+      dividendYield: parseNumber(row.DividendYield ?? row.YieldRatio),
+      pbRatio: positiveOrNull(row.PBratio ?? row.PriceBookRatio),
+      date: parseReportDate(row.Date)
+    });
+  });
+  return valuations;
+}
+
+/**
+ * Monthly revenue report rows -> [{ code, month, revenue, previousMonth,
+ * lastYear, momPct, yoyPct, cumulative, cumulativeYoyPct }], amounts in 千元.
+ */
+function parseMonthlyRevenue(rows) {
+  const reports = [];
+  (Array.isArray(rows) ? rows : []).forEach(row => {
+    const code = String(row['公司代號'] || '').trim();
+    const month = parseRevenueMonth(row['資料年月']);
+    const revenue = parseNumber(row['營業收入-當月營收']);
+    if (!code || !month || revenue === null) {
+      return;
+    }
+    reports.push({
+      code,
+      month,
+      revenue,
+      previousMonth: parseNumber(row['營業收入-上月營收']),
+      lastYear: parseNumber(row['營業收入-去年當月營收']),
+      momPct: parseNumber(row['營業收入-上月比較增減(%)']),
+      yoyPct: parseNumber(row['營業收入-去年同月增減(%)']),
+      cumulative: parseNumber(row['累計營業收入-當月累計營收']),
+      cumulativeYoyPct: parseNumber(row['累計營業收入-前期比較增減(%)'])
+    });
+  });
+  return reports;
+}
+
+/**
+ * Merge one report into a company's saved history ({ "YYYY-MM": { revenue, momPct,
+ * yoyPct, cumulative, cumulativeYoyPct } }). The reported month always wins; last
+ * month and last year only fill months that are not saved yet.
+ */
+function mergeRevenueReport(history, report) {
+  const merged = { ...history };
+  [[shiftMonth(report.month, -1), report.previousMonth], [shiftMonth(report.month, -12), report.lastYear]]
+    .forEach(([month, revenue]) => {
+      if (revenue !== null && !merged[month]) {
+        merged[month] = { revenue, momPct: null, yoyPct: null, cumulative: null, cumulativeYoyPct: null };
+      }
+    });
+  merged[report.month] = {
+    revenue: report.revenue,
+    momPct: report.momPct,
+    yoyPct: report.yoyPct,
+    cumulative: report.cumulative,
+    cumulativeYoyPct: report.cumulativeYoyPct
+  };
+  return merged;
+}
+
+const changePct = (current, base) =>
+  (current === null || base === null || base === undefined || base === 0
+    ? null
+    : Math.round(((current - base) / base) * 10000) / 100);
+
+/**
+ * Saved history -> [{ month, revenue, momPct, yoyPct, cumulative, cumulativeYoyPct }],
+ * oldest first. Reported MoM / YoY are used as is; otherwise they are computed when
+ * the compared month is known.
+ */
+function revenueSeries(history) {
+  return Object.keys(history || {}).sort().map(month => {
+    const entry = history[month];
+    return {
+      month,
+      revenue: entry.revenue,
+      momPct: entry.momPct ?? changePct(entry.revenue, history[shiftMonth(month, -1)]?.revenue),
+      yoyPct: entry.yoyPct ?? changePct(entry.revenue, history[shiftMonth(month, -12)]?.revenue),
+      cumulative: entry.cumulative,
+      cumulativeYoyPct: entry.cumulativeYoyPct
+    };
+  });
+}
+
+/** Drop months older than the newest `keep` months. */
+function trimRevenueHistory(history, keep) {
+  const months = Object.keys(history).sort();
+  const trimmed = {};
+  months.slice(-keep).forEach(month => {
+    trimmed[month] = history[month];
+  });
+  return trimmed;
+}
+
+module.exports = {
+  parseValuations,
+  parseMonthlyRevenue,
+  mergeRevenueReport,
+  revenueSeries,
+  trimRevenueHistory,
+  shiftMonth,
+  parseReportDate
+};
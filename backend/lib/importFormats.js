@@ -0,0 +1,174 @@
+const { LOT_SIZE } = require('./twFees');
+const { rocToIsoDate } = require('./dates');
+
+/**
+ * Reading imported CSV rows (see lib/csv) into watchlist entries and
+ * transactions. Column headers are matched against the names Taiwanese
+ * brokers use in their statement exports; the detected mapping is returned so
+ * the user can correct it when a broker uses different names.
+ */
+
+// Transaction fields and the header names they are recognised by
+const TRANSACTION_FIELDS = {
+  date: ['成交日期', '交易日期', '成交日', '日期', 'date'],
+  code: ['股票代號', '證券代號', '股票代碼', '證券代碼', '商品代號', '代號', '代碼', 'code'],
+  name: ['股票名稱', '證券名稱', '商品名稱', '名稱', 'name'],
+  side: ['買賣別', '交易類別', '交易別', '買賣', '類別', 'side'],
+  shares: ['成交股數', '股數', '成交數量', '數量', 'shares'],
+  lots: ['成交張數', '張數', 'lots'],
+  price: ['成交價格', '成交單價', '成交價', '單價', '價格', 'price'],
+  fee: ['手續費', 'fee'],
+  tax: ['交易稅', '證交稅', 'tax'],
+  note: ['備註', 'note']
+};
+
+const WATCHLIST_FIELDS = {
+  list: ['清單', '自選清單', '群組', 'list'],
+  code: TRANSACTION_FIELDS.code,
+  name: TRANSACTION_FIELDS.name
+};
+
+const normalizeHeader = (header) => String(header).replace(/\s/g, '').toLowerCase();
+
+// field -> header text, taking the first alias found in the header row
+function detectMapping(headers, fields) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  Object.entries(fields).forEach(([field, aliases]) => {
+    const alias = aliases.find(name => normalized.includes(normalizeHeader(name)));
+    if (alias) {
+      mapping[field] = headers[normalized.indexOf(normalizeHeader(alias))];
+    }
+  });
+  return mapping;
+}
+
+const cellGetter = (headers, mapping) => {
+  const indexes = {};
+  Object.entries(mapping || {}).forEach(([field, header]) => {
+    const index = headers.indexOf(header);
+    if (index !== -1) {
+      indexes[field] = index;
+    }
+  });
+  return (row, field) => (indexes[field] === undefined ? '' : String(row[indexes[field]] || '').trim());
+};
+
+const parseAmount = (value) => {
+  const number = parseFloat(String(value).replace(/[,\s$元]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+/** "2023/10/23", "2023-10-23", "20231023" or ROC "112/10/23" -> "2023-10-23" */
+function parseTradeDate(value) {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(text) || /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+  return rocToIsoDate(text);
+}
+
+/**
+ * Buy/sell column -> { side, dayTrade }. Margin trades (融資 / 融券) are not
+ * supported by the portfolio and return null like unknown values.
+ */
+function parseSide(value) {
+  const text = String(value || '').replace(/\s/g, '');
+  if (!text || /融|券|資/.test(text)) {
+    return null;
+  }
+  if (/^(買|買進|現買|普買|現股買進|buy|b)$/i.test(text)) {
+    return { side: 'buy', dayTrade: false };
+  }
+  if (/沖/.test(text) && /賣/.test(text)) {
+    return { side: 'sell', dayTrade: true };
+  }
+  if (/^(賣|賣出|現賣|普賣|現股賣出|sell|s)$/i.test(text)) {
+    return { side: 'sell', dayTrade: false };
+  }
+  return null;
+}
+
+/**
+ * Transaction CSV rows -> entries of { line, stock, input } or { line, error }.
+ * `stock` is the raw code or name still to be resolved against the directory;
+ * `input` has what the portfolio service accepts apart from the code.
+ */
+function readTransactionRows(rows, mapping) {
+  const [headers, ...data] = rows;
+  const get = cellGetter(headers || [], mapping);
+
+  return data.map((row, i) => {
+    const line = i + 2; // 1-based, after the header row
+    const stock = get(row, 'code') || get(row, 'name');
+    if (!stock) {
+      return { line, error: '缺少股票代號或名稱' };
+    }
+    const date = parseTradeDate(get(row, 'date'));
+    if (!date) {
+      return { line, stock, error: `無法辨識日期「${get(row, 'date')}」` };
+    }
+    const side = parseSide(get(row, 'side'));
+    if (!side) {
+      return { line, stock, error: `不支援的買賣別「${get(row, 'side')}」` };
+    }
+    const lots = parseAmount(get(row, 'lots'));
+    const shares = parseAmount(get(row, 'shares')) ?? (lots === null ? null : lots * LOT_SIZE);
+    const price = parseAmount(get(row, 'price'));
+    if (!shares || shares <= 0 || !Number.isInteger(shares)) {
+      return { line, stock, error: '成交股數不正確' };
+    }
+    if (!price || price <= 0) {
+      return { line, stock, error: '成交價格不正確' };
+    }
+    const fee = parseAmount(get(row, 'fee'));
+    const tax = parseAmount(get(row, 'tax'));
+    return {
+      line,
+      stock,
+      input: {
+        date,
+        side: side.side,
+        dayTrade: side.dayTrade,
+        lots: Math.floor(shares / LOT_SIZE),
+        oddShares: shares % LOT_SIZE,
+        price,
+        // Amounts from the statement win over the calculated ones
+        ...(fee === null ? {} : { fee }),
+        ...(tax === null || side.side === 'buy' ? {} : { tax }),
+        note: get(row, 'note')
+      }
+    };
+  });
+}
+
+/**
+ * Watchlist CSV rows -> [{ line, list, stock }]. A file with a recognised
+ * header may carry a list column; otherwise every non-empty first cell is a
+ * code or name for the list chosen at import time (`list` is null).
+ */
+function readWatchlistRows(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+  const mapping = detectMapping(rows[0], WATCHLIST_FIELDS);
+  if (mapping.code || mapping.name) {
+    const get = cellGetter(rows[0], mapping);
+    return rows.slice(1)
+      .map((row, i) => ({ line: i + 2, list: get(row, 'list') || null, stock: get(row, 'code') || get(row, 'name') }))
+      .filter(entry => entry.stock);
+  }
+  return rows
+    .map((row, i) => ({ line: i + 1, list: null, stock: String(row[0] || '').trim() }))
+    .filter(entry => entry.stock);
+}
+
+module.exports = {
+  TRANSACTION_FIELDS,
+  detectMapping,
+  parseTradeDate,
+  parseSide,
+  readTransactionRows,
+  readWatchlistRows
+};
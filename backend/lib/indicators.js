@@ -0,0 +1,208 @@
+/**
+ * Technical indicators over daily bars (oldest first), using the conventions
+ * of Taiwanese broker software:
+ *
+ *   maN     simple moving average of the close
+ *   kdN     stochastic KD: RSV over N days, K = 2/3 K(prev) + 1/3 RSV,
+ *           D = 2/3 D(prev) + 1/3 K, both starting at 50
+ *   macd    DIF = EMA12(DI) - EMA26(DI) with DI = (H + L + 2C) / 4,
+ *           MACD = EMA9(DIF), OSC = DIF - MACD
+ *   rsiN    Wilder RSI (smoothed average gain / loss)
+ *   bbN     Bollinger bands: MA N +/- 2 population standard deviations
+ *
+ * Every series has one value per bar; values are null until enough bars exist.
+ */
+
+const DEFAULTS = { ma: 20, kd: 9, rsi: 14, bb: 20 };
+const MACD_FAST = 12;
+const MACD_SLOW = 26;
+const MACD_SIGNAL = 9;
+const BB_WIDTH = 2;
+const MAX_PERIOD = 240;
+
+const round = (value, digits = 2) => (value === null || isNaN(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  });
+  return result;
+}
+
+// EMA seeded with the SMA of the first `period` values; nulls at the start are skipped
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const alpha = 2 / (period + 1);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+  let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = previous;
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * alpha + previous * (1 - alpha);
+    result[i] = previous;
+  }
+  return result;
+}
+
+function kd(bars, period) {
+  const k = new Array(bars.length).fill(null);
+  const d = new Array(bars.length).fill(null);
+  let previousK = 50;
+  let previousD = 50;
+  for (let i = period - 1; i < bars.length; i++) {
+    const window = bars.slice(i - period + 1, i + 1);
+    const highest = Math.max(...window.map(bar => bar.high));
+    const lowest = Math.min(...window.map(bar => bar.low));
+    const rsv = highest === lowest ? 50 : ((bars[i].close - lowest) / (highest - lowest)) * 100;
+    previousK = (2 / 3) * previousK + (1 / 3) * rsv;
+    previousD = (2 / 3) * previousD + (1 / 3) * previousK;
+    k[i] = previousK;
+    d[i] = previousD;
+  }
+  return { k: k.map(v => round(v)), d: d.map(v => round(v)) };
+}
+
+function macd(bars) {
+  const di = bars.map(bar => (bar.high + bar.low + 2 * bar.close) / 4);
+  const fast = ema(di, MACD_FAST);
+  const slow = ema(di, MACD_SLOW);
+  const dif = di.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = ema(dif, MACD_SIGNAL);
+  return {
+    dif: dif.map(v => round(v)),
+    macd: signal.map(v => round(v)),
+    osc: dif.map((v, i) => (v === null || signal[i] === null ? null : round(v - signal[i])))
+  };
+}
+
+function rsi(closes, period) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) {
+    return result;
+  }
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = value();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = value();
+  }
+  return result.map(v => round(v));
+}
+
+function bollinger(closes, period) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  middle.forEach((mean, i) => {
+    if (mean === null) {
+      return;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    upper[i] = mean + BB_WIDTH * deviation;
+    lower[i] = mean - BB_WIDTH * deviation;
+  });
+  return { upper: upper.map(v => round(v)), middle: middle.map(v => round(v)), lower: lower.map(v => round(v)) };
+}
+
+/**
+ * Parse "ma5,ma20,kd9,macd,rsi14,bb20" into indicator specs.
+ * Returns { specs } or { error }.
+ */
+function parseIndicatorSet(set) {
+  const names = String(set || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0) {
+    return { error: 'set is required, e.g. ma5,ma20,kd9,macd,rsi14,bb20' };
+  }
+  const specs = [];
+  for (const name of names) {
+    const match = /^(ma|kd|macd|rsi|bb)(\d*)$/.exec(name);
+    if (!match || (match[1] === 'macd' && match[2] !== '')) {
+      return { error: `Unknown indicator "${name}"` };
+    }
+    const type = match[1];
+    const period = type === 'macd' ? null : (match[2] ? parseInt(match[2], 10) : DEFAULTS[type]);
+    if (period !== null && (period < 2 || period > MAX_PERIOD)) {
+      return { error: `Period of "${name}" must be between 2 and ${MAX_PERIOD}` };
+    }
+    const key = type === 'macd' ? 'macd' : `${type}${period}`;
+    if (!specs.some(spec => spec.key === key)) {
+      specs.push({ key, type, period });
+    }
+  }
+  return { specs };
+}
+
+/** Bars needed before the first returned bar for the values to settle. */
+function warmupBars(specs) {
+  return specs.reduce((most, spec) => {
+    const needed = spec.type === 'macd' ? (MACD_SLOW + MACD_SIGNAL) * 3 : spec.period * 3;
+    return Math.max(most, needed);
+  }, 0);
+}
+
+/**
+ * Compute the requested indicators. Bars without a trade are skipped, so the
+ * returned `dates` are trading days only.
+ */
+function computeIndicators(bars, specs) {
+  const traded = bars.filter(bar => bar.close !== null && bar.high !== null && bar.low !== null);
+  const closes = traded.map(bar => bar.close);
+  const series = {};
+
+  specs.forEach(spec => {
+    switch (spec.type) {
+      case 'ma':
+        series[spec.key] = sma(closes, spec.period).map(v => round(v));
+        break;
+      case 'kd':
+        series[spec.key] = kd(traded, spec.period);
+        break;
+      case 'macd':
+        series[spec.key] = macd(traded);
+        break;
+      case 'rsi':
+        series[spec.key] = rsi(closes, spec.period);
+        break;
+      case 'bb':
+        series[spec.key] = bollinger(closes, spec.period);
+        break;
+    }
+  });
+
+  return { dates: traded.map(bar => bar.date), series };
+}
+
+/** Keep only the entries from index `start` on, for plain and grouped series alike. */
+function sliceSeries(result, start) {
+  const series = {};
+  Object.entries(result.series).forEach(([key, value]) => {
+    series[key] = Array.isArray(value)
+      ? value.slice(start)
+      : Object.fromEntries(Object.entries(value).map(([line, values]) => [line, values.slice(start)]));
+  });
+  return { dates: result.dates.slice(start), series };
+}
+
+module.exports = { parseIndicatorSet, warmupBars, computeIndicators, sliceSeries, sma, ema };
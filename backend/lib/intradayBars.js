@@ -0,0 +1,82 @@
+/**
+ * Minute bars from recorded quote snapshots ("ticks") of one trading day:
+ *
+ *   tick: { t: "HH:MM:SS", p: last price or null, v: cumulative volume (lots) }
+ *   bar:  { time: "HH:MM", open, high, low, close, volume, vwap }
+ *
+ * Bars are labelled by their start time and cover the regular session
+ * 09:00-13:30; the 13:30 bar holds the closing auction. Pre-open trial
+ * matching is left out. The volume of a bar is the growth of the cumulative
+ * volume, so trades before the first recorded snapshot are only counted when
+ * recording started within the first bar (the opening auction); `vwap` is the
+ * running volume-weighted average price of the counted trades. A snapshot
+ * without a price leaves its volume to the next snapshot that has one, so
+ * no volume is lost from the bars or the VWAP.
+ */
+
+const SESSION_START = '09:00';
+const SESSION_END = '13:30';
+const INTRADAY_INTERVALS = { '1m': 1, '5m': 5 };
+
+const toMinutes = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+const pad = n => String(n).padStart(2, '0');
+const fromMinutes = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/** Bar label for a tick time, or null outside of the session */
+function barTime(time, intervalMinutes) {
+  const minutes = toMinutes(time);
+  const start = toMinutes(SESSION_START);
+  const end = toMinutes(SESSION_END);
+  if (minutes < start || minutes > end) {
+    return null;
+  }
+  if (minutes === end) {
+    return SESSION_END;
+  }
+  return fromMinutes(start + Math.floor((minutes - start) / intervalMinutes) * intervalMinutes);
+}
+
+function buildIntradayBars(ticks, intervalMinutes = 1) {
+  const bars = [];
+  let previousVolume = null;
+  let totalVolume = 0;
+  let turnover = 0;
+
+  ticks.forEach(tick => {
+    const time = barTime(tick.t, intervalMinutes);
+    if (!time) {
+      // Pre-open snapshots still tell how much had traded before the session
+      if (toMinutes(tick.t) < toMinutes(SESSION_START)) {
+        previousVolume = tick.v;
+      }
+      return;
+    }
+    if (tick.p === null) {
+      return; // Counted with the next priced tick
+    }
+    let traded;
+    if (previousVolume === null) {
+      traded = time === barTime(SESSION_START, intervalMinutes) ? tick.v : 0;
+    } else {
+      traded = Math.max(0, tick.v - previousVolume);
+    }
+    previousVolume = tick.v;
+
+    let bar = bars[bars.length - 1];
+    if (!bar || bar.time !== time) {
+      bar = { time, open: tick.p, high: tick.p, low: tick.p, close: tick.p, volume: 0, vwap: null };
+      bars.push(bar);
+    }
+    bar.high = Math.max(bar.high, tick.p);
+    bar.low = Math.min(bar.low, tick.p);
+    bar.close = tick.p;
+    totalVolume += traded;
+    turnover += traded * tick.p;
+    bar.volume += traded;
+    bar.vwap = totalVolume > 0 ? Math.round((turnover / totalVolume) * 100) / 100 : null;
+  });
+
+  return bars;
+}
+
+module.exports = { SESSION_START, SESSION_END, INTRADAY_INTERVALS, buildIntradayBars };
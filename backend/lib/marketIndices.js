@@ -0,0 +1,75 @@
+/**
+ * Market indices that can be shown in the header strip. Each index is a
+ * getStockInfo.jsp channel like a stock; `id` is the channel without ".tw".
+ * Any other TWSE / TPEx index channel can be added by id ("tse_t26"), in
+ * which case its name comes from the quote itself.
+ *
+ * Only the TAIEX has a daily history source (MI_5MINS_HIST); the others only
+ * have the intraday ticks recorded while the app is running.
+ */
+
+const INDEX_CATALOG = [
+  { id: 'tse_t00', name: '發行量加權股價指數', shortName: '加權', dailyHistory: true },
+  { id: 'otc_o00', name: '櫃買指數', shortName: '櫃買', dailyHistory: false },
+  { id: 'tse_t13', name: '電子類指數', shortName: '電子', dailyHistory: false },
+  { id: 'tse_t17', name: '金融保險類指數', shortName: '金融', dailyHistory: false },
+  { id: 'tse_t24', name: '半導體類指數', shortName: '半導體', dailyHistory: false },
+  { id: 'tse_t50', name: '臺灣50指數', shortName: '台灣50', dailyHistory: false }
+];
+
+// TWSE sector (類股) price indices, in the order of the MI_INDEX report; `name` matches the report
+const SECTOR_INDICES = [
+  ['t01', '水泥'], ['t02', '食品'], ['t03', '塑膠'], ['t04', '紡織纖維'], ['t05', '電機機械'],
+  ['t06', '電器電纜'], ['t21', '化學'], ['t22', '生技醫療'], ['t08', '玻璃陶瓷'], ['t09', '造紙'],
+  ['t10', '鋼鐵'], ['t11', '橡膠'], ['t12', '汽車'], ['t24', '半導體'], ['t25', '電腦及週邊設備'],
+  ['t26', '光電'], ['t27', '通信網路'], ['t28', '電子零組件'], ['t29', '電子通路'], ['t30', '資訊服務'],
+  ['t31', '其他電子'], ['t14', '建材營造'], ['t15', '航運'], ['t16', '觀光餐旅'], ['t17', '金融保險'],
+  ['t18', '貿易百貨'], ['t23', '油電燃氣'], ['t20', '其他']
+].map(([code, shortName]) => ({ id: `tse_${code}`, name: `${shortName}類指數`, shortName }));
+
+const DEFAULT_INDEX_IDS = ['tse_t00', 'otc_o00'];
+const MAX_INDICES = 12;
+
+// Index channels are letters + digits after the market ("t00", "o00", "FRMSA"), unlike plain stock codes
+const INDEX_ID = /^(tse|otc)_([A-Za-z][A-Za-z0-9]*)$/;
+
+/** "tse_t00", "tse_t00.tw" or "t00" -> "tse_t00", or null when it is not an index id */
+function normalizeIndexId(value) {
+  const id = String(value || '').trim().replace(/\.tw$/, '');
+  if (INDEX_ID.test(id)) {
+    return id;
+  }
+  const known = INDEX_CATALOG.find(entry => entry.id.slice(4) === id);
+  return known ? known.id : null;
+}
+
+/**
+ * Comma separated ids -> unique normalized ids, at most MAX_INDICES.
+ * Throws on an id that is not an index channel.
+ */
+function parseIndexIds(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_INDEX_IDS;
+  }
+  const ids = [];
+  String(value).split(',').map(part => part.trim()).filter(part => part !== '').forEach(part => {
+    const id = normalizeIndexId(part);
+    if (!id) {
+      throw new Error(`"${part}" is not an index id`);
+    }
+    if (!ids.includes(id)) {
+      ids.push(id);
+    }
+  });
+  if (ids.length > MAX_INDICES) {
+    throw new Error(`at most ${MAX_INDICES} indices can be requested`);
+  }
+  return ids;
+}
+
+/** Catalog entry for an id; extras have no name until their quote supplies one */
+function indexDefinition(id) {
+  return INDEX_CATALOG.find(entry => entry.id === id) || { id, name: null, shortName: null, dailyHistory: false };
+}
+
+module.exports = { INDEX_CATALOG, SECTOR_INDICES, DEFAULT_INDEX_IDS, MAX_INDICES, normalizeIndexId, parseIndexIds, indexDefinition };
@@ -0,0 +1,71 @@
+const { LOT_SIZE } = require('./twFees');
+
+/**
+ * Replay a list of buy/sell transactions into per-stock positions using the
+ * weighted average cost method. Buy fees are part of the cost basis; sell
+ * fees and tax reduce the realized P&L.
+ *
+ * Returns { positions, error }. `error` is set when a sell exceeds the shares
+ * held at that point in time.
+ */
+function buildPositions(transactions, today) {
+  const ordered = [...transactions].sort((a, b) =>
+    a.date === b.date ? String(a.createdAt).localeCompare(String(b.createdAt)) : a.date.localeCompare(b.date)
+  );
+
+  const positions = {};
+  for (const tx of ordered) {
+    const position = positions[tx.code] || (positions[tx.code] = {
+      code: tx.code,
+      shares: 0,
+      totalCost: 0,
+      realizedPnl: 0,
+      todayBoughtShares: 0,
+      todayBoughtAmount: 0
+    });
+    const amount = tx.price * tx.shares;
+
+    if (tx.side === 'buy') {
+      position.shares += tx.shares;
+      position.totalCost += amount + tx.fee;
+      if (tx.date === today) {
+        position.todayBoughtShares += tx.shares;
+        position.todayBoughtAmount += amount;
+      }
+    } else {
+      if (tx.shares > position.shares) {
+        return { positions: null, error: `${tx.date} 賣出 ${tx.shares} 股超過當時持股 ${position.shares} 股` };
+      }
+      const averageCost = position.totalCost / position.shares;
+      const costOfSold = averageCost * tx.shares;
+      position.realizedPnl += amount - tx.fee - tx.tax - costOfSold;
+      position.totalCost -= costOfSold;
+      position.shares -= tx.shares;
+      if (position.shares === 0) {
+        position.totalCost = 0;
+      }
+    }
+  }
+
+  const result = Object.values(positions).map(position => {
+    // Shares bought today cannot be more than what is still held
+    const todayBoughtShares = Math.min(position.todayBoughtShares, position.shares);
+    const todayBoughtAmount = position.todayBoughtShares > 0
+      ? position.todayBoughtAmount * todayBoughtShares / position.todayBoughtShares
+      : 0;
+    return {
+      ...position,
+      lots: Math.floor(position.shares / LOT_SIZE),
+      oddShares: position.shares % LOT_SIZE,
+      averageCost: position.shares > 0 ? position.totalCost / position.shares : 0,
+      totalCost: Math.round(position.totalCost),
+      realizedPnl: Math.round(position.realizedPnl),
+      todayBoughtShares,
+      todayBoughtAmount
+    };
+  });
+
+  return { positions: result, error: null };
+}
+
+module.exports = { buildPositions };
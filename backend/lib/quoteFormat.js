@@ -0,0 +1,188 @@
+/**
+ * Turn cached getStockInfo.jsp items (and foreign quotes) into the response
+ * shapes used by the REST routes and the quote stream.
+ */
+
+const { isForeignCode, localClock } = require('./foreignMarkets');
+const { normalizeStockQuote } = require('./quoteModel');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Index quotes are still served as display strings
+const formatPrice = (value) => (typeof value === 'number' && isFinite(value) ? value.toFixed(2) : 'N/A');
+
+/**
+ * Format a cached stock quote (as returned by quoteScheduler.get) into the
+ * StockData shape the renderer expects, from the typed model in
+ * lib/quoteModel. Prices are numbers (null when unknown) and
+ * ChangePercentage is in percent. `flow` is the inner / outer volume
+ * estimate from services/tradeFlow, when available.
+ */
+function formatStockQuote(quote, flow = null) {
+  const model = normalizeStockQuote(quote.item, quote.lastTrade);
+  const codeWithPrefix = `${quote.item.ex}_${quote.item.ch}`; // e.g. tse_2330.tw or otc_6446.tw
+
+  return {
+    Code: model.code, // Store the code without prefix from API
+    Name: model.name || model.code,
+    InstantPrice: model.price,
+    PriceSource: model.priceSource, // trade / lastTrade / bid / ask
+    PriceChange: model.change,
+    ChangePercentage: model.changePct,
+    YesterdayClose: model.previousClose,
+    t: model.time, // Latest trade time
+    v: model.volume, // 累積成交量（張）
+    UpperLimit: model.upperLimit, // 漲停價
+    LowerLimit: model.lowerLimit, // 跌停價
+    Market: model.market || (codeWithPrefix.startsWith('otc') ? 'otc' : 'tse'), // 市場：上市/上櫃
+    SecurityType: model.securityType, // stock / etf，決定升降單位
+    TickSize: model.tickSize,
+    Open: model.open,
+    High: model.high,
+    Low: model.low,
+    TradeVolume: model.tradeVolume, // 最近一筆成交量（張）
+    Bids: model.bids, // 最佳五檔委買
+    Asks: model.asks, // 最佳五檔委賣
+    InnerVolume: flow ? flow.innerVolume : null, // 內盤量（估算）
+    OuterVolume: flow ? flow.outerVolume : null, // 外盤量（估算）
+    ObservedVolume: flow ? flow.observedVolume : null, // 估算涵蓋的成交量
+    AveragePrice: flow && flow.averagePrice !== null ? round2(flow.averagePrice) : null,
+    Currency: 'TWD',
+    Timezone: 'Asia/Taipei',
+    asOf: quote.asOf, // When this quote was fetched from upstream
+    stale: quote.stale // True when the quote could not be refreshed recently
+  };
+}
+
+/**
+ * Format a foreign quote (as returned by foreignQuotes.get) into the same
+ * StockData shape. There is no order book or trade flow for these markets;
+ * `t` is the last trade time on the exchange's own clock and `Session` its
+ * current trading session.
+ */
+function formatForeignQuote(quote) {
+  const { market, symbol } = quote;
+  const change = quote.price !== null && quote.previousClose !== null ? round2(quote.price - quote.previousClose) : null;
+  const limits = quote.previousClose !== null ? market.limits(symbol, quote.previousClose) : null;
+
+  return {
+    Code: symbol,
+    Name: quote.name || symbol,
+    InstantPrice: quote.price,
+    PriceSource: quote.price === null ? null : 'trade',
+    PriceChange: change,
+    ChangePercentage: change !== null && quote.previousClose !== 0 ? round2((change / quote.previousClose) * 100) : null,
+    YesterdayClose: quote.previousClose,
+    t: quote.time ? localClock(new Date(quote.time), market.timezone).time : undefined,
+    v: quote.volume, // 股數
+    UpperLimit: limits ? limits.upper : null,
+    LowerLimit: limits ? limits.lower : null,
+    Market: market.id,
+    SecurityType: 'foreign',
+    TickSize: null,
+    Open: quote.open,
+    High: quote.high,
+    Low: quote.low,
+    TradeVolume: null,
+    Bids: [],
+    Asks: [],
+    InnerVolume: null,
+    OuterVolume: null,
+    ObservedVolume: null,
+    AveragePrice: null,
+    Currency: quote.currency || market.currency,
+    Timezone: market.timezone,
+    Session: { phase: quote.session.phase, label: quote.session.label, live: quote.session.live },
+    asOf: quote.asOf,
+    stale: quote.stale
+  };
+}
+
+/**
+ * Format a cached TAIEX quote into the taiexData shape. A snapshot without a
+ * trade (z "-") shows the last value of the day, or N/A before the first one.
+ */
+function formatTaiexQuote(quote) {
+  const model = normalizeStockQuote(quote.item, quote.lastTrade);
+
+  let changePercentage = 'N/A';
+  if (model.changePct !== null) {
+    changePercentage = model.changePct.toFixed(2) + '%';
+  } else if (!isNaN(parseFloat(quote.item.pc))) {
+    // Fallback: without yesterday's close use the 'pc' field (percentage change) if available
+    changePercentage = parseFloat(quote.item.pc).toFixed(2) + '%';
+  }
+
+  return {
+    taiexData: {
+      Value: formatPrice(model.price),
+      ChangePercentage: changePercentage,
+      ValueDiff: formatPrice(model.change) // z - y
+    },
+    asOf: quote.asOf,
+    stale: quote.stale
+  };
+}
+
+/**
+ * Format a cached index quote for the header strip. `definition` is the
+ * lib/marketIndices catalog entry; extras are named after the quote. For
+ * indices `v` is the cumulative turnover in millions of TWD.
+ */
+function formatIndexQuote(quote, definition) {
+  const item = quote.item;
+  const model = normalizeStockQuote(item, quote.lastTrade);
+  const turnover = parseFloat(item.v);
+
+  return {
+    Id: definition.id,
+    Name: definition.name || item.n || item.c,
+    ShortName: definition.shortName || item.n || item.c,
+    Value: formatPrice(model.price),
+    Change: formatPrice(model.change),
+    ChangePercentage: model.changePct !== null ? model.changePct.toFixed(2) + '%' : 'N/A',
+    YesterdayClose: formatPrice(model.previousClose),
+    Open: formatPrice(model.open),
+    High: formatPrice(model.high),
+    Low: formatPrice(model.low),
+    Turnover: isNaN(turnover) ? null : turnover, // 成交金額（百萬元）
+    t: item.t,
+    DailyHistory: definition.dailyHistory,
+    asOf: quote.asOf,
+    stale: quote.stale
+  };
+}
+
+/**
+ * Collect formatted quotes for a list of tracked codes.
+ * Codes without a cached quote are left out. Foreign codes ("US:AAPL") are
+ * read from `foreignQuotes`; `sysTime` and `stale` only describe TWSE quotes.
+ */
+function collectStockQuotes(quoteScheduler, stockCodes, tradeFlow = null, foreignQuotes = null) {
+  const stockData = {};
+  let sysTime = null;
+  let asOf = null;
+  let stale = false;
+
+  stockCodes.forEach(requestedCode => {
+    if (isForeignCode(requestedCode)) {
+      const foreign = foreignQuotes && foreignQuotes.get(requestedCode);
+      if (foreign) {
+        stockData[requestedCode] = formatForeignQuote(foreign);
+      }
+      return;
+    }
+    const quote = quoteScheduler.get(requestedCode);
+    if (!quote) {
+      return; // Not returned by TWSE (yet)
+    }
+    stockData[requestedCode] = formatStockQuote(quote, tradeFlow && tradeFlow.get(requestedCode));
+    sysTime = sysTime || quote.sysTime;
+    asOf = asOf && asOf < quote.asOf ? asOf : quote.asOf; // Oldest quote in the response
+    stale = stale || quote.stale;
+  });
+
+  return { sysTime, asOf, stale, stockData };
+}
+
+module.exports = { formatStockQuote, formatForeignQuote, formatTaiexQuote, formatIndexQuote, collectStockQuotes };
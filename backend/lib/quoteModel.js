@@ -0,0 +1,117 @@
+const { securityType, tickSize } = require('./tickSize');
+
+/**
+ * Typed model of a getStockInfo.jsp item. The raw item is all strings and
+ * uses "-" for anything that has not happened yet; here every price is a
+ * number or null:
+ *
+ *   { code, name, market, securityType, date, time, price, priceSource,
+ *     previousClose, change, changePct, open, high, low, upperLimit, lowerLimit,
+ *     volume, tradeVolume, bids, asks, tickSize }
+ *
+ * `z` (last trade) is "-" whenever no trade happened since the previous
+ * snapshot, which is common at the open and in thin OTC names. `price` then
+ * falls back, and `priceSource` tells from where:
+ *   trade      z of this snapshot
+ *   lastTrade  an earlier trade of the same day (kept by the quote scheduler,
+ *              or TWSE's own `pz`)
+ *   bid / ask  best bid, or best ask when nobody bids (no trade yet today)
+ *   null       nothing to show
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** "1045.0000" -> 1045; "-", "" or 0 -> null (TWSE prints 0 for a missing price) */
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return isNaN(price) || price <= 0 ? null : price;
+}
+
+function parseCount(value) {
+  const count = parseInt(value, 10);
+  return isNaN(count) ? null : count;
+}
+
+/**
+ * Best five prices and sizes ("1045.0000_1040.0000_..." and "12_340_...")
+ * -> [{ price, volume }], best first. TWSE leaves a side empty ("-") when
+ * nobody is quoting, e.g. no asks at limit up.
+ */
+function parseOrderBook(prices, sizes) {
+  const priceList = String(prices || '').split('_');
+  const sizeList = String(sizes || '').split('_');
+  const levels = [];
+  priceList.forEach((value, i) => {
+    const price = parseFloat(value);
+    const volume = parseInt(sizeList[i], 10);
+    if (!isNaN(price) && price > 0 && !isNaN(volume)) {
+      levels.push({ price, volume });
+    }
+  });
+  return levels;
+}
+
+/** The trade in an item as { price, time, date }, or null when the snapshot has none. */
+function lastTradeOf(item) {
+  const price = parsePrice(item.z);
+  return price === null ? null : { price, time: item.t || null, date: item.d || null };
+}
+
+/**
+ * Normalize a getStockInfo.jsp item. `lastTrade` is the latest trade seen
+ * in an earlier snapshot ({ price, time, date }); it is only used on the
+ * same trading day.
+ */
+function normalizeStockQuote(item, lastTrade = null) {
+  const bids = parseOrderBook(item.b, item.g);
+  const asks = parseOrderBook(item.a, item.f);
+  const previousClose = parsePrice(item.y);
+  const type = securityType(item.c);
+
+  let price = parsePrice(item.z);
+  let priceSource = price === null ? null : 'trade';
+  if (price === null && lastTrade && lastTrade.date === (item.d || null)) {
+    price = lastTrade.price;
+    priceSource = 'lastTrade';
+  }
+  if (price === null && parsePrice(item.pz) !== null) {
+    price = parsePrice(item.pz);
+    priceSource = 'lastTrade';
+  }
+  if (price === null && bids.length > 0) {
+    price = bids[0].price;
+    priceSource = 'bid';
+  }
+  if (price === null && asks.length > 0) {
+    price = asks[0].price;
+    priceSource = 'ask';
+  }
+
+  const change = price !== null && previousClose !== null ? round2(price - previousClose) : null;
+
+  return {
+    code: item.c,
+    name: item.n || null,
+    market: item.ex || null,
+    securityType: type,
+    date: item.d || null,
+    time: item.t || null,
+    price,
+    priceSource,
+    previousClose,
+    change,
+    changePct: change !== null ? round2((change / previousClose) * 100) : null,
+    open: parsePrice(item.o),
+    high: parsePrice(item.h),
+    low: parsePrice(item.l),
+    upperLimit: parsePrice(item.u),
+    lowerLimit: parsePrice(item.w),
+    volume: parseCount(item.v), // 累積成交量（張）
+    tradeVolume: parseCount(item.tv), // 最近一筆成交量（張）
+    bids,
+    asks,
+    tickSize: tickSize(price, type)
+  };
+}
+
+module.exports = { parsePrice, parseOrderBook, lastTradeOf, normalizeStockQuote };
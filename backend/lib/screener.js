@@ -0,0 +1,216 @@
+const { parseNumber, parseChange, isExRightsChange } = require('./dailyBars');
+const { parseReportDate } = require('./fundamentals');
+const { securityType, limitPrices } = require('./tickSize');
+
+/**
+ * Full-market daily snapshot and the screener that runs on it.
+ *
+ * The exchanges' open data APIs publish every security's OHLC of the latest
+ * trading day in one response:
+ *   TWSE STOCK_DAY_ALL                  Date, Code, Name, TradeVolume, TradeValue, OpeningPrice,
+ *                                       HighestPrice, LowestPrice, ClosingPrice, Change, Transaction
+ *   TPEx tpex_mainboard_daily_close_quotes  Date, SecuritiesCompanyCode, CompanyName, Close, Change,
+ *                                       Open, High, Low, TradingShares, TransactionAmount, TransactionNumber
+ * Volumes come in shares and are kept in lots (張); turnover is in TWD.
+ * Warrants and other derivatives in the TPEx list are dropped.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const pct = (value, base) => (value !== null && base ? round2(((value - base) / base) * 100) : null);
+
+// Stocks (2330, preferred shares like 2881A) and anything securityType() calls an ETF / ETN
+const isScreenable = (code) => /^\d{4}[A-Z]?$/.test(code) || securityType(code) === 'etf';
+
+// Untraded securities print "--", "----" or 0 for their prices
+const priceOrNull = (value) => {
+  const price = parseNumber(value);
+  return price !== null && price > 0 ? price : null;
+};
+
+/**
+ * STOCK_DAY_ALL / daily close quote rows -> [{ code, name, market, type, date,
+ * open, high, low, close, change, changePct, previousClose, gapPct, volume,
+ * turnover, trades, limitUp, limitDown, limit, exRights }], where `limit` is
+ * "up" or "down" when the stock closed at its limit price. On ex-rights days
+ * (`exRights`, a change marked "X") `previousClose` is the reference price.
+ */
+function parseMarketDaily(rows, market) {
+  const stocks = [];
+  (Array.isArray(rows) ? rows : []).forEach(row => {
+    const code = String(row.Code || row.SecuritiesCompanyCode || '').trim();
+    if (!code || !isScreenable(code)) {
+      return;
+    }
+    const type = securityType(code);
+    const close = priceOrNull(row.ClosingPrice ?? row.Close);
+    const open = priceOrNull(row.OpeningPrice ?? row.Open);
+    const change = close === null ? null : parseChange(row.Change);
+    // On ex-rights days the change is from the reference price, which is also what the limits are based on
+    const previousClose = close !== null && change !== null ? round2(close - change) : null;
+    const { limitUp, limitDown } = limitPrices(previousClose, type);
+    const shares = parseNumber(row.TradeVolume ?? row.TradingShares);
+    let limit = null;
+    if (close !== null && limitUp !== null && close >= limitUp) {
+      limit = 'up';
+    } else if (close !== null && limitDown !== null && close <= limitDown) {
+      limit = 'down';
+    }
+    stocks.push({
+      code,
+      name: String(row.Name || row.CompanyName || '').trim(),
+      market,
+      type,
+      date: parseReportDate(row.Date),
+      open,
+      high: priceOrNull(row.HighestPrice ?? row.High),
+      low: priceOrNull(row.LowestPrice ?? row.Low),
+      close,
+      change,
+      changePct: pct(close, previousClose),
+      previousClose,
+      gapPct: pct(open, previousClose),
+      volume: shares === null ? null : Math.round(shares / 1000),
+      turnover: parseNumber(row.TradeValue ?? row.TransactionAmount),
+      trades: parseNumber(row.Transaction ?? row.TransactionNumber),
+      limitUp,
+      limitDown,
+      limit,
+      exRights: isExRightsChange(row.Change)
+    });
+  });
+  return stocks;
+}
+
+const MARKETS = ['all', 'tse', 'otc'];
+const TYPES = ['all', 'stock', 'etf'];
+const LIMITS = ['up', 'down'];
+const SORT_FIELDS = ['changePct', 'close', 'volume', 'turnover', 'gapPct', 'peRatio', 'dividendYield', 'pbRatio', 'code'];
+
+// Range filters: name -> [row field, bound, unit]. Turnover is given in 百萬元.
+const RANGE_FILTERS = {
+  minPrice: ['close', 'min'],
+  maxPrice: ['close', 'max'],
+  minChangePct: ['changePct', 'min'],
+  maxChangePct: ['changePct', 'max'],
+  minVolume: ['volume', 'min'],
+  minTurnover: ['turnover', 'min', 1e6],
+  minGapPct: ['gapPct', 'min'],
+  maxGapPct: ['gapPct', 'max'],
+  maxPe: ['peRatio', 'max'],
+  minYield: ['dividendYield', 'min'],
+  maxPb: ['pbRatio', 'max']
+};
+
+/**
+ * Validate screener filters from a query string or a saved screen; numbers may
+ * come as strings and empty values are dropped. Returns { filters } or { error }.
+ */
+function normalizeFilters(input = {}) {
+  const filters = {
+    market: input.market || 'all',
+    type: input.type || 'all',
+    limit: input.limit || null,
+    sort: input.sort || 'changePct',
+    order: input.order || 'desc'
+  };
+  if (!MARKETS.includes(filters.market)) {
+    return { error: `market must be one of ${MARKETS.join(', ')}` };
+  }
+  if (!TYPES.includes(filters.type)) {
+    return { error: `type must be one of ${TYPES.join(', ')}` };
+  }
+  if (filters.limit !== null && !LIMITS.includes(filters.limit)) {
+    return { error: `limit must be one of ${LIMITS.join(', ')}` };
+  }
+  if (!SORT_FIELDS.includes(filters.sort)) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(filters.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  for (const name of Object.keys(RANGE_FILTERS)) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || raw === '') {
+      continue;
+    }
+    const value = Number(raw);
+    if (!isFinite(value)) {
+      return { error: `${name} must be a number` };
+    }
+    filters[name] = value;
+  }
+  return { filters };
+}
+
+// Missing values always sort last, whatever the order
+const compareBy = (field, order) => (a, b) => {
+  const x = a[field];
+  const y = b[field];
+  if (x === null || y === null) {
+    return (x === null) - (y === null);
+  }
+  const result = typeof x === 'string' ? x.localeCompare(y) : x - y;
+  return order === 'asc' ? result : -result;
+};
+
+const matches = (stock, filters) => {
+  if (filters.market !== 'all' && stock.market !== filters.market) {
+    return false;
+  }
+  if (filters.type !== 'all' && stock.type !== filters.type) {
+    return false;
+  }
+  if (filters.limit && stock.limit !== filters.limit) {
+    return false;
+  }
+  return Object.entries(RANGE_FILTERS).every(([name, [field, bound, unit = 1]]) => {
+    if (filters[name] === undefined) {
+      return true;
+    }
+    const value = stock[field];
+    if (value === null || value === undefined) {
+      return false;
+    }
+    return bound === 'min' ? value >= filters[name] * unit : value <= filters[name] * unit;
+  });
+};
+
+/**
+ * Stocks matching normalized `filters`, sorted, with valuation ratios joined
+ * in from `valuationOf(code)` (null when unknown). Returns { total, results }
+ * where `results` holds at most `top` rows.
+ */
+function runScreen(stocks, filters, valuationOf, top) {
+  const matched = stocks
+    .map(stock => {
+      const valuation = valuationOf(stock.code);
+      return {
+        ...stock,
+        peRatio: valuation ? valuation.peRatio : null,
+        dividendYield: valuation ? valuation.dividendYield : null,
+        pbRatio: valuation ? valuation.pbRatio : null
+      };
+    })
+    .filter(stock => matches(stock, filters))
+    .sort(compareBy(filters.sort, filters.order));
+  return { total: matched.length, results: matched.slice(0, top) };
+}
+
+/**
+ * Daily movers board: the top `count` gainers, losers, volume and turnover
+ * leaders, and every stock that closed at limit up / limit down (by turnover).
+ */
+function marketMovers(stocks, count) {
+  const traded = stocks.filter(stock => stock.close !== null && stock.volume);
+  const top = (list, field, order) => list.slice().sort(compareBy(field, order)).slice(0, count);
+  return {
+    gainers: top(traded.filter(stock => stock.changePct > 0), 'changePct', 'desc'),
+    losers: top(traded.filter(stock => stock.changePct < 0), 'changePct', 'asc'),
+    volume: top(traded, 'volume', 'desc'),
+    turnover: top(traded, 'turnover', 'desc'),
+    limitUp: traded.filter(stock => stock.limit === 'up').sort(compareBy('turnover', 'desc')),
+    limitDown: traded.filter(stock => stock.limit === 'down').sort(compareBy('turnover', 'desc'))
+  };
+}
+
+module.exports = { parseMarketDaily, normalizeFilters, runScreen, marketMovers };
@@ -0,0 +1,120 @@
+const cheerio = require('cheerio');
+
+/**
+ * Symbol directory entries:
+ *
+ *   { code, name, shortName, market: "tse" | "otc" | "emerging", type: "stock" | "etf", industry, listedAt }
+ *
+ * `shortName` is the name shown by the exchanges (台積電) and `name` the full
+ * company name (台灣積體電路製造股份有限公司), falling back to the short name
+ * for ETFs and anything without a company profile.
+ */
+
+const MARKETS = ['tse', 'otc', 'emerging'];
+
+// TWSE / TPEx security codes: 2330, 0050, 00631L, 020020
+const STOCK_CODE = /^(?:(tse|otc)_)?([0-9A-Z]{4,6})$/;
+
+// Sections of the ISIN code list that are kept; warrants, bonds, etc. are skipped
+const SECTION_TYPES = { '股票': 'stock', 'ETF': 'etf' };
+
+/**
+ * Parse an ISIN code list page (isin.twse.com.tw C_public.jsp). The table has
+ * one header row per section (股票, ETF, 上市認購(售)權證, ...) followed by rows of
+ * 代號　名稱 / ISIN / 上市日 / 市場別 / 產業別 / CFICode / 備註.
+ */
+function parseIsinList(html, market) {
+  if (!html) {
+    return [];
+  }
+  const $ = cheerio.load(html);
+  const symbols = [];
+  let type = null;
+
+  $('tr').each((_, row) => {
+    const cells = $(row).find('td');
+    if (cells.length === 1) {
+      type = SECTION_TYPES[cells.eq(0).text().trim()] || null;
+      return;
+    }
+    if (!type || cells.length < 5) {
+      return;
+    }
+    const match = /^(\S+)\s+(.+)$/.exec(cells.eq(0).text().trim());
+    if (!match) {
+      return;
+    }
+    const listedAt = cells.eq(2).text().trim();
+    symbols.push({
+      code: match[1],
+      shortName: match[2].trim(),
+      market,
+      type,
+      industry: cells.eq(4).text().trim() || null,
+      listedAt: /^\d{4}\/\d{2}\/\d{2}$/.test(listedAt) ? listedAt.replace(/\//g, '-') : null
+    });
+  });
+
+  return symbols;
+}
+
+// code -> full company name from the TWSE (Chinese keys) or TPEx (English keys) open data
+function parseCompanyNames(rows) {
+  const names = new Map();
+  (Array.isArray(rows) ? rows : []).forEach(row => {
+    const code = String(row['公司代號'] || row.SecuritiesCompanyCode || '').trim();
+    const name = String(row['公司名稱'] || row.CompanyName || '').trim();
+    if (code && name) {
+      names.set(code, name);
+    }
+  });
+  return names;
+}
+
+/**
+ * A stock code from a request, bare ("2330") or with its market ("tse_2330",
+ * "otc_6446") -> { market: "tse" | "otc" | null, stockNo }, or null for
+ * anything else. Stock codes end up in file names, so nothing but a security
+ * code gets through.
+ */
+function parseStockCode(code) {
+  const match = STOCK_CODE.exec(String(code || ''));
+  return match ? { market: match[1] || null, stockNo: match[2] } : null;
+}
+
+/**
+ * Rank directory entries against a code prefix or a (partial) Chinese name.
+ * Exact codes come first, then code prefixes, then short names starting with
+ * the query, then short or full names containing it.
+ */
+function searchSymbols(symbols, query, limit = 20) {
+  const q = String(query || '').trim().replace(/^(tse|otc)_/i, '').toUpperCase();
+  if (!q) {
+    return [];
+  }
+  const ranked = [];
+  symbols.forEach(symbol => {
+    const shortName = symbol.shortName.toUpperCase();
+    let rank = null;
+    if (symbol.code === q) {
+      rank = 0;
+    } else if (symbol.code.startsWith(q)) {
+      rank = 1;
+    } else if (shortName.startsWith(q)) {
+      rank = 2;
+    } else if (shortName.includes(q)) {
+      rank = 3;
+    } else if (symbol.name.toUpperCase().includes(q)) {
+      rank = 4;
+    }
+    if (rank !== null) {
+      ranked.push({ rank, symbol });
+    }
+  });
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.symbol.code.length - b.symbol.code.length || a.symbol.code.localeCompare(b.symbol.code))
+    .slice(0, limit)
+    .map(entry => entry.symbol);
+}
+
+module.exports = { MARKETS, parseStockCode, parseIsinList, parseCompanyNames, searchSymbols };
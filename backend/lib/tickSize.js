@@ -0,0 +1,62 @@
+/**
+ * Tick sizes (升降單位) of TWSE / TPEx securities.
+ *
+ * Stocks and depositary receipts:
+ *   < 10      0.01
+ *   10 - 50   0.05
+ *   50 - 100  0.1
+ *   100 - 500 0.5
+ *   500 - 1000  1
+ *   >= 1000   5
+ * ETFs and ETNs:
+ *   < 50      0.01
+ *   >= 50     0.05
+ * Each band includes its lower bound, e.g. 10.00 already moves in 0.05.
+ */
+
+const STOCK_BANDS = [[10, 0.01], [50, 0.05], [100, 0.1], [500, 0.5], [1000, 1], [Infinity, 5]];
+const ETF_BANDS = [[50, 0.01], [Infinity, 0.05]];
+
+// ETFs are 00xx / 00xxx(x) with an optional letter (00631L, 00679B); ETNs are 02xxxx
+const ETF_CODE = /^00\d{2,4}[A-Z]?$/;
+const ETN_CODE = /^02\d{4}$/;
+
+/** "stock" or "etf" for a bare TWSE / TPEx code; anything not recognized is traded as a stock. */
+function securityType(code) {
+  const stockNo = String(code || '').replace(/^(tse|otc)_/, '');
+  return ETF_CODE.test(stockNo) || ETN_CODE.test(stockNo) ? 'etf' : 'stock';
+}
+
+/** Tick size at `price`, or null when the price is unknown. */
+function tickSize(price, type = 'stock') {
+  if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+    return null;
+  }
+  const bands = type === 'etf' ? ETF_BANDS : STOCK_BANDS;
+  return bands.find(([upper]) => price < upper)[1];
+}
+
+// Float noise such as 10.5 * 0.9 = 9.450000000000001 must not move a limit by a tick
+const EPSILON = 1e-6;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Limit-up and limit-down prices (漲跌停價) from the reference price: ±10%,
+ * rounded towards the reference onto the tick of the limit price itself.
+ * Returns { limitUp, limitDown }, both null when the reference is unknown.
+ */
+function limitPrices(reference, type = 'stock') {
+  if (typeof reference !== 'number' || !isFinite(reference) || reference <= 0) {
+    return { limitUp: null, limitDown: null };
+  }
+  const up = reference * 1.1;
+  const down = reference * 0.9;
+  const upTick = tickSize(up, type);
+  const downTick = tickSize(down, type);
+  return {
+    limitUp: round2(Math.floor(up / upTick + EPSILON) * upTick),
+    limitDown: round2(Math.ceil(down / downTick - EPSILON) * downTick)
+  };
+}
+
+module.exports = { securityType, tickSize, limitPrices };
@@ -0,0 +1,94 @@
+/**
+ * Inner / outer volume (內盤 / 外盤) and average price estimated from
+ * successive getStockInfo.jsp snapshots of one stock.
+ *
+ * The volume traded between two snapshots is counted as outer (buyers lifting
+ * the ask) when the new price is at or above the previous best ask, and as
+ * inner (sellers hitting the bid) at or below the previous best bid. Without a
+ * usable book the price direction decides, and an unchanged price keeps the
+ * previous side. A snapshot whose volume grew without a price leaves that
+ * volume to the next snapshot that has one. Only trades seen since the first
+ * snapshot of the day can be classified, so `observedVolume` tells how much of
+ * the day's volume is covered.
+ */
+
+const { parsePrice } = require('./quoteModel');
+
+/** "1045.0000_1040.0000_" -> 1045, or null when the book side is empty */
+const bestLevel = (levels) => parsePrice(String(levels || '').split('_')[0]);
+
+const classify = (price, flow) => {
+  if (flow.ask !== null && price >= flow.ask) {
+    return 'outer';
+  }
+  if (flow.bid !== null && price <= flow.bid) {
+    return 'inner';
+  }
+  if (flow.price !== null && price !== flow.price) {
+    return price > flow.price ? 'outer' : 'inner';
+  }
+  return flow.side;
+};
+
+/**
+ * Fold the next snapshot into the flow state (undefined to start a new one).
+ * A new trading day or a volume that went down starts over.
+ */
+function updateFlow(flow, item) {
+  const volume = parseInt(item.v, 10);
+  if (isNaN(volume)) {
+    return flow;
+  }
+  const price = parsePrice(item.z); // Only this snapshot's trade, never a fallback price
+  const date = item.d || null;
+  const book = { bid: bestLevel(item.b), ask: bestLevel(item.a) };
+
+  if (!flow || flow.date !== date || volume < flow.volume) {
+    return {
+      date,
+      since: item.t || null,
+      volume,
+      price,
+      side: null,
+      innerVolume: 0,
+      outerVolume: 0,
+      observedVolume: 0,
+      turnover: 0,
+      ...book
+    };
+  }
+
+  const traded = volume - flow.volume;
+  if (traded <= 0) {
+    return { ...flow, volume, ...book };
+  }
+  if (price === null) {
+    // Volume without a price: left to the next priced snapshot, which counts it
+    return { ...flow, ...book };
+  }
+  const side = classify(price, flow);
+  return {
+    ...flow,
+    volume,
+    price,
+    side,
+    innerVolume: flow.innerVolume + (side === 'inner' ? traded : 0),
+    outerVolume: flow.outerVolume + (side === 'outer' ? traded : 0),
+    observedVolume: flow.observedVolume + traded,
+    turnover: flow.turnover + traded * price,
+    ...book
+  };
+}
+
+/** The published part of a flow state */
+function summarizeFlow(flow) {
+  return {
+    innerVolume: flow.innerVolume,
+    outerVolume: flow.outerVolume,
+    observedVolume: flow.observedVolume,
+    averagePrice: flow.observedVolume > 0 ? flow.turnover / flow.observedVolume : null,
+    since: flow.since
+  };
+}
+
+module.exports = { updateFlow, summarizeFlow };
@@ -0,0 +1,141 @@
+/**
+ * Taiwan stock market trading days and intraday sessions. Days, weekdays and
+ * session times are always taken in Taipei time (UTC+8, no daylight saving),
+ * whatever time zone the machine runs in.
+ *
+ * A trading day runs through these phases; outside of them the market is
+ * closed. Quotes only move while `live` is set; the after-hours phases trade
+ * odd lots and at the fixed closing price, so quotes barely change.
+ */
+const PHASES = [
+  { phase: 'preOpen', label: '盤前試撮', start: '08:30', end: '09:00', live: true },
+  { phase: 'regular', label: '盤中交易', start: '09:00', end: '13:25', live: true },
+  { phase: 'closingAuction', label: '收盤集合競價', start: '13:25', end: '13:30', live: true },
+  { phase: 'postClose', label: '已收盤', start: '13:30', end: '13:40', live: false },
+  { phase: 'oddLot', label: '盤後零股', start: '13:40', end: '14:00', live: false },
+  { phase: 'afterHours', label: '盤後定價、零股', start: '14:00', end: '14:30', live: false }
+];
+
+const { TAIPEI_OFFSET_MS, taipeiClock, formatDate } = require('./dates');
+
+const OPEN_TIME = '09:00';
+const CLOSE_TIME = '13:30';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Date -> "YYYY-MM-DD" of its Taipei calendar day */
+const taipeiDate = formatDate;
+
+/** Same Taipei day as `date` at "HH:MM" Taipei time */
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const clock = taipeiClock(date);
+  return new Date(Date.UTC(clock.getUTCFullYear(), clock.getUTCMonth(), clock.getUTCDate(), hours, minutes) - TAIPEI_OFFSET_MS);
+};
+
+/**
+ * Calendar data files ({ years: { "2025": [{ date, name }] } }) -> calendar.
+ * Later files win for the years they contain, so a newer file next to the
+ * bundled one can replace or add whole years.
+ */
+function parseCalendar(sources) {
+  const byYear = {};
+  sources.forEach(data => {
+    Object.entries((data && data.years) || {}).forEach(([year, days]) => {
+      if (/^\d{4}$/.test(year) && Array.isArray(days)) {
+        byYear[year] = days.filter(day => day && /^\d{4}-\d{2}-\d{2}$/.test(day.date));
+      }
+    });
+  });
+  const holidays = new Map();
+  Object.values(byYear).forEach(days => days.forEach(day => holidays.set(day.date, day.name || '休市')));
+  return { holidays, years: Object.keys(byYear).map(Number).sort() };
+}
+
+/** Name of the market holiday on `date`, or null */
+function holidayName(calendar, date) {
+  return calendar.holidays.get(taipeiDate(date)) || null;
+}
+
+function isTradingDay(calendar, date) {
+  const day = taipeiClock(date).getUTCDay();
+  return day !== 0 && day !== 6 && !holidayName(calendar, date);
+}
+
+/** First trading day after `date` (not `date` itself) */
+function nextTradingDay(calendar, date) {
+  let day = atTime(date, '12:00');
+  // A year without a calendar still skips weekends, so this always ends
+  for (let i = 0; i < 366; i++) {
+    day = new Date(day.getTime() + DAY_MS);
+    if (isTradingDay(calendar, day)) {
+      return day;
+    }
+  }
+  return day;
+}
+
+/** The last `count` trading days up to and including `date`, as "YYYY-MM-DD", oldest first */
+function recentTradingDays(calendar, date, count) {
+  const days = [];
+  let day = atTime(date, '12:00');
+  // Bounded like nextTradingDay; long holidays never span more than a few weeks
+  for (let i = 0; days.length < count && i < count * 2 + 30; i++) {
+    if (isTradingDay(calendar, day)) {
+      days.unshift(taipeiDate(day));
+    }
+    day = new Date(day.getTime() - DAY_MS);
+  }
+  return days;
+}
+
+/**
+ * Market state at `date`:
+ *   phase / label   current phase ("closed" outside of trading)
+ *   live            whether quotes are moving
+ *   tradingDay      whether `date` is a trading day, holiday the holiday name
+ *   changesAt       when the phase changes next
+ *   nextOpenAt      next regular session open (09:00) after `date`
+ *   closesAt        today's close (13:30) while it is still ahead, otherwise null
+ */
+function sessionAt(calendar, date) {
+  const tradingDay = isTradingDay(calendar, date);
+  const time = date.getTime();
+  const current = tradingDay
+    ? PHASES.find(item => time >= atTime(date, item.start).getTime() && time < atTime(date, item.end).getTime())
+    : null;
+
+  const todayOpen = atTime(date, OPEN_TIME);
+  const todayClose = atTime(date, CLOSE_TIME);
+  const nextDay = nextTradingDay(calendar, date);
+  const nextOpenAt = tradingDay && time < todayOpen.getTime() ? todayOpen : atTime(nextDay, OPEN_TIME);
+
+  let changesAt;
+  if (current) {
+    changesAt = atTime(date, current.end);
+  } else {
+    const upcoming = tradingDay ? PHASES.find(item => atTime(date, item.start).getTime() > time) : null;
+    changesAt = upcoming ? atTime(date, upcoming.start) : atTime(nextDay, PHASES[0].start);
+  }
+
+  let label;
+  if (current) {
+    label = current.label;
+  } else if (!tradingDay) {
+    label = holidayName(calendar, date) ? `休市（${holidayName(calendar, date)}）` : '休市';
+  } else {
+    label = time < todayOpen.getTime() ? '尚未開盤' : '已收盤';
+  }
+
+  return {
+    phase: current ? current.phase : 'closed',
+    label,
+    live: current ? current.live : false,
+    tradingDay,
+    holiday: holidayName(calendar, date),
+    changesAt,
+    nextOpenAt,
+    closesAt: tradingDay && time < todayClose.getTime() ? todayClose : null
+  };
+}
+
+module.exports = { PHASES, taipeiDate, parseCalendar, holidayName, isTradingDay, nextTradingDay, recentTradingDays, sessionAt };
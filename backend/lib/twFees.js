@@ -0,0 +1,74 @@
+/**
+ * Taiwan stock trading costs.
+ *
+ *   brokerage fee  0.1425% of the traded amount, times the broker's discount
+ *                  (e.g. 0.6 for 六折), rounded down, with a minimum fee
+ *   transaction tax (sell side only)
+ *                  0.3% for stocks, 0.15% for day trades, 0.1% for ETFs and ETNs
+ */
+
+const { securityType } = require('./tickSize');
+
+const DEFAULT_FEE_SETTINGS = {
+  feeRate: 0.001425,
+  feeDiscount: 1,
+  minFee: 20,
+  taxRate: 0.003,
+  dayTradeTaxRate: 0.0015,
+  etfTaxRate: 0.001
+};
+
+const LOT_SIZE = 1000; // 1 張 = 1000 股
+
+const bareCode = (code) => String(code).replace(/^(tse|otc)_/, '').replace(/\.tw$/, '');
+
+// ETFs and ETNs, by the same code rule that picks their tick sizes
+const isEtf = (code) => securityType(bareCode(code)) === 'etf';
+
+function brokerageFee(amount, settings = DEFAULT_FEE_SETTINGS) {
+  if (amount <= 0) {
+    return 0;
+  }
+  const fee = Math.floor(amount * settings.feeRate * settings.feeDiscount);
+  return Math.max(fee, settings.minFee);
+}
+
+function taxRateFor(code, dayTrade, settings = DEFAULT_FEE_SETTINGS) {
+  if (isEtf(code)) {
+    return settings.etfTaxRate;
+  }
+  return dayTrade ? settings.dayTradeTaxRate : settings.taxRate;
+}
+
+function transactionTax(amount, code, dayTrade, settings = DEFAULT_FEE_SETTINGS) {
+  if (amount <= 0) {
+    return 0;
+  }
+  return Math.floor(amount * taxRateFor(code, dayTrade, settings));
+}
+
+/**
+ * Merge user settings over the defaults, ignoring anything that is not a
+ * non-negative number.
+ */
+function normalizeFeeSettings(input = {}) {
+  const settings = { ...DEFAULT_FEE_SETTINGS };
+  Object.keys(DEFAULT_FEE_SETTINGS).forEach(key => {
+    const value = parseFloat(input[key]);
+    if (!isNaN(value) && value >= 0) {
+      settings[key] = value;
+    }
+  });
+  return settings;
+}
+
+module.exports = {
+  DEFAULT_FEE_SETTINGS,
+  LOT_SIZE,
+  bareCode,
+  isEtf,
+  brokerageFee,
+  taxRateFor,
+  transactionTax,
+  normalizeFeeSettings
+};
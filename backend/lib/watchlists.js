@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { isForeignCode } = require('./foreignMarkets');
+
+/**
+ * Watchlist storage schema (version 1):
+ *
+ *   { "version": 1, "lists": [{ "id": "...", "name": "自選", "codes": ["tse_2330", "otc_6446"], "sort": "manual" }] }
+ *
+ * `codes` are tracked ids with the market prefix, in the user's manual order;
+ * other markets use market-qualified symbols ("US:AAPL", "SH:600519").
+ * `sort` is how the list is displayed: "manual" keeps that order, the others
+ * sort by live quote fields in the app.
+ *
+ * Older files are migrated on load:
+ *   - a bare array of codes:            ["tse_2330"]
+ *   - an object keyed by code (oldest): { "tse_2330": { "Code": "2330", ... } }
+ */
+
+const SCHEMA_VERSION = 1;
+const SORT_OPTIONS = ['manual', 'code', 'changePct', 'volume'];
+const DEFAULT_LIST_NAME = '自選';
+const MAX_NAME_LENGTH = 20;
+
+const isTrackedCode = (code) => typeof code === 'string' && (/^(tse|otc)_[0-9A-Z]+$/.test(code) || isForeignCode(code));
+
+const newListId = () => crypto.randomUUID().slice(0, 8);
+
+// Valid codes only, first occurrence wins
+const cleanCodes = (codes) => [...new Set((Array.isArray(codes) ? codes : []).filter(isTrackedCode))];
+
+const createList = (name, codes = []) => ({ id: newListId(), name, codes: cleanCodes(codes), sort: 'manual' });
+
+const normalizeName = (name) => String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+
+/**
+ * Turn whatever was read from disk into a current-version state.
+ * Returns { state, migrated } or { error } for files this version can't read.
+ */
+function migrateWatchlists(raw) {
+  if (raw === null || raw === undefined) {
+    return { state: { version: SCHEMA_VERSION, lists: [createList(DEFAULT_LIST_NAME)] }, migrated: true };
+  }
+  if (Array.isArray(raw)) {
+    return { state: { version: SCHEMA_VERSION, lists: [createList(DEFAULT_LIST_NAME, raw)] }, migrated: true };
+  }
+  if (typeof raw !== 'object') {
+    return { error: 'Unrecognized watchlist file' };
+  }
+  if (raw.version === undefined) {
+    return { state: { version: SCHEMA_VERSION, lists: [createList(DEFAULT_LIST_NAME, Object.keys(raw))] }, migrated: true };
+  }
+  if (raw.version > SCHEMA_VERSION) {
+    return { error: `Watchlist file version ${raw.version} is newer than supported version ${SCHEMA_VERSION}` };
+  }
+
+  const ids = new Set();
+  const lists = (Array.isArray(raw.lists) ? raw.lists : []).map(list => {
+    let id = typeof list.id === 'string' && list.id ? list.id : newListId();
+    if (ids.has(id)) {
+      id = newListId();
+    }
+    ids.add(id);
+    return {
+      id,
+      name: normalizeName(list.name) || DEFAULT_LIST_NAME,
+      codes: cleanCodes(list.codes),
+      sort: SORT_OPTIONS.includes(list.sort) ? list.sort : 'manual'
+    };
+  });
+  if (lists.length === 0) {
+    lists.push(createList(DEFAULT_LIST_NAME));
+  }
+  return { state: { version: SCHEMA_VERSION, lists }, migrated: false };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SORT_OPTIONS,
+  isTrackedCode,
+  cleanCodes,
+  createList,
+  normalizeName,
+  migrateWatchlists
+};
@@ -0,0 +1,42 @@
+/**
+ * Normalizes a Yahoo Finance chart response (v8/finance/chart/<ticker>?interval=1d&range=1d)
+ * into a plain quote:
+ *
+ *   { ticker, name, price, previousClose, open, high, low, volume, time, currency, timezone }
+ *
+ * `time` is the epoch ms of the last trade; missing numbers are null.
+ * Returns null when the body has no result (unknown ticker).
+ */
+
+const numberOrNull = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+// First value of a one-day indicator series, e.g. quote.open[0]
+const firstValue = (series) => (Array.isArray(series) ? numberOrNull(series.find(value => value !== null)) : null);
+
+function parseYahooChart(body) {
+  const result = body && body.chart && Array.isArray(body.chart.result) ? body.chart.result[0] : null;
+  if (!result || !result.meta) {
+    return null;
+  }
+  const meta = result.meta;
+  const quote = result.indicators && Array.isArray(result.indicators.quote) ? result.indicators.quote[0] || {} : {};
+  const price = numberOrNull(meta.regularMarketPrice);
+  if (price === null) {
+    return null;
+  }
+  return {
+    ticker: meta.symbol,
+    name: meta.shortName || meta.longName || meta.symbol,
+    price,
+    previousClose: numberOrNull(meta.previousClose) ?? numberOrNull(meta.chartPreviousClose),
+    open: firstValue(quote.open),
+    high: numberOrNull(meta.regularMarketDayHigh) ?? firstValue(quote.high),
+    low: numberOrNull(meta.regularMarketDayLow) ?? firstValue(quote.low),
+    volume: numberOrNull(meta.regularMarketVolume) ?? firstValue(quote.volume),
+    time: numberOrNull(meta.regularMarketTime) === null ? null : meta.regularMarketTime * 1000,
+    currency: meta.currency || null,
+    timezone: meta.exchangeTimezoneName || null
+  };
+}
+
+module.exports = { parseYahooChart };
@@ -0,0 +1,38 @@
+const path = require('path');
+const { createTwseProvider } = require('./twseProvider');
+const { createRecordProvider } = require('./recordProvider');
+const { createReplayProvider } = require('./replayProvider');
+
+const DEFAULT_RECORDING_DIR = path.join(__dirname, '..', 'recordings', 'default');
+
+/**
+ * Build the market-data provider selected by the environment.
+ *
+ *   TWSX_PROVIDER        live (default) | record | replay
+ *   TWSX_RECORDING_DIR   where recordings are written to / read from
+ *   TWSX_REPLAY_SPEED    simulated clock speed multiplier for replay (default 1)
+ *   TWSX_REPLAY_START    ISO timestamp to start the replay clock at
+ */
+function createProvider(env = process.env) {
+  const mode = (env.TWSX_PROVIDER || 'live').toLowerCase();
+  const recordingDir = env.TWSX_RECORDING_DIR
+    ? path.resolve(env.TWSX_RECORDING_DIR)
+    : DEFAULT_RECORDING_DIR;
+
+  switch (mode) {
+    case 'live':
+      return createTwseProvider();
+    case 'record':
+      return createRecordProvider(createTwseProvider(), recordingDir);
+    case 'replay':
+      return createReplayProvider(recordingDir, {
+        speed: parseFloat(env.TWSX_REPLAY_SPEED),
+        start: env.TWSX_REPLAY_START ? Date.parse(env.TWSX_REPLAY_START) : undefined
+      });
+    default:
+      console.warn(`Unknown TWSX_PROVIDER "${mode}", falling back to live provider`);
+      return createTwseProvider();
+  }
+}
+
+module.exports = { createProvider };
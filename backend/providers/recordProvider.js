@@ -0,0 +1,180 @@
+const { appendStockInfo, writeStockDay, writeOtcDay, writeIndexDay, appendForeignQuote, writeSymbolSource, writeFundamentalsSource, writeChipsSource, writeDividendsSource, writeMarketSource } = require('./recordingStore');
+
+/**
+ * Wraps the live provider and writes every successful response to the
+ * recording directory so it can be played back later by the replay provider.
+ */
+function createRecordProvider(liveProvider, recordingDir) {
+  console.log('Recording TWSE responses to', recordingDir);
+
+  return {
+    name: 'record',
+
+    async getStockInfo(exChList) {
+      const data = await liveProvider.getStockInfo(exChList);
+      try {
+        appendStockInfo(recordingDir, Date.now(), data);
+      } catch (error) {
+        console.error('Error recording stock info response:', error);
+      }
+      return data;
+    },
+
+    async getStockDay(stockNo, date) {
+      const data = await liveProvider.getStockDay(stockNo, date);
+      try {
+        writeStockDay(recordingDir, stockNo, date, data);
+      } catch (error) {
+        console.error('Error recording STOCK_DAY response:', error);
+      }
+      return data;
+    },
+
+    async getOtcDay(stockNo, date) {
+      const data = await liveProvider.getOtcDay(stockNo, date);
+      try {
+        writeOtcDay(recordingDir, stockNo, date, data);
+      } catch (error) {
+        console.error('Error recording TPEx daily response:', error);
+      }
+      return data;
+    },
+
+    async getIndexDay(indexNo, date) {
+      const data = await liveProvider.getIndexDay(indexNo, date);
+      try {
+        writeIndexDay(recordingDir, indexNo, date, data);
+      } catch (error) {
+        console.error('Error recording MI_5MINS_HIST response:', error);
+      }
+      return data;
+    },
+
+    async getForeignQuote(ticker) {
+      const data = await liveProvider.getForeignQuote(ticker);
+      try {
+        appendForeignQuote(recordingDir, ticker, Date.now(), data);
+      } catch (error) {
+        console.error('Error recording foreign quote:', error);
+      }
+      return data;
+    },
+
+    async getIsinList(market) {
+      const html = await liveProvider.getIsinList(market);
+      try {
+        writeSymbolSource(recordingDir, `isin-${market}`, { html });
+      } catch (error) {
+        console.error('Error recording ISIN code list:', error);
+      }
+      return html;
+    },
+
+    async getCompanyProfiles(market) {
+      const data = await liveProvider.getCompanyProfiles(market);
+      try {
+        writeSymbolSource(recordingDir, `companies-${market}`, data);
+      } catch (error) {
+        console.error('Error recording company profiles:', error);
+      }
+      return data;
+    },
+
+    async getValuations(market) {
+      const data = await liveProvider.getValuations(market);
+      try {
+        writeFundamentalsSource(recordingDir, `valuations-${market}`, data);
+      } catch (error) {
+        console.error('Error recording valuations:', error);
+      }
+      return data;
+    },
+
+    async getMonthlyRevenue(market) {
+      const data = await liveProvider.getMonthlyRevenue(market);
+      try {
+        writeFundamentalsSource(recordingDir, `revenue-${market}`, data);
+      } catch (error) {
+        console.error('Error recording monthly revenue:', error);
+      }
+      return data;
+    },
+
+    async getInstitutional(market, date) {
+      const data = await liveProvider.getInstitutional(market, date);
+      try {
+        writeChipsSource(recordingDir, `institutional-${market}-${date}`, data);
+      } catch (error) {
+        console.error('Error recording institutional trading:', error);
+      }
+      return data;
+    },
+
+    async getMarginBalance(market, date) {
+      const data = await liveProvider.getMarginBalance(market, date);
+      try {
+        writeChipsSource(recordingDir, `margin-${market}-${date}`, data);
+      } catch (error) {
+        console.error('Error recording margin balances:', error);
+      }
+      return data;
+    },
+
+    async getExRightsSchedule(market) {
+      const data = await liveProvider.getExRightsSchedule(market);
+      try {
+        writeDividendsSource(recordingDir, `schedule-${market}`, data);
+      } catch (error) {
+        console.error('Error recording ex-rights schedule:', error);
+      }
+      return data;
+    },
+
+    // Ranges are fetched by calendar year, so a recording keeps the latest answer of each year
+    async getExRightsResults(market, startDate, endDate) {
+      const data = await liveProvider.getExRightsResults(market, startDate, endDate);
+      try {
+        writeDividendsSource(recordingDir, `results-${market}-${startDate.slice(0, 4)}`, data);
+      } catch (error) {
+        console.error('Error recording ex-rights results:', error);
+      }
+      return data;
+    },
+
+    async getMarketDaily(market) {
+      const data = await liveProvider.getMarketDaily(market);
+      try {
+        writeMarketSource(recordingDir, `daily-${market}`, data);
+      } catch (error) {
+        console.error('Error recording market daily snapshot:', error);
+      }
+      return data;
+    },
+
+    async getMarketTurnover(market, date) {
+      const data = await liveProvider.getMarketTurnover(market, date);
+      try {
+        writeMarketSource(recordingDir, `turnover-${market}-${date.slice(0, 6)}`, data);
+      } catch (error) {
+        console.error('Error recording market turnover:', error);
+      }
+      return data;
+    },
+
+    async getSectorIndices(date) {
+      const data = await liveProvider.getSectorIndices(date);
+      try {
+        writeMarketSource(recordingDir, `sectors-${date}`, data);
+      } catch (error) {
+        console.error('Error recording sector indices:', error);
+      }
+      return data;
+    },
+
+    now() {
+      return liveProvider.now();
+    }
+  };
+}
+
+module.exports = { createRecordProvider };
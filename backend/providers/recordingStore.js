@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+// Layout of a recording directory:
+//   stock-info.jsonl           one {"at": <epoch ms>, "data": <getStockInfo.jsp body>} per line
+//   stock-day/<code>-<YYYYMM>.json   raw STOCK_DAY body for that month
+//   otc-day/<code>-<YYYYMM>.json     raw TPEx daily trading body for that month
+//   index-day/<code>-<YYYYMM>.json   raw MI_5MINS_HIST body for that month
+//   foreign/<ticker>.jsonl           one {"at": <epoch ms>, "data": <Yahoo chart body>} per line
+//   symbols/isin-<market>.json       {"html": <ISIN code list page>} for the symbol directory
+//   symbols/companies-<market>.json  raw company profile list for the symbol directory
+//   fundamentals/valuations-<market>.json  raw BWIBBU / P/E analysis list
+//   fundamentals/revenue-<market>.json     raw monthly revenue report
+//   chips/<report>-<market>-<YYYYMMDD>.json  raw institutional / margin report of one day
+//   dividends/schedule-<market>.json       raw ex-rights / ex-dividend schedule
+//   dividends/results-<market>-<YYYY>.json raw ex-rights / ex-dividend results of one year
+//   market/daily-<market>.json             raw full-market daily snapshot
+//   market/turnover-<market>-<YYYYMM>.json raw market turnover report of one month
+//   market/sectors-<YYYYMMDD>.json         raw MI_INDEX sector index report of one day
+const STOCK_INFO_FILE = 'stock-info.jsonl';
+const STOCK_DAY_DIR = 'stock-day';
+const OTC_DAY_DIR = 'otc-day';
+const INDEX_DAY_DIR = 'index-day';
+const SYMBOLS_DIR = 'symbols';
+const FOREIGN_DIR = 'foreign';
+const FUNDAMENTALS_DIR = 'fundamentals';
+const CHIPS_DIR = 'chips';
+const DIVIDENDS_DIR = 'dividends';
+const MARKET_DIR = 'market';
+
+// Codes, tickers ("USDTWD=X") and report names are fine as file names; anything else odd
+// is replaced, so a code can never point outside the recording directory
+const fileSafe = (name) => String(name).replace(/[^A-Za-z0-9.=\-]/g, '_').replace(/^\.+/, '_');
+
+function monthFile(dir, subdir, stockNo, date) {
+  return path.join(dir, subdir, fileSafe(`${stockNo}-${String(date).slice(0, 6)}`) + '.json');
+}
+
+function writeMonth(dir, subdir, stockNo, date, data) {
+  const file = monthFile(dir, subdir, stockNo, date);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function readMonth(dir, subdir, stockNo, date) {
+  const file = monthFile(dir, subdir, stockNo, date);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function appendStockInfo(dir, at, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, STOCK_INFO_FILE), JSON.stringify({ at, data }) + '\n');
+}
+
+function readStockInfo(dir) {
+  const file = path.join(dir, STOCK_INFO_FILE);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line))
+    .sort((a, b) => a.at - b.at);
+}
+
+function writeStockDay(dir, stockNo, date, data) {
+  writeMonth(dir, STOCK_DAY_DIR, stockNo, date, data);
+}
+
+function readStockDay(dir, stockNo, date) {
+  return readMonth(dir, STOCK_DAY_DIR, stockNo, date);
+}
+
+function writeOtcDay(dir, stockNo, date, data) {
+  writeMonth(dir, OTC_DAY_DIR, stockNo, date, data);
+}
+
+function readOtcDay(dir, stockNo, date) {
+  return readMonth(dir, OTC_DAY_DIR, stockNo, date);
+}
+
+function writeIndexDay(dir, indexNo, date, data) {
+  writeMonth(dir, INDEX_DAY_DIR, indexNo, date, data);
+}
+
+function readIndexDay(dir, indexNo, date) {
+  return readMonth(dir, INDEX_DAY_DIR, indexNo, date);
+}
+
+const foreignFile = (dir, ticker) => path.join(dir, FOREIGN_DIR, `${fileSafe(ticker)}.jsonl`);
+
+function appendForeignQuote(dir, ticker, at, data) {
+  const file = foreignFile(dir, ticker);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ at, data }) + '\n');
+}
+
+function readForeignQuotes(dir, ticker) {
+  const file = foreignFile(dir, ticker);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line))
+    .sort((a, b) => a.at - b.at);
+}
+
+// Whole-market lists that are saved as a single JSON file each
+function writeSource(dir, subdir, name, data) {
+  const file = path.join(dir, subdir, `${fileSafe(name)}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+function readSource(dir, subdir, name) {
+  const file = path.join(dir, subdir, `${fileSafe(name)}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeSymbolSource(dir, name, data) {
+  writeSource(dir, SYMBOLS_DIR, name, data);
+}
+
+function readSymbolSource(dir, name) {
+  return readSource(dir, SYMBOLS_DIR, name);
+}
+
+function writeFundamentalsSource(dir, name, data) {
+  writeSource(dir, FUNDAMENTALS_DIR, name, data);
+}
+
+function readFundamentalsSource(dir, name) {
+  return readSource(dir, FUNDAMENTALS_DIR, name);
+}
+
+function writeChipsSource(dir, name, data) {
+  writeSource(dir, CHIPS_DIR, name, data);
+}
+
+function readChipsSource(dir, name) {
+  return readSource(dir, CHIPS_DIR, name);
+}
+
+function writeDividendsSource(dir, name, data) {
+  writeSource(dir, DIVIDENDS_DIR, name, data);
+}
+
+function readDividendsSource(dir, name) {
+  return readSource(dir, DIVIDENDS_DIR, name);
+}
+
+function writeMarketSource(dir, name, data) {
+  writeSource(dir, MARKET_DIR, name, data);
+}
+
+function readMarketSource(dir, name) {
+  return readSource(dir, MARKET_DIR, name);
+}
+
+module.exports = {
+  appendStockInfo,
+  readStockInfo,
+  writeStockDay,
+  readStockDay,
+  writeOtcDay,
+  readOtcDay,
+  writeIndexDay,
+  readIndexDay,
+  appendForeignQuote,
+  readForeignQuotes,
+  writeSymbolSource,
+  readSymbolSource,
+  writeFundamentalsSource,
+  readFundamentalsSource,
+  writeChipsSource,
+  readChipsSource,
+  writeDividendsSource,
+  readDividendsSource,
+  writeMarketSource,
+  readMarketSource
+};
@@ -0,0 +1,170 @@
+const { readStockInfo, readStockDay, readOtcDay, readIndexDay, readForeignQuotes, readSymbolSource, readFundamentalsSource, readChipsSource, readDividendsSource, readMarketSource } = require('./recordingStore');
+const { formatYmd, formatTime } = require('../lib/dates');
+
+// TWSE answers STOCK_DAY with this body when there is nothing for the month
+const NO_DATA_RESPONSE = { stat: '很抱歉，沒有符合條件的資料!' };
+// TPEx answers with an empty table instead
+const OTC_NO_DATA_RESPONSE = { stat: 'ok', tables: [] };
+// Yahoo's body for a ticker it does not know
+const FOREIGN_NOT_FOUND_RESPONSE = { chart: { result: null, error: { code: 'Not Found', description: 'No data found, symbol may be delisted' } } };
+
+/**
+ * Plays back a recording made by the record provider.
+ *
+ * The simulated clock starts at `options.start` (or the first recorded snapshot)
+ * when the provider is created and advances `options.speed` times faster than
+ * the wall clock, looping back to the start once the recording runs out.
+ */
+function createReplayProvider(recordingDir, options = {}) {
+  const snapshots = readStockInfo(recordingDir);
+  const speed = options.speed > 0 ? options.speed : 1;
+  const startedAt = Date.now();
+
+  const firstAt = snapshots.length > 0 ? snapshots[0].at : startedAt;
+  const lastAt = snapshots.length > 0 ? snapshots[snapshots.length - 1].at : startedAt;
+  const clockStart = options.start ? Math.max(firstAt, Math.min(options.start, lastAt)) : firstAt;
+
+  // Index every quote by channel (e.g. "tse_2330.tw") so each code can be
+  // served from its own latest snapshot, regardless of how it was batched.
+  const quotesByChannel = {};
+  snapshots.forEach(({ at, data }) => {
+    if (data && Array.isArray(data.msgArray)) {
+      data.msgArray.forEach(item => {
+        const channel = `${item.ex}_${item.ch}`;
+        (quotesByChannel[channel] = quotesByChannel[channel] || []).push({ at, item });
+      });
+    }
+  });
+
+  // Foreign quotes are read per ticker on first use
+  const foreignQuotes = new Map();
+
+  console.log(`Replaying ${snapshots.length} recorded snapshots from ${recordingDir} at ${speed}x`);
+
+  // The last snapshot is held for one average snapshot interval before looping
+  const span = lastAt - clockStart;
+  const cycle = snapshots.length > 1 ? span + (lastAt - firstAt) / (snapshots.length - 1) : 0;
+
+  const now = () => {
+    const elapsed = (Date.now() - startedAt) * speed;
+    const offset = cycle > 0 ? elapsed % cycle : 0;
+    return new Date(clockStart + offset);
+  };
+
+  // Latest entry at or before `at`, or the earliest one if the clock is before all of them
+  const latestAt = (entries, at) => {
+    let found = entries[0];
+    for (const entry of entries) {
+      if (entry.at > at) break;
+      found = entry;
+    }
+    return found;
+  };
+
+  return {
+    name: 'replay',
+
+    async getStockInfo(exChList) {
+      const current = now();
+      const at = current.getTime();
+      const envelope = snapshots.length > 0 ? latestAt(snapshots, at).data : {};
+
+      const msgArray = [];
+      exChList.forEach(channel => {
+        const entries = quotesByChannel[channel];
+        if (entries && entries.length > 0) {
+          msgArray.push(latestAt(entries, at).item);
+        }
+      });
+
+      return {
+        ...envelope,
+        msgArray,
+        queryTime: {
+          ...(envelope.queryTime || {}),
+          sysDate: formatYmd(current),
+          sysTime: formatTime(current)
+        }
+      };
+    },
+
+    async getStockDay(stockNo, date) {
+      return readStockDay(recordingDir, stockNo, date) || NO_DATA_RESPONSE;
+    },
+
+    async getOtcDay(stockNo, date) {
+      return readOtcDay(recordingDir, stockNo, date) || OTC_NO_DATA_RESPONSE;
+    },
+
+    async getIndexDay(indexNo, date) {
+      return readIndexDay(recordingDir, indexNo, date) || NO_DATA_RESPONSE;
+    },
+
+    // Foreign quotes play back on the same clock as the TWSE snapshots
+    async getForeignQuote(ticker) {
+      if (!foreignQuotes.has(ticker)) {
+        foreignQuotes.set(ticker, readForeignQuotes(recordingDir, ticker));
+      }
+      const entries = foreignQuotes.get(ticker);
+      return entries.length > 0 ? latestAt(entries, now().getTime()).data : FOREIGN_NOT_FOUND_RESPONSE;
+    },
+
+    // Recordings without symbol lists yield an empty directory refresh
+    async getIsinList(market) {
+      const recorded = readSymbolSource(recordingDir, `isin-${market}`);
+      return recorded ? recorded.html : '';
+    },
+
+    async getCompanyProfiles(market) {
+      return readSymbolSource(recordingDir, `companies-${market}`) || [];
+    },
+
+    // Recordings without fundamentals yield empty lists, which keep the saved cache
+    async getValuations(market) {
+      return readFundamentalsSource(recordingDir, `valuations-${market}`) || [];
+    },
+
+    async getMonthlyRevenue(market) {
+      return readFundamentalsSource(recordingDir, `revenue-${market}`) || [];
+    },
+
+    // Days that were not recorded look like days without a report
+    async getInstitutional(market, date) {
+      return readChipsSource(recordingDir, `institutional-${market}-${date}`)
+        || (market === 'tse' ? NO_DATA_RESPONSE : OTC_NO_DATA_RESPONSE);
+    },
+
+    async getMarginBalance(market, date) {
+      return readChipsSource(recordingDir, `margin-${market}-${date}`)
+        || (market === 'tse' ? NO_DATA_RESPONSE : OTC_NO_DATA_RESPONSE);
+    },
+
+    // Recordings without a schedule look like a market with no upcoming events
+    async getExRightsSchedule(market) {
+      return readDividendsSource(recordingDir, `schedule-${market}`)
+        || (market === 'tse' ? NO_DATA_RESPONSE : OTC_NO_DATA_RESPONSE);
+    },
+
+    async getExRightsResults(market, startDate) {
+      return readDividendsSource(recordingDir, `results-${market}-${startDate.slice(0, 4)}`)
+        || (market === 'tse' ? NO_DATA_RESPONSE : OTC_NO_DATA_RESPONSE);
+    },
+
+    async getMarketDaily(market) {
+      return readMarketSource(recordingDir, `daily-${market}`) || [];
+    },
+
+    async getMarketTurnover(market, date) {
+      return readMarketSource(recordingDir, `turnover-${market}-${date.slice(0, 6)}`)
+        || (market === 'tse' ? NO_DATA_RESPONSE : OTC_NO_DATA_RESPONSE);
+    },
+
+    async getSectorIndices(date) {
+      return readMarketSource(recordingDir, `sectors-${date}`) || NO_DATA_RESPONSE;
+    },
+
+    now
+  };
+}
+
+module.exports = { createReplayProvider };
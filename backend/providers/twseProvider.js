@@ -0,0 +1,280 @@
+const axios = require('axios');
+
+const STOCK_INFO_URL = 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp';
+const STOCK_DAY_URL = 'https://www.twse.com.tw/exchangeReport/STOCK_DAY';
+const INDEX_DAY_URL = 'https://www.twse.com.tw/indicesReport/MI_5MINS_HIST';
+const OTC_DAY_URL = 'https://www.tpex.org.tw/www/zh-tw/afterTrading/tradingStock';
+const FOREIGN_CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const ISIN_URL = 'https://isin.twse.com.tw/isin/C_public.jsp';
+const COMPANY_URLS = {
+  tse: 'https://openapi.twse.com.tw/v1/opendata/t187ap03_L',
+  otc: 'https://www.tpex.org.tw/openapi/v1/mopsfe_t187ap03_O',
+  emerging: 'https://www.tpex.org.tw/openapi/v1/mopsfe_t187ap03_R'
+};
+// Daily P/E, dividend yield and P/B of every stock
+const VALUATION_URLS = {
+  tse: 'https://openapi.twse.com.tw/v1/exchangeReport/BWIBBU_ALL',
+  otc: 'https://www.tpex.org.tw/openapi/v1/tpex_mainboard_peratio_analysis'
+};
+// Latest monthly revenue report of every company
+const REVENUE_URLS = {
+  tse: 'https://openapi.twse.com.tw/v1/opendata/t187ap05_L',
+  otc: 'https://www.tpex.org.tw/openapi/v1/mopsfin_t187ap05_O'
+};
+// Daily 三大法人買賣超 and 融資融券 reports of the whole market
+const INSTITUTIONAL_URLS = {
+  tse: 'https://www.twse.com.tw/rwd/zh/fund/T86',
+  otc: 'https://www.tpex.org.tw/www/zh-tw/insti/dailyTrade'
+};
+const MARGIN_URLS = {
+  tse: 'https://www.twse.com.tw/rwd/zh/marginTrading/MI_MARGN',
+  otc: 'https://www.tpex.org.tw/www/zh-tw/margin/balance'
+};
+// Upcoming ex-rights / ex-dividend dates (除權除息預告表)
+const EX_RIGHTS_URLS = {
+  tse: 'https://www.twse.com.tw/rwd/zh/exRight/TWT48U',
+  otc: 'https://www.tpex.org.tw/www/zh-tw/bulletin/exRight'
+};
+// Results of past ex-rights / ex-dividend dates with their reference prices (除權除息計算結果表)
+const EX_RIGHTS_RESULT_URLS = {
+  tse: 'https://www.twse.com.tw/rwd/zh/exRight/TWT49U',
+  otc: 'https://www.tpex.org.tw/www/zh-tw/bulletin/exDailyQ'
+};
+// OHLC and volume of every security on the latest trading day
+const MARKET_DAILY_URLS = {
+  tse: 'https://openapi.twse.com.tw/v1/exchangeReport/STOCK_DAY_ALL',
+  otc: 'https://www.tpex.org.tw/openapi/v1/tpex_mainboard_daily_close_quotes'
+};
+// Total market turnover of every trading day in a month, and the closing sector indices of a day
+const MARKET_TURNOVER_URLS = {
+  tse: 'https://www.twse.com.tw/rwd/zh/afterTrading/FMTQIK',
+  otc: 'https://www.tpex.org.tw/www/zh-tw/afterTrading/tradingIndex'
+};
+const SECTOR_INDEX_URL = 'https://www.twse.com.tw/rwd/zh/afterTrading/MI_INDEX';
+// strMode of the ISIN code list for each market (上市 / 上櫃 / 興櫃)
+const ISIN_MODES = { tse: 2, otc: 4, emerging: 5 };
+
+// TPEx report endpoints take the date as YYYY/MM/DD
+const tpexDate = (date) => `${date.slice(0, 4)}/${date.slice(4, 6)}/${date.slice(6, 8)}`;
+
+/**
+ * Live provider that talks straight to the TWSE (and TPEx) endpoints.
+ * Every method resolves with the raw JSON body returned by the exchange,
+ * except the ISIN code lists, which are Big5 HTML pages and are returned as
+ * decoded text. Quotes of other markets (US, China A-shares) and exchange
+ * rates come from the Yahoo Finance chart API.
+ */
+function createTwseProvider() {
+  return {
+    name: 'live',
+
+    /**
+     * Fetch real-time quotes from getStockInfo.jsp.
+     * @param {string[]} exChList - Fully qualified channels, e.g. ["tse_2330.tw", "otc_6446.tw"].
+     */
+    async getStockInfo(exChList) {
+      const apiUrl = `${STOCK_INFO_URL}?ex_ch=${exChList.join('|')}`;
+      console.log(`Fetching data from TWSE API: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch one month of daily trading data from STOCK_DAY.
+     * @param {string} stockNo - Bare stock code, e.g. "2330".
+     * @param {string} date - Any day within the wanted month, YYYYMMDD.
+     */
+    async getStockDay(stockNo, date) {
+      const apiUrl = `${STOCK_DAY_URL}?response=json&date=${date}&stockNo=${stockNo}`;
+      console.log(`Fetching STOCK_DAY data from TWSE API: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch one month of daily trading data for a TPEx (上櫃) stock.
+     * @param {string} stockNo - Bare stock code, e.g. "6446".
+     * @param {string} date - Any day within the wanted month, YYYYMMDD.
+     */
+    async getOtcDay(stockNo, date) {
+      const day = `${date.slice(0, 4)}/${date.slice(4, 6)}/01`;
+      const apiUrl = `${OTC_DAY_URL}?response=json&date=${encodeURIComponent(day)}&code=${stockNo}`;
+      console.log(`Fetching daily trading data from TPEx API: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch one month of daily open / high / low / close of a TWSE index.
+     * Only the TAIEX ("t00") has a monthly report (MI_5MINS_HIST).
+     * @param {string} indexNo - Index code without market, e.g. "t00".
+     * @param {string} date - Any day within the wanted month, YYYYMMDD.
+     */
+    async getIndexDay(indexNo, date) {
+      if (indexNo !== 't00') {
+        throw new Error(`No daily history report for index ${indexNo}`);
+      }
+      const apiUrl = `${INDEX_DAY_URL}?response=json&date=${date}`;
+      console.log(`Fetching MI_5MINS_HIST data from TWSE API: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the ISIN code list of every security on a market.
+     * @param {string} market - "tse", "otc" or "emerging".
+     */
+    async getIsinList(market) {
+      const apiUrl = `${ISIN_URL}?strMode=${ISIN_MODES[market]}`;
+      console.log(`Fetching ISIN code list: ${apiUrl}`);
+      const response = await axios.get(apiUrl, { responseType: 'arraybuffer' });
+      return new TextDecoder('big5').decode(response.data);
+    },
+
+    /**
+     * Fetch the basic company profiles (full names) of a market from the open data APIs.
+     * @param {string} market - "tse", "otc" or "emerging".
+     */
+    async getCompanyProfiles(market) {
+      const apiUrl = COMPANY_URLS[market];
+      console.log(`Fetching company profiles: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the latest P/E, dividend yield and P/B ratios (BWIBBU) of every stock on a market.
+     * @param {string} market - "tse" or "otc".
+     */
+    async getValuations(market) {
+      const apiUrl = VALUATION_URLS[market];
+      console.log(`Fetching valuations: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the latest monthly revenue report of every company on a market.
+     * @param {string} market - "tse" or "otc".
+     */
+    async getMonthlyRevenue(market) {
+      const apiUrl = REVENUE_URLS[market];
+      console.log(`Fetching monthly revenue: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch one day of institutional investors' trading (三大法人買賣超) of every stock on a market.
+     * @param {string} market - "tse" or "otc".
+     * @param {string} date - Trading day, YYYYMMDD.
+     */
+    async getInstitutional(market, date) {
+      const apiUrl = market === 'tse'
+        ? `${INSTITUTIONAL_URLS.tse}?response=json&date=${date}&selectType=ALLBUT0999`
+        : `${INSTITUTIONAL_URLS.otc}?response=json&type=Daily&sect=EW&date=${encodeURIComponent(tpexDate(date))}`;
+      console.log(`Fetching institutional trading: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch one day of margin trading balances (融資融券餘額) of every stock on a market.
+     * @param {string} market - "tse" or "otc".
+     * @param {string} date - Trading day, YYYYMMDD.
+     */
+    async getMarginBalance(market, date) {
+      const apiUrl = market === 'tse'
+        ? `${MARGIN_URLS.tse}?response=json&date=${date}&selectType=ALL`
+        : `${MARGIN_URLS.otc}?response=json&date=${encodeURIComponent(tpexDate(date))}`;
+      console.log(`Fetching margin balances: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the announced upcoming ex-rights / ex-dividend dates of every stock on a market.
+     * @param {string} market - "tse" or "otc".
+     */
+    async getExRightsSchedule(market) {
+      const apiUrl = `${EX_RIGHTS_URLS[market]}?response=json`;
+      console.log(`Fetching ex-rights schedule: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the results of the ex-rights / ex-dividend dates in a date range, with the
+     * previous close and reference price of each.
+     * @param {string} market - "tse" or "otc".
+     * @param {string} startDate - First day, YYYYMMDD.
+     * @param {string} endDate - Last day, YYYYMMDD.
+     */
+    async getExRightsResults(market, startDate, endDate) {
+      const apiUrl = market === 'tse'
+        ? `${EX_RIGHTS_RESULT_URLS.tse}?response=json&startDate=${startDate}&endDate=${endDate}`
+        : `${EX_RIGHTS_RESULT_URLS.otc}?response=json&startDate=${encodeURIComponent(tpexDate(startDate))}&endDate=${encodeURIComponent(tpexDate(endDate))}`;
+      console.log(`Fetching ex-rights results: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the latest trading day's OHLC, volume and turnover of every security on a market.
+     * @param {string} market - "tse" or "otc".
+     */
+    async getMarketDaily(market) {
+      const apiUrl = MARKET_DAILY_URLS[market];
+      console.log(`Fetching market daily snapshot: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the total turnover of every trading day of a month on a market (FMTQIK / TPEx daily trading index).
+     * @param {string} market - "tse" or "otc".
+     * @param {string} date - Any day within the wanted month, YYYYMMDD.
+     */
+    async getMarketTurnover(market, date) {
+      const apiUrl = market === 'tse'
+        ? `${MARKET_TURNOVER_URLS.tse}?response=json&date=${date}`
+        : `${MARKET_TURNOVER_URLS.otc}?response=json&date=${encodeURIComponent(tpexDate(date))}`;
+      console.log(`Fetching market turnover: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch the closing value and change of every TWSE index on a day (MI_INDEX, type=IND).
+     * @param {string} date - Trading day, YYYYMMDD.
+     */
+    async getSectorIndices(date) {
+      const apiUrl = `${SECTOR_INDEX_URL}?response=json&date=${date}&type=IND`;
+      console.log(`Fetching sector indices: ${apiUrl}`);
+      const response = await axios.get(apiUrl);
+      return response.data;
+    },
+
+    /**
+     * Fetch today's quote of a non-TWSE security or exchange rate from the Yahoo Finance chart API.
+     * @param {string} ticker - Yahoo ticker, e.g. "AAPL", "600519.SS" or "USDTWD=X".
+     */
+    async getForeignQuote(ticker) {
+      const apiUrl = `${FOREIGN_CHART_URL}/${encodeURIComponent(ticker)}?interval=1d&range=1d`;
+      console.log(`Fetching foreign quote: ${apiUrl}`);
+      // Yahoo answers unknown tickers with 404 and a normal chart body
+      const response = await axios.get(apiUrl, {
+        headers: { 'User-Agent': 'Mozilla/5.0' },
+        validateStatus: status => status === 200 || status === 404
+      });
+      return response.data;
+    },
+
+    /** Current time as seen by this provider. */
+    now() {
+      return new Date();
+    }
+  };
+}
+
+module.exports = { createTwseProvider };
@@ -1,4 +1,3 @@
-const fs = require('fs'); // Import file system module
 const path = require('path'); // Import path module
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
@@ -23,37 +22,190 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors'); // Import cors
+const { createProvider } = require('./providers');
+const { createQuoteScheduler, optionsFromEnv } = require('./services/quoteScheduler');
+const { createMarketSession } = require('./services/marketSession');
+const { formatTaiexQuote, formatIndexQuote, collectStockQuotes } = require('./lib/quoteFormat');
+const { INDEX_CATALOG, normalizeIndexId, parseIndexIds, indexDefinition } = require('./lib/marketIndices');
+const { createQuoteStream } = require('./services/quoteStream');
+const { createForeignQuoteService } = require('./services/foreignQuotes');
+const { createFxService, parseFixedRates } = require('./services/fxRates');
+const { createTradeFlowTracker } = require('./services/tradeFlow');
+const { createIntradayStore } = require('./services/intradayStore');
+const { createAlertService } = require('./services/alertService');
+const { createPortfolioService } = require('./services/portfolioService');
+const { createHistoryStore, monthsBetween } = require('./services/historyStore');
+const { createSymbolDirectory } = require('./services/symbolDirectory');
+const { createFundamentalsStore } = require('./services/fundamentalsStore');
+const { createChipsStore } = require('./services/chipsStore');
+const { createDividendCalendar } = require('./services/dividendCalendar');
+const { createMarketSnapshot } = require('./services/marketSnapshot');
+const { createScreenService } = require('./services/screenService');
+const { createMarketBreadth } = require('./services/marketBreadth');
+const { createWatchlistService } = require('./services/watchlistService');
+const { createImportService } = require('./services/importService');
+const { INTERVALS, aggregateBars, withChangePct, withLimits, withIndexChanges } = require('./lib/dailyBars');
+const { parseIndicatorSet, warmupBars, computeIndicators, sliceSeries } = require('./lib/indicators');
+const { SESSION_START, SESSION_END, INTRADAY_INTERVALS, buildIntradayBars } = require('./lib/intradayBars');
+const { formatDate, shiftDate } = require('./lib/dates');
+const { isForeignCode } = require('./lib/foreignMarkets');
+const { parseStockCode } = require('./lib/symbols');
+const { adjustForDividends } = require('./lib/dividends');
+const { normalizeFilters, runScreen, marketMovers } = require('./lib/screener');
+const { compareSeries } = require('./lib/compare');
+const { DEFAULT_CAPITAL, normalizeStrategy, strategyWarmupBars, runBacktest } = require('./lib/backtest');
+const { normalizeFeeSettings } = require('./lib/twFees');
+const { securityType } = require('./lib/tickSize');
 
 const app = express();
 const port = 3000; // Or any other port
 
 app.use(cors()); // Use cors middleware
-app.use(express.json()); // To parse JSON request bodies
+app.use(express.json({ limit: '5mb' })); // To parse JSON request bodies; imports carry whole CSV files
+
+// Market data source, selected by TWSX_PROVIDER (live / record / replay)
+const provider = createProvider();
+console.log(`Using ${provider.name} market data provider`);
+
+// Trading calendar and intraday sessions; a newer calendar file can be dropped in via TWSX_CALENDAR_FILE
+const marketSession = createMarketSession({
+  files: [
+    path.join(__dirname, 'data', 'tradingCalendar.json'),
+    ...(process.env.TWSX_CALENDAR_FILE ? [path.resolve(process.env.TWSX_CALENDAR_FILE)] : [])
+  ],
+  now: () => provider.now(),
+  alwaysLive: process.env.TWSX_IGNORE_MARKET_HOURS === '1'
+});
 
-// Define the path for the data file
-const dataFilePath = path.join(__dirname, 'stockData.json');
+// Single upstream polling loop shared by every client, paced by the market session
+const quoteScheduler = createQuoteScheduler(provider, { ...optionsFromEnv(), pacing: marketSession.pacing });
+const TAIEX_CHANNEL = 'tse_t00.tw';
+// US and China A-share symbols ("US:AAPL", "SH:600519") are polled separately on their own exchange hours
+const foreignQuotes = createForeignQuoteService(provider);
+// Rates into TWD for showing foreign quotes in NT$; TWSX_FX_SOURCE=fixed uses only TWSX_FX_RATES
+const fxService = createFxService(provider, {
+  source: process.env.TWSX_FX_SOURCE,
+  fixedRates: parseFixedRates(process.env.TWSX_FX_RATES)
+});
+// Inner / outer volume estimates; created first so streamed quotes include the latest snapshot
+const tradeFlow = createTradeFlowTracker(quoteScheduler);
+const quoteStream = createQuoteStream(quoteScheduler, { taiexChannel: TAIEX_CHANNEL, tradeFlow, foreignQuotes });
+
+// Watchlist codes go to the TWSE scheduler or the foreign quote loop depending on their market
+const pinWatchlistCodes = (codes) => {
+  quoteScheduler.setPinned([TAIEX_CHANNEL, ...codes.filter(code => !isForeignCode(code))], 'watchlist');
+  foreignQuotes.setPinned(codes, 'watchlist');
+};
 
-// Load existing data from file on startup
-let stockData = {};
-if (fs.existsSync(dataFilePath)) {
-  try {
-    const rawData = fs.readFileSync(dataFilePath);
-    stockData = JSON.parse(rawData);
-    console.log('Loaded existing stock data from', dataFilePath);
-  } catch (error)
-  {
-    console.error('Error loading stock data from file:', error);
+// Every snapshot of the session is recorded for minute charts; replayed sessions stay in memory
+const intradayStore = createIntradayStore(quoteScheduler, {
+  dir: process.env.TWSX_INTRADAY_DIR ? path.resolve(process.env.TWSX_INTRADAY_DIR) : path.join(__dirname, 'intraday'),
+  persist: provider.name !== 'replay',
+  now: () => provider.now()
+});
+
+// Named watchlists; the single list in stockData.json from older versions is migrated on first start
+const watchlistService = createWatchlistService({
+  filePath: path.join(__dirname, 'watchlists.json'),
+  legacyFilePath: path.join(__dirname, 'stockData.json'),
+  onChange: pinWatchlistCodes
+});
+
+// Daily OHLCV history, kept on disk so chart data is fetched from TWSE only once per month.
+// Replayed data is kept in memory only so it never mixes with real history.
+const historyStore = createHistoryStore(provider, {
+  dir: process.env.TWSX_HISTORY_DIR ? path.resolve(process.env.TWSX_HISTORY_DIR) : path.join(__dirname, 'history'),
+  persist: provider.name !== 'replay',
+  minFetchIntervalMs: provider.name === 'replay' ? 0 : parseInt(process.env.TWSX_HISTORY_FETCH_INTERVAL_MS, 10) || undefined
+});
+
+// Alert rules and fired alert history live next to watchlists.json
+const alertService = createAlertService(quoteScheduler, provider, {
+  filePath: path.join(__dirname, 'alerts.json'),
+  historyStore,
+  notify: (alert) => {
+    // main.js turns this into a native desktop notification
+    if (process.send) {
+      process.send({ type: 'alert', alert });
+    }
+    quoteStream.broadcast('alert', alert);
   }
-}
+});
+
+// Holdings (buy/sell transactions) and fee settings
+const portfolioService = createPortfolioService({
+  filePath: path.join(__dirname, 'portfolio.json'),
+  now: () => provider.now()
+});
+
+// Directory of every listed / OTC / emerging stock and ETF for search and market detection
+const symbolDirectory = createSymbolDirectory(provider, {
+  filePath: process.env.TWSX_SYMBOLS_FILE ? path.resolve(process.env.TWSX_SYMBOLS_FILE) : path.join(__dirname, 'symbols.json'),
+  persist: provider.name !== 'replay'
+});
+
+// Daily institutional flows and margin balances of the whole market, one file per trading day
+const chipsStore = createChipsStore(provider, {
+  dir: process.env.TWSX_CHIPS_DIR ? path.resolve(process.env.TWSX_CHIPS_DIR) : path.join(__dirname, 'chips'),
+  persist: provider.name !== 'replay',
+  recentTradingDays: (count) => marketSession.recentTradingDays(count),
+  minFetchIntervalMs: provider.name === 'replay' ? 0 : parseInt(process.env.TWSX_HISTORY_FETCH_INTERVAL_MS, 10) || undefined
+});
+
+// P/E, dividend yield, P/B and monthly revenue of every TWSE / TPEx stock, refreshed daily
+const fundamentalsStore = createFundamentalsStore(provider, {
+  filePath: process.env.TWSX_FUNDAMENTALS_FILE ? path.resolve(process.env.TWSX_FUNDAMENTALS_FILE) : path.join(__dirname, 'fundamentals.json'),
+  persist: provider.name !== 'replay'
+});
+
+// Announced ex-rights / ex-dividend dates, kept for the watchlist and adjusted history
+const dividendCalendar = createDividendCalendar(provider, {
+  filePath: process.env.TWSX_DIVIDENDS_FILE ? path.resolve(process.env.TWSX_DIVIDENDS_FILE) : path.join(__dirname, 'dividends.json'),
+  persist: provider.name !== 'replay'
+});
+
+// Latest daily OHLC of every TWSE / TPEx stock and ETF, for the screener and movers board
+const marketSnapshot = createMarketSnapshot(provider, {
+  filePath: process.env.TWSX_MARKET_FILE ? path.resolve(process.env.TWSX_MARKET_FILE) : path.join(__dirname, 'market.json'),
+  persist: provider.name !== 'replay',
+  recentTradingDays: (count) => marketSession.recentTradingDays(count)
+});
+
+// Advance / decline counts, turnover and sector moves; sampled from quotes in the session, daily reports after it
+const marketBreadth = createMarketBreadth(provider, {
+  quoteScheduler,
+  marketSnapshot,
+  pacing: marketSession.pacing,
+  filePath: process.env.TWSX_BREADTH_FILE ? path.resolve(process.env.TWSX_BREADTH_FILE) : path.join(__dirname, 'breadth.json'),
+  persist: provider.name !== 'replay'
+});
+
+// Saved screener screens live next to watchlists.json
+const screenService = createScreenService({
+  filePath: path.join(__dirname, 'screens.json')
+});
+
+const importService = createImportService({
+  watchlistService,
+  portfolioService,
+  symbolDirectory,
+  now: () => provider.now()
+});
+
+// Always keep the TAIEX and every watchlist's stocks warm in the quote cache
+pinWatchlistCodes(watchlistService.allCodes());
 
 /**
  * @swagger
  * /api/stock-data:
  *   post:
  *     summary: Get stock data for specified stock codes
- *     description: Fetches real-time stock data from the TWSE API for a list of stock codes.
+ *     description: |
+ *       Returns real-time stock data for a list of stock codes from the backend quote cache, which is refreshed
+ *       from the TWSE API by a single rate-limited polling loop. Market-qualified symbols of other markets
+ *       ("US:AAPL", "SH:600519", "SZ:000001") are served from a separate loop in the same shape, without order
+ *       book or trade flow fields.
  *     requestBody:
  *       required: true
  *       content:
@@ -65,7 +217,7 @@ if (fs.existsSync(dataFilePath)) {
  *                 type: array
  *                 items:
  *                   type: string
- *                 description: An array of stock codes (e.g., ["2330", "0050"]).
+ *                 description: An array of stock codes (e.g., ["tse_2330", "otc_6446", "US:AAPL"]).
  *             example:
  *               stockCodes: ["2330", "0050"]
  *     responses:
@@ -92,21 +244,125 @@ if (fs.existsSync(dataFilePath)) {
  *                         type: string
  *                         description: Stock name.
  *                       InstantPrice:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Latest price; see PriceSource for where it comes from.
+ *                       PriceSource:
  *                         type: string
- *                         description: Latest trade price.
+ *                         nullable: true
+ *                         enum: [trade, lastTrade, bid, ask]
+ *                         description: |
+ *                           `trade` when the latest snapshot has a trade, `lastTrade` for an earlier trade of the
+ *                           same day, `bid` / `ask` for the best quote before the first trade; null when nothing is known.
  *                       PriceChange:
- *                         type: string
- *                         description: Price change from yesterday's close.
+ *                         type: number
+ *                         nullable: true
+ *                         description: Price change from yesterday's close (the ex-rights reference price on ex-dates).
  *                       ChangePercentage:
- *                         type: string
- *                         description: Percentage change from yesterday's close.
+ *                         type: number
+ *                         nullable: true
+ *                         description: Change from yesterday's close in percent.
  *                       YesterdayClose:
- *                         type: string
+ *                         type: number
+ *                         nullable: true
  *                         description: Yesterday's closing price.
+ *                       UpperLimit:
+ *                         type: number
+ *                         nullable: true
+ *                       LowerLimit:
+ *                         type: number
+ *                         nullable: true
+ *                       SecurityType:
+ *                         type: string
+ *                         enum: [stock, etf, foreign]
+ *                         description: Selects the tick-size ladder used to format prices.
+ *                       TickSize:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Tick size (升降單位) at the current price, null for foreign quotes.
  *                       t:
  *                         type: string
  *                         description: Latest trade time.
+ *                       v:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Accumulated volume, in lots for TWSE / TPEx and in shares for foreign quotes.
+ *                       Open:
+ *                         type: number
+ *                         nullable: true
+ *                       High:
+ *                         type: number
+ *                         nullable: true
+ *                       Low:
+ *                         type: number
+ *                         nullable: true
+ *                       TradeVolume:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Volume of the latest trade in lots.
+ *                       Bids:
+ *                         type: array
+ *                         description: Best five bids, best first.
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderBookLevel'
+ *                       Asks:
+ *                         type: array
+ *                         description: Best five asks, best first.
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderBookLevel'
+ *                       InnerVolume:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Estimated volume traded at the bid (內盤) since the backend first saw the stock today.
+ *                       OuterVolume:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Estimated volume traded at the ask (外盤).
+ *                       ObservedVolume:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Part of today's volume the inner/outer estimate and average price cover.
+ *                       AveragePrice:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Volume-weighted average price of the observed trades.
+ *                       Market:
+ *                         type: string
+ *                         enum: [tse, otc, US, SH, SZ]
+ *                       Currency:
+ *                         type: string
+ *                         example: TWD
+ *                       Timezone:
+ *                         type: string
+ *                         description: Exchange timezone; `t` is in this timezone.
+ *                         example: America/New_York
+ *                       Session:
+ *                         type: object
+ *                         description: Current session of a foreign exchange (TWSE sessions are served by /api/market-session).
+ *                         properties:
+ *                           phase:
+ *                             type: string
+ *                             enum: [preMarket, regular, postMarket, callAuction, lunchBreak, closed]
+ *                           label:
+ *                             type: string
+ *                           live:
+ *                             type: boolean
+ *                       asOf:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When this quote was last fetched from TWSE.
+ *                       stale:
+ *                         type: boolean
+ *                         description: True when the quote could not be refreshed recently.
  *                   description: An object where keys are stock codes and values are stock data.
+ *                 asOf:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Fetch time of the oldest quote in the response.
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when any quote in the response is stale.
  *       400:
  *         description: Invalid request body or empty stockCodes array.
  *         content:
@@ -132,225 +388,246 @@ if (fs.existsSync(dataFilePath)) {
  *                   description: Partially retrieved stock data (if any).
  */
 app.post('/api/stock-data', async (req, res) => {
-  const { stockCodes } = req.body; // stockCodes are now prefixed, e.g., ["tse_2330.tw", "otc_6446.tw"]
+  const { stockCodes } = req.body; // stockCodes are now prefixed, e.g., ["tse_2330", "otc_6446"]
 
   if (!stockCodes || !Array.isArray(stockCodes) || stockCodes.length === 0) {
     return res.status(400).json({ error: 'Invalid or empty stockCodes array' });
   }
 
-  const results = {};
-  const apiBaseUrl = 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp';
-
-  // Construct the ex_ch parameter for all requested stock codes
-  const exChParam = stockCodes.map(code => {
-    if (code.startsWith('otc_')) {
-      // For OTC stocks, format as otc_CODE.tw
-      return `${code}.tw`;
-    } else if (code.startsWith('tse_')) {
-      // Already correctly formatted TSE stock
-      return `${code}.tw`;
-    } else {
-      // For TSE stocks (or if no prefix), format as tse_CODE.tw
-      return `tse_${code}.tw`;
-    }
-  }).join('|');
-  const apiUrl = `${apiBaseUrl}?ex_ch=${exChParam}`;
-
-  let apiData = null; // Declare apiData outside the try block
-  let fetchError = false;
-  try {
-    console.log(`Fetching data from TWSE API: ${apiUrl}`);
-    const response = await axios.get(apiUrl);
-    apiData = response.data;
-
-    console.log('Received data from TWSE API. Structure:', typeof apiData, Array.isArray(apiData) ? `Array length: ${apiData.length}` : '');
-    if (apiData && Array.isArray(apiData.msgArray) && apiData.msgArray.length > 0) {
-        console.log('Sample data item from msgArray:', apiData.msgArray[0]);
-    } else {
-        console.log('No data or unexpected data format received from API.');
-    }
+  // Quotes come from the shared cache; only codes that were never fetched
+  // before cause an immediate upstream request.
+  await Promise.all([
+    quoteScheduler.request(stockCodes.filter(code => !isForeignCode(code))),
+    foreignQuotes.request(stockCodes)
+  ]);
 
-    // --- Process data from the new API ---
-    if (apiData && Array.isArray(apiData.msgArray)) {
-        apiData.msgArray.forEach(stockInfo => {
-            const codeWithPrefix = stockInfo.ch; // The API returns the code with prefix, e.g., tse_2330.tw or otc_0050.tw
-            const code = stockInfo.c; // Stock code is in 'c' field
-            const name = stockInfo.n; // Stock name is in 'n' field
-            const latestPrice = parseFloat(stockInfo.z); // Latest trade price is in 'z' field
-            const yesterdayClose = parseFloat(stockInfo.y); // Yesterday's closing price is in 'y' field
-
-            let priceChange = 'N/A';
-            let changePercentage = 'N/A';
-
-            if (!isNaN(latestPrice) && !isNaN(yesterdayClose)) {
-                priceChange = (latestPrice - yesterdayClose).toFixed(2);
-                if (yesterdayClose !== 0) {
-                    changePercentage = (((latestPrice - yesterdayClose) / yesterdayClose) * 100).toFixed(2) + '%';
-                } else {
-                    changePercentage = 'N/A'; // Avoid division by zero
-                }
-            }
-            
-            // Determine the key for results object based on original request
-            // Find the original code from stockCodes that matches stockInfo.c or stockInfo.ch
-            const originalCode = stockCodes.find(sc => sc.includes(code) || codeWithPrefix.includes(sc));
-
-            results[originalCode || code] = { // Use originalCode if found, otherwise fallback to code from API
-                Code: code, // Store the code without prefix from API
-                Name: name || 'N/A',
-                InstantPrice: isNaN(latestPrice) ? 'N/A' : latestPrice.toFixed(2), // Include instant price
-                PriceChange: priceChange,
-                ChangePercentage: changePercentage,
-                YesterdayClose: stockInfo.y ? parseFloat(stockInfo.y).toFixed(2) : 'N/A', // Add yesterday's closing price
-                t: stockInfo.t, // Add latest trade time
-                v: stockInfo.v, // Add trade volume
-                UpperLimit: stockInfo.u ? parseFloat(stockInfo.u).toFixed(2) : 'N/A', // 涨停板价格
-                LowerLimit: stockInfo.w ? parseFloat(stockInfo.w).toFixed(2) : 'N/A',  // 跌停板价格
-                Market: stockInfo.ex || (codeWithPrefix.startsWith('otc') ? 'otc' : 'tse') // 市场类型：上市/上柜
-            };
-        });
-    } else {
-         stockCodes.forEach(code => {
-             results[code] = { error: 'API data format unexpected or empty' };
-         });
-    }
+  const { sysTime, asOf, stale, stockData: results } = collectStockQuotes(quoteScheduler, stockCodes, tradeFlow, foreignQuotes);
 
-  } catch (error) {
-    console.error(`Error fetching data from TWSE API:`, error);
-    fetchError = true; // Set error flag
+  if (Object.keys(results).length === 0 && quoteScheduler.status().lastError) {
     stockCodes.forEach(code => {
         results[code] = { error: 'Could not fetch data from new API' };
     });
+    return res.status(500).json({ error: 'Failed to fetch data from API', stockData: results });
   }
 
-  // Check for fetch errors before attempting to access apiData
-  if (fetchError) {
-      return res.status(500).json({ error: 'Failed to fetch data from API', stockData: results });
-  }
-
-  // If no fetch error, proceed with processing and sending the response
-  const finalResponse = {
-    sysTime: apiData.sysTime || null, // Include sysTime from the API response
+  res.json({
+    sysTime: sysTime, // System time reported by TWSE for the latest snapshot
+    asOf: asOf,
+    stale: stale,
     stockData: results // Wrap the stock data in a 'stockData' key
-  };
-
-  res.json(finalResponse);
+  });
 });
 /**
  * @swagger
- * /api/user-stocks:
+ * components:
+ *   schemas:
+ *     OrderBookLevel:
+ *       type: object
+ *       properties:
+ *         price:
+ *           type: number
+ *           example: 1045
+ *         volume:
+ *           type: integer
+ *           description: Order size in lots.
+ *           example: 120
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Watchlists:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 1
+ *         lists:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: 觀察
+ *               codes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tracked codes in manual order.
+ *                 example: ["tse_2330", "otc_6446"]
+ *               sort:
+ *                 type: string
+ *                 enum: [manual, code, changePct, volume]
+ */
+
+// Every watchlist route answers with the whole state so the app can replace its copy
+const sendWatchlistResult = (res, { state, error, notFound }, status = 200) => {
+  if (notFound) {
+    return res.status(404).json({ error: 'Watchlist or stock not found' });
+  }
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(status).json(state);
+};
+
+/**
+ * @swagger
+ * /api/watchlists:
  *   get:
- *     summary: Get user's saved stock data
- *     description: Retrieves the stock data saved by the user from the backend file.
+ *     summary: Get all watchlists
  *     responses:
  *       200:
- *         description: Successfully retrieved user's stock data.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               additionalProperties:
- *                 type: object
- *                 properties:
- *                   Code:
- *                     type: string
- *                   Name:
- *                     type: string
- *                   InstantPrice:
- *                     type: string
- *                   PriceChange:
- *                     type: string
- *                   ChangePercentage:
- *                     type: string
- *                   YesterdayClose:
- *                     type: string
- *                   t:
- *                     type: string
- *                   v:
- *                     type: string
- *       500:
- *         description: Failed to read user's stock data from file.
+ *         description: The stored watchlists.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Watchlists'
  *   post:
- *     summary: Save user's stock data
- *     description: Saves the provided stock data to the backend file, overwriting existing data.
+ *     summary: Create a watchlist
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             additionalProperties:
- *               type: object
- *               properties:
- *                 Code:
- *                   type: string
- *                 Name:
- *                   type: string
- *                 InstantPrice:
- *                   type: string
- *                 PriceChange:
- *                   type: string
- *                 ChangePercentage:
- *                   type: string
- *                 YesterdayClose:
- *                   type: string
- *                 t:
+ *             properties:
+ *               name:
+ *                 type: string
+ *               codes:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                 v:
+ *     responses:
+ *       201:
+ *         description: All watchlists including the new one (last).
+ *       400:
+ *         description: Missing name.
+ */
+app.get('/api/watchlists', (req, res) => {
+  res.json(watchlistService.get());
+});
+
+app.post('/api/watchlists', (req, res) => {
+  sendWatchlistResult(res, watchlistService.createList(req.body || {}), 201);
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}:
+ *   put:
+ *     summary: Rename, re-sort or reorder a watchlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               sort:
+ *                 type: string
+ *                 enum: [manual, code, changePct, volume]
+ *               codes:
+ *                 type: array
+ *                 items:
  *                   type: string
+ *                 description: Replaces the list's codes in this order.
  *     responses:
  *       200:
- *         description: Successfully saved user's stock data.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *       500:
- *         description: Failed to write user's stock data to file.
+ *         description: All watchlists.
+ *       404:
+ *         description: Unknown watchlist.
+ *   delete:
+ *     summary: Delete a watchlist
+ *     description: The last remaining watchlist cannot be deleted.
+ *     responses:
+ *       200:
+ *         description: The remaining watchlists.
+ */
+app.put('/api/watchlists/:id', (req, res) => {
+  sendWatchlistResult(res, watchlistService.updateList(req.params.id, req.body || {}));
+});
+
+app.delete('/api/watchlists/:id', (req, res) => {
+  sendWatchlistResult(res, watchlistService.removeList(req.params.id));
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}/stocks:
+ *   post:
+ *     summary: Add a stock to a watchlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: tse_2330
+ *     responses:
+ *       200:
+ *         description: All watchlists.
+ * /api/watchlists/{id}/stocks/{code}:
+ *   delete:
+ *     summary: Remove a stock from a watchlist
+ *     responses:
+ *       200:
+ *         description: All watchlists.
+ * /api/watchlists/{id}/stocks/{code}/move:
+ *   post:
+ *     summary: Move a stock to another watchlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Id of the target watchlist.
+ *     responses:
+ *       200:
+ *         description: All watchlists.
+ */
+app.post('/api/watchlists/:id/stocks', (req, res) => {
+  sendWatchlistResult(res, watchlistService.addStock(req.params.id, (req.body || {}).code));
+});
+
+app.delete('/api/watchlists/:id/stocks/:code', (req, res) => {
+  sendWatchlistResult(res, watchlistService.removeStock(req.params.id, req.params.code));
+});
+
+app.post('/api/watchlists/:id/stocks/:code/move', (req, res) => {
+  sendWatchlistResult(res, watchlistService.moveStock(req.params.id, req.params.code, (req.body || {}).to));
+});
+
+/**
+ * @swagger
+ * /api/user-stocks:
+ *   get:
+ *     summary: Get every tracked stock code (deprecated)
+ *     description: Codes from all watchlists, for clients written before watchlists existed. Use /api/watchlists instead.
+ *     responses:
+ *       200:
+ *         description: Tracked codes.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               type: array
+ *               items:
+ *                 type: string
  */
 app.get('/api/user-stocks', (req, res) => {
-  fs.readFile(dataFilePath, (err, data) => {
-    if (err) {
-      console.error('Error reading stock data file:', err);
-      return res.status(500).json({ error: 'Failed to read stock data' });
-    }
-    try {
-      const stockData = JSON.parse(data);
-      res.json(stockData);
-    } catch (parseError) {
-      console.error('Error parsing stock data file:', parseError);
-      res.status(500).json({ error: 'Failed to parse stock data' });
-    }
-  });
-});
-
-app.post('/api/user-stocks', (req, res) => {
-  const stockDataToSave = req.body;
-  fs.writeFile(dataFilePath, JSON.stringify(stockDataToSave, null, 2), (err) => {
-    if (err) {
-      console.error('Error writing stock data file:', err);
-      return res.status(500).json({ error: 'Failed to save stock data' });
-    }
-    console.log('Stock data saved to', dataFilePath);
-    res.json({ message: 'Stock data saved successfully' });
-  });
+  res.json(watchlistService.allCodes());
 });
 
 /**
@@ -376,6 +653,13 @@ app.post('/api/user-stocks', (req, res) => {
  *                     ChangePercentage:
  *                       type: string
  *                       description: Percentage change of the TAIEX index.
+ *                 asOf:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the TAIEX quote was last fetched from TWSE.
+ *                 stale:
+ *                   type: boolean
+ *                   description: True when the TAIEX quote could not be refreshed recently.
  *       500:
  *         description: Failed to fetch TAIEX data from the TWSE API.
  *         content:
@@ -388,52 +672,14 @@ app.post('/api/user-stocks', (req, res) => {
  */
 // New endpoint for TAIEX data
 app.get('/api/taiex-data', async (req, res) => {
-  const apiBaseUrl = 'https://mis.twse.com.tw/stock/api/getStockInfo.jsp';
-  const taiexCode = 'tse_t00.tw'; // Common code for TAIEX
-  const apiUrl = `${apiBaseUrl}?ex_ch=${taiexCode}`;
+  const taiexCode = TAIEX_CHANNEL; // Common code for TAIEX
 
   try {
-    console.log(`Fetching TAIEX data from TWSE API: ${apiUrl}`);
-    const response = await axios.get(apiUrl);
-    const apiData = response.data;
-
-    console.log('Received TAIEX data from TWSE API. Structure:', typeof apiData, Array.isArray(apiData) ? `Array length: ${apiData.length}` : '');
-
-    if (apiData && Array.isArray(apiData.msgArray) && apiData.msgArray.length > 0) {
-      const taiexInfo = apiData.msgArray[0];
-      const taiexValue = taiexInfo.z; // Latest trade price
-      const yesterdayClose = taiexInfo.y; // Yesterday's closing price
-
-      let changePercentage = 'N/A';
-      if (taiexValue && yesterdayClose && parseFloat(yesterdayClose) !== 0) {
-        const value = parseFloat(taiexValue);
-        const close = parseFloat(yesterdayClose);
-        if (!isNaN(value) && !isNaN(close)) {
-             changePercentage = (((value - close) / close) * 100).toFixed(2) + '%';
-        }
-      } else if (taiexInfo.pc) {
-          // Fallback: if yesterdayClose is 0 or missing, use 'pc' field if available (percentage change)
-          changePercentage = parseFloat(taiexInfo.pc).toFixed(2) + '%';
-      }
-
-
-      // Calculate ValueDiff (z - y)
-      let valueDiff = 'N/A';
-      if (taiexValue && yesterdayClose) {
-          const value = parseFloat(taiexValue);
-          const close = parseFloat(yesterdayClose);
-          if (!isNaN(value) && !isNaN(close)) {
-              valueDiff = (value - close).toFixed(2);
-          }
-      }
-
-      const formattedData = {
-        taiexData: {
-          Value: taiexValue ? parseFloat(taiexValue).toFixed(2) : 'N/A',
-          ChangePercentage: changePercentage,
-          ValueDiff: valueDiff // Add the calculated ValueDiff
-        }
-      };
+    await quoteScheduler.request([taiexCode]);
+    const quote = quoteScheduler.get(taiexCode);
+
+    if (quote) {
+      const formattedData = formatTaiexQuote(quote);
 
       res.json(formattedData);
 
@@ -450,160 +696,358 @@ app.get('/api/taiex-data', async (req, res) => {
 
 /**
  * @swagger
- * /api/stock-history/{stockCode}:
+ * components:
+ *   schemas:
+ *     IndexQuote:
+ *       type: object
+ *       properties:
+ *         Id:
+ *           type: string
+ *           example: tse_t00
+ *         Name:
+ *           type: string
+ *           example: 發行量加權股價指數
+ *         ShortName:
+ *           type: string
+ *           example: 加權
+ *         Value:
+ *           type: string
+ *         Change:
+ *           type: string
+ *         ChangePercentage:
+ *           type: string
+ *           example: "0.61%"
+ *         YesterdayClose:
+ *           type: string
+ *         Open:
+ *           type: string
+ *         High:
+ *           type: string
+ *         Low:
+ *           type: string
+ *         Turnover:
+ *           type: number
+ *           nullable: true
+ *           description: Turnover so far today in millions of TWD.
+ *         t:
+ *           type: string
+ *           description: Time of the index value (HH:MM:SS).
+ *         DailyHistory:
+ *           type: boolean
+ *           description: True when /api/stock-history can serve daily bars for the index.
+ *         asOf:
+ *           type: string
+ *           format: date-time
+ *         stale:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/indices:
  *   get:
- *     summary: Get historical daily price change data for a stock
- *     description: Returns mock historical daily price change data for a given stock code.
+ *     summary: Get market index quotes
+ *     description: |
+ *       Real-time values of the requested indices plus the catalog of built-in indices (TAIEX, TPEx,
+ *       sector indices and Taiwan 50) for the header strip settings. Any other TWSE / TPEx index
+ *       channel can be requested by id.
  *     parameters:
- *       - in: path
- *         name: stockCode
- *         required: true
+ *       - in: query
+ *         name: ids
  *         schema:
  *           type: string
- *         description: The stock code (e.g., "2330").
+ *         description: Comma separated index ids (e.g. "tse_t00,otc_o00,tse_t24"). Defaults to the TAIEX and the TPEx index.
  *     responses:
  *       200:
- *         description: Successfully retrieved historical data.
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   date:
- *                     type: string
- *                     description: The date of the data point (YYYY-MM-DD).
- *                   priceChange:
- *                     type: number
- *                     description: The daily price change.
- *                   changePercentage:
- *                     type: string
- *                     description: The daily percentage change.
- *             example:
- *               - date: "2023-10-26"
- *                 priceChange: 5.00
- *                 changePercentage: "+1.5%"
- *               - date: "2023-10-25"
- *                 priceChange: -2.50
- *                 changePercentage: "-0.75%"
- *       400:
- *         description: Invalid stock code provided.
+ *         description: Index quotes keyed by id; ids without a quote are left out.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message.
+ *                 catalog:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       shortName:
+ *                         type: string
+ *                       dailyHistory:
+ *                         type: boolean
+ *                 indices:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/IndexQuote'
+ *       400:
+ *         description: Invalid index id.
  */
-app.get('/api/stock-history/:stockCode', async (req, res) => {
-  const { stockCode } = req.params;
-
-  if (!stockCode) {
-    return res.status(400).json({ error: 'Stock code is required' });
+app.get('/api/indices', async (req, res) => {
+  let ids;
+  try {
+    ids = parseIndexIds(req.query.ids);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  console.log(`Received request for historical data for stock code: ${stockCode}`);
-
-  const apiBaseUrl = 'https://www.twse.com.tw/exchangeReport/STOCK_DAY';
-  // For historical data, we typically need data for a specific period.
-  // Let's fetch data for the past year as an example.
-  const today = new Date();
-  const oneYearAgo = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
-
-  // TWSE API requires date in YYYYMMDD format
-  const year = oneYearAgo.getFullYear();
-  const month = String(oneYearAgo.getMonth() + 1).padStart(2, '0');
-  const day = String(oneYearAgo.getDate()).padStart(2, '0');
-  const formattedDate = `${year}${month}${day}`;
-
-  const apiUrl = `${apiBaseUrl}?response=json&date=${formattedDate}&stockNo=${stockCode}`;
-
   try {
-    console.log(`Fetching historical data from TWSE API: ${apiUrl}`);
-    const response = await axios.get(apiUrl);
-    const apiData = response.data;
-
-    console.log('Received historical data from TWSE API.');
-
-    // The API returns data in a structured format.
-    // We need to process it to extract date, priceChange, and changePercentage.
-    const historyData = [];
-    if (apiData && Array.isArray(apiData.data)) {
-      apiData.data.forEach(item => {
-        // Assuming the data array structure is consistent with TWSE STOCK_DAY API
-        // Example structure: ["日期", "成交股數", "成交金額", "開盤價", "最高價", "最低價", "收盤價", "漲跌價差", "成交筆數"]
-        const date = item[0]; // Date string (e.g., "112/10/23")
-        const closingPrice = parseFloat(item[6]); // Closing price
-        const priceChange = parseFloat(item[7]); // Price change
-
-        let changePercentage = 'N/A';
-        if (!isNaN(closingPrice) && !isNaN(priceChange)) {
-            const previousClose = closingPrice - priceChange;
-             if (previousClose !== 0) {
-                changePercentage = ((priceChange / previousClose) * 100).toFixed(2) + '%';
-             }
-        }
-
-        // Convert date format from "YY/MM/DD" to "YYYY-MM-DD"
-        const parts = date.split('/');
-        if (parts.length === 3) {
-            const westernYear = parseInt(parts[0], 10) + 1911; // Convert ROC year to Western year
-            const westernDate = `${westernYear}-${parts[1]}-${parts[2]}`;
-             historyData.push({
-                date: westernDate,
-                priceChange: isNaN(priceChange) ? 'N/A' : priceChange,
-                changePercentage: changePercentage
-             });
-        }
-      });
-    } else {
-        console.log('No historical data or unexpected data format received from API.');
-    }
-
-    res.json(historyData);
-
+    await quoteScheduler.request(ids);
   } catch (error) {
-    console.error(`Error fetching or processing historical data from TWSE API:`, error);
-    res.status(500).json({ error: 'Failed to fetch or process historical stock data' });
+    // Serve whatever is cached; each quote carries its own stale flag
+    console.error('Error requesting index quotes:', error);
   }
-});
 
+  const indices = {};
+  ids.forEach(id => {
+    const quote = quoteScheduler.get(id);
+    if (quote) {
+      indices[id] = formatIndexQuote(quote, indexDefinition(id));
+    }
+  });
+  res.json({ catalog: INDEX_CATALOG, indices });
+});
 
 /**
  * @swagger
- * /api/stock-monthly/{stockCode}:
+ * components:
+ *   schemas:
+ *     DailyBar:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         open:
+ *           type: number
+ *           nullable: true
+ *         high:
+ *           type: number
+ *           nullable: true
+ *         low:
+ *           type: number
+ *           nullable: true
+ *         close:
+ *           type: number
+ *           nullable: true
+ *           description: Null on days without a trade.
+ *         change:
+ *           type: number
+ *           nullable: true
+ *           description: |
+ *             Change from the previous close (previous period close for week/month bars); on ex-rights
+ *             days from the reference price.
+ *         exRights:
+ *           type: boolean
+ *           description: Marked by the exchange as an ex-rights / ex-dividend day (any day of a week/month bar).
+ *         limit:
+ *           type: string
+ *           enum: [up, down]
+ *           nullable: true
+ *           description: |
+ *             Set on day bars that closed at the limit price, taken from the unadjusted reference price
+ *             (also on adjusted history). Null for week/month bars, indices and days before 2015-06-01.
+ *         changePct:
+ *           type: number
+ *           nullable: true
+ *           description: Change in percent, rounded to 2 decimals.
+ *         volume:
+ *           type: number
+ *           description: Traded shares.
+ *         value:
+ *           type: number
+ *           description: Turnover in TWD.
+ *         trades:
+ *           type: number
+ *           description: Number of trades.
+ *     DailyBars:
+ *       type: object
+ *       properties:
+ *         stockCode:
+ *           type: string
+ *         market:
+ *           type: string
+ *           enum: [tse, otc, index]
+ *           description: index for market indices (only the TAIEX has daily bars).
+ *         interval:
+ *           type: string
+ *           enum: [day, week, month]
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         adjusted:
+ *           type: boolean
+ *           description: Present and true when the prices are adjusted (還原).
+ *         exDates:
+ *           type: array
+ *           description: Ex-rights / ex-dividend dates found in the range, only for adjusted bars.
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reference:
+ *                 type: number
+ *                 description: 除權除息參考價 (before later adjustments).
+ *               factor:
+ *                 type: number
+ *                 description: Reference price / previous close, applied to every earlier bar.
+ *         bars:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DailyBar'
+ */
+
+// "tse_2330" / "otc_6446" name the market explicitly. For a bare code, a cached
+// OTC quote (the stock is tracked as otc_) decides; anything else is assumed TWSE.
+// Null when the code is not a stock code.
+const resolveMarketCode = (stockCode) => {
+  const parsed = parseStockCode(stockCode);
+  if (!parsed) {
+    return null;
+  }
+  const { market, stockNo } = parsed;
+  if (market) {
+    return { market, stockNo };
+  }
+  const symbol = symbolDirectory.lookup(stockNo);
+  if (symbol && (symbol.market === 'tse' || symbol.market === 'otc')) {
+    return { market: symbol.market, stockNo };
+  }
+  return { market: quoteScheduler.get(`otc_${stockNo}`) ? 'otc' : 'tse', stockNo };
+};
+
+// Indices with a daily report ("tse_t00") are stored under their own "index" market;
+// null for codes that are neither
+const resolveHistoryCode = (stockCode) => {
+  const indexId = normalizeIndexId(stockCode);
+  if (indexId && indexDefinition(indexId).dailyHistory) {
+    return { market: 'index', stockNo: indexId.slice(4) };
+  }
+  return resolveMarketCode(stockCode);
+};
+
+// Daily bars for [from, to] from the local history store, optionally adjusted
+// for ex-rights / ex-dividend gaps before they are rolled up. Limit days are
+// flagged on the unadjusted prices, before any adjustment.
+const readDailyBars = async (stockCode, from, to, interval = 'day', adjusted = false) => {
+  const { market, stockNo } = resolveHistoryCode(stockCode);
+  let bars = await historyStore.getDailyBars(stockNo, from, to, market);
+  if (market === 'index') {
+    bars = withIndexChanges(bars).map(bar => ({ ...bar, limit: null }));
+  } else {
+    bars = withLimits(bars, securityType(stockNo));
+  }
+  if (!adjusted || market === 'index') {
+    return { stockCode: stockNo, market, from, to, interval, bars: withChangePct(aggregateBars(bars, interval)) };
+  }
+  const result = adjustForDividends(bars, dividendCalendar.eventsFor(stockNo));
+  return {
+    stockCode: stockNo,
+    market,
+    from,
+    to,
+    interval,
+    adjusted: true,
+    exDates: result.exDates,
+    bars: withChangePct(aggregateBars(result.bars, interval))
+  };
+};
+
+const isAdjusted = (value) => value === '1' || value === 'true';
+
+// Daily history, indicators and minute bars only exist for TWSE / TPEx codes
+const FOREIGN_HISTORY_ERROR = 'History is only available for TWSE / TPEx codes';
+const INVALID_CODE_ERROR = 'Not a TWSE / TPEx stock or index code';
+app.param('stockCode', (req, res, next, stockCode) => {
+  if (isForeignCode(stockCode)) {
+    return res.status(400).json({ error: FOREIGN_HISTORY_ERROR });
+  }
+  if (!resolveHistoryCode(stockCode)) {
+    return res.status(400).json({ error: INVALID_CODE_ERROR });
+  }
+  next();
+});
+
+const MAX_HISTORY_MONTHS = 120;
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+// `from` / `to` query parameters -> { from, to } or { error }; defaults to the year up to today
+const historyRange = (query) => {
+  const to = query.to || formatDate(provider.now());
+  let from = query.from;
+  if (!from && isIsoDate(to)) {
+    from = shiftDate(to, { years: -1, days: 1 });
+  }
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (monthsBetween(from, to).length > MAX_HISTORY_MONTHS) {
+    return { error: `date range must not exceed ${MAX_HISTORY_MONTHS} months` };
+  }
+  return { from, to };
+};
+
+/**
+ * @swagger
+ * /api/stock-history/{stockCode}:
  *   get:
- *     summary: Get monthly stock data for a specified stock code
- *     description: Fetches monthly stock data from the TWSE API for a given stock code and the current date.
+ *     summary: Get daily, weekly or monthly bars for a date range
+ *     description: |
+ *       Served from the local history store; months that are not stored yet are fetched from
+ *       TWSE (listed) or TPEx (OTC) and stitched together. Weekly and monthly bars are rolled up
+ *       from daily bars and dated by their last trading day.
  *     parameters:
  *       - in: path
  *         name: stockCode
  *         required: true
  *         schema:
  *           type: string
- *         description: The stock code (e.g., "2330").
+ *         description: Stock code, optionally with its market prefix (e.g. "2330", "tse_2330", "otc_6446"), or "tse_t00" for the TAIEX.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (YYYY-MM-DD). Defaults to one year before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (YYYY-MM-DD). Defaults to today.
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: adjusted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: |
+ *           還原 prices: bars before each ex-rights / ex-dividend date are scaled by reference price /
+ *           previous close, so the last bar keeps its traded price. Ignored for indices.
  *     responses:
  *       200:
- *         description: Successfully retrieved monthly stock data.
+ *         description: Bars, oldest first.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 date:
- *                   type: string
- *                   description: The date used for the API request (YYYYMMDD).
- *                 stockCode:
- *                   type: string
- *                   description: The requested stock code.
- *                 data:
- *                   type: object
- *                   description: The raw data received from the TWSE monthly data API.
+ *               $ref: '#/components/schemas/DailyBars'
  *       400:
- *         description: Invalid stock code provided.
+ *         description: Invalid date range or interval, or not a TWSE / TPEx stock or index code.
  *         content:
  *           application/json:
  *             schema:
@@ -612,16 +1056,210 @@ app.get('/api/stock-history/:stockCode', async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message.
- *       500:
- *         description: Failed to fetch monthly data from the TWSE API.
+ */
+app.get('/api/stock-history/:stockCode', async (req, res) => {
+  const { stockCode } = req.params;
+  const { interval = 'day' } = req.query;
+
+  if (!stockCode) {
+    return res.status(400).json({ error: 'Stock code is required' });
+  }
+  if (!INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of ${INTERVALS.join(', ')}` });
+  }
+
+  const { from, to, error } = historyRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await readDailyBars(stockCode, from, to, interval, isAdjusted(req.query.adjusted)));
+  } catch (error) {
+    console.error(`Error reading historical data for ${stockCode}:`, error);
+    res.status(500).json({ error: 'Failed to fetch or process historical stock data' });
+  }
+});
+
+const MAX_COMPARE_SERIES = 8;
+const DEFAULT_BENCHMARK = 'tse_t00';
+
+// Display name of a history code: the catalog's short name for indices, the symbol directory's for stocks
+const seriesName = (stockCode) => {
+  const indexId = normalizeIndexId(stockCode);
+  if (indexId) {
+    return indexDefinition(indexId).shortName || indexId;
+  }
+  const symbol = symbolDirectory.lookup(stockCode);
+  const cached = quoteScheduler.get(stockCode);
+  return (symbol && symbol.shortName) || (cached && cached.item.n) || stockCode.replace(/^(tse|otc)_/, '');
+};
+
+/**
+ * @swagger
+ * /api/compare:
+ *   get:
+ *     summary: Compare stocks and indices as percent return over a date range
+ *     description: |
+ *       Daily closes (還原 prices for stocks) of every code, rebased to 0% at its first close on or after
+ *       `from`, with stats against the benchmark: relative strength ((1 + r) / (1 + r_benchmark) - 1, in %),
+ *       correlation and beta of daily returns, and annualized volatility. The benchmark is always included
+ *       as the first series. Indices need a daily history (the TAIEX).
+ *     parameters:
+ *       - in: query
+ *         name: codes
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma separated codes with market prefix, e.g. "tse_2330,otc_6446". At most 8.
+ *       - in: query
+ *         name: benchmark
+ *         schema:
+ *           type: string
+ *           default: tse_t00
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (YYYY-MM-DD). Defaults to one year before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (YYYY-MM-DD). Defaults to today.
+ *     responses:
+ *       200:
+ *         description: One series per code, benchmark first.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 from:
  *                   type: string
- *                   description: Error message.
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 benchmark:
+ *                   type: string
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                         example: tse_2330
+ *                       name:
+ *                         type: string
+ *                       baseDate:
+ *                         type: string
+ *                         format: date
+ *                         nullable: true
+ *                         description: Day the series is rebased to 0%; null when it has no close in the range.
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             date:
+ *                               type: string
+ *                               format: date
+ *                             close:
+ *                               type: number
+ *                             returnPct:
+ *                               type: number
+ *                       returnPct:
+ *                         type: number
+ *                         nullable: true
+ *                       relativeStrength:
+ *                         type: number
+ *                         nullable: true
+ *                       correlation:
+ *                         type: number
+ *                         nullable: true
+ *                       beta:
+ *                         type: number
+ *                         nullable: true
+ *                       volatilityPct:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid codes or date range, a code of a foreign market, or an index without daily history.
+ *       500:
+ *         description: Failed to read the history store.
+ */
+app.get('/api/compare', async (req, res) => {
+  const { from, to, error } = historyRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const benchmark = normalizeIndexId(req.query.benchmark || DEFAULT_BENCHMARK) || String(req.query.benchmark);
+  const requested = String(req.query.codes || '').split(',').map(code => code.trim()).filter(code => code !== '');
+  if (requested.length === 0) {
+    return res.status(400).json({ error: 'codes is required' });
+  }
+  if (requested.length > MAX_COMPARE_SERIES) {
+    return res.status(400).json({ error: `at most ${MAX_COMPARE_SERIES} codes can be compared` });
+  }
+  const codes = [...new Set([benchmark, ...requested.map(code => normalizeIndexId(code) || code)])];
+  for (const code of codes) {
+    if (isForeignCode(code)) {
+      return res.status(400).json({ error: FOREIGN_HISTORY_ERROR });
+    }
+    const indexId = normalizeIndexId(code);
+    if (indexId && !indexDefinition(indexId).dailyHistory) {
+      return res.status(400).json({ error: `${code} has no daily history` });
+    }
+    if (!resolveHistoryCode(code)) {
+      return res.status(400).json({ error: `${code}: ${INVALID_CODE_ERROR}` });
+    }
+  }
+
+  try {
+    const seriesList = [];
+    for (const code of codes) {
+      const { market, stockCode: stockNo, bars } = await readDailyBars(code, from, to, 'day', true);
+      const id = market === 'index' ? normalizeIndexId(code) : `${market}_${stockNo}`;
+      seriesList.push({ code: id, name: seriesName(id), bars });
+    }
+    // The benchmark is fetched first; report it under its resolved code ("0050" -> "tse_0050")
+    const benchmarkCode = seriesList[0].code;
+    res.json({ from, to, benchmark: benchmarkCode, series: compareSeries(seriesList, benchmarkCode, from) });
+  } catch (error) {
+    console.error('Error comparing historical data:', error);
+    res.status(500).json({ error: 'Failed to fetch or process historical stock data' });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/stock-monthly/{stockCode}:
+ *   get:
+ *     summary: Get daily bars for the current month
+ *     description: Served from the local history store; the current month is refreshed from TWSE when its copy is older than 10 minutes.
+ *     parameters:
+ *       - in: path
+ *         name: stockCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The stock code (e.g., "2330").
+ *     responses:
+ *       200:
+ *         description: Daily bars, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DailyBars'
+ *       400:
+ *         description: Invalid stock code provided.
+ *       500:
+ *         description: Failed to read the history store.
  */
 app.get('/api/stock-monthly/:stockCode', async (req, res) => {
   const { stockCode } = req.params;
@@ -630,27 +1268,12 @@ app.get('/api/stock-monthly/:stockCode', async (req, res) => {
     return res.status(400).json({ error: 'Stock code is required' });
   }
 
-  // Get current date in YYYYMMDD format
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0'); // Month is 0-indexed
-  const day = String(today.getDate()).padStart(2, '0');
-  const formattedDate = `${year}${month}${day}`;
-
-  const apiUrl = `https://www.twse.com.tw/exchangeReport/STOCK_DAY?response=json&date=${formattedDate}&stockNo=${stockCode}`;
+  const today = formatDate(provider.now());
 
   try {
-    console.log(`Fetching monthly data from TWSE API: ${apiUrl}`);
-    const response = await axios.get(apiUrl);
-    const apiData = response.data;
-
-    console.log('Received monthly data from TWSE API.');
-
-    // Return the raw data
-    res.json(apiData);
-
+    res.json(await readDailyBars(stockCode, `${today.slice(0, 8)}01`, today));
   } catch (error) {
-    console.error(`Error fetching or processing monthly data from TWSE API:`, error);
+    console.error(`Error reading monthly data for ${stockCode}:`, error);
     res.status(500).json({ error: 'Failed to fetch or process monthly stock data' });
   }
 });
@@ -660,8 +1283,8 @@ app.get('/api/stock-monthly/:stockCode', async (req, res) => {
  * @swagger
  * /api/stock-yearly/{stockCode}:
  *   get:
- *     summary: Get yearly stock data for a specified stock code (Mock Data)
- *     description: Returns mock yearly stock data for a given stock code, simulating the TWSE STOCK_DAY API format.
+ *     summary: Get daily bars for the past 12 months
+ *     description: Served from the local history store. Months that are already stored are not fetched again.
  *     parameters:
  *       - in: path
  *         name: stockCode
@@ -671,43 +1294,15 @@ app.get('/api/stock-monthly/:stockCode', async (req, res) => {
  *         description: The stock code (e.g., "2330").
  *     responses:
  *       200:
- *         description: Successfully retrieved mock yearly stock data.
+ *         description: Daily bars, oldest first.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 date:
- *                   type: string
- *                   description: The date used for the API request (YYYYMMDD).
- *                 fields:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: Array of field names.
- *                 data:
- *                   type: array
- *                   items:
- *                     type: array
- *                     items:
- *                       type: string
- *                   description: Array of data rows, each row is an array of strings.
- *                 title:
- *                   type: string
- *                   description: Title of the data.
- *                 notes:
- *                   type: string
- *                   description: Notes about the data.
+ *               $ref: '#/components/schemas/DailyBars'
  *       400:
  *         description: Invalid stock code provided.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message.
+ *       404:
+ *         description: No data found for the past 12 months.
  */
 app.get('/api/stock-yearly/:stockCode', async (req, res) => {
   const { stockCode } = req.params;
@@ -716,84 +1311,2259 @@ app.get('/api/stock-yearly/:stockCode', async (req, res) => {
     return res.status(400).json({ error: 'Stock code is required' });
   }
 
-  const apiBaseUrl = 'https://www.twse.com.tw/exchangeReport/STOCK_DAY';
-  const monthlyDataPromises = [];
-  const today = new Date();
-
-  // Calculate dates for the past 12 months
-  for (let i = 0; i < 12; i++) {
-    const targetDate = new Date(today.getFullYear(), today.getMonth() - i, 1); // Get the 1st day of the month
-    const year = targetDate.getFullYear();
-    const month = String(targetDate.getMonth() + 1).padStart(2, '0');
-    const day = String(targetDate.getDate()).padStart(2, '0'); // Use the 1st day
-    const formattedDate = `${year}${month}${day}`;
-
-    const apiUrl = `${apiBaseUrl}?response=json&date=${formattedDate}&stockNo=${stockCode}`;
-
-    // Push the promise for the API call
-    monthlyDataPromises.push(
-      axios.get(apiUrl).catch(error => {
-        console.error(`Error fetching data for ${formattedDate}:`, error.message);
-        return null; // Return null for failed requests
-      })
-    );
-  }
+  const today = formatDate(provider.now());
+  const firstMonth = shiftDate(`${today.slice(0, 8)}01`, { months: -11 });
 
   try {
-    // Wait for all monthly requests to complete
-    const monthlyResponses = await Promise.all(monthlyDataPromises);
-
-    let combinedData = [];
-    let fields = [];
-    let title = '';
-    let notes = '';
-    let firstSuccessfulResponse = null;
-
-    // Process responses and combine data
-    monthlyResponses.forEach(response => {
-      if (response && response.data && response.data.data) {
-        if (!firstSuccessfulResponse) {
-            firstSuccessfulResponse = response.data;
-            fields = response.data.fields;
-            title = response.data.title;
-            notes = response.data.notes;
-        }
-        combinedData = combinedData.concat(response.data.data);
-      }
-    });
-
-    if (combinedData.length === 0) {
-        // If no data was successfully fetched for any month
-        return res.status(404).json({ error: 'No data found for the past 12 months' });
+    const result = await readDailyBars(stockCode, firstMonth, today);
+    if (result.bars.length === 0) {
+      return res.status(404).json({ error: 'No data found for the past 12 months' });
     }
+    res.json(result);
+  } catch (error) {
+    console.error(`Error processing yearly data for ${stockCode}:`, error);
+    res.status(500).json({ error: 'Failed to fetch or process yearly stock data' });
+  }
+});
 
-    // The TWSE API returns data in reverse chronological order (latest date first).
-    // To get chronological order, we should reverse the combined data array.
-    combinedData.reverse();
 
-    // Construct the final response object
-    const finalResponse = {
-      date: new Date().toISOString().slice(0, 10).replace(/-/g, ''), // Use current date or the latest date from data
-      fields: fields,
-      data: combinedData,
-      title: title || `個股日成交資訊 - ${stockCode}`,
-      notes: notes || "此為近 12 個月的真實數據。"
-    };
+/**
+ * @swagger
+ * /api/indicators/{stockCode}:
+ *   get:
+ *     summary: Get technical indicators over daily history
+ *     description: |
+ *       Computes indicators from the local daily history using Taiwanese broker conventions:
+ *       `maN` simple moving average; `kdN` stochastic K/D with 1/3 smoothing starting at 50;
+ *       `macd` DIF/MACD/OSC (12, 26, 9) over DI = (H + L + 2C) / 4; `rsiN` Wilder RSI;
+ *       `bbN` Bollinger bands (MA N +/- 2 standard deviations). Extra history before `from`
+ *       is loaded so the first returned values are already settled.
+ *     parameters:
+ *       - in: path
+ *         name: stockCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock code, optionally with its market prefix (e.g. "2330", "otc_6446").
+ *       - in: query
+ *         name: set
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: ma5,ma20,kd9,macd,rsi14,bb20
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (YYYY-MM-DD). Defaults to one year before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (YYYY-MM-DD). Defaults to today.
+ *       - in: query
+ *         name: adjusted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Compute the indicators over 還原 (dividend-adjusted) prices.
+ *     responses:
+ *       200:
+ *         description: One value per trading day for every requested indicator.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stockCode:
+ *                   type: string
+ *                 market:
+ *                   type: string
+ *                 dates:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     format: date
+ *                 series:
+ *                   type: object
+ *                   description: |
+ *                     Keyed by indicator. `maN` and `rsiN` are arrays; `kdN` is { k, d },
+ *                     `macd` is { dif, macd, osc } and `bbN` is { upper, middle, lower }.
+ *             example:
+ *               stockCode: "2330"
+ *               market: tse
+ *               dates: ["2023-10-02", "2023-10-03"]
+ *               series:
+ *                 ma5: [538.2, 539.4]
+ *                 kd9: { k: [61.2, 58.7], d: [55.4, 56.5] }
+ *       400:
+ *         description: Unknown indicator, invalid date range or not a TWSE / TPEx stock or index code.
+ */
+app.get('/api/indicators/:stockCode', async (req, res) => {
+  const { stockCode } = req.params;
+  const { specs, error: setError } = parseIndicatorSet(req.query.set);
+  if (setError) {
+    return res.status(400).json({ error: setError });
+  }
+  const { from, to, error } = historyRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    res.json(finalResponse);
+  // About 245 trading days a year: convert the warm-up bars to calendar days with some margin
+  const warmupFrom = shiftDate(from, { days: -Math.ceil(warmupBars(specs) * 1.5) - 14 });
 
-  } catch (error) {
-    console.error(`Error processing yearly data for ${stockCode}:`, error);
-    res.status(500).json({ error: 'Failed to fetch or process yearly stock data' });
+  try {
+    const { market, stockNo } = resolveHistoryCode(stockCode);
+    let bars = await historyStore.getDailyBars(stockNo, warmupFrom, to, market);
+    if (isAdjusted(req.query.adjusted)) {
+      bars = adjustForDividends(bars, dividendCalendar.eventsFor(stockNo)).bars;
+    }
+    const result = computeIndicators(bars, specs);
+    const start = result.dates.findIndex(date => date >= from);
+    res.json({
+      stockCode: stockNo,
+      market,
+      from,
+      to,
+      ...sliceSeries(result, start === -1 ? result.dates.length : start)
+    });
+  } catch (err) {
+    console.error(`Error computing indicators for ${stockCode}:`, err);
+    res.status(500).json({ error: 'Failed to compute indicators' });
   }
-}); // Add closing parenthesis and semicolon here
+});
 
+/**
+ * @swagger
+ * /api/backtest:
+ *   post:
+ *     summary: Backtest a trading rule on a stock's daily history
+ *     description: |
+ *       Runs a declarative strategy over the local daily history (還原 prices by default), with
+ *       bars before `from` read as warm-up for the indicators. Signals are decided on a day's close
+ *       and filled at the next trading day's open. Signal rules go all in with `capital` and sell the
+ *       whole position; orders are rounded down to whole lots (張) unless `oddLots` is set. Buys pay
+ *       the brokerage fee and sells the fee plus transaction tax, using the portfolio's fee settings
+ *       unless `fees` overrides them. A position still open at the end is valued at the last close.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, strategy]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: tse_2330
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: First day (YYYY-MM-DD). Defaults to one year before `to`.
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day (YYYY-MM-DD). Defaults to today.
+ *               strategy:
+ *                 type: object
+ *                 required: [type]
+ *                 description: |
+ *                   maCross { fast = 5, slow = 20 }: buy when the fast MA crosses above the slow one, sell on the cross back.
+ *                   kdCross { period = 9, below }: buy on a KD golden cross (only with K below `below` when set), sell on the dead cross.
+ *                   breakout { period = 20, exitPeriod = 10 }: buy on a close above the previous `period` days' high,
+ *                   sell on a close below the previous `exitPeriod` days' low.
+ *                   buyHold: buy on the first day and hold.
+ *                   dca { amount = 10000, day = 1 }: 定期定額, buy for `amount` on the first trading day on or after `day` of every month,
+ *                   or on the month's last trading day when none is left on or after `day`.
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [maCross, kdCross, breakout, buyHold, dca]
+ *                 example:
+ *                   type: maCross
+ *                   fast: 5
+ *                   slow: 20
+ *               capital:
+ *                 type: number
+ *                 default: 1000000
+ *                 description: Starting cash in TWD; not used by dca.
+ *               oddLots:
+ *                 type: boolean
+ *                 description: Allow odd-lot (零股) orders. Defaults to true for dca, false otherwise.
+ *               adjusted:
+ *                 type: boolean
+ *                 default: true
+ *                 description: |
+ *                   Use 還原 prices, so dividends count towards the return as if reinvested. Dividends are never paid
+ *                   out as cash, so with `false` buy-and-hold and DCA results leave them out.
+ *               fees:
+ *                 $ref: '#/components/schemas/FeeSettings'
+ *     responses:
+ *       200:
+ *         description: Fills, daily equity curve and stats.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stockCode:
+ *                   type: string
+ *                 market:
+ *                   type: string
+ *                   enum: [tse, otc]
+ *                 name:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 strategy:
+ *                   type: object
+ *                   description: The strategy with its defaults filled in.
+ *                 capital:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Starting cash; null for dca.
+ *                 oddLots:
+ *                   type: boolean
+ *                 adjusted:
+ *                   type: boolean
+ *                 fees:
+ *                   $ref: '#/components/schemas/FeeSettings'
+ *                 trades:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       side:
+ *                         type: string
+ *                         enum: [buy, sell]
+ *                       price:
+ *                         type: number
+ *                       shares:
+ *                         type: integer
+ *                       amount:
+ *                         type: number
+ *                       fee:
+ *                         type: number
+ *                       tax:
+ *                         type: number
+ *                       profit:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Sells only; proceeds after fee and tax minus what the position cost.
+ *                       returnPct:
+ *                         type: number
+ *                         nullable: true
+ *                 points:
+ *                   type: array
+ *                   description: One point per trading day from `from`.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       close:
+ *                         type: number
+ *                       equity:
+ *                         type: number
+ *                         description: Cash plus shares at the close.
+ *                       invested:
+ *                         type: number
+ *                         description: Money paid in so far (the capital, or the dca amounts).
+ *                       shares:
+ *                         type: integer
+ *                 position:
+ *                   type: object
+ *                   description: Position still open on the last day.
+ *                   properties:
+ *                     shares:
+ *                       type: integer
+ *                     cost:
+ *                       type: number
+ *                     value:
+ *                       type: number
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     invested:
+ *                       type: number
+ *                     finalEquity:
+ *                       type: number
+ *                     profit:
+ *                       type: number
+ *                     totalReturnPct:
+ *                       type: number
+ *                       nullable: true
+ *                     cagrPct:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Annualized return; money-weighted (IRR) for dca.
+ *                     maxDrawdownPct:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Worst fall from a peak (negative), with deposits taken out.
+ *                     sharpe:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Annualized Sharpe ratio of daily returns, without a risk-free rate.
+ *                     winRatePct:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Share of sells that made a profit; null without sells.
+ *                     tradeCount:
+ *                       type: integer
+ *                       description: Closed round trips (sells).
+ *                     fees:
+ *                       type: number
+ *                     taxes:
+ *                       type: number
+ *                     stockReturnPct:
+ *                       type: number
+ *                       nullable: true
+ *                       description: The stock's own close-to-close return over the same days.
+ *       400:
+ *         description: Invalid code, strategy, capital or date range.
+ *       500:
+ *         description: Failed to read the history store.
+ */
+app.post('/api/backtest', async (req, res) => {
+  const body = req.body || {};
+  const code = typeof body.code === 'string' ? body.code.trim() : '';
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  if (isForeignCode(code)) {
+    return res.status(400).json({ error: FOREIGN_HISTORY_ERROR });
+  }
+  if (normalizeIndexId(code) || !parseStockCode(code)) {
+    return res.status(400).json({ error: 'Backtests need a stock or ETF code' });
+  }
+  const { strategy, error: strategyError } = normalizeStrategy(body.strategy || {});
+  if (strategyError) {
+    return res.status(400).json({ error: strategyError });
+  }
+  const capital = body.capital === undefined || body.capital === null || body.capital === '' ? DEFAULT_CAPITAL : Number(body.capital);
+  if (!(capital > 0)) {
+    return res.status(400).json({ error: 'capital must be a positive number' });
+  }
+  const { from, to, error } = historyRange(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const oddLots = typeof body.oddLots === 'boolean' ? body.oddLots : strategy.type === 'dca';
+  const adjusted = body.adjusted !== false;
+  const fees = normalizeFeeSettings({ ...portfolioService.get().settings, ...(body.fees || {}) });
+
+  // Same calendar-day margin for the warm-up bars as /api/indicators
+  const warmupFrom = shiftDate(from, { days: -Math.ceil(strategyWarmupBars(strategy) * 1.5) - 14 });
+
+  try {
+    const { market, stockCode: stockNo, bars } = await readDailyBars(code, warmupFrom, to, 'day', adjusted);
+    const result = runBacktest(bars, strategy, { code: stockNo, from, capital, oddLots, fees });
+    res.json({
+      stockCode: stockNo,
+      market,
+      name: seriesName(`${market}_${stockNo}`),
+      from,
+      to,
+      strategy,
+      capital: strategy.type === 'dca' ? null : capital,
+      oddLots,
+      adjusted,
+      fees,
+      ...result
+    });
+  } catch (err) {
+    console.error(`Error running backtest for ${code}:`, err);
+    res.status(500).json({ error: 'Failed to run backtest' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MonthlyRevenue:
+ *       type: object
+ *       properties:
+ *         month:
+ *           type: string
+ *           example: "2025-09"
+ *         revenue:
+ *           type: number
+ *           description: Revenue of the month in thousands of TWD (千元).
+ *         momPct:
+ *           type: number
+ *           nullable: true
+ *           description: Change against the previous month in %, null when that month is unknown.
+ *         yoyPct:
+ *           type: number
+ *           nullable: true
+ *           description: Change against the same month last year in %, null when that month is unknown.
+ *         cumulative:
+ *           type: number
+ *           nullable: true
+ *           description: Revenue of the year so far (千元), only for months taken from a report of their own.
+ *         cumulativeYoyPct:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/fundamentals/{code}:
+ *   get:
+ *     summary: Get the valuation ratios and monthly revenue of a stock
+ *     description: |
+ *       Served from a local cache of the TWSE / TPEx daily valuation lists (BWIBBU) and monthly revenue
+ *       reports, refreshed once a day. Revenue history grows as new monthly reports come out; each
+ *       report also provides last month's and last year's revenue.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock code, optionally with its market prefix (e.g. "2330", "tse_2330").
+ *     responses:
+ *       200:
+ *         description: Valuation (null for ETFs and stocks not in the lists) and revenue, oldest month first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stockCode:
+ *                   type: string
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the cache was last refreshed from the exchanges.
+ *                 valuation:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     peRatio:
+ *                       type: number
+ *                       nullable: true
+ *                       description: 本益比, null for loss-making companies.
+ *                     dividendYield:
+ *                       type: number
+ *                       nullable: true
+ *                       description: 殖利率 in %.
+ *                     pbRatio:
+ *                       type: number
+ *                       nullable: true
+ *                       description: 股價淨值比.
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                 revenue:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MonthlyRevenue'
+ *       400:
+ *         description: A code of a foreign market.
+ */
+app.get('/api/fundamentals/:code', (req, res) => {
+  const { code } = req.params;
+  if (isForeignCode(code)) {
+    return res.status(400).json({ error: 'Fundamentals are only available for TWSE / TPEx stocks' });
+  }
+  const stockCode = code.replace(/^(tse|otc)_/, '');
+  const fundamentals = fundamentalsStore.get(stockCode);
+  res.json({
+    stockCode,
+    updatedAt: fundamentalsStore.updatedAt(),
+    valuation: fundamentals ? fundamentals.valuation : null,
+    revenue: fundamentals ? fundamentals.revenue : []
+  });
+});
+
+const DEFAULT_DIVIDEND_DAYS = 60;
+const MAX_DIVIDEND_DAYS = 366;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExRightsEvent:
+ *       type: object
+ *       description: One announced or past ex-rights / ex-dividend date (除權除息).
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "2330"
+ *         name:
+ *           type: string
+ *         market:
+ *           type: string
+ *           enum: [tse, otc]
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Ex-date (除權除息交易日).
+ *         type:
+ *           type: string
+ *           enum: [權, 息, 權息]
+ *         cashDividend:
+ *           type: number
+ *           description: Cash dividend per share (TWD).
+ *         stockDividend:
+ *           type: number
+ *           description: Stock dividend in shares per share (無償配股率).
+ *         rightsRate:
+ *           type: number
+ *           description: Cash capital increase in shares per share (現金增資配股率).
+ *         rightsPrice:
+ *           type: number
+ *           description: Subscription price of the capital increase.
+ *         previousClose:
+ *           type: number
+ *           nullable: true
+ *           description: Close before the ex-date (除權息前收盤價); only on past events.
+ *         reference:
+ *           type: number
+ *           nullable: true
+ *           description: Reference price of the ex-date (除權息參考價); only on past events.
+ */
+
+/**
+ * @swagger
+ * /api/dividends:
+ *   get:
+ *     summary: Get ex-rights / ex-dividend events
+ *     description: |
+ *       Served from the local calendar of the TWSE (TWT48U) and TPEx ex-rights schedules, refreshed
+ *       once a day. Announced events are kept after their date, so recent ones can be listed too.
+ *     parameters:
+ *       - in: query
+ *         name: codes
+ *         schema:
+ *           type: string
+ *         example: tse_2330,otc_6446
+ *         description: Comma separated stock codes, with or without market prefix. Defaults to every stock.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First ex-date (YYYY-MM-DD). Defaults to today.
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 366
+ *           default: 60
+ *         description: Number of calendar days from `from`.
+ *     responses:
+ *       200:
+ *         description: Events by ex-date.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExRightsEvent'
+ *       400:
+ *         description: Invalid from or days.
+ */
+app.get('/api/dividends', (req, res) => {
+  const from = req.query.from || formatDate(provider.now());
+  const days = req.query.days === undefined ? DEFAULT_DIVIDEND_DAYS : Number(req.query.days);
+  if (!isIsoDate(from)) {
+    return res.status(400).json({ error: 'from must be a date in YYYY-MM-DD format' });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DIVIDEND_DAYS) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_DIVIDEND_DAYS}` });
+  }
+  const to = shiftDate(from, { days: days - 1 });
+  const codes = req.query.codes
+    ? String(req.query.codes).split(',').map(code => code.trim()).filter(code => code !== '' && !isForeignCode(code))
+    : null;
+
+  res.json({
+    updatedAt: dividendCalendar.updatedAt(),
+    from,
+    to,
+    events: dividendCalendar.between(from, to, codes)
+  });
+});
+
+const DEFAULT_SCREENER_TOP = 100;
+const MAX_SCREENER_TOP = 500;
+const DEFAULT_MOVERS_COUNT = 20;
+const MAX_MOVERS_COUNT = 100;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScreenerStock:
+ *       type: object
+ *       description: One stock or ETF of the latest full-market daily snapshot. Prices are null when it did not trade.
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "2330"
+ *         name:
+ *           type: string
+ *         market:
+ *           type: string
+ *           enum: [tse, otc]
+ *         type:
+ *           type: string
+ *           enum: [stock, etf]
+ *         date:
+ *           type: string
+ *           format: date
+ *         open:
+ *           type: number
+ *           nullable: true
+ *         high:
+ *           type: number
+ *           nullable: true
+ *         low:
+ *           type: number
+ *           nullable: true
+ *         close:
+ *           type: number
+ *           nullable: true
+ *         change:
+ *           type: number
+ *           nullable: true
+ *         changePct:
+ *           type: number
+ *           nullable: true
+ *         previousClose:
+ *           type: number
+ *           nullable: true
+ *           description: Close minus change; the reference price on ex-rights days.
+ *         gapPct:
+ *           type: number
+ *           nullable: true
+ *           description: Opening gap from the previous close in percent.
+ *         volume:
+ *           type: integer
+ *           nullable: true
+ *           description: Volume in lots (張).
+ *         turnover:
+ *           type: number
+ *           nullable: true
+ *           description: Turnover in TWD.
+ *         trades:
+ *           type: integer
+ *           nullable: true
+ *         limitUp:
+ *           type: number
+ *           nullable: true
+ *         limitDown:
+ *           type: number
+ *           nullable: true
+ *         limit:
+ *           type: string
+ *           nullable: true
+ *           enum: [up, down]
+ *           description: Set when the stock closed at its limit price.
+ *         exRights:
+ *           type: boolean
+ *           description: The exchange marked the day as ex-rights / ex-dividend ("X" change).
+ *         peRatio:
+ *           type: number
+ *           nullable: true
+ *           description: Only in screener results.
+ *         dividendYield:
+ *           type: number
+ *           nullable: true
+ *         pbRatio:
+ *           type: number
+ *           nullable: true
+ *     ScreenFilters:
+ *       type: object
+ *       description: Screener conditions; every range bound is optional.
+ *       properties:
+ *         market:
+ *           type: string
+ *           enum: [all, tse, otc]
+ *           default: all
+ *         type:
+ *           type: string
+ *           enum: [all, stock, etf]
+ *           default: all
+ *         limit:
+ *           type: string
+ *           enum: [up, down]
+ *           description: Only stocks that closed at limit up / limit down.
+ *         minPrice:
+ *           type: number
+ *         maxPrice:
+ *           type: number
+ *         minChangePct:
+ *           type: number
+ *         maxChangePct:
+ *           type: number
+ *         minVolume:
+ *           type: number
+ *           description: In lots (張).
+ *         minTurnover:
+ *           type: number
+ *           description: In millions of TWD (百萬元).
+ *         minGapPct:
+ *           type: number
+ *         maxGapPct:
+ *           type: number
+ *         maxPe:
+ *           type: number
+ *         minYield:
+ *           type: number
+ *         maxPb:
+ *           type: number
+ *         sort:
+ *           type: string
+ *           enum: [changePct, close, volume, turnover, gapPct, peRatio, dividendYield, pbRatio, code]
+ *           default: changePct
+ *         order:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     SavedScreen:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         filters:
+ *           $ref: '#/components/schemas/ScreenFilters'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/screener:
+ *   get:
+ *     summary: Screen every TWSE / TPEx stock on the latest daily snapshot
+ *     description: |
+ *       Runs on the STOCK_DAY_ALL (TWSE) and daily close quote (TPEx) snapshots, refreshed after each
+ *       trading day's close, joined with the P/E, dividend yield and P/B of the fundamentals cache.
+ *       Takes the fields of ScreenFilters as query parameters. With `screen`, a saved screen's filters
+ *       are used and any given parameter overrides them.
+ *     parameters:
+ *       - in: query
+ *         name: screen
+ *         schema:
+ *           type: string
+ *         description: Id of a saved screen.
+ *       - in: query
+ *         name: minChangePct
+ *         schema:
+ *           type: number
+ *         example: 3
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Matching stocks, sorted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dates:
+ *                   type: object
+ *                   description: Snapshot date of each market.
+ *                   properties:
+ *                     tse:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                     otc:
+ *                       type: string
+ *                       format: date
+ *                       nullable: true
+ *                 filters:
+ *                   $ref: '#/components/schemas/ScreenFilters'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching stocks before `top` is applied.
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *       400:
+ *         description: Invalid filter or top.
+ *       404:
+ *         description: Saved screen not found.
+ *       503:
+ *         description: The market snapshot has not been downloaded yet.
+ */
+app.get('/api/screener', (req, res) => {
+  const saved = req.query.screen ? screenService.get(String(req.query.screen)) : null;
+  if (req.query.screen && !saved) {
+    return res.status(404).json({ error: 'Saved screen not found' });
+  }
+  const { filters, error } = normalizeFilters({ ...(saved ? saved.filters : {}), ...req.query });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const top = req.query.top === undefined ? DEFAULT_SCREENER_TOP : Number(req.query.top);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_SCREENER_TOP) {
+    return res.status(400).json({ error: `top must be an integer between 1 and ${MAX_SCREENER_TOP}` });
+  }
+  const stocks = marketSnapshot.stocks();
+  if (stocks.length === 0) {
+    return res.status(503).json({ error: 'Market snapshot is not available yet' });
+  }
+  const { total, results } = runScreen(stocks, filters, code => fundamentalsStore.valuation(code), top);
+  res.json({ dates: marketSnapshot.dates(), filters, total, results });
+});
+
+/**
+ * @swagger
+ * /api/movers:
+ *   get:
+ *     summary: Get the daily movers board
+ *     description: |
+ *       Top gainers, losers, volume and turnover leaders of the latest daily snapshot, plus every stock
+ *       that closed at limit up or limit down (by turnover).
+ *     parameters:
+ *       - in: query
+ *         name: market
+ *         schema:
+ *           type: string
+ *           enum: [all, tse, otc]
+ *           default: all
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Length of the ranked lists; the limit lists are never cut.
+ *     responses:
+ *       200:
+ *         description: Ranked lists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dates:
+ *                   type: object
+ *                 gainers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *                 losers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *                 volume:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *                 turnover:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *                 limitUp:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *                 limitDown:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScreenerStock'
+ *       400:
+ *         description: Invalid market or count.
+ *       503:
+ *         description: The market snapshot has not been downloaded yet.
+ */
+app.get('/api/movers', (req, res) => {
+  const market = req.query.market || 'all';
+  const count = req.query.count === undefined ? DEFAULT_MOVERS_COUNT : Number(req.query.count);
+  if (!['all', 'tse', 'otc'].includes(market)) {
+    return res.status(400).json({ error: 'market must be one of all, tse, otc' });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_MOVERS_COUNT) {
+    return res.status(400).json({ error: `count must be an integer between 1 and ${MAX_MOVERS_COUNT}` });
+  }
+  const stocks = marketSnapshot.stocks().filter(stock => market === 'all' || stock.market === market);
+  if (stocks.length === 0) {
+    return res.status(503).json({ error: 'Market snapshot is not available yet' });
+  }
+  res.json({ dates: marketSnapshot.dates(), ...marketMovers(stocks, count) });
+});
+
+/**
+ * @swagger
+ * /api/screens:
+ *   get:
+ *     summary: List saved screens
+ *     responses:
+ *       200:
+ *         description: Saved screens.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedScreen'
+ *   post:
+ *     summary: Save a screen
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 $ref: '#/components/schemas/ScreenFilters'
+ *     responses:
+ *       201:
+ *         description: The saved screen.
+ *       400:
+ *         description: Missing name or invalid filters.
+ */
+app.get('/api/screens', (req, res) => {
+  res.json(screenService.list());
+});
+
+app.post('/api/screens', (req, res) => {
+  const { screen, error } = screenService.add(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(screen);
+});
+
+/**
+ * @swagger
+ * /api/screens/{id}:
+ *   put:
+ *     summary: Rename a saved screen or replace its filters
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 $ref: '#/components/schemas/ScreenFilters'
+ *     responses:
+ *       200:
+ *         description: The updated screen.
+ *       400:
+ *         description: Invalid name or filters.
+ *       404:
+ *         description: Screen not found.
+ *   delete:
+ *     summary: Delete a saved screen
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Screen deleted.
+ *       404:
+ *         description: Screen not found.
+ */
+app.put('/api/screens/:id', (req, res) => {
+  const { screen, error, notFound } = screenService.update(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ error: 'Saved screen not found' });
+  }
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(screen);
+});
+
+app.delete('/api/screens/:id', (req, res) => {
+  if (!screenService.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Saved screen not found' });
+  }
+  res.json({ message: 'Saved screen deleted' });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MarketBreadth:
+ *       type: object
+ *       description: Breadth of one market. Counts cover stocks and ETFs; turnover is the whole market's, in TWD.
+ *       properties:
+ *         advancing:
+ *           type: integer
+ *         declining:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         untraded:
+ *           type: integer
+ *         limitUp:
+ *           type: integer
+ *         limitDown:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         turnover:
+ *           type: number
+ *           nullable: true
+ *         averageTurnover:
+ *           type: number
+ *           nullable: true
+ *           description: Mean turnover of the 20 trading days before `date`.
+ *         turnoverRatio:
+ *           type: number
+ *           nullable: true
+ *           description: turnover / averageTurnover.
+ */
+
+/**
+ * @swagger
+ * /api/breadth:
+ *   get:
+ *     summary: Market breadth dashboard
+ *     description: |
+ *       Advancing / declining / unchanged and limit-up / limit-down counts of TWSE and TPEx, total turnover
+ *       against its 20-day average, and the % change of every TWSE sector index. During the session the
+ *       backend samples the whole market from the quote source while this endpoint is being polled
+ *       (`source` "quotes", with `coverage` telling how many stocks have been sampled so far). Otherwise,
+ *       and once the day's reports are out, it is built from the daily market snapshot, FMTQIK / TPEx
+ *       turnover and MI_INDEX reports (`source` "reports").
+ *     responses:
+ *       200:
+ *         description: Current breadth.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 source:
+ *                   type: string
+ *                   enum: [quotes, reports]
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   nullable: true
+ *                 asOf:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Time of the latest quote sample; null for reports.
+ *                 markets:
+ *                   type: object
+ *                   properties:
+ *                     tse:
+ *                       $ref: '#/components/schemas/MarketBreadth'
+ *                     otc:
+ *                       $ref: '#/components/schemas/MarketBreadth'
+ *                 coverage:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     sampled:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                 sectors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: tse_t24
+ *                       name:
+ *                         type: string
+ *                       shortName:
+ *                         type: string
+ *                       close:
+ *                         type: number
+ *                         nullable: true
+ *                       changePct:
+ *                         type: number
+ *                         nullable: true
+ */
+app.get('/api/breadth', (req, res) => {
+  res.json(marketBreadth.current());
+});
+
+const MAX_CHIP_DAYS = 120;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChipDay:
+ *       type: object
+ *       description: One trading day of 籌碼 for a stock; amounts in lots (張), null when the report has no row.
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         close:
+ *           type: number
+ *           nullable: true
+ *           description: Closing price from the daily history.
+ *         foreign:
+ *           type: integer
+ *           nullable: true
+ *           description: 外資（不含外資自營商）net buy / sell.
+ *         trust:
+ *           type: integer
+ *           nullable: true
+ *           description: 投信 net buy / sell.
+ *         dealer:
+ *           type: integer
+ *           nullable: true
+ *           description: 自營商 net buy / sell.
+ *         total:
+ *           type: integer
+ *           nullable: true
+ *           description: 三大法人 net buy / sell.
+ *         marginBalance:
+ *           type: integer
+ *           nullable: true
+ *           description: 融資餘額.
+ *         marginChange:
+ *           type: integer
+ *           nullable: true
+ *         shortBalance:
+ *           type: integer
+ *           nullable: true
+ *           description: 融券餘額.
+ *         shortChange:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/chips/{stockCode}:
+ *   get:
+ *     summary: Get institutional investor flows and margin balances of a stock
+ *     description: |
+ *       Served from the local chips store, which keeps the daily TWSE (T86, MI_MARGN) and TPEx reports of
+ *       the whole market. Trading days that are not stored yet are downloaded first; today's reports come
+ *       out in the afternoon (institutional) and evening (margin), so today's fields may still be null.
+ *     parameters:
+ *       - in: path
+ *         name: stockCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stock code, optionally with its market prefix (e.g. "2330", "otc_6446").
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 120
+ *           default: 20
+ *         description: Number of trading days up to today.
+ *     responses:
+ *       200:
+ *         description: One entry per trading day, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stockCode:
+ *                   type: string
+ *                 market:
+ *                   type: string
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChipDay'
+ *       400:
+ *         description: Invalid days, or not a TWSE / TPEx stock code.
+ */
+app.get('/api/chips/:stockCode', async (req, res) => {
+  const days = req.query.days === undefined ? 20 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CHIP_DAYS) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_CHIP_DAYS}` });
+  }
+  const resolved = resolveMarketCode(req.params.stockCode);
+  if (!resolved) {
+    return res.status(400).json({ error: 'Chips are only available for TWSE / TPEx stocks' });
+  }
+
+  try {
+    const { market, stockNo } = resolved;
+    const chips = await chipsStore.getChips(stockNo, market, days);
+    const closes = new Map();
+    if (chips.length > 0) {
+      const bars = await historyStore.getDailyBars(stockNo, chips[0].date, chips[chips.length - 1].date, market);
+      bars.forEach(bar => closes.set(bar.date, bar.close));
+    }
+    res.json({
+      stockCode: stockNo,
+      market,
+      days: chips.map(day => ({ date: day.date, close: closes.get(day.date) ?? null, ...day }))
+    });
+  } catch (err) {
+    console.error(`Error reading chips for ${req.params.stockCode}:`, err);
+    res.status(500).json({ error: 'Failed to read institutional and margin data' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/intraday/{code}:
+ *   get:
+ *     summary: Get minute bars of a trading day
+ *     description: |
+ *       Built from the quote snapshots the backend recorded during the session (09:00-13:30), so a day
+ *       is only as complete as the time the app was running. Bars are labelled by their start time;
+ *       `vwap` is the running volume-weighted average price. Asking for a code also adds it to the
+ *       polling loop so it is recorded from now on.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracked code (e.g. "tse_2330", "otc_6446") or index channel (e.g. "tse_t00").
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m]
+ *           default: 1m
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Trading day (YYYY-MM-DD); defaults to the latest recorded day.
+ *     responses:
+ *       200:
+ *         description: Minute bars; `bars` is empty when nothing was recorded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                 date:
+ *                   type: string
+ *                   nullable: true
+ *                 interval:
+ *                   type: string
+ *                 sessionStart:
+ *                   type: string
+ *                   example: "09:00"
+ *                 sessionEnd:
+ *                   type: string
+ *                   example: "13:30"
+ *                 yesterdayClose:
+ *                   type: number
+ *                   nullable: true
+ *                 bars:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: string
+ *                         example: "09:05"
+ *                       open:
+ *                         type: number
+ *                       high:
+ *                         type: number
+ *                       low:
+ *                         type: number
+ *                       close:
+ *                         type: number
+ *                       volume:
+ *                         type: integer
+ *                         description: Lots traded in the bar (index turnover for indices).
+ *                       vwap:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid interval or date, or not a TWSE / TPEx code.
+ */
+app.get('/api/intraday/:code', async (req, res) => {
+  const interval = req.query.interval || '1m';
+  if (!INTRADAY_INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of ${Object.keys(INTRADAY_INTERVALS).join(', ')}` });
+  }
+  const date = req.query.date;
+  if (date !== undefined && !isIsoDate(date)) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
+  if (isForeignCode(req.params.code)) {
+    return res.status(400).json({ error: FOREIGN_HISTORY_ERROR });
+  }
+  const indexId = normalizeIndexId(req.params.code);
+  const resolved = indexId ? { market: indexId.slice(0, 3), stockNo: indexId.slice(4) } : resolveMarketCode(req.params.code);
+  if (!resolved) {
+    return res.status(400).json({ error: INVALID_CODE_ERROR });
+  }
+
+  const { market, stockNo } = resolved;
+  const code = `${market}_${stockNo}`;
+  try {
+    await quoteScheduler.request([code]);
+  } catch (err) {
+    console.error(`Error requesting quote for ${code}:`, err);
+  }
+
+  const day = intradayStore.get(code, date);
+  res.json({
+    code,
+    date: day ? day.date : date || null,
+    interval,
+    sessionStart: SESSION_START,
+    sessionEnd: SESSION_END,
+    yesterdayClose: day ? day.yesterdayClose : null,
+    bars: day ? buildIntradayBars(day.ticks, INTRADAY_INTERVALS[interval]) : []
+  });
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Symbol:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "2330"
+ *         name:
+ *           type: string
+ *           description: Full company name (the short name for ETFs).
+ *           example: 台灣積體電路製造股份有限公司
+ *         shortName:
+ *           type: string
+ *           example: 台積電
+ *         market:
+ *           type: string
+ *           enum: [tse, otc, emerging]
+ *           description: 上市, 上櫃 or 興櫃. Emerging stocks have no real-time quotes.
+ *         type:
+ *           type: string
+ *           enum: [stock, etf]
+ *         industry:
+ *           type: string
+ *           nullable: true
+ *           example: 半導體業
+ *         listedAt:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/symbols/search:
+ *   get:
+ *     summary: Search the stock directory
+ *     description: |
+ *       Matches code prefixes and Chinese short or full names (partial names included).
+ *       Exact codes rank first, then code prefixes, then names starting with the query.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 台積
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching symbols, best match first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the directory was last rebuilt from the exchanges.
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Symbol'
+ *       400:
+ *         description: Missing query.
+ */
+app.get('/api/symbols/search', (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  res.json({ query, updatedAt: symbolDirectory.updatedAt(), results: symbolDirectory.search(query, limit) });
+});
+
+/**
+ * @swagger
+ * /api/symbols/{code}:
+ *   get:
+ *     summary: Look up a single code in the stock directory
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bare code, or with a tse_/otc_ prefix.
+ *     responses:
+ *       200:
+ *         description: The directory entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Symbol'
+ *       404:
+ *         description: Unknown code.
+ *       503:
+ *         description: The directory has not been downloaded yet.
+ */
+app.get('/api/symbols/:code', (req, res) => {
+  if (!symbolDirectory.isReady()) {
+    return res.status(503).json({ error: 'Symbol directory is not available yet' });
+  }
+  const symbol = symbolDirectory.lookup(req.params.code);
+  if (!symbol) {
+    return res.status(404).json({ error: 'Unknown stock code' });
+  }
+  res.json(symbol);
+});
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Stream quote updates (Server-Sent Events)
+ *     description: |
+ *       Opens a text/event-stream connection that pushes quote changes for the given codes.
+ *       The first `quotes` event is a full snapshot (`snapshot: true`); later `quotes` events
+ *       only contain the codes whose quote changed. A `taiex` event is sent whenever the TAIEX
+ *       quote changes, using the same shape as /api/taiex-data. An `indices` event
+ *       (`{ indices: { id: IndexQuote } }`) carries the subscribed indices that changed.
+ *     parameters:
+ *       - in: query
+ *         name: codes
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma separated tracked codes (e.g. "tse_2330,otc_6446").
+ *       - in: query
+ *         name: indices
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma separated index ids for the `indices` event (e.g. "tse_t00,otc_o00"). No `indices` events are sent when omitted.
+ *     responses:
+ *       200:
+ *         description: Event stream of `quotes`, `taiex` and `indices` events.
+ *       400:
+ *         description: Invalid index id.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+app.get('/api/stream', (req, res) => {
+  let indices = [];
+  if (req.query.indices) {
+    try {
+      indices = parseIndexIds(req.query.indices);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  quoteStream.handle(req, res, indices);
+});
+
+/**
+ * @swagger
+ * /api/quote-status:
+ *   get:
+ *     summary: Get quote scheduler status
+ *     description: Reports the state of the upstream polling loop, including the request budget and circuit breaker.
+ *     responses:
+ *       200:
+ *         description: Current scheduler status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 provider:
+ *                   type: string
+ *                 trackedChannels:
+ *                   type: integer
+ *                 cachedChannels:
+ *                   type: integer
+ *                 breaker:
+ *                   type: string
+ *                   enum: [closed, open, half-open]
+ *                 consecutiveFailures:
+ *                   type: integer
+ *                 lastError:
+ *                   type: string
+ *                   nullable: true
+ *                 sampleFailures:
+ *                   type: integer
+ *                   description: Consecutive failed market breadth samples; these do not count toward the breaker.
+ *                 requestsLastMinute:
+ *                   type: integer
+ *                 maxRequestsPerMinute:
+ *                   type: integer
+ */
+/**
+ * @swagger
+ * /api/market-session:
+ *   get:
+ *     summary: Get the current market session
+ *     description: |
+ *       Taiwan market state from the trading calendar: pre-open trial matching (08:30-09:00), regular
+ *       trading (09:00-13:25), closing call auction (13:25-13:30), after-hours odd-lot (13:40-14:30) and
+ *       fixed-price (14:00-14:30) trading, or closed. Quotes are polled from TWSE only while the market
+ *       is open and slowly during after-hours trading.
+ *     responses:
+ *       200:
+ *         description: Current session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 phase:
+ *                   type: string
+ *                   enum: [preOpen, regular, closingAuction, postClose, oddLot, afterHours, closed]
+ *                 label:
+ *                   type: string
+ *                   example: 盤中交易
+ *                 live:
+ *                   type: boolean
+ *                   description: True while quotes are moving (preOpen, regular, closingAuction).
+ *                 tradingDay:
+ *                   type: boolean
+ *                 holiday:
+ *                   type: string
+ *                   nullable: true
+ *                 now:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Market clock (the recorded time when replaying).
+ *                 changesAt:
+ *                   type: string
+ *                   format: date-time
+ *                 nextOpenAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Next 09:00 open on a trading day.
+ *                 closesAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Today's 13:30 close while it is still ahead.
+ *                 calendarYears:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 calendarMissing:
+ *                   type: boolean
+ *                   description: True when the calendar has no holidays for the current year.
+ */
+app.get('/api/market-session', (req, res) => {
+  res.json(marketSession.status());
+});
+
+app.get('/api/quote-status', (req, res) => {
+  res.json({ ...quoteScheduler.status(), foreign: foreignQuotes.status(), streamClients: quoteStream.clientCount() });
+});
+
+/**
+ * @swagger
+ * /api/fx:
+ *   get:
+ *     summary: Get exchange rates into TWD
+ *     description: |
+ *       Rates used to show foreign quotes in NT$. With TWSX_FX_SOURCE=yahoo (default) USD/TWD and CNY/TWD
+ *       are refreshed every 30 minutes; with TWSX_FX_SOURCE=fixed the rates come from TWSX_FX_RATES
+ *       (e.g. "USD=32.5,CNY=4.45"), which also serve as the fallback before the first fetch.
+ *     responses:
+ *       200:
+ *         description: Current rates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 base:
+ *                   type: string
+ *                   example: TWD
+ *                 source:
+ *                   type: string
+ *                   enum: [yahoo, fixed]
+ *                 rates:
+ *                   type: object
+ *                   description: TWD per unit of each currency.
+ *                   additionalProperties:
+ *                     type: number
+ *                   example: { TWD: 1, USD: 32.41, CNY: 4.46 }
+ *                 asOf:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 stale:
+ *                   type: boolean
+ */
+app.get('/api/fx', async (req, res) => {
+  res.json(await fxService.get());
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         code:
+ *           type: string
+ *           description: Tracked stock code (e.g. "tse_2330").
+ *         type:
+ *           type: string
+ *           enum: [priceAbove, priceBelow, changePct, limitUp, limitDown, volumeSpike]
+ *           description: |
+ *             priceAbove/priceBelow fire when the price crosses `value`; changePct when the absolute
+ *             % change reaches `value`; limitUp/limitDown when the price touches the limit price;
+ *             volumeSpike when volume reaches `value` times the 20-day average.
+ *         value:
+ *           type: number
+ *           nullable: true
+ *           description: Threshold for the rule type (unused for limitUp/limitDown).
+ *         cooldownMinutes:
+ *           type: number
+ *           description: Minimum time between two notifications for this rule (default 30).
+ *         sound:
+ *           type: boolean
+ *           description: Play the notification sound.
+ *         enabled:
+ *           type: boolean
+ *         lastFiredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *     FiredAlert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ruleId:
+ *           type: string
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *         value:
+ *           type: number
+ *           nullable: true
+ *         price:
+ *           type: number
+ *           nullable: true
+ *         message:
+ *           type: string
+ *         sound:
+ *           type: boolean
+ *         firedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List alert rules
+ *     responses:
+ *       200:
+ *         description: All alert rules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlertRule'
+ *   post:
+ *     summary: Create an alert rule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *           example:
+ *             code: tse_2330
+ *             type: priceAbove
+ *             value: 600
+ *             cooldownMinutes: 30
+ *             sound: true
+ *     responses:
+ *       201:
+ *         description: The created rule.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertRule'
+ *       400:
+ *         description: Invalid rule.
+ */
+app.get('/api/alerts', (req, res) => {
+  res.json(alertService.listRules());
+});
+
+app.post('/api/alerts', (req, res) => {
+  const { rule, error } = alertService.addRule(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(rule);
+});
+
+/**
+ * @swagger
+ * /api/alerts/history:
+ *   get:
+ *     summary: List fired alerts, newest first
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Fired alerts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FiredAlert'
+ *   delete:
+ *     summary: Clear the fired alert history
+ *     responses:
+ *       200:
+ *         description: History cleared.
+ */
+app.get('/api/alerts/history', (req, res) => {
+  const limit = parseInt(req.query.limit, 10);
+  res.json(alertService.listHistory(isNaN(limit) || limit <= 0 ? 100 : limit));
+});
+
+app.delete('/api/alerts/history', (req, res) => {
+  alertService.clearHistory();
+  res.json({ message: 'Alert history cleared' });
+});
+
+/**
+ * @swagger
+ * /api/alerts/{id}:
+ *   put:
+ *     summary: Update an alert rule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       200:
+ *         description: The updated rule.
+ *       400:
+ *         description: Invalid rule.
+ *       404:
+ *         description: Rule not found.
+ *   delete:
+ *     summary: Delete an alert rule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted.
+ *       404:
+ *         description: Rule not found.
+ */
+app.put('/api/alerts/:id', (req, res) => {
+  const { rule, error, notFound } = alertService.updateRule(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(rule);
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+  if (!alertService.removeRule(req.params.id)) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  res.json({ message: 'Alert rule deleted' });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeeSettings:
+ *       type: object
+ *       properties:
+ *         feeRate:
+ *           type: number
+ *           description: Brokerage fee rate (default 0.001425).
+ *         feeDiscount:
+ *           type: number
+ *           description: Broker discount multiplier, e.g. 0.6 for 六折 (default 1).
+ *         minFee:
+ *           type: number
+ *           description: Minimum brokerage fee per order in TWD (default 20).
+ *         taxRate:
+ *           type: number
+ *           description: Securities transaction tax on sells (default 0.003).
+ *         dayTradeTaxRate:
+ *           type: number
+ *           description: Tax rate for day-trade sells (default 0.0015).
+ *         etfTaxRate:
+ *           type: number
+ *           description: Tax rate for ETF sells (default 0.001).
+ *     Transaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         code:
+ *           type: string
+ *           description: Tracked stock code (e.g. "tse_2330").
+ *         side:
+ *           type: string
+ *           enum: [buy, sell]
+ *         lots:
+ *           type: integer
+ *           description: Whole lots (張, 1000 shares each).
+ *         oddShares:
+ *           type: integer
+ *           description: Odd-lot shares (零股, 0-999).
+ *         price:
+ *           type: number
+ *         date:
+ *           type: string
+ *           format: date
+ *         dayTrade:
+ *           type: boolean
+ *           description: Sell is part of a day trade (reduced tax rate).
+ *         fee:
+ *           type: number
+ *           description: Brokerage fee; calculated from the fee settings when omitted.
+ *         tax:
+ *           type: number
+ *           description: Transaction tax (sells only); calculated when omitted.
+ *         note:
+ *           type: string
+ *     Position:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         shares:
+ *           type: integer
+ *         lots:
+ *           type: integer
+ *         oddShares:
+ *           type: integer
+ *         averageCost:
+ *           type: number
+ *           description: Average cost per share including buy fees.
+ *         totalCost:
+ *           type: number
+ *         realizedPnl:
+ *           type: number
+ *           description: Realized P&L after sell fees and tax.
+ *         todayBoughtShares:
+ *           type: integer
+ *         todayBoughtAmount:
+ *           type: number
+ *         sellTaxRate:
+ *           type: number
+ *           description: Transaction tax rate of selling the position (ETF / ETN or stock rate from the fee settings).
+ */
+
+/**
+ * @swagger
+ * /api/portfolio:
+ *   get:
+ *     summary: Get holdings, transactions and fee settings
+ *     responses:
+ *       200:
+ *         description: Portfolio snapshot.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/FeeSettings'
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 positions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Position'
+ */
+app.get('/api/portfolio', (req, res) => {
+  res.json(portfolioService.get());
+});
+
+/**
+ * @swagger
+ * /api/portfolio/transactions:
+ *   post:
+ *     summary: Record a buy or sell transaction
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Transaction'
+ *           example:
+ *             code: tse_2330
+ *             side: buy
+ *             lots: 1
+ *             oddShares: 0
+ *             price: 580
+ *             date: "2025-05-12"
+ *     responses:
+ *       201:
+ *         description: The recorded transaction with calculated fee and tax.
+ *       400:
+ *         description: Invalid transaction, or a sell larger than the shares held.
+ */
+app.post('/api/portfolio/transactions', (req, res) => {
+  const { transaction, error } = portfolioService.addTransaction(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(transaction);
+});
+
+/**
+ * @swagger
+ * /api/portfolio/transactions/{id}:
+ *   delete:
+ *     summary: Delete a transaction
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transaction deleted.
+ *       400:
+ *         description: Deleting would leave a later sell without enough shares.
+ *       404:
+ *         description: Transaction not found.
+ */
+app.delete('/api/portfolio/transactions/:id', (req, res) => {
+  const { error, notFound } = portfolioService.removeTransaction(req.params.id);
+  if (notFound) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json({ message: 'Transaction deleted' });
+});
+
+/**
+ * @swagger
+ * /api/portfolio/settings:
+ *   put:
+ *     summary: Update fee and tax settings
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeSettings'
+ *     responses:
+ *       200:
+ *         description: The updated settings.
+ */
+app.put('/api/portfolio/settings', (req, res) => {
+  res.json(portfolioService.updateSettings(req.body || {}));
+});
+
+/**
+ * @swagger
+ * /api/export:
+ *   get:
+ *     summary: Export watchlists, transactions and fee settings
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: json is a full backup that /api/import accepts as kind "backup".
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [watchlists, transactions]
+ *         description: Which table to export as CSV (required for csv).
+ *     responses:
+ *       200:
+ *         description: The export as a file download.
+ *       400:
+ *         description: Unknown format or type.
+ */
+app.get('/api/export', (req, res) => {
+  const format = req.query.format || 'json';
+  const stamp = formatDate(provider.now());
+  if (format === 'json') {
+    res.attachment(`twsx-backup-${stamp}.json`);
+    return res.json(importService.exportBackup());
+  }
+  if (format === 'csv' && (req.query.type === 'watchlists' || req.query.type === 'transactions')) {
+    res.attachment(`${req.query.type}-${stamp}.csv`);
+    res.type('text/csv; charset=utf-8');
+    return res.send(importService.exportCsv(req.query.type));
+  }
+  res.status(400).json({ error: 'format must be json, or csv with type watchlists or transactions' });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportRequest:
+ *       type: object
+ *       required: [kind, content]
+ *       properties:
+ *         kind:
+ *           type: string
+ *           enum: [watchlists, transactions, backup]
+ *         content:
+ *           type: string
+ *           description: The file content (CSV text, or the JSON backup).
+ *         listName:
+ *           type: string
+ *           description: Watchlist for CSV rows without a list column (created if missing).
+ *         mapping:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: |
+ *             Transaction field -> CSV header, e.g. { "date": "成交日期", "code": "股票代號" }.
+ *             Detected from the header row when omitted; the preview returns the mapping it used.
+ *     ImportPlan:
+ *       type: object
+ *       properties:
+ *         watchlists:
+ *           type: array
+ *           description: Per list, the stocks that would be added; listId is null for new lists.
+ *           items:
+ *             type: object
+ *         transactions:
+ *           type: array
+ *           items:
+ *             type: object
+ *         duplicates:
+ *           type: array
+ *           description: Transactions identical to ones already recorded; they are skipped.
+ *           items:
+ *             type: object
+ *         settings:
+ *           type: object
+ *           nullable: true
+ *         display:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             Display settings of a backup (indicatorColumns, fundamentalColumns, chipColumns,
+ *             headerIndices, convertToTwd); the app restores them, the backend does not store them.
+ *         unresolved:
+ *           type: array
+ *           description: Rows that can't be imported, with the line number and the reason.
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 nullable: true
+ *               value:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         headers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mapping:
+ *           type: object
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/import/preview:
+ *   post:
+ *     summary: Preview an import without changing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportRequest'
+ *     responses:
+ *       200:
+ *         description: What the import would add and what can't be imported.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportPlan'
+ * /api/import/apply:
+ *   post:
+ *     summary: Carry out an import
+ *     description: Re-plans the same request and applies it; nothing is written when the plan has an error.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportRequest'
+ *     responses:
+ *       200:
+ *         description: The applied plan.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportPlan'
+ *       400:
+ *         description: The import can't be applied; the plan's error says why.
+ */
+app.post('/api/import/preview', (req, res) => {
+  res.json(importService.preview(req.body || {}));
+});
+
+app.post('/api/import/apply', (req, res) => {
+  const result = importService.apply(req.body || {});
+  res.status(result.error ? 400 : 200).json(result);
+});
 
 // Serve Swagger UI at /api-docs
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.listen(port, () => {
   console.log(`Backend server listening at http://localhost:${port}`);
+  quoteScheduler.start();
+  foreignQuotes.start();
+  symbolDirectory.start();
+  fundamentalsStore.start();
+  dividendCalendar.start();
+  marketSnapshot.start();
+  marketBreadth.start();
+  chipsStore.start();
+  intradayStore.start();
 });
 
 // 添加健康检查端点
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { toChannel } = require('./quoteScheduler');
+const { formatDate, shiftDate } = require('../lib/dates');
+const { isForeignCode } = require('../lib/foreignMarkets');
+const { normalizeStockQuote } = require('../lib/quoteModel');
+
+/**
+ * Per-stock alert rules evaluated on every quote refresh.
+ *
+ * Rule types:
+ *   priceAbove   - last price crosses above `value`
+ *   priceBelow   - last price crosses below `value`
+ *   changePct    - |% change from yesterday's close| reaches `value`
+ *   limitUp      - last price touches the limit-up price (u)
+ *   limitDown    - last price touches the limit-down price (w)
+ *   volumeSpike  - accumulated volume (v) reaches `value` x the 20-day average
+ *
+ * A rule fires when its condition turns from false to true and its cooldown
+ * has passed. Crossing rules take the first quote they see as the starting
+ * state, so a price that is already above the line does not fire on startup.
+ * Snapshots without a trade (z "-") leave a rule's state as it was, so a
+ * stock locked at limit up does not fire again after every cooldown.
+ * Rules and fired alerts are persisted to a JSON file.
+ */
+
+const RULE_TYPES = ['priceAbove', 'priceBelow', 'changePct', 'limitUp', 'limitDown', 'volumeSpike'];
+const CROSSING_TYPES = ['priceAbove', 'priceBelow'];
+const TYPES_WITH_VALUE = ['priceAbove', 'priceBelow', 'changePct', 'volumeSpike'];
+const DEFAULT_COOLDOWN_MINUTES = 30;
+const MAX_HISTORY = 500;
+const AVERAGE_VOLUME_DAYS = 20;
+
+const bareCode = (code) => code.replace(/^(tse|otc)_/, '').replace(/\.tw$/, '');
+const marketOf = (code) => (code.startsWith('otc_') ? 'otc' : 'tse');
+
+/**
+ * Validate and normalize a rule coming from the API.
+ * Returns { rule } or { error }.
+ */
+function normalizeRule(input, existing = {}) {
+  const rule = { ...existing, ...input };
+
+  if (!rule.code || typeof rule.code !== 'string') {
+    return { error: 'code is required' };
+  }
+  if (isForeignCode(rule.code)) {
+    return { error: 'alerts are only available for TWSE / TPEx stocks' };
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    return { error: `type must be one of ${RULE_TYPES.join(', ')}` };
+  }
+  if (TYPES_WITH_VALUE.includes(rule.type)) {
+    const value = parseFloat(rule.value);
+    if (isNaN(value) || value <= 0) {
+      return { error: 'value must be a positive number' };
+    }
+    rule.value = value;
+  } else {
+    rule.value = null;
+  }
+
+  const cooldown = parseFloat(rule.cooldownMinutes);
+  rule.cooldownMinutes = isNaN(cooldown) || cooldown < 0 ? DEFAULT_COOLDOWN_MINUTES : cooldown;
+  rule.sound = rule.sound !== false;
+  rule.enabled = rule.enabled !== false;
+  rule.lastFiredAt = rule.lastFiredAt || null;
+  return { rule };
+}
+
+function createAlertService(quoteScheduler, provider, options) {
+  const { filePath, historyStore, notify = () => {} } = options;
+
+  let rules = [];
+  let history = [];
+  const ruleState = new Map(); // rule id -> last evaluated condition
+  const averageVolumes = new Map(); // bare code -> { day, lots }
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath));
+      rules = Array.isArray(saved.rules) ? saved.rules : [];
+      history = Array.isArray(saved.history) ? saved.history : [];
+      console.log(`Loaded ${rules.length} alert rules from`, filePath);
+    } catch (error) {
+      console.error('Error loading alert rules from file:', error);
+    }
+  }
+
+  const save = () => {
+    fs.writeFile(filePath, JSON.stringify({ rules, history }, null, 2), (err) => {
+      if (err) {
+        console.error('Error writing alert rules file:', err);
+      }
+    });
+  };
+
+  const pinRuleCodes = () => {
+    quoteScheduler.setPinned(rules.filter(rule => rule.enabled).map(rule => rule.code), 'alerts');
+  };
+
+  // Average daily volume in lots (張) over the 20 trading days before today, refreshed once a day
+  const loadAverageVolume = async (code) => {
+    const stockNo = bareCode(code);
+    const day = formatDate(provider.now());
+    const cached = averageVolumes.get(stockNo);
+    if (cached && (cached.day === day || cached.pending)) {
+      return cached.lots;
+    }
+    averageVolumes.set(stockNo, { ...cached, pending: true });
+
+    try {
+      // Two months back cover at least 20 trading days; the history store fetches what it does not have
+      const from = shiftDate(day, { months: -2 });
+      const bars = await historyStore.getDailyBars(stockNo, from, day, marketOf(code));
+      const volumes = bars
+        .filter(bar => bar.date < day && bar.volume !== null)
+        .slice(-AVERAGE_VOLUME_DAYS)
+        .map(bar => bar.volume / 1000); // 成交股數 -> 張
+      const lots = volumes.length > 0 ? volumes.reduce((sum, v) => sum + v, 0) / volumes.length : null;
+      averageVolumes.set(stockNo, { day, lots });
+      return lots;
+    } catch (error) {
+      console.error(`Error loading average volume for ${stockNo}:`, error.message || error);
+      averageVolumes.set(stockNo, { day, lots: null });
+      return null;
+    }
+  };
+
+  /**
+   * Returns { met, message, price } for a rule against a raw quote item, or
+   * null when the snapshot says nothing about the condition (no trade in it),
+   * so the rule keeps its previous state.
+   */
+  const checkCondition = (rule, item, lastTrade) => {
+    const name = item.n || bareCode(rule.code);
+    const quote = normalizeStockQuote(item, lastTrade);
+    // Only traded prices count; a bid or ask is not a price the stock reached
+    const price = quote.priceSource === 'trade' || quote.priceSource === 'lastTrade' ? quote.price : null;
+
+    switch (rule.type) {
+      case 'priceAbove':
+        if (price === null) return null;
+        return { met: price >= rule.value, price, message: `${name} 股價突破 ${rule.value}（現價 ${price}）` };
+      case 'priceBelow':
+        if (price === null) return null;
+        return { met: price <= rule.value, price, message: `${name} 股價跌破 ${rule.value}（現價 ${price}）` };
+      case 'changePct': {
+        if (price === null || quote.changePct === null) {
+          return null;
+        }
+        return { met: Math.abs(quote.changePct) >= rule.value, price, message: `${name} 漲跌幅 ${quote.changePct.toFixed(2)}% 超過 ±${rule.value}%` };
+      }
+      case 'limitUp':
+        if (price === null || quote.upperLimit === null) return null;
+        return { met: price >= quote.upperLimit, price, message: `${name} 觸及漲停 ${quote.upperLimit}` };
+      case 'limitDown':
+        if (price === null || quote.lowerLimit === null) return null;
+        return { met: price <= quote.lowerLimit, price, message: `${name} 觸及跌停 ${quote.lowerLimit}` };
+      case 'volumeSpike': {
+        const volume = quote.volume;
+        const cached = averageVolumes.get(bareCode(rule.code));
+        const average = cached ? cached.lots : null;
+        if (volume === null || !average) {
+          return null;
+        }
+        const ratio = volume / average;
+        return { met: ratio >= rule.value, price, message: `${name} 成交量 ${volume} 張，達均量 ${ratio.toFixed(1)} 倍` };
+      }
+      default:
+        return { met: false };
+    }
+  };
+
+  const fire = (rule, result, item) => {
+    const now = Date.now();
+    rule.lastFiredAt = new Date(now).toISOString();
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      code: rule.code,
+      name: item.n || bareCode(rule.code),
+      type: rule.type,
+      value: rule.value,
+      price: result.price ?? null,
+      message: result.message,
+      sound: rule.sound,
+      firedAt: rule.lastFiredAt
+    };
+    history.unshift(alert);
+    history = history.slice(0, MAX_HISTORY);
+    console.log('Alert fired:', alert.message);
+    try {
+      notify(alert);
+    } catch (error) {
+      console.error('Error sending alert notification:', error);
+    }
+    return alert;
+  };
+
+  const evaluate = (updatedChannels) => {
+    const updated = new Set(updatedChannels);
+    let fired = false;
+
+    rules.forEach(rule => {
+      if (!rule.enabled || !updated.has(toChannel(rule.code))) {
+        return;
+      }
+      const quote = quoteScheduler.get(rule.code);
+      if (!quote) {
+        return;
+      }
+      if (rule.type === 'volumeSpike') {
+        loadAverageVolume(rule.code); // Fills the cache for the next refresh
+      }
+
+      const result = checkCondition(rule, quote.item, quote.lastTrade);
+      if (result === null) {
+        return;
+      }
+      const previous = ruleState.get(rule.id);
+      ruleState.set(rule.id, result.met);
+
+      if (previous === undefined && CROSSING_TYPES.includes(rule.type)) {
+        return; // First observation only establishes which side of the line we are on
+      }
+      if (!result.met || previous === true) {
+        return;
+      }
+      const cooldownMs = rule.cooldownMinutes * 60 * 1000;
+      if (rule.lastFiredAt && Date.now() - Date.parse(rule.lastFiredAt) < cooldownMs) {
+        return;
+      }
+      fire(rule, result, quote.item);
+      fired = true;
+    });
+
+    if (fired) {
+      save();
+    }
+  };
+
+  quoteScheduler.onUpdate(evaluate);
+  pinRuleCodes();
+
+  return {
+    RULE_TYPES,
+
+    listRules() {
+      return rules;
+    },
+
+    addRule(input) {
+      const { rule, error } = normalizeRule(input);
+      if (error) {
+        return { error };
+      }
+      rule.id = crypto.randomUUID();
+      rule.createdAt = new Date().toISOString();
+      rule.lastFiredAt = null;
+      rules.push(rule);
+      pinRuleCodes();
+      save();
+      return { rule };
+    },
+
+    updateRule(id, input) {
+      const index = rules.findIndex(rule => rule.id === id);
+      if (index === -1) {
+        return { notFound: true };
+      }
+      const { rule, error } = normalizeRule({ ...input, id }, rules[index]);
+      if (error) {
+        return { error };
+      }
+      rules[index] = rule;
+      ruleState.delete(id);
+      pinRuleCodes();
+      save();
+      return { rule };
+    },
+
+    removeRule(id) {
+      const before = rules.length;
+      rules = rules.filter(rule => rule.id !== id);
+      if (rules.length === before) {
+        return false;
+      }
+      ruleState.delete(id);
+      pinRuleCodes();
+      save();
+      return true;
+    },
+
+    listHistory(limit = 100) {
+      return history.slice(0, limit);
+    },
+
+    clearHistory() {
+      history = [];
+      save();
+    }
+  };
+}
+
+module.exports = { createAlertService, RULE_TYPES };
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { parseInstitutional, parseMargin } = require('../lib/chips');
+const { formatDate } = require('../lib/dates');
+
+/**
+ * Local store of the daily chip reports (三大法人買賣超, 融資融券餘額) of the
+ * whole market, one JSON file per trading day:
+ *
+ *   { "date": "2025-10-13", "reports": { "institutional": { "tse": { "fetchedAt": ISO, "rows": { "2330": {...} } } } } }
+ *
+ * A report is fetched per market, so looking at a TPEx stock never downloads
+ * the TWSE report. `rows` is null when the exchange had no report for the day;
+ * that answer is only kept for good when it was given on a later day, because
+ * on the day itself the report may simply not be out yet (institutional
+ * trading comes out in the afternoon, margin balances in the evening). Until
+ * then it is asked again after `retryMs`.
+ *
+ * Besides backfilling on request, `start()` checks every half hour after the
+ * close of a trading day and ingests that day's reports for both markets, so
+ * the history keeps growing while the app is open. Requests are spaced
+ * `minFetchIntervalMs` apart like the history store's.
+ */
+
+const REPORTS = {
+  institutional: { fetch: (provider, market, date) => provider.getInstitutional(market, date), parse: parseInstitutional },
+  margin: { fetch: (provider, market, date) => provider.getMarginBalance(market, date), parse: parseMargin }
+};
+const MARKETS = ['tse', 'otc'];
+
+const DEFAULT_RETRY_MS = 30 * 60 * 1000;
+const DEFAULT_MIN_FETCH_INTERVAL_MS = 1000;
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+// Reports of the day are not published before this time
+const INGEST_AFTER = '15:00';
+
+function createChipsStore(provider, options) {
+  const {
+    dir,
+    persist = true,
+    recentTradingDays,
+    retryMs = DEFAULT_RETRY_MS,
+    minFetchIntervalMs = DEFAULT_MIN_FETCH_INTERVAL_MS
+  } = options;
+
+  const days = new Map(); // date -> { date, reports }
+  const inFlight = new Map(); // "date-report-market" -> Promise
+  const writes = new Map(); // date -> Promise of the last queued write
+  let nextFetchAt = 0;
+  let timer = null;
+
+  // Reserve the next free request slot and wait for it
+  const pace = async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextFetchAt);
+    nextFetchAt = slot + minFetchIntervalMs;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+
+  const fileFor = (date) => path.join(dir, `${date}.json`);
+
+  const load = (date) => {
+    if (days.has(date)) {
+      return days.get(date);
+    }
+    let day = { date, reports: {} };
+    const file = fileFor(date);
+    if (persist && fs.existsSync(file)) {
+      try {
+        day = { date, reports: JSON.parse(fs.readFileSync(file)).reports || {} };
+      } catch (error) {
+        console.error(`Error loading chips file for ${date}:`, error);
+      }
+    }
+    days.set(date, day);
+    return day;
+  };
+
+  // Writes for the same day are queued so they never interleave
+  const save = (day) => {
+    if (!persist) {
+      return;
+    }
+    const previous = writes.get(day.date) || Promise.resolve();
+    const next = previous
+      .then(() => fs.promises.mkdir(dir, { recursive: true }))
+      .then(() => fs.promises.writeFile(fileFor(day.date), JSON.stringify(day)))
+      .catch(err => console.error(`Error writing chips file for ${day.date}:`, err));
+    writes.set(day.date, next);
+  };
+
+  const needsFetch = (entry, date) => {
+    if (!entry) {
+      return true;
+    }
+    if (entry.rows !== null) {
+      return false;
+    }
+    // "No report" is final once it was answered after that day
+    const fetchedAt = new Date(entry.fetchedAt);
+    return formatDate(fetchedAt) <= date && provider.now() - fetchedAt > retryMs;
+  };
+
+  const fetchReport = async (day, report, market) => {
+    const key = `${day.date}-${report}-${market}`;
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+    const promise = (async () => {
+      try {
+        await pace();
+        const body = await REPORTS[report].fetch(provider, market, day.date.replace(/-/g, ''));
+        day.reports[report] = {
+          ...(day.reports[report] || {}),
+          [market]: { fetchedAt: provider.now().toISOString(), rows: REPORTS[report].parse(body, market) }
+        };
+        save(day);
+      } catch (error) {
+        // Nothing is stored, so the report is asked for again on the next request
+        console.error(`Error fetching ${report} report for ${market} ${day.date}:`, error.message || error);
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  const ensure = async (date, market) => {
+    const day = load(date);
+    for (const report of Object.keys(REPORTS)) {
+      if (needsFetch(day.reports[report] && day.reports[report][market], date)) {
+        await fetchReport(day, report, market);
+      }
+    }
+    return day;
+  };
+
+  const rowOf = (day, report, market, stockNo) => {
+    const entry = day.reports[report] && day.reports[report][market];
+    return entry && entry.rows ? entry.rows[stockNo] || null : null;
+  };
+
+  // After the close of a trading day, ingest its reports for every stock
+  const ingestToday = async () => {
+    const now = provider.now();
+    const today = formatDate(now);
+    const [lastTradingDay] = recentTradingDays(1);
+    const time = now.toTimeString().slice(0, 5);
+    if (lastTradingDay !== today || time < INGEST_AFTER) {
+      return;
+    }
+    for (const market of MARKETS) {
+      await ensure(today, market);
+    }
+  };
+
+  return {
+    start() {
+      const check = () => ingestToday().catch(error => console.error('Error ingesting chip reports:', error.message || error));
+      check();
+      timer = setInterval(check, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Institutional flows and margin balances of `stockNo` for the last `count`
+     * trading days, oldest first. Days whose reports are missing are fetched
+     * one at a time; fields stay null when a report has no row for the stock.
+     */
+    async getChips(stockNo, market, count) {
+      const dates = recentTradingDays(count);
+      const result = [];
+      for (const date of dates) {
+        const day = await ensure(date, market);
+        const institutional = rowOf(day, 'institutional', market, stockNo);
+        const margin = rowOf(day, 'margin', market, stockNo);
+        result.push({
+          date,
+          foreign: institutional ? institutional.foreign : null,
+          trust: institutional ? institutional.trust : null,
+          dealer: institutional ? institutional.dealer : null,
+          total: institutional ? institutional.total : null,
+          marginBalance: margin ? margin.marginBalance : null,
+          marginChange: margin ? margin.marginChange : null,
+          shortBalance: margin ? margin.shortBalance : null,
+          shortChange: margin ? margin.shortChange : null
+        });
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createChipsStore };
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { parseExRightsSchedule, parseExRightsResults } = require('../lib/dividends');
+const { formatDate, shiftDate } = require('../lib/dates');
+
+/**
+ * Local calendar of ex-rights / ex-dividend events (除權除息) of every TWSE /
+ * TPEx stock, kept in one JSON file:
+ *
+ *   { "updatedAt": ISO, "resultsThrough": { "tse": "YYYY-MM-DD" }, "events": { "2330": [{ code, name, market, date, type, cashDividend, ... }] } }
+ *
+ * Each refresh merges two lists into the saved events by stock and date: the
+ * announced upcoming dates, and the results of past ex-dates with the
+ * exchange's reference prices, which the price adjustment of the daily
+ * history relies on. Results are fetched one calendar year per request,
+ * `keepYears` back on the first run and from `resultsThrough` (the last day
+ * fetched per market) afterwards. Events older than `keepYears` are dropped.
+ * Like the fundamentals store it is refreshed once it is older than
+ * `refreshIntervalMs` and never written with `persist` off (replay mode).
+ */
+
+const DEFAULT_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_KEEP_YEARS = 10;
+const DEFAULT_MIN_FETCH_INTERVAL_MS = 1000;
+const MARKETS = ['tse', 'otc'];
+// Results only know the combined value for some events; announced details are kept over their zeros
+const DIVIDEND_FIELDS = ['cashDividend', 'stockDividend', 'rightsRate', 'rightsPrice'];
+
+const stockNoOf = (code) => String(code).replace(/^(tse|otc)_/, '');
+
+function createDividendCalendar(provider, options) {
+  const {
+    filePath,
+    persist = true,
+    refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS,
+    keepYears = DEFAULT_KEEP_YEARS,
+    minFetchIntervalMs = DEFAULT_MIN_FETCH_INTERVAL_MS
+  } = options;
+
+  let updatedAt = null;
+  let resultsThrough = {};
+  let events = {};
+  let refreshing = null;
+  let timer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath));
+      updatedAt = saved.updatedAt || null;
+      resultsThrough = saved.resultsThrough || {};
+      events = saved.events || {};
+      console.log(`Loaded ex-rights events of ${Object.keys(events).length} stocks from`, filePath);
+    } catch (error) {
+      console.error('Error loading ex-rights calendar:', error);
+    }
+  }
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify({ updatedAt, resultsThrough, events })))
+      .catch(err => console.error('Error writing ex-rights calendar:', err));
+  };
+
+  const isStale = () => !updatedAt || provider.now() - Date.parse(updatedAt) > refreshIntervalMs;
+
+  const merge = (event) => {
+    const existing = (events[event.code] || []).find(item => item.date === event.date);
+    const merged = { ...existing, ...event };
+    if (existing) {
+      DIVIDEND_FIELDS.filter(key => !event[key] && existing[key]).forEach(key => {
+        merged[key] = existing[key];
+      });
+    }
+    const list = (events[event.code] || []).filter(item => item.date !== event.date);
+    list.push(merged);
+    events[event.code] = list.sort((a, b) => a.date.localeCompare(b.date));
+  };
+
+  const pause = () => new Promise(resolve => setTimeout(resolve, minFetchIntervalMs));
+
+  // Past ex-dates of one market, a calendar year per request; stops at the first failure
+  // so the missing years are fetched again on the next refresh
+  const fetchResults = async (market) => {
+    const today = formatDate(provider.now());
+    const currentYear = Number(today.slice(0, 4));
+    const firstYear = resultsThrough[market] ? Number(resultsThrough[market].slice(0, 4)) : currentYear - keepYears;
+    const results = [];
+    for (let year = firstYear; year <= currentYear; year++) {
+      const end = year === currentYear ? today : `${year}-12-31`;
+      try {
+        if (year > firstYear) {
+          await pause();
+        }
+        const body = await provider.getExRightsResults(market, `${year}0101`, end.replace(/-/g, ''));
+        results.push(...parseExRightsResults(body, market));
+        resultsThrough[market] = end;
+      } catch (error) {
+        console.error(`Error fetching ex-rights results for ${market} ${year}:`, error.message || error);
+        break;
+      }
+    }
+    return results;
+  };
+
+  const trim = () => {
+    const cutoff = shiftDate(formatDate(provider.now()), { years: -keepYears });
+    Object.keys(events).forEach(code => {
+      events[code] = events[code].filter(event => event.date >= cutoff);
+      if (events[code].length === 0) {
+        delete events[code];
+      }
+    });
+  };
+
+  const rebuild = async () => {
+    const fresh = [];
+    let failed = 0;
+    for (const market of MARKETS) {
+      try {
+        fresh.push(...parseExRightsSchedule(await provider.getExRightsSchedule(market), market));
+      } catch (error) {
+        failed++;
+        console.error(`Error fetching ex-rights schedule for ${market}:`, error.message || error);
+      }
+    }
+    // An empty schedule is a valid answer, but no answer at all is retried within the hour
+    if (failed === MARKETS.length) {
+      throw new Error('no ex-rights schedule could be fetched');
+    }
+    fresh.forEach(merge);
+    const results = [];
+    for (const market of MARKETS) {
+      results.push(...await fetchResults(market));
+    }
+    results.forEach(merge);
+    trim();
+    updatedAt = provider.now().toISOString();
+    save();
+    console.log(`Ex-rights calendar refreshed: ${fresh.length} announced events, ${results.length} past results`);
+  };
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = rebuild()
+        .catch(error => console.error('Error refreshing ex-rights calendar:', error.message || error))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return {
+    /** Refresh now if the saved copy is stale, then check again every hour. */
+    start() {
+      if (isStale()) {
+        refresh();
+      }
+      timer = setInterval(() => {
+        if (isStale()) {
+          refresh();
+        }
+      }, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    refresh,
+
+    updatedAt() {
+      return updatedAt;
+    },
+
+    /** Every known event of a code (with or without tse_/otc_ prefix), oldest first. */
+    eventsFor(code) {
+      return events[stockNoOf(code)] || [];
+    },
+
+    /** Events dated within [from, to], by date; limited to `codes` when given. */
+    between(from, to, codes = null) {
+      const stockNos = codes ? codes.map(stockNoOf) : Object.keys(events);
+      return stockNos
+        .flatMap(stockNo => (events[stockNo] || []).filter(event => event.date >= from && event.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.code.localeCompare(b.code));
+    }
+  };
+}
+
+module.exports = { createDividendCalendar };
@@ -0,0 +1,175 @@
+const { parseForeignCode, foreignSessionAt } = require('../lib/foreignMarkets');
+const { parseYahooChart } = require('../lib/yahooChart');
+
+/**
+ * Polling loop for market-qualified symbols outside of TWSE ("US:AAPL",
+ * "SH:600519"). It mirrors the quote scheduler on a smaller scale: codes are
+ * pinned by group or kept alive by client requests, and each one is fetched
+ * through its market's adapter (lib/foreignMarkets) one ticker at a time.
+ *
+ * A code is refreshed every `pollIntervalMs` while its own exchange is in a
+ * live session and every `closedPollIntervalMs` otherwise, so US quotes keep
+ * moving during the Taipei night while TWSE polling is paused. Sessions use
+ * the provider's clock, so replayed fixtures get replayed sessions too.
+ */
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: 15 * 1000,
+  closedPollIntervalMs: 10 * 60 * 1000,
+  idleTimeoutMs: 5 * 60 * 1000,
+  // Quotes older than this many poll intervals count as delayed
+  staleIntervals: 3
+};
+
+function createForeignQuoteService(provider, userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+
+  const cache = new Map(); // code -> { quote, fetchedAt }
+  const pinned = new Map(); // group -> codes that are always polled
+  const lastRequested = new Map(); // code -> last time a client asked for it
+  const lastAttempted = new Map(); // code -> last time it was sent upstream
+  const listeners = new Set();
+
+  let timer = null;
+  let running = false;
+  let lastError = null;
+
+  const trackedCodes = () => {
+    const now = Date.now();
+    for (const [code, at] of lastRequested) {
+      if (now - at > options.idleTimeoutMs) {
+        lastRequested.delete(code);
+      }
+    }
+    const pinnedCodes = [...pinned.values()].flatMap(codes => [...codes]);
+    return [...new Set([...pinnedCodes, ...lastRequested.keys()])];
+  };
+
+  const intervalFor = (market) =>
+    (foreignSessionAt(market, provider.now()).live ? options.pollIntervalMs : options.closedPollIntervalMs);
+
+  const fetchCode = async (code) => {
+    const { market, symbol } = parseForeignCode(code);
+    lastAttempted.set(code, Date.now());
+    const quote = parseYahooChart(await provider.getForeignQuote(market.ticker(symbol)));
+    if (!quote) {
+      // Unknown symbol; it stays out of the cache and is retried on the next interval
+      return false;
+    }
+    cache.set(code, { quote, fetchedAt: Date.now() });
+    return true;
+  };
+
+  // Fetch the codes one by one and tell listeners which ones changed
+  const refresh = async (codes) => {
+    const updated = [];
+    for (const code of codes) {
+      try {
+        if (await fetchCode(code)) {
+          updated.push(code);
+        }
+        lastError = null;
+      } catch (error) {
+        lastError = error.message || String(error);
+        console.error(`Error fetching foreign quote ${code}:`, lastError);
+      }
+    }
+    if (updated.length > 0) {
+      listeners.forEach(listener => {
+        try {
+          listener(updated);
+        } catch (error) {
+          console.error('Error in foreign quote listener:', error);
+        }
+      });
+    }
+    return updated;
+  };
+
+  const loop = async () => {
+    timer = null;
+    const now = Date.now();
+    const due = trackedCodes().filter(code => {
+      const { market } = parseForeignCode(code);
+      return now - (lastAttempted.get(code) || 0) >= intervalFor(market);
+    });
+    if (due.length > 0) {
+      await refresh(due);
+    }
+    if (running) {
+      timer = setTimeout(loop, options.pollIntervalMs);
+    }
+  };
+
+  const codesOf = (codes) => codes.filter(code => parseForeignCode(code) !== null);
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      timer = setTimeout(loop, 0);
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    /** Keep these codes polled; codes of other markets are ignored. */
+    setPinned(codes, group = 'default') {
+      pinned.set(group, new Set(codesOf(codes)));
+    },
+
+    /** Mark codes as wanted and fetch the ones that have no quote yet. */
+    async request(codes) {
+      const now = Date.now();
+      const wanted = codesOf(codes);
+      wanted.forEach(code => lastRequested.set(code, now));
+      const missing = wanted.filter(code =>
+        !cache.has(code) && now - (lastAttempted.get(code) || 0) >= options.pollIntervalMs
+      );
+      if (missing.length > 0) {
+        await refresh(missing);
+      }
+    },
+
+    /**
+     * Cached quote with its market, the exchange's current session and
+     * freshness, or null if the code was never fetched successfully.
+     */
+    get(code) {
+      const parsed = parseForeignCode(code);
+      const entry = parsed && cache.get(code);
+      if (!entry) {
+        return null;
+      }
+      const interval = intervalFor(parsed.market);
+      return {
+        ...entry.quote,
+        market: parsed.market,
+        symbol: parsed.symbol,
+        session: foreignSessionAt(parsed.market, provider.now()),
+        asOf: new Date(entry.fetchedAt).toISOString(),
+        stale: Date.now() - entry.fetchedAt > interval * options.staleIntervals
+      };
+    },
+
+    onUpdate(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    status() {
+      return {
+        trackedCodes: trackedCodes().length,
+        cachedCodes: cache.size,
+        lastError
+      };
+    }
+  };
+}
+
+module.exports = { createForeignQuoteService };
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseValuations,
+  parseMonthlyRevenue,
+  mergeRevenueReport,
+  revenueSeries,
+  trimRevenueHistory
+} = require('../lib/fundamentals');
+
+/**
+ * Local cache of valuation ratios and monthly revenue for every TWSE / TPEx
+ * stock, kept in one JSON file:
+ *
+ *   {
+ *     "updatedAt": ISO,
+ *     "valuations": { "2330": { peRatio, dividendYield, pbRatio, date } },
+ *     "revenue": { "2330": { "2025-09": { revenue, momPct, yoyPct, cumulative, cumulativeYoyPct } } }
+ *   }
+ *
+ * Like the symbol directory it is refreshed once it is older than
+ * `refreshIntervalMs` (a day by default). Valuations are replaced by each
+ * refresh, while revenue reports are merged into the saved history, so the
+ * revenue chart grows by a month every time a new report comes out. A failed
+ * or empty download keeps what was saved. With `persist` off (replay mode)
+ * the saved copy is still read but never written.
+ */
+
+const DEFAULT_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MARKETS = ['tse', 'otc'];
+// Months of revenue history kept per company
+const REVENUE_MONTHS = 36;
+
+function createFundamentalsStore(provider, options) {
+  const {
+    filePath,
+    persist = true,
+    refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS
+  } = options;
+
+  let updatedAt = null;
+  let valuations = {};
+  let revenue = {};
+  let refreshing = null;
+  let timer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath));
+      updatedAt = saved.updatedAt || null;
+      valuations = saved.valuations || {};
+      revenue = saved.revenue || {};
+      console.log(`Loaded fundamentals of ${Object.keys(valuations).length} stocks from`, filePath);
+    } catch (error) {
+      console.error('Error loading fundamentals:', error);
+    }
+  }
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify({ updatedAt, valuations, revenue })))
+      .catch(err => console.error('Error writing fundamentals:', err));
+  };
+
+  const isStale = () => !updatedAt || provider.now() - Date.parse(updatedAt) > refreshIntervalMs;
+
+  const rebuild = async () => {
+    const fresh = {};
+    const reports = [];
+    for (const market of MARKETS) {
+      try {
+        parseValuations(await provider.getValuations(market)).forEach((valuation, code) => {
+          fresh[code] = valuation;
+        });
+      } catch (error) {
+        console.error(`Error fetching valuations for ${market}:`, error.message || error);
+      }
+      try {
+        reports.push(...parseMonthlyRevenue(await provider.getMonthlyRevenue(market)));
+      } catch (error) {
+        console.error(`Error fetching monthly revenue for ${market}:`, error.message || error);
+      }
+    }
+    if (Object.keys(fresh).length === 0 && reports.length === 0) {
+      throw new Error('valuation and revenue reports were empty');
+    }
+    if (Object.keys(fresh).length > 0) {
+      valuations = fresh;
+    }
+    reports.forEach(report => {
+      revenue[report.code] = trimRevenueHistory(mergeRevenueReport(revenue[report.code] || {}, report), REVENUE_MONTHS);
+    });
+    updatedAt = provider.now().toISOString();
+    save();
+    console.log(`Fundamentals refreshed: ${Object.keys(fresh).length} valuations, ${reports.length} revenue reports`);
+  };
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = rebuild()
+        .catch(error => console.error('Error refreshing fundamentals:', error.message || error))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return {
+    /** Refresh now if the saved copy is stale, then check again every hour. */
+    start() {
+      if (isStale()) {
+        refresh();
+      }
+      timer = setInterval(() => {
+        if (isStale()) {
+          refresh();
+        }
+      }, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    refresh,
+
+    updatedAt() {
+      return updatedAt;
+    },
+
+    /** { peRatio, dividendYield, pbRatio, date } of a bare code, or null. */
+    valuation(code) {
+      return valuations[code] || null;
+    },
+
+    /**
+     * Valuation and revenue history of a bare code (with or without tse_/otc_
+     * prefix): { valuation, revenue: [...] }, or null when nothing is known.
+     */
+    get(code) {
+      const stockNo = String(code).replace(/^(tse|otc)_/, '');
+      const valuation = valuations[stockNo] || null;
+      const history = revenue[stockNo];
+      if (!valuation && !history) {
+        return null;
+      }
+      return { valuation, revenue: revenueSeries(history) };
+    }
+  };
+}
+
+module.exports = { createFundamentalsStore };
@@ -0,0 +1,80 @@
+const { parseYahooChart } = require('../lib/yahooChart');
+
+/**
+ * Exchange rates into TWD for showing foreign quotes in NT$.
+ *
+ *   source "yahoo" (default)  <CUR>TWD=X quotes through the provider, refreshed every `refreshMs`
+ *   source "fixed"            only the configured rates, e.g. TWSX_FX_RATES="USD=32.5,CNY=4.45"
+ *
+ * With the Yahoo source the configured rates are used until the first
+ * successful fetch, and the last fetched rates are kept when a refresh fails.
+ */
+
+const DEFAULT_REFRESH_MS = 30 * 60 * 1000;
+const CURRENCIES = ['USD', 'CNY'];
+const FX_SOURCES = ['yahoo', 'fixed'];
+
+/** "USD=32.5,CNY=4.45" -> { USD: 32.5, CNY: 4.45 }; malformed entries are skipped */
+function parseFixedRates(value) {
+  const rates = {};
+  String(value || '').split(',').forEach(part => {
+    const [currency, rate] = part.split('=').map(item => item.trim());
+    const number = parseFloat(rate);
+    if (/^[A-Z]{3}$/.test(currency || '') && number > 0) {
+      rates[currency] = number;
+    }
+  });
+  return rates;
+}
+
+function createFxService(provider, options = {}) {
+  const source = FX_SOURCES.includes(options.source) ? options.source : 'yahoo';
+  const refreshMs = options.refreshMs || DEFAULT_REFRESH_MS;
+  const rates = { ...(options.fixedRates || {}) };
+
+  let fetchedAt = null;
+  let lastAttemptAt = 0;
+  let inFlight = null;
+
+  const refresh = async () => {
+    lastAttemptAt = Date.now();
+    let updated = 0;
+    for (const currency of CURRENCIES) {
+      try {
+        const quote = parseYahooChart(await provider.getForeignQuote(`${currency}TWD=X`));
+        if (quote) {
+          rates[currency] = quote.price;
+          updated++;
+        }
+      } catch (error) {
+        console.error(`Error fetching ${currency}/TWD rate:`, error.message || error);
+      }
+    }
+    if (updated > 0) {
+      fetchedAt = Date.now();
+    }
+  };
+
+  return {
+    source,
+
+    /** Current rates ({ USD: 32.4, ... }: TWD per unit), refreshed first when they are due. */
+    async get() {
+      if (source === 'yahoo' && Date.now() - lastAttemptAt >= refreshMs) {
+        inFlight = inFlight || refresh().finally(() => {
+          inFlight = null;
+        });
+        await inFlight;
+      }
+      return {
+        base: 'TWD',
+        source,
+        rates: { TWD: 1, ...rates },
+        asOf: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+        stale: source === 'yahoo' && (fetchedAt === null || Date.now() - fetchedAt > refreshMs * 2)
+      };
+    }
+  };
+}
+
+module.exports = { createFxService, parseFixedRates, FX_SOURCES };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { parseStockDay, parseOtcDay, parseIndexDay } = require('../lib/dailyBars');
+const { formatYm, taipeiMidnight, shiftDate } = require('../lib/dates');
+
+/**
+ * Local store of daily OHLCV bars, one JSON file per stock and market
+ * (tse_2330.json, otc_6446.json, index_t00.json for the TAIEX):
+ *
+ *   { "version": 2, "stockNo": "2330", "market": "tse", "months": { "202310": { "fetchedAt": ISO, "final": true, "bars": [...] } } }
+ *
+ * A month is fetched from the provider once and marked final when it was
+ * fetched after the month ended; final months are never fetched again. The
+ * month that is still in progress is refetched when its copy is older than
+ * `currentMonthTtlMs`. Bars are normalized at ingest (see lib/dailyBars), so
+ * files saved by an older `version` of that normalization are fetched again.
+ *
+ * Requests to the exchanges are spaced at least `minFetchIntervalMs` apart
+ * across all stocks, since backfilling many stocks at once would otherwise
+ * trip the exchanges' rate limits.
+ */
+
+const DEFAULT_CURRENT_MONTH_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MIN_FETCH_INTERVAL_MS = 1000;
+// Version 2 added the exRights flag
+const BARS_VERSION = 2;
+
+// Codes become file names, so only letters and digits are accepted ("2330", "00631L", "t00")
+const STORE_CODE = /^[0-9A-Za-z]{1,12}$/;
+
+// Where each market's monthly daily-trading report comes from
+const SOURCES = {
+  tse: { fetch: (provider, stockNo, date) => provider.getStockDay(stockNo, date), parse: parseStockDay },
+  otc: { fetch: (provider, stockNo, date) => provider.getOtcDay(stockNo, date), parse: parseOtcDay },
+  index: { fetch: (provider, indexNo, date) => provider.getIndexDay(indexNo, date), parse: parseIndexDay }
+};
+
+// "YYYY-MM-DD" -> list of "YYYYMM" keys from `from` to `to` inclusive
+function monthsBetween(from, to) {
+  const months = [];
+  const last = to.slice(0, 7);
+  for (let month = from.slice(0, 7); month <= last; month = shiftDate(`${month}-01`, { months: 1 }).slice(0, 7)) {
+    months.push(month.replace('-', ''));
+  }
+  return months;
+}
+
+function createHistoryStore(provider, options) {
+  const {
+    dir,
+    persist = true,
+    currentMonthTtlMs = DEFAULT_CURRENT_MONTH_TTL_MS,
+    minFetchIntervalMs = DEFAULT_MIN_FETCH_INTERVAL_MS
+  } = options;
+
+  const stocks = new Map(); // "market_stockNo" -> { stockNo, market, months }
+  const inFlight = new Map(); // "market_stockNo-YYYYMM" -> Promise
+  const writes = new Map(); // "market_stockNo" -> Promise of the last queued write
+  let nextFetchAt = 0;
+
+  // Reserve the next free request slot and wait for it
+  const pace = async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextFetchAt);
+    nextFetchAt = slot + minFetchIntervalMs;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+
+  const keyOf = (stock) => `${stock.market}_${stock.stockNo}`;
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  const load = (stockNo, market) => {
+    const key = `${market}_${stockNo}`;
+    if (stocks.has(key)) {
+      return stocks.get(key);
+    }
+    let stock = { version: BARS_VERSION, stockNo, market, months: {} };
+    const file = fileFor(key);
+    if (persist && fs.existsSync(file)) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(file));
+        if (saved.version === BARS_VERSION) {
+          stock = { version: BARS_VERSION, stockNo, market, months: saved.months || {} };
+        }
+      } catch (error) {
+        console.error(`Error loading history file for ${key}:`, error);
+      }
+    }
+    stocks.set(key, stock);
+    return stock;
+  };
+
+  // Writes for the same stock are queued so they never interleave
+  const save = (stock) => {
+    if (!persist) {
+      return;
+    }
+    const key = keyOf(stock);
+    const previous = writes.get(key) || Promise.resolve();
+    const next = previous
+      .then(() => fs.promises.mkdir(dir, { recursive: true }))
+      .then(() => fs.promises.writeFile(fileFor(key), JSON.stringify(stock)))
+      .catch(err => console.error(`Error writing history file for ${key}:`, err));
+    writes.set(key, next);
+  };
+
+  const needsFetch = (entry, month) => {
+    if (!entry) {
+      return true;
+    }
+    if (entry.final) {
+      return false;
+    }
+    // Only the month in progress (or one fetched before it ended) is refreshed
+    return month <= formatYm(provider.now()) && provider.now() - Date.parse(entry.fetchedAt) > currentMonthTtlMs;
+  };
+
+  const fetchMonth = async (stock, month) => {
+    const key = `${keyOf(stock)}-${month}`;
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+    const promise = (async () => {
+      try {
+        const source = SOURCES[stock.market];
+        await pace();
+        const apiData = await source.fetch(provider, stock.stockNo, `${month}01`);
+        if (!apiData || !apiData.stat) {
+          throw new Error('Unexpected daily trading response');
+        }
+        const fetchedAt = provider.now();
+        const monthEnd = taipeiMidnight(shiftDate(`${month.slice(0, 4)}-${month.slice(4)}-01`, { months: 1 }));
+        stock.months[month] = {
+          fetchedAt: fetchedAt.toISOString(),
+          final: fetchedAt >= monthEnd,
+          bars: source.parse(apiData)
+        };
+        save(stock);
+      } catch (error) {
+        // Keep whatever copy we have; the month is retried on the next request
+        console.error(`Error fetching history for ${keyOf(stock)} ${month}:`, error.message || error);
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  return {
+    /**
+     * Daily bars for `stockNo` on `market` ("tse", "otc" or "index") between `from` and
+     * `to` ("YYYY-MM-DD", inclusive), oldest first. Missing months are fetched
+     * one at a time to stay within the exchange's request limits.
+     */
+    async getDailyBars(stockNo, from, to, market = 'tse') {
+      if (!SOURCES[market]) {
+        throw new Error(`Unknown market "${market}"`);
+      }
+      if (!STORE_CODE.test(stockNo)) {
+        throw new Error(`Invalid stock code "${stockNo}"`);
+      }
+      const stock = load(stockNo, market);
+      const currentMonth = formatYm(provider.now());
+      const months = monthsBetween(from, to).filter(month => month <= currentMonth);
+
+      for (const month of months) {
+        if (needsFetch(stock.months[month], month)) {
+          await fetchMonth(stock, month);
+        }
+      }
+
+      return months
+        .flatMap(month => (stock.months[month] ? stock.months[month].bars : []))
+        .filter(bar => bar.date >= from && bar.date <= to);
+    }
+  };
+}
+
+module.exports = { createHistoryStore, monthsBetween };
@@ -0,0 +1,344 @@
+const { parseCsv, toCsv } = require('../lib/csv');
+const { TRANSACTION_FIELDS, detectMapping, readTransactionRows, readWatchlistRows } = require('../lib/importFormats');
+const { isTrackedCode, normalizeName } = require('../lib/watchlists');
+const { isForeignCode } = require('../lib/foreignMarkets');
+const { LOT_SIZE } = require('../lib/twFees');
+
+/**
+ * Export and import of watchlists, transactions and fee settings.
+ *
+ * Every import is planned first: `preview` returns what would be added
+ * (including rows that could not be resolved and duplicates of existing
+ * transactions) without changing anything, and `apply` rebuilds the same plan
+ * from the same request and carries it out. Rows that can't be resolved are
+ * reported, never silently dropped.
+ *
+ * A backup also carries the app's display settings (table columns, header
+ * indices, TWD conversion), which only live in the browser: the app adds
+ * them to the exported file and restores the `display` part of the plan.
+ *
+ * Import requests: { kind: "watchlists" | "transactions" | "backup", content, listName?, mapping? }
+ */
+
+const BACKUP_FORMAT = 'twsx-backup';
+const BACKUP_VERSION = 1;
+const DEFAULT_IMPORT_LIST = '匯入';
+const SIDE_LABELS = { buy: '買進', sell: '賣出' };
+const DISPLAY_LISTS = ['indicatorColumns', 'fundamentalColumns', 'chipColumns', 'headerIndices'];
+
+// The known display settings of a backup, or null when it has none
+const readDisplaySettings = (display) => {
+  if (!display || typeof display !== 'object') {
+    return null;
+  }
+  const settings = {};
+  DISPLAY_LISTS.forEach(key => {
+    if (Array.isArray(display[key])) {
+      settings[key] = display[key].filter(value => typeof value === 'string');
+    }
+  });
+  if (typeof display.convertToTwd === 'boolean') {
+    settings.convertToTwd = display.convertToTwd;
+  }
+  return Object.keys(settings).length > 0 ? settings : null;
+};
+
+function createImportService({ watchlistService, portfolioService, symbolDirectory, now = () => new Date() }) {
+  const displayName = (code) => {
+    const symbol = symbolDirectory.lookup(code);
+    return symbol ? symbol.shortName : null;
+  };
+
+  /**
+   * A code ("2330", "tse_2330", "2330 台積電", "US:AAPL") or exact name ("台積電") ->
+   * { code: "tse_2330", name } or { error }.
+   */
+  const resolveStock = (value) => {
+    const text = String(value || '').trim();
+    // Other markets are not in the directory; their codes are taken as written
+    if (isForeignCode(text.toUpperCase())) {
+      return { code: text.toUpperCase(), name: null };
+    }
+    const prefixed = /^(tse|otc)_([0-9A-Z]+)$/i.exec(text);
+    if (!symbolDirectory.isReady()) {
+      return prefixed
+        ? { code: `${prefixed[1].toLowerCase()}_${prefixed[2].toUpperCase()}`, name: null }
+        : { error: '股票清單尚未下載，無法辨識代碼' };
+    }
+    const bareCode = /^(\d{4,6}[A-Z]?)(?:\s|$)/i.exec(text);
+    let symbol = null;
+    if (prefixed || bareCode) {
+      symbol = symbolDirectory.lookup((prefixed ? prefixed[2] : bareCode[1]).toUpperCase());
+    } else {
+      symbol = symbolDirectory.search(text, 10).find(item => item.shortName === text || item.name === text) || null;
+    }
+    if (!symbol) {
+      return { error: '查無此股票' };
+    }
+    if (symbol.market !== 'tse' && symbol.market !== 'otc') {
+      return { error: '興櫃股票沒有即時報價，無法追蹤' };
+    }
+    return { code: `${symbol.market}_${symbol.code}`, name: symbol.shortName };
+  };
+
+  // Watchlist groups by list name -> preview entries against the current lists
+  const diffLists = (groups) => {
+    const lists = watchlistService.get().lists;
+    return Object.entries(groups).map(([name, stocks]) => {
+      const existing = lists.find(list => list.name === name);
+      const codes = existing ? existing.codes : [];
+      return {
+        name,
+        listId: existing ? existing.id : null,
+        added: stocks.filter(stock => !codes.includes(stock.code)),
+        alreadyListed: stocks.filter(stock => codes.includes(stock.code)).length
+      };
+    });
+  };
+
+  const planWatchlistCsv = (request) => {
+    const fallbackList = normalizeName(request.listName) || DEFAULT_IMPORT_LIST;
+    const groups = {};
+    const unresolved = [];
+    readWatchlistRows(parseCsv(request.content)).forEach(({ line, list, stock }) => {
+      const resolved = resolveStock(stock);
+      if (resolved.error) {
+        unresolved.push({ line, value: stock, reason: resolved.error });
+        return;
+      }
+      const name = normalizeName(list) || fallbackList;
+      const group = groups[name] || (groups[name] = []);
+      if (!group.some(item => item.code === resolved.code)) {
+        group.push(resolved);
+      }
+    });
+    return { watchlists: diffLists(groups), unresolved };
+  };
+
+  // Transactions identical to existing ones (same day, stock, side, shares and price) are
+  // skipped, counting repeats so an exported file can be imported again without doubling
+  const splitDuplicates = (candidates) => {
+    const existing = {};
+    const keyOf = (tx) => [tx.date, tx.code, tx.side, tx.shares, tx.price].join('|');
+    portfolioService.get().transactions.forEach(tx => {
+      existing[keyOf(tx)] = (existing[keyOf(tx)] || 0) + 1;
+    });
+    const fresh = [];
+    const duplicates = [];
+    candidates.forEach(candidate => {
+      const key = keyOf(candidate.preview);
+      if (existing[key]) {
+        existing[key]--;
+        duplicates.push(candidate.preview);
+      } else {
+        fresh.push(candidate);
+      }
+    });
+    return { fresh, duplicates };
+  };
+
+  // Transactions of one import, oldest first and buys before sells on the same day
+  // so that day trades from statements listed newest first still add up
+  const planTransactions = (candidates, unresolved) => {
+    candidates.sort((a, b) => a.input.date.localeCompare(b.input.date) || (a.input.side === b.input.side ? 0 : a.input.side === 'buy' ? -1 : 1));
+    const { fresh, duplicates } = splitDuplicates(candidates);
+    const { errors, error } = portfolioService.importTransactions(fresh.map(candidate => candidate.input), { dryRun: true });
+    const rejected = new Set(errors.map(item => item.index));
+    errors.forEach(({ index, error: reason }) => {
+      unresolved.push({ line: fresh[index].line, value: fresh[index].preview.code, reason });
+    });
+    const accepted = fresh.filter((_, index) => !rejected.has(index));
+    return {
+      transactions: accepted.map(candidate => candidate.preview),
+      inputs: accepted.map(candidate => candidate.input),
+      duplicates,
+      error: error || null
+    };
+  };
+
+  const toCandidate = (line, code, name, input) => ({
+    line,
+    input: { ...input, code },
+    preview: {
+      line,
+      code,
+      name,
+      date: input.date,
+      side: input.side,
+      dayTrade: !!input.dayTrade,
+      shares: (input.lots || 0) * LOT_SIZE + (input.oddShares || 0),
+      price: input.price,
+      fee: input.fee ?? null,
+      tax: input.tax ?? null
+    }
+  });
+
+  const planTransactionCsv = (request) => {
+    const rows = parseCsv(request.content);
+    const headers = rows[0] || [];
+    const mapping = request.mapping && typeof request.mapping === 'object'
+      ? request.mapping
+      : detectMapping(headers, TRANSACTION_FIELDS);
+    const unresolved = [];
+    const candidates = [];
+    readTransactionRows(rows, mapping).forEach(entry => {
+      if (entry.error) {
+        unresolved.push({ line: entry.line, value: entry.stock || '', reason: entry.error });
+        return;
+      }
+      const resolved = resolveStock(entry.stock);
+      if (resolved.error) {
+        unresolved.push({ line: entry.line, value: entry.stock, reason: resolved.error });
+        return;
+      }
+      candidates.push(toCandidate(entry.line, resolved.code, resolved.name, entry.input));
+    });
+    return {
+      headers,
+      mapping,
+      fields: Object.keys(TRANSACTION_FIELDS),
+      unresolved,
+      ...planTransactions(candidates, unresolved)
+    };
+  };
+
+  const planBackup = (request) => {
+    let backup;
+    try {
+      backup = JSON.parse(request.content);
+    } catch (error) {
+      return { error: '備份檔不是有效的 JSON' };
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+      return { error: '不是本程式匯出的備份檔' };
+    }
+    if (backup.version > BACKUP_VERSION) {
+      return { error: `備份檔版本 ${backup.version} 較新，請先更新程式` };
+    }
+
+    const unresolved = [];
+    const groups = {};
+    ((backup.watchlists && backup.watchlists.lists) || []).forEach(list => {
+      const name = normalizeName(list.name) || DEFAULT_IMPORT_LIST;
+      const group = groups[name] || (groups[name] = []);
+      (list.codes || []).forEach(code => {
+        if (!isTrackedCode(code)) {
+          unresolved.push({ line: null, value: String(code), reason: `清單「${name}」中的代碼格式不正確` });
+        } else if (!group.some(item => item.code === code)) {
+          group.push({ code, name: displayName(code) });
+        }
+      });
+    });
+
+    const portfolio = backup.portfolio || {};
+    const candidates = (portfolio.transactions || [])
+      .filter(tx => tx && typeof tx.date === 'string' && typeof tx.side === 'string')
+      .map(tx => toCandidate(null, tx.code, displayName(tx.code), tx));
+    const settings = portfolio.settings && typeof portfolio.settings === 'object' ? portfolio.settings : null;
+
+    return {
+      watchlists: diffLists(groups),
+      settings,
+      display: readDisplaySettings(backup.display),
+      unresolved,
+      ...planTransactions(candidates, unresolved)
+    };
+  };
+
+  const plan = (request) => {
+    if (!request || typeof request.content !== 'string' || request.content.trim() === '') {
+      return { error: 'content is required' };
+    }
+    switch (request.kind) {
+      case 'watchlists':
+        return planWatchlistCsv(request);
+      case 'transactions':
+        return planTransactionCsv(request);
+      case 'backup':
+        return planBackup(request);
+      default:
+        return { error: 'kind must be watchlists, transactions or backup' };
+    }
+  };
+
+  // The plan without the internal transaction inputs
+  const publicPlan = ({ inputs, ...rest }) => ({
+    watchlists: [],
+    transactions: [],
+    duplicates: [],
+    unresolved: [],
+    settings: null,
+    display: null,
+    error: null,
+    ...rest
+  });
+
+  return {
+    preview(request) {
+      return publicPlan(plan(request));
+    },
+
+    /** Carry out the import; nothing is written when the plan has an error. */
+    apply(request) {
+      const planned = plan(request);
+      if (planned.error) {
+        return publicPlan(planned);
+      }
+      const result = publicPlan(planned);
+      if ((planned.inputs || []).length > 0) {
+        const { error } = portfolioService.importTransactions(planned.inputs);
+        if (error) {
+          return { ...result, error };
+        }
+      }
+      const groups = (planned.watchlists || []).filter(list => list.added.length > 0 || !list.listId);
+      if (groups.length > 0) {
+        watchlistService.mergeLists(groups.map(list => ({ name: list.name, codes: list.added.map(stock => stock.code) })));
+      }
+      if (planned.settings) {
+        portfolioService.updateSettings(planned.settings);
+      }
+      return result;
+    },
+
+    /** Everything needed to restore the app on another machine. */
+    exportBackup() {
+      const { settings, transactions } = portfolioService.get();
+      return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: now().toISOString(),
+        watchlists: watchlistService.get(),
+        portfolio: { settings, transactions }
+      };
+    },
+
+    /** CSV of the watchlists or transactions; the columns are the ones the importer reads back. */
+    exportCsv(type) {
+      if (type === 'watchlists') {
+        const rows = [['清單', '股票代號', '股票名稱']];
+        watchlistService.get().lists.forEach(list => {
+          list.codes.forEach(code => rows.push([list.name, code, displayName(code) || '']));
+        });
+        return toCsv(rows);
+      }
+      const rows = [['成交日期', '股票代號', '股票名稱', '買賣別', '成交股數', '成交價格', '手續費', '交易稅', '備註']];
+      portfolioService.get().transactions.forEach(tx => {
+        rows.push([
+          tx.date,
+          tx.code,
+          displayName(tx.code) || '',
+          tx.dayTrade ? '當沖賣出' : SIDE_LABELS[tx.side],
+          tx.shares,
+          tx.price,
+          tx.fee,
+          tx.tax,
+          tx.note || ''
+        ]);
+      });
+      return toCsv(rows);
+    }
+  };
+}
+
+module.exports = { createImportService };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { formatDate } = require('../lib/dates');
+const { parsePrice } = require('../lib/quoteModel');
+
+/**
+ * Records every quote snapshot the scheduler receives, one append-only file
+ * per trading day and channel:
+ *
+ *   <dir>/2023-10-11/tse_2330.tw.jsonl   one tick per line: { t, p, v } (+ y on the first line)
+ *
+ * The day comes from the snapshot itself (`d`), so a refresh on a holiday
+ * lands on the last trading day and repeated snapshots are not stored twice.
+ * Files are read back on first use, so a restart within the same day carries
+ * on with the recorded session. Only the newest `retainDays` days are kept.
+ * With `persist` off (replay mode) ticks are kept in memory only.
+ */
+
+const DEFAULT_RETAIN_DAYS = 5;
+const DAY_DIR = /^\d{4}-\d{2}-\d{2}$/;
+
+// "20231011" -> "2023-10-11"
+const snapshotDate = (item) => (/^\d{8}$/.test(item.d || '') ? `${item.d.slice(0, 4)}-${item.d.slice(4, 6)}-${item.d.slice(6, 8)}` : null);
+
+function createIntradayStore(quoteScheduler, options) {
+  const {
+    dir,
+    persist = true,
+    retainDays = DEFAULT_RETAIN_DAYS,
+    now = () => new Date()
+  } = options;
+
+  const days = new Map(); // "date/channel" -> { yesterdayClose, ticks }
+  let writing = Promise.resolve();
+
+  const fileFor = (date, channel) => path.join(dir, date, `${channel}.jsonl`);
+
+  const load = (date, channel) => {
+    const key = `${date}/${channel}`;
+    if (days.has(key)) {
+      return days.get(key);
+    }
+    const day = { yesterdayClose: null, ticks: [] };
+    const file = fileFor(date, channel);
+    if (persist && fs.existsSync(file)) {
+      try {
+        fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '').forEach(line => {
+          const tick = JSON.parse(line);
+          if (tick.y !== undefined) {
+            day.yesterdayClose = tick.y;
+          }
+          day.ticks.push({ t: tick.t, p: tick.p, v: tick.v });
+        });
+      } catch (error) {
+        // A line cut off by a crash only loses the ticks after it
+        console.error(`Error reading intraday ticks ${file}:`, error.message || error);
+      }
+    }
+    days.set(key, day);
+    return day;
+  };
+
+  const append = (lines) => {
+    if (!persist) {
+      return;
+    }
+    writing = writing
+      .then(async () => {
+        for (const [file, text] of lines) {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.appendFile(file, text);
+        }
+      })
+      .catch(err => console.error('Error writing intraday ticks:', err));
+  };
+
+  const record = (channels) => {
+    const lines = new Map(); // file -> text
+    channels.forEach(channel => {
+      const quote = quoteScheduler.get(channel);
+      const item = quote && quote.item;
+      const volume = item ? parseInt(item.v, 10) : NaN;
+      if (!item || !/^\d{2}:\d{2}:\d{2}$/.test(item.t || '') || isNaN(volume)) {
+        return;
+      }
+      const tick = { t: item.t, p: parsePrice(item.z), v: volume };
+      const date = snapshotDate(item) || formatDate(now());
+      const day = load(date, channel);
+      const last = day.ticks[day.ticks.length - 1];
+      if (last && (last.t > tick.t || (last.t === tick.t && last.v === tick.v && last.p === tick.p))) {
+        return;
+      }
+      const line = { ...tick };
+      const yesterdayClose = parsePrice(item.y);
+      if (yesterdayClose !== null && yesterdayClose !== day.yesterdayClose) {
+        day.yesterdayClose = yesterdayClose;
+        line.y = yesterdayClose;
+      }
+      day.ticks.push(tick);
+      const file = fileFor(date, channel);
+      lines.set(file, (lines.get(file) || '') + JSON.stringify(line) + '\n');
+    });
+    if (lines.size > 0) {
+      append(lines);
+    }
+  };
+
+  // Drop the oldest day folders
+  const prune = async () => {
+    try {
+      const entries = (await fs.promises.readdir(dir)).filter(name => DAY_DIR.test(name)).sort();
+      for (const name of entries.slice(0, Math.max(0, entries.length - retainDays))) {
+        await fs.promises.rm(path.join(dir, name), { recursive: true, force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error pruning intraday ticks:', error);
+      }
+    }
+  };
+
+  const recordedDates = (channel) => {
+    const dates = new Set();
+    days.forEach((day, key) => {
+      if (key.endsWith(`/${channel}`) && day.ticks.length > 0) {
+        dates.add(key.slice(0, key.indexOf('/')));
+      }
+    });
+    if (persist && fs.existsSync(dir)) {
+      fs.readdirSync(dir)
+        .filter(name => DAY_DIR.test(name) && fs.existsSync(fileFor(name, channel)))
+        .forEach(name => dates.add(name));
+    }
+    return [...dates].sort();
+  };
+
+  quoteScheduler.onUpdate(record);
+
+  return {
+    start() {
+      if (persist) {
+        prune();
+      }
+    },
+
+    /**
+     * Recorded ticks of a code ("tse_2330", "tse_t00.tw") on `date`
+     * (default: the latest recorded day), or null when nothing was recorded.
+     */
+    get(code, date) {
+      const channel = quoteScheduler.toChannel(code);
+      const day = date || recordedDates(channel).pop();
+      if (!day) {
+        return null;
+      }
+      const { yesterdayClose, ticks } = load(day, channel);
+      return ticks.length > 0 ? { date: day, yesterdayClose, ticks } : null;
+    }
+  };
+}
+
+module.exports = { createIntradayStore };
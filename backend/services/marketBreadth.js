@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { countBreadth, breadthRowOfQuote, parseMarketTurnover, parseSectorIndices, averageTurnover } = require('../lib/breadth');
+const { SECTOR_INDICES } = require('../lib/marketIndices');
+const { parsePrice } = require('../lib/quoteModel');
+const { formatDate } = require('../lib/dates');
+
+/**
+ * Market breadth dashboard: advancing / declining / unchanged counts of TWSE
+ * and TPEx, limit-up / limit-down counts, total turnover against its 20-day
+ * average, and the % change of every sector index.
+ *
+ * During the session (pacing "live") and while somebody is looking, the
+ * dashboard samples the whole market through `quoteScheduler.sample()`: the
+ * index channels about once a minute and, in between, the next slice of every
+ * stock in the daily snapshot, so the counts cover more of the market the
+ * longer it runs (`coverage`). Samples are kept in memory only.
+ *
+ * Otherwise the counts come from the full-market daily snapshot and the
+ * turnover and sectors from the daily reports, which are fetched for the
+ * trading day `marketSnapshot.expectedDate()` and retried every `retryMs`
+ * until published. The turnover history and the latest sector report are kept
+ * in one JSON file:
+ *
+ *   { "turnover": { "tse": { "2025-10-17": 412345678901, ... }, "otc": {...} },
+ *     "sectors": { "date": "2025-10-17", "sectors": [{ name, close, changePct }] } }
+ */
+
+const MARKETS = ['tse', 'otc'];
+const AVERAGE_DAYS = 20;
+// Enough history for the average even after a long holiday
+const KEEP_DAYS = 60;
+const MARKET_INDEX_CHANNELS = { tse: 'tse_t00.tw', otc: 'otc_o00.tw' };
+const INDEX_CHANNELS = [...Object.values(MARKET_INDEX_CHANNELS), ...SECTOR_INDICES.map(sector => `${sector.id}.tw`)];
+const DEFAULT_OPTIONS = {
+  sampleIntervalMs: 15 * 1000,
+  sampleSize: 40,
+  indexIntervalMs: 60 * 1000,
+  // Stop sampling when the dashboard has not been asked for in this long
+  idleTimeoutMs: 5 * 60 * 1000,
+  retryMs: 30 * 60 * 1000
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const ymd = (date) => date.replace(/-/g, '');
+const channelOf = (item) => `${item.ex}_${item.ch}`;
+
+// First day of the month before `date` ("YYYY-MM-DD"), as YYYYMMDD
+const previousMonth = (date) => {
+  const year = parseInt(date.slice(0, 4), 10);
+  const month = parseInt(date.slice(5, 7), 10);
+  return month === 1 ? `${year - 1}1201` : `${year}${String(month - 1).padStart(2, '0')}01`;
+};
+
+function createMarketBreadth(provider, userOptions) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const { quoteScheduler, marketSnapshot, pacing, filePath, persist = true } = options;
+
+  let saved = { turnover: { tse: {}, otc: {} }, sectors: null };
+  const samples = new Map(); // channel -> latest getStockInfo.jsp item
+  const checkedAt = {}; // report -> last fetch attempt (epoch ms)
+  let sampledAt = null;
+  let indicesSampledAt = 0;
+  let cursor = 0;
+  let lastRequestedAt = 0;
+  let sampling = false;
+  let refreshing = null;
+  let timer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      saved = {
+        turnover: { tse: {}, otc: {}, ...(data.turnover || {}) },
+        sectors: data.sectors || null
+      };
+      console.log('Loaded market breadth reports from', filePath);
+    } catch (error) {
+      console.error('Error loading market breadth reports:', error);
+    }
+  }
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify(saved)))
+      .catch(err => console.error('Error writing market breadth reports:', err));
+  };
+
+  const due = (report) => Date.now() - (checkedAt[report] || 0) > options.retryMs;
+
+  const fetchTurnover = async (market, date) => {
+    checkedAt[`turnover-${market}`] = Date.now();
+    const history = { ...saved.turnover[market] };
+    // The previous month too, so the average of the first days of a month has enough history
+    for (const month of [previousMonth(date), ymd(date)]) {
+      parseMarketTurnover(await provider.getMarketTurnover(market, month)).forEach(day => {
+        history[day.date] = day.turnover;
+      });
+    }
+    const kept = Object.keys(history).sort().slice(-KEEP_DAYS);
+    saved.turnover[market] = Object.fromEntries(kept.map(day => [day, history[day]]));
+    return history[date] !== undefined;
+  };
+
+  const fetchSectors = async (date) => {
+    checkedAt.sectors = Date.now();
+    const sectors = parseSectorIndices(await provider.getSectorIndices(ymd(date)));
+    if (sectors.length === 0) {
+      return false;
+    }
+    saved.sectors = { date, sectors };
+    return true;
+  };
+
+  /** Fetch the turnover and sector reports of the expected trading day when they are missing. */
+  const refreshReports = () => {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const date = marketSnapshot.expectedDate();
+        if (!date) {
+          return;
+        }
+        let changed = false;
+        for (const market of MARKETS) {
+          if (saved.turnover[market][date] === undefined && due(`turnover-${market}`)) {
+            try {
+              changed = (await fetchTurnover(market, date)) || changed;
+            } catch (error) {
+              console.error(`Error fetching market turnover for ${market}:`, error.message || error);
+            }
+          }
+        }
+        if ((!saved.sectors || saved.sectors.date !== date) && due('sectors')) {
+          try {
+            changed = (await fetchSectors(date)) || changed;
+          } catch (error) {
+            console.error('Error fetching sector indices:', error.message || error);
+          }
+        }
+        if (changed) {
+          save();
+        }
+      })()
+        .catch(error => console.error('Error refreshing market breadth reports:', error.message || error))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  const universe = () => marketSnapshot.stocks().map(stock => `${stock.market}_${stock.code}.tw`);
+
+  // One sample per tick: the index channels when they are due, otherwise the next slice of the market
+  const sample = async () => {
+    if (sampling || pacing().mode !== 'live' || Date.now() - lastRequestedAt > options.idleTimeoutMs) {
+      return;
+    }
+    sampling = true;
+    try {
+      let channels;
+      const indicesDue = Date.now() - indicesSampledAt >= options.indexIntervalMs;
+      if (indicesDue) {
+        channels = INDEX_CHANNELS;
+      } else {
+        const all = universe();
+        if (all.length === 0) {
+          return;
+        }
+        cursor = cursor >= all.length ? 0 : cursor;
+        channels = all.slice(cursor, cursor + options.sampleSize);
+        cursor += options.sampleSize;
+      }
+      const items = await quoteScheduler.sample(channels);
+      if (!items) {
+        return;
+      }
+      items.forEach(item => samples.set(channelOf(item), item));
+      sampledAt = provider.now();
+      if (indicesDue) {
+        indicesSampledAt = Date.now();
+      }
+    } finally {
+      sampling = false;
+    }
+  };
+
+  const withTurnover = (counts, market, date, turnover) => {
+    const average = averageTurnover(saved.turnover[market], date, AVERAGE_DAYS);
+    return {
+      ...counts,
+      turnover,
+      averageTurnover: average === null ? null : Math.round(average),
+      turnoverRatio: turnover !== null && average ? round2(turnover / average) : null
+    };
+  };
+
+  const fromQuotes = (date, items) => {
+    const markets = {};
+    let sampled = 0;
+    MARKETS.forEach(market => {
+      const rows = items
+        .filter(item => item.ex === market && !INDEX_CHANNELS.includes(channelOf(item)))
+        .map(breadthRowOfQuote);
+      sampled += rows.length;
+      const index = samples.get(MARKET_INDEX_CHANNELS[market]);
+      // Index items carry the market's turnover so far in 百萬元
+      const turnover = index && index.d === ymd(date) && parseFloat(index.v) > 0 ? parseFloat(index.v) * 1e6 : null;
+      markets[market] = withTurnover(countBreadth(rows), market, date, turnover);
+    });
+    const sectors = SECTOR_INDICES.map(sector => {
+      const item = samples.get(`${sector.id}.tw`);
+      const close = item && item.d === ymd(date) ? parsePrice(item.z) : null;
+      const previous = item ? parsePrice(item.y) : null;
+      return { ...sector, close, changePct: close !== null && previous ? round2(((close - previous) / previous) * 100) : null };
+    });
+    return {
+      source: 'quotes',
+      date,
+      asOf: sampledAt ? sampledAt.toISOString() : null,
+      markets,
+      coverage: { sampled, total: universe().length },
+      sectors
+    };
+  };
+
+  const fromReports = () => {
+    const date = marketSnapshot.dates().tse || marketSnapshot.dates().otc;
+    const stocks = marketSnapshot.stocks();
+    const markets = {};
+    MARKETS.forEach(market => {
+      const counts = countBreadth(stocks.filter(stock => stock.market === market));
+      const turnover = date && saved.turnover[market][date] !== undefined ? saved.turnover[market][date] : null;
+      markets[market] = withTurnover(counts, market, date || '', turnover);
+    });
+    const reported = saved.sectors && saved.sectors.date === date ? saved.sectors.sectors : [];
+    const sectors = SECTOR_INDICES.map(sector => {
+      const row = reported.find(entry => entry.name === sector.name);
+      return { ...sector, close: row ? row.close : null, changePct: row ? row.changePct : null };
+    });
+    return { source: 'reports', date, asOf: null, markets, coverage: null, sectors };
+  };
+
+  return {
+    start() {
+      refreshReports();
+      timer = setInterval(() => {
+        sample().catch(error => console.error('Error sampling market breadth:', error.message || error));
+        refreshReports();
+      }, options.sampleIntervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    refreshReports,
+
+    /**
+     * Current breadth. Today's quote samples are used until the day's daily
+     * snapshot is out; asking for it keeps the sampling going for a while.
+     */
+    current() {
+      const idle = Date.now() - lastRequestedAt > options.idleTimeoutMs;
+      lastRequestedAt = Date.now();
+      if (idle) {
+        sample().catch(error => console.error('Error sampling market breadth:', error.message || error));
+      }
+      const today = formatDate(provider.now());
+      const items = [...samples.values()].filter(item => item.d === ymd(today));
+      const sampledStocks = items.some(item => !INDEX_CHANNELS.includes(channelOf(item)));
+      if (marketSnapshot.dates().tse !== today && sampledStocks) {
+        return fromQuotes(today, items);
+      }
+      return fromReports();
+    }
+  };
+}
+
+module.exports = { createMarketBreadth };
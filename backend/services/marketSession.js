@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { taipeiDate, parseCalendar, sessionAt, recentTradingDays } = require('../lib/tradingCalendar');
+
+/**
+ * Taiwan market session state for the current time, from the holiday
+ * calendar bundled in data/tradingCalendar.json. TWSE publishes next year's
+ * holidays every autumn; an `overrideFile` with newer years can be dropped in
+ * without touching the app and is read on top of the bundled one.
+ *
+ * `pacing()` tells the quote scheduler how hard to poll:
+ *   live    quotes are moving (pre-open, regular and closing auction)
+ *   slow    after-hours odd-lot / fixed-price trading
+ *   paused  market closed until `wakeAt`
+ */
+function createMarketSession(options) {
+  const { files, now = () => new Date(), alwaysLive = false } = options;
+
+  const readCalendarFile = (file) => {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error loading trading calendar ${file}:`, error.message || error);
+      return null;
+    }
+  };
+
+  const calendar = parseCalendar(files.map(readCalendarFile).filter(Boolean));
+  if (calendar.years.length === 0) {
+    console.error('No trading calendar loaded, only weekends are treated as market holidays');
+  } else {
+    console.log(`Loaded trading calendar for ${calendar.years.join(', ')}`);
+  }
+
+  // Holidays of a year without calendar data are unknown; it is still traded on weekdays
+  const covers = (date) => calendar.years.includes(Number(taipeiDate(date).slice(0, 4)));
+
+  const status = () => {
+    const current = now();
+    const session = sessionAt(calendar, current);
+    return {
+      ...session,
+      now: current.toISOString(),
+      changesAt: session.changesAt.toISOString(),
+      nextOpenAt: session.nextOpenAt.toISOString(),
+      closesAt: session.closesAt ? session.closesAt.toISOString() : null,
+      calendarYears: calendar.years,
+      calendarMissing: !covers(current)
+    };
+  };
+
+  return {
+    status,
+
+    /** The last `count` trading days up to today ("YYYY-MM-DD"), oldest first */
+    recentTradingDays(count) {
+      return recentTradingDays(calendar, now(), count);
+    },
+
+    pacing() {
+      if (alwaysLive) {
+        return { mode: 'live', wakeAt: null };
+      }
+      const current = now();
+      const session = sessionAt(calendar, current);
+      let mode = 'paused';
+      if (session.live) {
+        mode = 'live';
+      } else if (session.phase !== 'closed') {
+        mode = 'slow';
+      }
+      // `now()` may be a replayed clock, so the wait is relative to it rather than Date.now()
+      return { mode, wakeAt: Date.now() + (session.changesAt.getTime() - current.getTime()) };
+    }
+  };
+}
+
+module.exports = { createMarketSession };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { parseMarketDaily } = require('../lib/screener');
+const { formatDate } = require('../lib/dates');
+
+/**
+ * Latest daily snapshot of every TWSE / TPEx stock and ETF (STOCK_DAY_ALL and
+ * the TPEx daily close quotes), kept in one JSON file:
+ *
+ *   { "tse": { "date": "2025-10-17", "fetchedAt": ISO, "stocks": [...] }, "otc": {...} }
+ *
+ * The open data endpoints only ever serve the latest trading day, so there is
+ * no history to backfill. A market is fetched again when its snapshot is older
+ * than the trading day that should be out by now: today from 14:30 on, the
+ * previous trading day before that. The exchanges publish
+ * some time after the close, so an outdated answer is retried every
+ * `retryMs`. With `persist` off (replay mode) the saved copy is still read but
+ * never written.
+ */
+
+const MARKETS = ['tse', 'otc'];
+const DEFAULT_RETRY_MS = 30 * 60 * 1000;
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+// The day's snapshot is not published before this time
+const INGEST_AFTER = '14:30';
+
+function createMarketSnapshot(provider, options) {
+  const {
+    filePath,
+    persist = true,
+    recentTradingDays,
+    retryMs = DEFAULT_RETRY_MS
+  } = options;
+
+  let snapshots = {}; // market -> { date, fetchedAt, stocks }
+  let refreshing = null;
+  let timer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      snapshots = JSON.parse(fs.readFileSync(filePath)) || {};
+      const count = MARKETS.reduce((sum, market) => sum + (snapshots[market] ? snapshots[market].stocks.length : 0), 0);
+      console.log(`Loaded market snapshot of ${count} stocks from`, filePath);
+    } catch (error) {
+      console.error('Error loading market snapshot:', error);
+    }
+  }
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify(snapshots)))
+      .catch(err => console.error('Error writing market snapshot:', err));
+  };
+
+  // Trading day whose snapshot should be available now
+  const expectedDate = () => {
+    const now = provider.now();
+    const [previous, last] = recentTradingDays(2);
+    return last === formatDate(now) && now.toTimeString().slice(0, 5) < INGEST_AFTER ? previous : last;
+  };
+
+  const needsFetch = (market) => {
+    const snapshot = snapshots[market];
+    if (!snapshot) {
+      return true;
+    }
+    return (snapshot.date || '') < expectedDate() && provider.now() - Date.parse(snapshot.fetchedAt) > retryMs;
+  };
+
+  const fetchMarket = async (market) => {
+    try {
+      const stocks = parseMarketDaily(await provider.getMarketDaily(market), market);
+      if (stocks.length === 0) {
+        throw new Error('snapshot was empty');
+      }
+      const date = stocks.map(stock => stock.date).filter(Boolean).sort().pop() || null;
+      snapshots[market] = { date, fetchedAt: provider.now().toISOString(), stocks };
+      console.log(`Market snapshot of ${market} ${date}: ${stocks.length} stocks`);
+      return true;
+    } catch (error) {
+      console.error(`Error fetching market snapshot for ${market}:`, error.message || error);
+      // Keep what we have, but wait `retryMs` before asking again
+      if (snapshots[market]) {
+        snapshots[market] = { ...snapshots[market], fetchedAt: provider.now().toISOString() };
+      }
+      return false;
+    }
+  };
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = (async () => {
+        let changed = false;
+        for (const market of MARKETS) {
+          if (needsFetch(market)) {
+            changed = (await fetchMarket(market)) || changed;
+          }
+        }
+        if (changed) {
+          save();
+        }
+      })()
+        .catch(error => console.error('Error refreshing market snapshot:', error.message || error))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return {
+    /** Fetch whatever is outdated now, then check again every ten minutes. */
+    start() {
+      refresh();
+      timer = setInterval(refresh, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    refresh,
+
+    /** Trading day ("YYYY-MM-DD") whose daily reports should be out by now */
+    expectedDate,
+
+    /** Snapshot date of each market, e.g. { tse: "2025-10-17", otc: "2025-10-17" } */
+    dates() {
+      const dates = {};
+      MARKETS.forEach(market => {
+        dates[market] = snapshots[market] ? snapshots[market].date : null;
+      });
+      return dates;
+    },
+
+    /** Every stock and ETF of both markets. */
+    stocks() {
+      return MARKETS.flatMap(market => (snapshots[market] ? snapshots[market].stocks : []));
+    }
+  };
+}
+
+module.exports = { createMarketSnapshot };
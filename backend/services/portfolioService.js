@@ -0,0 +1,169 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { LOT_SIZE, brokerageFee, taxRateFor, transactionTax, normalizeFeeSettings } = require('../lib/twFees');
+const { buildPositions } = require('../lib/portfolio');
+const { formatDate } = require('../lib/dates');
+
+/**
+ * Holdings stored as a list of buy/sell transactions plus fee settings.
+ * Fees and tax are calculated once when a transaction is recorded (or taken
+ * from the request when the user enters the actual amounts from the broker
+ * statement), so later settings changes do not rewrite history.
+ */
+function createPortfolioService(options) {
+  const { filePath, now = () => new Date() } = options;
+
+  let settings = normalizeFeeSettings();
+  let transactions = [];
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath));
+      settings = normalizeFeeSettings(saved.settings);
+      transactions = Array.isArray(saved.transactions) ? saved.transactions : [];
+      console.log(`Loaded ${transactions.length} portfolio transactions from`, filePath);
+    } catch (error) {
+      console.error('Error loading portfolio from file:', error);
+    }
+  }
+
+  const save = () => {
+    fs.writeFile(filePath, JSON.stringify({ settings, transactions }, null, 2), (err) => {
+      if (err) {
+        console.error('Error writing portfolio file:', err);
+      }
+    });
+  };
+
+  const today = () => formatDate(now());
+
+  const snapshot = () => {
+    const { positions } = buildPositions(transactions, today());
+    // Clients value holdings at live prices; the tax rate of selling them comes from here
+    const withTaxRate = (positions || []).map(position => ({ ...position, sellTaxRate: taxRateFor(position.code, false, settings) }));
+    return { settings, transactions, positions: withTaxRate };
+  };
+
+  /** Validate a transaction from the API and fill in shares, fee and tax. */
+  const normalizeTransaction = (input) => {
+    if (!input.code || typeof input.code !== 'string') {
+      return { error: 'code is required' };
+    }
+    if (input.side !== 'buy' && input.side !== 'sell') {
+      return { error: 'side must be buy or sell' };
+    }
+    const lots = parseInt(input.lots || 0, 10);
+    const oddShares = parseInt(input.oddShares || 0, 10);
+    const price = parseFloat(input.price);
+    if (isNaN(lots) || isNaN(oddShares) || lots < 0 || oddShares < 0 || oddShares >= LOT_SIZE) {
+      return { error: `lots must be >= 0 and oddShares between 0 and ${LOT_SIZE - 1}` };
+    }
+    const shares = lots * LOT_SIZE + oddShares;
+    if (shares === 0) {
+      return { error: 'quantity must be greater than zero' };
+    }
+    if (isNaN(price) || price <= 0) {
+      return { error: 'price must be a positive number' };
+    }
+    const date = input.date || today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return { error: 'date must be YYYY-MM-DD' };
+    }
+
+    const dayTrade = input.side === 'sell' && !!input.dayTrade;
+    const amount = price * shares;
+    const fee = input.fee !== undefined && input.fee !== '' ? parseFloat(input.fee) : brokerageFee(amount, settings);
+    const tax = input.side === 'sell'
+      ? (input.tax !== undefined && input.tax !== '' ? parseFloat(input.tax) : transactionTax(amount, input.code, dayTrade, settings))
+      : 0;
+    if (isNaN(fee) || fee < 0 || isNaN(tax) || tax < 0) {
+      return { error: 'fee and tax must be non-negative numbers' };
+    }
+
+    return {
+      transaction: {
+        id: crypto.randomUUID(),
+        code: input.code,
+        side: input.side,
+        lots,
+        oddShares,
+        shares,
+        price,
+        date,
+        dayTrade,
+        fee,
+        tax,
+        note: input.note ? String(input.note) : '',
+        createdAt: new Date().toISOString()
+      }
+    };
+  };
+
+  return {
+    get: snapshot,
+
+    addTransaction(input) {
+      const { transaction, error } = normalizeTransaction(input);
+      if (error) {
+        return { error };
+      }
+      const { error: positionError } = buildPositions([...transactions, transaction], today());
+      if (positionError) {
+        return { error: positionError };
+      }
+      transactions.push(transaction);
+      save();
+      return { transaction };
+    },
+
+    removeTransaction(id) {
+      const remaining = transactions.filter(tx => tx.id !== id);
+      if (remaining.length === transactions.length) {
+        return { notFound: true };
+      }
+      // Removing a buy could leave a later sell without shares
+      const { error } = buildPositions(remaining, today());
+      if (error) {
+        return { error };
+      }
+      transactions = remaining;
+      save();
+      return {};
+    },
+
+    /**
+     * Validate a batch of transactions and, unless `dryRun`, add the valid ones.
+     * Returns { transactions, errors: [{ index, error }], error }; `error` is set
+     * and nothing is added when the batch would sell more than is held.
+     */
+    importTransactions(inputs, { dryRun = false } = {}) {
+      const accepted = [];
+      const errors = [];
+      inputs.forEach((input, index) => {
+        const { transaction, error } = normalizeTransaction(input);
+        if (error) {
+          errors.push({ index, error });
+        } else {
+          accepted.push(transaction);
+        }
+      });
+      const { error } = buildPositions([...transactions, ...accepted], today());
+      if (error) {
+        return { transactions: accepted, errors, error };
+      }
+      if (!dryRun && accepted.length > 0) {
+        transactions.push(...accepted);
+        save();
+      }
+      return { transactions: accepted, errors };
+    },
+
+    updateSettings(input) {
+      settings = normalizeFeeSettings({ ...settings, ...input });
+      save();
+      return settings;
+    }
+  };
+}
+
+module.exports = { createPortfolioService };
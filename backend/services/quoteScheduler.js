@@ -0,0 +1,383 @@
+const { lastTradeOf } = require('../lib/quoteModel');
+
+/**
+ * Owns the single upstream polling loop for real-time quotes.
+ *
+ * Every channel anyone asks for (e.g. "tse_2330.tw") is tracked here and
+ * refreshed in batches through the market data provider. Results are kept in
+ * an in-memory cache shared by all HTTP clients, so opening more windows does
+ * not increase the load on TWSE.
+ *
+ * Upstream traffic is protected by:
+ *   - a request budget (max requests per rolling minute)
+ *   - exponential backoff after failed refreshes
+ *   - a circuit breaker that stops calling TWSE after repeated failures
+ *   - market session pacing: `pacing()` (see services/marketSession) slows the
+ *     loop down after the close and pauses it while the market is closed
+ *
+ * Snapshots without a trade (`z` is "-") still replace the cached item, but
+ * the latest trade of the day is carried along as `lastTrade` so the quote
+ * model can fall back to it.
+ */
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: 5000,
+  maxRequestsPerMinute: 20,
+  batchSize: 40,
+  staleAfterMs: 15000,
+  // Polling interval during after-hours odd-lot / fixed-price trading
+  slowPollIntervalMs: 30 * 1000,
+  // Longest sleep while the market is closed, so a changed clock is noticed
+  maxIdleMs: 15 * 60 * 1000,
+  pacing: () => ({ mode: 'live', wakeAt: null }),
+  maxBackoffMs: 5 * 60 * 1000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 60 * 1000,
+  // Channels nobody asked for in this long are dropped from the loop
+  idleTimeoutMs: 5 * 60 * 1000
+};
+
+/**
+ * Convert a tracked stock code ("tse_2330", "otc_6446", "2330" or an
+ * already qualified "tse_t00.tw") into a getStockInfo.jsp channel.
+ */
+function toChannel(code) {
+  if (code.endsWith('.tw')) {
+    return code;
+  }
+  if (code.startsWith('otc_') || code.startsWith('tse_')) {
+    return `${code}.tw`;
+  }
+  return `tse_${code}.tw`;
+}
+
+/** Read scheduler options from TWSX_* environment variables. */
+function optionsFromEnv(env = process.env) {
+  const options = {};
+  const read = (name, key) => {
+    const value = parseInt(env[name], 10);
+    if (!isNaN(value) && value > 0) {
+      options[key] = value;
+    }
+  };
+  read('TWSX_POLL_INTERVAL_MS', 'pollIntervalMs');
+  read('TWSX_SLOW_POLL_INTERVAL_MS', 'slowPollIntervalMs');
+  read('TWSX_MAX_REQUESTS_PER_MINUTE', 'maxRequestsPerMinute');
+  read('TWSX_BATCH_SIZE', 'batchSize');
+  read('TWSX_STALE_AFTER_MS', 'staleAfterMs');
+  return options;
+}
+
+function createQuoteScheduler(provider, userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+
+  const cache = new Map(); // channel -> { item, fetchedAt, sysTime, lastTrade }
+  const pinned = new Map(); // group -> channels that are always polled
+  const lastRequested = new Map(); // channel -> last time a client asked for it
+  const lastAttempted = new Map(); // channel -> last time it was sent upstream
+  const requestLog = []; // timestamps of upstream requests in the last minute
+  const listeners = new Set();
+
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+  let consecutiveFailures = 0;
+  let breakerOpenedAt = null;
+  let lastError = null;
+  let lastRefreshAt = null;
+  let pacingMode = null;
+  // sample() failures back off on their own and never move the breaker
+  let sampleFailures = 0;
+  let sampleRetryAt = 0;
+
+  const trackedChannels = () => {
+    const now = Date.now();
+    for (const [channel, at] of lastRequested) {
+      if (now - at > options.idleTimeoutMs) {
+        lastRequested.delete(channel);
+      }
+    }
+    const pinnedChannels = [...pinned.values()].flatMap(channels => [...channels]);
+    return [...new Set([...pinnedChannels, ...lastRequested.keys()])];
+  };
+
+  const breakerState = () => {
+    if (breakerOpenedAt === null) {
+      return 'closed';
+    }
+    return Date.now() - breakerOpenedAt >= options.breakerCooldownMs ? 'half-open' : 'open';
+  };
+
+  const budgetRemaining = () => {
+    const cutoff = Date.now() - 60 * 1000;
+    while (requestLog.length > 0 && requestLog[0] < cutoff) {
+      requestLog.shift();
+    }
+    return options.maxRequestsPerMinute - requestLog.length;
+  };
+
+  const backoffFor = (failures) => Math.min(options.pollIntervalMs * Math.pow(2, failures), options.maxBackoffMs);
+
+  const nextDelay = (pace = options.pacing()) => {
+    if (consecutiveFailures > 0) {
+      return backoffFor(consecutiveFailures);
+    }
+    const untilChange = pace.wakeAt ? Math.max(pace.wakeAt - Date.now(), 1000) : Infinity;
+    if (pace.mode === 'paused') {
+      return Math.min(untilChange, options.maxIdleMs);
+    }
+    const interval = pace.mode === 'slow' ? options.slowPollIntervalMs : options.pollIntervalMs;
+    return Math.min(interval, untilChange);
+  };
+
+  // How old a quote may get before it counts as delayed; nothing is delayed while the market is closed
+  const staleLimit = () => {
+    if (pacingMode === 'paused') {
+      return Infinity;
+    }
+    return pacingMode === 'slow' ? options.slowPollIntervalMs + options.staleAfterMs : options.staleAfterMs;
+  };
+
+  const recordFailure = (error) => {
+    consecutiveFailures++;
+    lastError = error.message || String(error);
+    if (consecutiveFailures >= options.breakerThreshold && breakerOpenedAt === null) {
+      console.warn(`Quote circuit breaker opened after ${consecutiveFailures} consecutive failures`);
+      breakerOpenedAt = Date.now();
+    } else if (breakerOpenedAt !== null) {
+      // Trial request in half-open state failed, keep the breaker open for another cooldown
+      breakerOpenedAt = Date.now();
+    }
+  };
+
+  const recordSuccess = () => {
+    if (breakerOpenedAt !== null) {
+      console.log('Quote circuit breaker closed');
+    }
+    consecutiveFailures = 0;
+    breakerOpenedAt = null;
+    lastError = null;
+  };
+
+  const fetchBatch = async (channels) => {
+    requestLog.push(Date.now());
+    channels.forEach(channel => lastAttempted.set(channel, Date.now()));
+    const apiData = await provider.getStockInfo(channels);
+    if (!apiData || !Array.isArray(apiData.msgArray)) {
+      throw new Error('API data format unexpected or empty');
+    }
+
+    const fetchedAt = Date.now();
+    const sysTime = (apiData.queryTime && apiData.queryTime.sysTime) || apiData.sysTime || null;
+    const updated = [];
+    apiData.msgArray.forEach(item => {
+      const channel = `${item.ex}_${item.ch}`;
+      const previous = cache.get(channel);
+      const carried = previous && previous.lastTrade && previous.lastTrade.date === (item.d || null) ? previous.lastTrade : null;
+      cache.set(channel, { item, fetchedAt, sysTime, lastTrade: lastTradeOf(item) || carried });
+      updated.push(channel);
+    });
+    return updated;
+  };
+
+  /**
+   * Refresh the given channels (default: everything tracked) within the
+   * request budget. Only one refresh runs at a time; a caller asking for
+   * specific channels waits for the running one and then fetches whatever
+   * it did not cover.
+   */
+  const refresh = (requested) => {
+    if (inFlight) {
+      if (!requested) {
+        return inFlight;
+      }
+      return inFlight.then(() => {
+        const missing = requested.filter(channel => !cache.has(channel));
+        return missing.length > 0 ? refresh(missing) : [];
+      });
+    }
+    const channels = requested || trackedChannels();
+    inFlight = (async () => {
+      const state = breakerState();
+      if (state === 'open' || channels.length === 0) {
+        return [];
+      }
+
+      const batches = [];
+      for (let i = 0; i < channels.length; i += options.batchSize) {
+        batches.push(channels.slice(i, i + options.batchSize));
+      }
+      // Half-open only lets a single trial request through
+      const allowed = state === 'half-open' ? batches.slice(0, 1) : batches;
+
+      const updated = [];
+      for (const batch of allowed) {
+        if (budgetRemaining() <= 0) {
+          console.warn('Quote request budget exhausted, skipping remaining batches');
+          break;
+        }
+        try {
+          updated.push(...await fetchBatch(batch));
+          recordSuccess();
+        } catch (error) {
+          console.error('Error refreshing quotes from provider:', error.message || error);
+          recordFailure(error);
+          break;
+        }
+      }
+
+      lastRefreshAt = Date.now();
+      if (updated.length > 0) {
+        listeners.forEach(listener => {
+          try {
+            listener(updated);
+          } catch (error) {
+            console.error('Error in quote listener:', error);
+          }
+        });
+      }
+      return updated;
+    })().finally(() => {
+      inFlight = null;
+    });
+    return inFlight;
+  };
+
+  const loop = async () => {
+    timer = null;
+    const pace = options.pacing();
+    if (pace.mode === 'paused' && pacingMode === 'paused') {
+      // Nothing moves while the market is closed; only fetch codes that have no quote yet
+      const missing = trackedChannels().filter(channel => !cache.has(channel));
+      if (missing.length > 0) {
+        await refresh(missing);
+      }
+    } else {
+      // The first pass after the close still refreshes everything to get the final prices
+      await refresh();
+    }
+    pacingMode = pace.mode;
+    if (running) {
+      timer = setTimeout(loop, nextDelay());
+    }
+  };
+
+  return {
+    toChannel,
+
+    start() {
+      if (running) return;
+      running = true;
+      timer = setTimeout(loop, 0);
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    /**
+     * Keep these codes in the polling loop regardless of client activity.
+     * Each group (e.g. "watchlist", "alerts") replaces only its own codes.
+     */
+    setPinned(codes, group = 'default') {
+      pinned.set(group, new Set(codes.map(toChannel)));
+    },
+
+    /**
+     * Mark codes as wanted by a client. Resolves once every code has a cached
+     * quote, or after a single refresh attempt when some are still missing.
+     */
+    async request(codes) {
+      const channels = codes.map(toChannel);
+      const now = Date.now();
+      channels.forEach(channel => lastRequested.set(channel, now));
+
+      // Codes TWSE does not know never make it into the cache; only retry
+      // them once per poll interval so they cannot eat the request budget.
+      const missing = channels.filter(channel =>
+        !cache.has(channel) && now - (lastAttempted.get(channel) || 0) >= options.pollIntervalMs
+      );
+      if (missing.length > 0) {
+        await refresh(missing);
+      }
+    },
+
+    /**
+     * Cached quote for a code with freshness information, or null if the
+     * code has never been fetched successfully.
+     */
+    get(code) {
+      const entry = cache.get(toChannel(code));
+      if (!entry) {
+        return null;
+      }
+      return {
+        ...entry,
+        asOf: new Date(entry.fetchedAt).toISOString(),
+        stale: breakerState() !== 'closed' || Date.now() - entry.fetchedAt > staleLimit()
+      };
+    },
+
+    /**
+     * One-off fetch of channels outside the polling loop, e.g. a slice of the
+     * whole market for breadth counts. It shares the request budget and waits
+     * while the circuit breaker is not closed, but leaves the cache and
+     * listeners alone, so sweeping the market does not record ticks or fire
+     * alerts. Its failures back off separately and do not count toward the
+     * breaker, so a bad sweep cannot stall the quotes clients are watching.
+     * Leaves a quarter of the budget to the loop; resolves with the raw items,
+     * or null when skipped.
+     */
+    async sample(channels) {
+      if (breakerState() !== 'closed' || Date.now() < sampleRetryAt ||
+        budgetRemaining() <= Math.ceil(options.maxRequestsPerMinute / 4)) {
+        return null;
+      }
+      requestLog.push(Date.now());
+      try {
+        const apiData = await provider.getStockInfo(channels.slice(0, options.batchSize));
+        if (!apiData || !Array.isArray(apiData.msgArray)) {
+          throw new Error('API data format unexpected or empty');
+        }
+        sampleFailures = 0;
+        sampleRetryAt = 0;
+        return apiData.msgArray;
+      } catch (error) {
+        console.error('Error sampling quotes from provider:', error.message || error);
+        sampleFailures++;
+        sampleRetryAt = Date.now() + backoffFor(sampleFailures);
+        return null;
+      }
+    },
+
+    /** Subscribe to cache updates; the listener receives the updated channels. */
+    onUpdate(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    status() {
+      return {
+        provider: provider.name,
+        running,
+        pacing: pacingMode,
+        trackedChannels: trackedChannels().length,
+        cachedChannels: cache.size,
+        breaker: breakerState(),
+        consecutiveFailures,
+        lastError,
+        sampleFailures,
+        lastRefreshAt: lastRefreshAt ? new Date(lastRefreshAt).toISOString() : null,
+        requestsLastMinute: options.maxRequestsPerMinute - budgetRemaining(),
+        maxRequestsPerMinute: options.maxRequestsPerMinute,
+        nextDelayMs: nextDelay()
+      };
+    }
+  };
+}
+
+module.exports = { createQuoteScheduler, optionsFromEnv, toChannel };
@@ -0,0 +1,178 @@
+const { collectStockQuotes, formatTaiexQuote, formatIndexQuote } = require('../lib/quoteFormat');
+const { indexDefinition } = require('../lib/marketIndices');
+const { isForeignCode } = require('../lib/foreignMarkets');
+
+/**
+ * Server-Sent Events hub that pushes quote changes to connected renderers.
+ *
+ * Each client subscribes to a fixed list of codes for the lifetime of its
+ * connection. The first `quotes` event is a full snapshot; after that only
+ * quotes whose content changed are sent, plus a `taiex` event whenever the
+ * index moves and an `indices` event with the subscribed header indices
+ * that changed. Quotes are compared without their `asOf` timestamp so an
+ * unchanged price does not produce traffic on every refresh. Other services
+ * can push their own events to all clients through `broadcast`.
+ */
+function createQuoteStream(quoteScheduler, options = {}) {
+  const taiexChannel = options.taiexChannel || 'tse_t00.tw';
+  const tradeFlow = options.tradeFlow || null;
+  // Optional loop for "US:AAPL"-style codes; everything else goes to the TWSE scheduler
+  const foreignQuotes = options.foreignQuotes || null;
+  const heartbeatMs = options.heartbeatMs || 15000;
+  // Staleness can flip without any new data arriving, so clients are also re-checked on a timer
+  const sweepMs = options.sweepMs || 2000;
+
+  const clients = new Set();
+  let sweepTimer = null;
+  let heartbeatTimer = null;
+
+  const fingerprint = (value) => {
+    const rest = { ...value };
+    delete rest.asOf;
+    return JSON.stringify(rest);
+  };
+
+  const send = (client, event, data) => {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const pushChanges = (client) => {
+    const { sysTime, asOf, stale, stockData } = collectStockQuotes(quoteScheduler, client.codes, tradeFlow, foreignQuotes);
+    const changed = {};
+    Object.entries(stockData).forEach(([code, quote]) => {
+      const print = fingerprint(quote);
+      if (client.sent.get(code) !== print) {
+        client.sent.set(code, print);
+        changed[code] = quote;
+      }
+    });
+
+    const snapshot = !client.snapshotSent;
+    if (snapshot || Object.keys(changed).length > 0 || sysTime !== client.sysTime) {
+      client.snapshotSent = true;
+      client.sysTime = sysTime;
+      send(client, 'quotes', { snapshot, sysTime, asOf, stale, stockData: changed });
+    }
+
+    const indices = {};
+    client.indices.forEach(id => {
+      const quote = quoteScheduler.get(id);
+      if (!quote) return;
+      const index = formatIndexQuote(quote, indexDefinition(id));
+      const print = fingerprint(index);
+      if (client.indexSent.get(id) !== print) {
+        client.indexSent.set(id, print);
+        indices[id] = index;
+      }
+    });
+    if (Object.keys(indices).length > 0) {
+      send(client, 'indices', { indices });
+    }
+
+    const taiexQuote = quoteScheduler.get(taiexChannel);
+    if (taiexQuote) {
+      const taiex = formatTaiexQuote(taiexQuote);
+      const print = fingerprint(taiex);
+      if (client.taiexSent !== print) {
+        client.taiexSent = print;
+        send(client, 'taiex', taiex);
+      }
+    }
+  };
+
+  const pushAll = () => {
+    clients.forEach(client => {
+      try {
+        pushChanges(client);
+      } catch (error) {
+        console.error('Error pushing quotes to stream client:', error);
+      }
+    });
+  };
+
+  // Ask both quote loops for the codes they serve
+  const requestCodes = (codes) => Promise.all([
+    quoteScheduler.request(codes.filter(code => !isForeignCode(code))),
+    foreignQuotes ? foreignQuotes.request(codes) : null
+  ]);
+
+  const startTimers = () => {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(() => {
+      // Keep every subscribed code alive in the scheduler's polling loop
+      const codes = new Set([taiexChannel]);
+      clients.forEach(client => [...client.codes, ...client.indices].forEach(code => codes.add(code)));
+      requestCodes([...codes])
+        .catch(error => console.error('Error requesting streamed quotes:', error))
+        .then(pushAll);
+    }, sweepMs);
+    heartbeatTimer = setInterval(() => {
+      clients.forEach(client => client.res.write(': ping\n\n'));
+    }, heartbeatMs);
+  };
+
+  const stopTimers = () => {
+    clearInterval(sweepTimer);
+    clearInterval(heartbeatTimer);
+    sweepTimer = null;
+    heartbeatTimer = null;
+  };
+
+  quoteScheduler.onUpdate(pushAll);
+  if (foreignQuotes) {
+    foreignQuotes.onUpdate(pushAll);
+  }
+
+  return {
+    /**
+     * Express handler for GET /api/stream?codes=tse_2330,otc_6446&indices=tse_t00,otc_o00.
+     * `indices` must already be validated (lib/marketIndices parseIndexIds).
+     */
+    handle(req, res, indices = []) {
+      const codes = String(req.query.codes || '')
+        .split(',')
+        .map(code => code.trim())
+        .filter(code => code !== '');
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+      res.write('retry: 3000\n\n');
+
+      const client = { res, codes, indices, sent: new Map(), indexSent: new Map(), taiexSent: null, sysTime: undefined, snapshotSent: false };
+      clients.add(client);
+      startTimers();
+      console.log(`Quote stream client connected (${codes.length} codes, ${clients.size} clients)`);
+
+      requestCodes([...codes, ...indices, taiexChannel])
+        .catch(error => console.error('Error requesting streamed quotes:', error))
+        .then(() => {
+          if (clients.has(client)) {
+            pushChanges(client);
+          }
+        });
+
+      req.on('close', () => {
+        clients.delete(client);
+        if (clients.size === 0) {
+          stopTimers();
+        }
+        console.log(`Quote stream client disconnected (${clients.size} clients)`);
+      });
+    },
+
+    /** Send an event to every connected client, e.g. fired alerts. */
+    broadcast(event, data) {
+      clients.forEach(client => send(client, event, data));
+    },
+
+    clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createQuoteStream };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('../lib/atomicFile');
+const { normalizeFilters } = require('../lib/screener');
+
+/**
+ * Saved screener screens: { id, name, filters, createdAt }, where `filters`
+ * are normalized by lib/screener so a saved screen always runs as-is.
+ * Screens are persisted to a JSON file next to the watchlists.
+ */
+
+const MAX_NAME_LENGTH = 30;
+
+// Returns { screen } or { error }
+function normalizeScreen(input, existing = {}) {
+  const name = String(input.name ?? existing.name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  const { filters, error } = normalizeFilters(input.filters ?? existing.filters ?? {});
+  if (error) {
+    return { error };
+  }
+  return { screen: { ...existing, name, filters } };
+}
+
+function createScreenService(options) {
+  const { filePath } = options;
+
+  let screens = [];
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      screens = Array.isArray(saved.screens) ? saved.screens : [];
+      console.log(`Loaded ${screens.length} saved screens from`, filePath);
+    } catch (error) {
+      console.error('Error loading saved screens:', error);
+    }
+  }
+
+  const save = () => {
+    const data = JSON.stringify({ screens }, null, 2);
+    writing = writing
+      .then(() => writeFileAtomic(filePath, data))
+      .catch(err => console.error('Error writing saved screens file:', err));
+  };
+
+  return {
+    list() {
+      return screens;
+    },
+
+    get(id) {
+      return screens.find(screen => screen.id === id) || null;
+    },
+
+    add(input) {
+      const { screen, error } = normalizeScreen(input);
+      if (error) {
+        return { error };
+      }
+      screen.id = crypto.randomUUID();
+      screen.createdAt = new Date().toISOString();
+      screens.push(screen);
+      save();
+      return { screen };
+    },
+
+    update(id, input) {
+      const index = screens.findIndex(screen => screen.id === id);
+      if (index === -1) {
+        return { notFound: true };
+      }
+      const { screen, error } = normalizeScreen(input, screens[index]);
+      if (error) {
+        return { error };
+      }
+      screens[index] = screen;
+      save();
+      return { screen };
+    },
+
+    remove(id) {
+      const before = screens.length;
+      screens = screens.filter(screen => screen.id !== id);
+      if (screens.length === before) {
+        return false;
+      }
+      save();
+      return true;
+    }
+  };
+}
+
+module.exports = { createScreenService };
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { MARKETS, parseIsinList, parseCompanyNames, searchSymbols } = require('../lib/symbols');
+
+/**
+ * Local directory of every listed (上市), OTC (上櫃) and emerging (興櫃) stock
+ * and ETF, kept in one JSON file:
+ *
+ *   { "updatedAt": ISO, "symbols": [{ code, name, shortName, market, type, industry, listedAt }] }
+ *
+ * The directory is rebuilt from the ISIN code lists once it is older than
+ * `refreshIntervalMs` (a day by default). A failed or empty rebuild keeps the
+ * previous copy, so a saved directory is always usable offline. With
+ * `persist` off (replay mode) the saved copy is still read but never written.
+ */
+
+const DEFAULT_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function createSymbolDirectory(provider, options) {
+  const {
+    filePath,
+    persist = true,
+    refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS
+  } = options;
+
+  let updatedAt = null;
+  let symbols = [];
+  let byCode = new Map();
+  let refreshing = null;
+  let timer = null;
+
+  const use = (saved) => {
+    updatedAt = saved.updatedAt || null;
+    symbols = Array.isArray(saved.symbols) ? saved.symbols : [];
+    byCode = new Map(symbols.map(symbol => [symbol.code, symbol]));
+  };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      use(JSON.parse(fs.readFileSync(filePath)));
+      console.log(`Loaded ${symbols.length} symbols from`, filePath);
+    } catch (error) {
+      console.error('Error loading symbol directory:', error);
+    }
+  }
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify({ updatedAt, symbols })))
+      .catch(err => console.error('Error writing symbol directory:', err));
+  };
+
+  const isStale = () => !updatedAt || provider.now() - Date.parse(updatedAt) > refreshIntervalMs;
+
+  const rebuild = async () => {
+    const fresh = [];
+    for (const market of MARKETS) {
+      const entries = parseIsinList(await provider.getIsinList(market), market);
+      let names = new Map();
+      try {
+        names = parseCompanyNames(await provider.getCompanyProfiles(market));
+      } catch (error) {
+        // Full names are a nicety; short names from the ISIN list are enough to search
+        console.error(`Error fetching company profiles for ${market}:`, error.message || error);
+      }
+      entries.forEach(entry => fresh.push({ ...entry, name: names.get(entry.code) || entry.shortName }));
+    }
+    if (fresh.length === 0) {
+      throw new Error('ISIN code lists were empty');
+    }
+    use({ updatedAt: provider.now().toISOString(), symbols: fresh });
+    save();
+    console.log(`Symbol directory refreshed with ${symbols.length} symbols`);
+  };
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = rebuild()
+        .catch(error => console.error('Error refreshing symbol directory:', error.message || error))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return {
+    /** Refresh now if the saved copy is stale, then check again every hour. */
+    start() {
+      if (isStale()) {
+        refresh();
+      }
+      timer = setInterval(() => {
+        if (isStale()) {
+          refresh();
+        }
+      }, CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    refresh,
+
+    /** True once a directory has been loaded or built. */
+    isReady() {
+      return symbols.length > 0;
+    },
+
+    updatedAt() {
+      return updatedAt;
+    },
+
+    /** Entry for a bare code (with or without tse_/otc_ prefix), or null. */
+    lookup(code) {
+      return byCode.get(String(code).replace(/^(tse|otc)_/, '')) || null;
+    },
+
+    search(query, limit) {
+      return searchSymbols(symbols, query, limit);
+    }
+  };
+}
+
+module.exports = { createSymbolDirectory };
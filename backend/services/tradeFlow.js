@@ -0,0 +1,29 @@
+const { updateFlow, summarizeFlow } = require('../lib/tradeFlow');
+
+/**
+ * Keeps an inner / outer volume estimate (see lib/tradeFlow) for every
+ * channel the quote scheduler refreshes. Create it before anything else that
+ * listens to the scheduler, so their updates already see the new estimate.
+ */
+function createTradeFlowTracker(quoteScheduler) {
+  const flows = new Map(); // channel -> flow state
+
+  quoteScheduler.onUpdate(channels => {
+    channels.forEach(channel => {
+      const quote = quoteScheduler.get(channel);
+      if (quote) {
+        flows.set(channel, updateFlow(flows.get(channel), quote.item));
+      }
+    });
+  });
+
+  return {
+    /** Estimate for a tracked code ("tse_2330"), or null before its first snapshot */
+    get(code) {
+      const flow = flows.get(quoteScheduler.toChannel(code));
+      return flow ? summarizeFlow(flow) : null;
+    }
+  };
+}
+
+module.exports = { createTradeFlowTracker };
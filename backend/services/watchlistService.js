@@ -0,0 +1,200 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('../lib/atomicFile');
+const {
+  SORT_OPTIONS,
+  isTrackedCode,
+  cleanCodes,
+  createList,
+  normalizeName,
+  migrateWatchlists
+} = require('../lib/watchlists');
+
+/**
+ * Named watchlists owned by the backend (see lib/watchlists for the schema).
+ *
+ * On first start the legacy stockData.json is migrated into `filePath` and
+ * left untouched. A file that can't be read is copied aside before it is
+ * replaced, so nothing the user saved is ever lost. Writes are atomic and
+ * queued, and `onChange` receives every tracked code after each change.
+ */
+function createWatchlistService(options) {
+  const { filePath, legacyFilePath, onChange = () => {} } = options;
+
+  const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  let state;
+  let needsSave = false;
+  let writing = Promise.resolve();
+
+  const loadState = () => {
+    if (fs.existsSync(filePath)) {
+      try {
+        const { state: loaded, error } = migrateWatchlists(readJson(filePath));
+        if (error) {
+          throw new Error(error);
+        }
+        console.log(`Loaded ${loaded.lists.length} watchlists from`, filePath);
+        return loaded;
+      } catch (error) {
+        const backup = `${filePath}.broken-${Date.now()}`;
+        console.error(`Error loading watchlists, keeping a copy at ${backup}:`, error.message || error);
+        try {
+          fs.copyFileSync(filePath, backup);
+        } catch (copyError) {
+          console.error('Error backing up watchlist file:', copyError);
+        }
+      }
+    } else if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+      try {
+        const { state: migrated, error } = migrateWatchlists(readJson(legacyFilePath));
+        if (!error) {
+          console.log('Migrated watchlist from', legacyFilePath);
+          needsSave = true;
+          return migrated;
+        }
+        console.error('Error migrating legacy watchlist:', error);
+      } catch (error) {
+        console.error('Error reading legacy watchlist:', error);
+      }
+    }
+    needsSave = true;
+    return migrateWatchlists(null).state;
+  };
+
+  state = loadState();
+
+  const allCodes = () => [...new Set(state.lists.flatMap(list => list.codes))];
+
+  const save = () => {
+    const data = JSON.stringify(state, null, 2);
+    writing = writing
+      .then(() => writeFileAtomic(filePath, data))
+      .catch(err => console.error('Error writing watchlist file:', err));
+  };
+
+  const changed = () => {
+    save();
+    onChange(allCodes());
+    return { state };
+  };
+
+  const findList = (id) => state.lists.find(list => list.id === id);
+
+  if (needsSave) {
+    save();
+  }
+
+  return {
+    get: () => state,
+
+    /** Every code on any list, for keeping quotes warm. */
+    allCodes,
+
+    createList(input) {
+      const name = normalizeName(input.name);
+      if (!name) {
+        return { error: 'name is required' };
+      }
+      state.lists.push(createList(name, input.codes));
+      return changed();
+    },
+
+    /** Rename, re-sort or reorder a list; `codes` replaces the list's codes in the given order. */
+    updateList(id, input) {
+      const list = findList(id);
+      if (!list) {
+        return { notFound: true };
+      }
+      if (input.name !== undefined) {
+        const name = normalizeName(input.name);
+        if (!name) {
+          return { error: 'name must not be empty' };
+        }
+        list.name = name;
+      }
+      if (input.sort !== undefined) {
+        if (!SORT_OPTIONS.includes(input.sort)) {
+          return { error: `sort must be one of ${SORT_OPTIONS.join(', ')}` };
+        }
+        list.sort = input.sort;
+      }
+      if (input.codes !== undefined) {
+        if (!Array.isArray(input.codes) || !input.codes.every(isTrackedCode)) {
+          return { error: 'codes must be an array of codes like tse_2330' };
+        }
+        list.codes = cleanCodes(input.codes);
+      }
+      return changed();
+    },
+
+    removeList(id) {
+      if (!findList(id)) {
+        return { notFound: true };
+      }
+      if (state.lists.length === 1) {
+        return { error: 'The last watchlist cannot be removed' };
+      }
+      state.lists = state.lists.filter(list => list.id !== id);
+      return changed();
+    },
+
+    addStock(id, code) {
+      const list = findList(id);
+      if (!list) {
+        return { notFound: true };
+      }
+      if (!isTrackedCode(code)) {
+        return { error: 'code must look like tse_2330, otc_6446, US:AAPL or SH:600519' };
+      }
+      if (!list.codes.includes(code)) {
+        list.codes.push(code);
+      }
+      return changed();
+    },
+
+    removeStock(id, code) {
+      const list = findList(id);
+      if (!list || !list.codes.includes(code)) {
+        return { notFound: true };
+      }
+      list.codes = list.codes.filter(item => item !== code);
+      return changed();
+    },
+
+    /**
+     * Add codes to lists by name, creating lists that don't exist yet.
+     * @param {{ name: string, codes: string[] }[]} groups
+     */
+    mergeLists(groups) {
+      groups.forEach(group => {
+        const name = normalizeName(group.name);
+        const codes = cleanCodes(group.codes);
+        const list = state.lists.find(item => item.name === name);
+        if (list) {
+          list.codes = cleanCodes([...list.codes, ...codes]);
+        } else if (name) {
+          state.lists.push(createList(name, codes));
+        }
+      });
+      return changed();
+    },
+
+    /** Move a stock to the end of another list (it is not duplicated if already there). */
+    moveStock(id, code, toId) {
+      const list = findList(id);
+      const target = findList(toId);
+      if (!list || !target || !list.codes.includes(code)) {
+        return { notFound: true };
+      }
+      if (list !== target) {
+        list.codes = list.codes.filter(item => item !== code);
+        if (!target.codes.includes(code)) {
+          target.codes.push(code);
+        }
+      }
+      return changed();
+    }
+  };
+}
+
+module.exports = { createWatchlistService };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStrategy, runBacktest } = require('../lib/backtest');
+const { normalizeFeeSettings } = require('../lib/twFees');
+
+// Weekday bars at a flat 100 from `from` to `to`, skipping `holidays`
+function flatBars(from, to, holidays = []) {
+  const bars = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += 864e5) {
+    const day = new Date(time);
+    const date = day.toISOString().slice(0, 10);
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6 && !holidays.includes(date)) {
+      bars.push({ date, open: 100, high: 100, low: 100, close: 100 });
+    }
+  }
+  return bars;
+}
+
+const runDca = (bars, day) => runBacktest(bars, normalizeStrategy({ type: 'dca', amount: 10000, day }).strategy, {
+  code: '0050',
+  from: bars[0].date,
+  oddLots: true,
+  fees: normalizeFeeSettings()
+});
+
+test('dca invests on the first trading day on or after the chosen day', () => {
+  const { trades } = runDca(flatBars('2026-01-01', '2026-03-31'), 6);
+  assert.deepEqual(trades.map(trade => trade.date), ['2026-01-06', '2026-02-06', '2026-03-06']);
+});
+
+test('dca invests on the last trading day of a month with none left on or after the chosen day', () => {
+  // 2026-02-27 is a holiday and 02-28 a Saturday, so February's last trading day is the 26th
+  const { trades, stats } = runDca(flatBars('2026-01-01', '2026-03-31', ['2026-02-27']), 28);
+  assert.deepEqual(trades.map(trade => trade.date), ['2026-01-28', '2026-02-26', '2026-03-30']);
+  assert.equal(stats.invested, 30000);
+});
+
+test('dca does not invest for a month the range ends in before the chosen day', () => {
+  const { trades } = runDca(flatBars('2026-01-01', '2026-02-20'), 28);
+  assert.deepEqual(trades.map(trade => trade.date), ['2026-01-28']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarketDaily } = require('../lib/screener');
+const { countBreadth } = require('../lib/breadth');
+
+const row = (Code, ClosingPrice, Change) => ({
+  Date: '1140612',
+  Code,
+  Name: Code,
+  TradeVolume: '1,000,000',
+  TradeValue: '50,000,000',
+  OpeningPrice: ClosingPrice,
+  HighestPrice: ClosingPrice,
+  LowestPrice: ClosingPrice,
+  ClosingPrice,
+  Change,
+  Transaction: '500'
+});
+
+test('ex-rights rows are priced from their reference price', () => {
+  const [stock] = parseMarketDaily([row('2330', '1065.00', 'X-5.50')], 'tse');
+  assert.equal(stock.exRights, true);
+  assert.equal(stock.change, -5.5);
+  assert.equal(stock.previousClose, 1070.5);
+  assert.equal(stock.changePct, -0.51);
+  assert.equal(stock.limitUp, 1175);
+  assert.equal(stock.limitDown, 964);
+});
+
+test('stocks that traded on their ex-date count as advancing, declining or at their limits', () => {
+  const stocks = parseMarketDaily([
+    row('2330', '1065.00', 'X-5.50'),
+    // Reference 50.00 after a 2.00 dividend: 55.00 is limit up, although it is only 3.00 above the last close
+    row('1101', '55.00', 'X5.00'),
+    row('2317', '180.00', '+1.50'),
+    row('2603', '--', '0.00')
+  ], 'tse');
+  assert.equal(stocks[1].limit, 'up');
+  assert.deepEqual(countBreadth(stocks), {
+    advancing: 2, declining: 1, unchanged: 0, untraded: 1, limitUp: 1, limitDown: 0, total: 4
+  });
+});
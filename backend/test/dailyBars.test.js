@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChange, isExRightsChange, parseStockDay, withChangePct, withLimits, aggregateBars } = require('../lib/dailyBars');
+const { adjustForDividends } = require('../lib/dividends');
+
+const FIELDS = ['日期', '成交股數', '成交金額', '開盤價', '最高價', '最低價', '收盤價', '漲跌價差', '成交筆數', '註記'];
+// 2330 around its 4.50 cash dividend: the ex-date change is printed against the 1070.50 reference price
+const EX_DIVIDEND_MONTH = {
+  stat: 'OK',
+  fields: FIELDS,
+  data: [
+    ['114/06/10', '20,511,036', '22,013,482,120', '1,070.00', '1,075.00', '1,065.00', '1,070.00', '-5.00', '31,288', ''],
+    ['114/06/11', '25,118,290', '27,032,012,505', '1,075.00', '1,080.00', '1,070.00', '1,075.00', '+5.00', '36,421', ''],
+    ['114/06/12', '30,223,418', '32,224,389,812', '1,065.00', '1,070.00', '1,060.00', '1,065.00', 'X-5.50', '40,159', '']
+  ]
+};
+
+test('parseChange reads signed changes', () => {
+  assert.equal(parseChange('+5.00'), 5);
+  assert.equal(parseChange('-3.50'), -3.5);
+  assert.equal(parseChange(' 0.00'), 0);
+  assert.equal(parseChange('1,005.00'), 1005);
+  assert.equal(parseChange('--'), null);
+  assert.equal(parseChange(''), null);
+});
+
+test('parseChange keeps the change of days marked X and flags them', () => {
+  assert.equal(parseChange('X-5.50'), -5.5);
+  assert.equal(parseChange(' X0.00'), 0);
+  assert.equal(isExRightsChange('X-5.50'), true);
+  assert.equal(isExRightsChange(' X0.00'), true);
+  assert.equal(isExRightsChange('-5.50'), false);
+  assert.equal(isExRightsChange(undefined), false);
+});
+
+test('an ex-dividend STOCK_DAY row is flagged and its change is from the reference price', () => {
+  const bars = withChangePct(parseStockDay(EX_DIVIDEND_MONTH));
+  assert.equal(bars[1].change, 5);
+  assert.equal(bars[1].changePct, 0.47);
+  assert.equal(bars[1].exRights, false);
+  assert.equal(bars[2].change, -5.5);
+  assert.equal(bars[2].changePct, -0.51);
+  assert.equal(bars[2].exRights, true);
+  assert.equal(bars[2].close, 1065);
+});
+
+test('adjustForDividends finds an ex-date from an X row without calendar events', () => {
+  const { bars, exDates } = adjustForDividends(parseStockDay(EX_DIVIDEND_MONTH));
+  assert.deepEqual(exDates, [{ date: '2025-06-12', reference: 1070.5, factor: 0.995814 }]);
+  assert.equal(bars[0].close, 1065.52);
+  assert.equal(bars[1].close, 1070.5);
+  assert.equal(bars[2].close, 1065);
+  assert.equal(bars[2].change, -5.5);
+});
+
+test('withLimits flags limit days from the reference price before any adjustment', () => {
+  const month = {
+    ...EX_DIVIDEND_MONTH,
+    data: [
+      ...EX_DIVIDEND_MONTH.data.slice(0, 2),
+      // Limit up on the ex-date: 10% over the 1070.50 reference, not over the 1075 close before it
+      ['114/06/12', '30,223,418', '35,224,389,812', '1,100.00', '1,175.00', '1,095.00', '1,175.00', 'X+104.50', '40,159', ''],
+      ['114/06/13', '41,223,418', '45,224,389,812', '1,160.00', '1,165.00', '1,060.00', '1,060.00', '-115.00', '50,159', '']
+    ]
+  };
+  const bars = withLimits(parseStockDay(month), 'stock');
+  assert.deepEqual(bars.map(bar => bar.limit), [null, null, 'up', 'down']);
+
+  // The flag survives the adjustment that rewrites the prices before the ex-date
+  const adjusted = adjustForDividends(bars).bars;
+  assert.deepEqual(adjusted.map(bar => bar.limit), [null, null, 'up', 'down']);
+  assert.deepEqual(aggregateBars(bars, 'week').map(bar => bar.limit), [null]);
+});
+
+test('withLimits uses the ETF ladder and skips days before the 10% limits', () => {
+  const bar = (date, close, change) => ({ date, open: close, high: close, low: close, close, change, exRights: false });
+  assert.equal(withLimits([bar('2025-06-12', 55, 5)], 'etf')[0].limit, 'up');
+  assert.equal(withLimits([bar('2025-06-12', 54.9, 4.9)], 'etf')[0].limit, null);
+  assert.equal(withLimits([bar('2015-05-29', 107, 7)], 'stock')[0].limit, null);
+  assert.equal(withLimits([bar('2025-06-12', null, null)], 'stock')[0].limit, null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatDate, formatYmd, formatYm, formatTime, taipeiMidnight, shiftDate } = require('../lib/dates');
+
+// Run under any TZ (e.g. TZ=America/New_York npm test): results must not depend on it
+test('dates and times are formatted in Taipei time', () => {
+  // 2025-06-01 07:30 in Taipei is still May in UTC and in the Americas
+  const date = new Date('2025-05-31T23:30:00Z');
+  assert.equal(formatDate(date), '2025-06-01');
+  assert.equal(formatYmd(date), '20250601');
+  assert.equal(formatYm(date), '202506');
+  assert.equal(formatTime(date), '07:30:00');
+  assert.equal(formatDate(new Date('2025-05-31T15:59:59Z')), '2025-05-31');
+});
+
+test('taipeiMidnight is the start of the Taipei day', () => {
+  assert.equal(taipeiMidnight('2025-07-01').toISOString(), '2025-06-30T16:00:00.000Z');
+});
+
+test('shiftDate does calendar arithmetic on day strings', () => {
+  assert.equal(shiftDate('2025-10-19', { years: -1, days: 1 }), '2024-10-20');
+  assert.equal(shiftDate('2025-01-15', { months: -2 }), '2024-11-15');
+  assert.equal(shiftDate('2025-03-31', { months: -1 }), '2025-03-03');
+  assert.equal(shiftDate('2025-12-01', { months: 1 }), '2026-01-01');
+  assert.equal(shiftDate('2024-02-28', { days: 1 }), '2024-02-29');
+});
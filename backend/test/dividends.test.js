@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExRightsResults, adjustForDividends } = require('../lib/dividends');
+const { createDividendCalendar } = require('../services/dividendCalendar');
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'exRights', `${name}.json`), 'utf8'));
+
+// A bar with only what the adjustment looks at
+const bar = (date, close, change = null) => ({ date, open: close, high: close, low: close, close, change, exRights: false, volume: 1000 });
+
+test('parseExRightsResults reads TWT49U with its reference prices', () => {
+  assert.deepEqual(parseExRightsResults(fixture('twt49u-2025'), 'tse'), [
+    {
+      code: '2330', name: '台積電', market: 'tse', date: '2025-03-18', type: '息',
+      cashDividend: 4.5, stockDividend: 0, rightsRate: 0, rightsPrice: 0, previousClose: 1005, reference: 1000.5
+    },
+    {
+      code: '2887', name: '台新新光金', market: 'tse', date: '2025-07-21', type: '權息',
+      cashDividend: 0, stockDividend: 0, rightsRate: 0, rightsPrice: 0, previousClose: 12.9, reference: 12.3
+    }
+  ]);
+});
+
+test('parseExRightsResults reads the TPEx results with cash and stock dividends apart', () => {
+  assert.deepEqual(parseExRightsResults(fixture('exDailyQ-2025'), 'otc'), [{
+    code: '6446', name: '藥華藥', market: 'otc', date: '2025-07-10', type: '權息',
+    cashDividend: 5, stockDividend: 0.0125, rightsRate: 0, rightsPrice: 0, previousClose: 560, reference: 548.22
+  }]);
+});
+
+test('adjustForDividends uses the reference price of a past event', () => {
+  const [event] = parseExRightsResults(fixture('twt49u-2025'), 'tse');
+  // Unmarked bars whose change would not reveal the ex-date on its own
+  const { bars, exDates } = adjustForDividends([bar('2025-03-17', 1005), bar('2025-03-18', 990)], [event]);
+  assert.deepEqual(exDates, [{ date: '2025-03-18', reference: 1000.5, factor: 0.995522 }]);
+  assert.equal(bars[0].close, 1000.5);
+  assert.equal(bars[1].change, -10.5);
+});
+
+test('the calendar backfills past results a year per request and then only refreshes the current year', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twsx-dividends-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const requests = [];
+  let now = new Date('2025-08-01T04:00:00Z');
+  const provider = {
+    now: () => now,
+    getExRightsSchedule: async () => ({ stat: 'OK', fields: [], data: [] }),
+    async getExRightsResults(market, startDate, endDate) {
+      requests.push(`${market} ${startDate}-${endDate}`);
+      if (startDate.startsWith('2025')) {
+        return market === 'tse' ? fixture('twt49u-2025') : fixture('exDailyQ-2025');
+      }
+      return { stat: 'OK', fields: [], data: [] };
+    }
+  };
+  const options = { filePath: path.join(dir, 'dividends.json'), keepYears: 2, minFetchIntervalMs: 0 };
+  const calendar = createDividendCalendar(provider, options);
+  await calendar.refresh();
+
+  assert.deepEqual(requests, [
+    'tse 20230101-20231231', 'tse 20240101-20241231', 'tse 20250101-20250801',
+    'otc 20230101-20231231', 'otc 20240101-20241231', 'otc 20250101-20250801'
+  ]);
+  assert.equal(calendar.eventsFor('tse_2330')[0].reference, 1000.5);
+  assert.equal(calendar.eventsFor('6446')[0].stockDividend, 0.0125);
+
+  // A restart reads resultsThrough back and only asks for the current year
+  await new Promise(resolve => setTimeout(resolve, 50));
+  requests.length = 0;
+  now = new Date('2025-08-05T04:00:00Z');
+  await createDividendCalendar(provider, options).refresh();
+  assert.deepEqual(requests, ['tse 20250101-20250805', 'otc 20250101-20250805']);
+  // Let the second copy finish writing before the directory is removed
+  await new Promise(resolve => setTimeout(resolve, 50));
+});
+
+test('past results keep the dividends of the announcement', async () => {
+  const announced = {
+    stat: 'OK',
+    fields: ['除權除息日期', '股票代號', '名稱', '除權息', '無償配股率', '現金增資配股率', '現金增資認購價', '現金股利'],
+    data: [['114年07月21日', '2887', '台新新光金', '權息', '0.03', '0', '0', '0.25']]
+  };
+  const provider = {
+    now: () => new Date('2025-08-01T04:00:00Z'),
+    getExRightsSchedule: async market => (market === 'tse' ? announced : { stat: 'ok', tables: [] }),
+    getExRightsResults: async (market, startDate) => (market === 'tse' && startDate.startsWith('2025') ? fixture('twt49u-2025') : { stat: 'OK', data: [] })
+  };
+  const calendar = createDividendCalendar(provider, { filePath: path.join(os.tmpdir(), 'twsx-none', 'dividends.json'), persist: false, keepYears: 1, minFetchIntervalMs: 0 });
+  await calendar.refresh();
+  const [event] = calendar.eventsFor('2887');
+  assert.equal(event.cashDividend, 0.25);
+  assert.equal(event.stockDividend, 0.03);
+  assert.equal(event.reference, 12.3);
+});
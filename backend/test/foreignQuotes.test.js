@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYahooChart } = require('../lib/yahooChart');
+const { FOREIGN_MARKETS, parseForeignCode, foreignSessionAt } = require('../lib/foreignMarkets');
+const { createForeignQuoteService } = require('../services/foreignQuotes');
+const { appendForeignQuote } = require('../providers/recordingStore');
+const { createReplayProvider } = require('../providers/replayProvider');
+const { yahooChart } = require('./helpers');
+
+const US = FOREIGN_MARKETS.US;
+
+// Stands in for the provider: serves recorded chart bodies by ticker at a fixed clock
+const fixtureProvider = (at, bodies) => {
+  const requested = [];
+  return {
+    requested,
+    now: () => new Date(at),
+    async getForeignQuote(ticker) {
+      requested.push(ticker);
+      return bodies[ticker] || yahooChart('not-found');
+    }
+  };
+};
+
+test('parseYahooChart reads a recorded AAPL chart', () => {
+  assert.deepEqual(parseYahooChart(yahooChart('AAPL')), {
+    ticker: 'AAPL',
+    name: 'Apple Inc.',
+    price: 198.53,
+    previousClose: 197.49,
+    open: 199,
+    high: 200.54,
+    low: 197.54,
+    volume: 36415705,
+    time: 1746820801000,
+    currency: 'USD',
+    timezone: 'America/New_York'
+  });
+});
+
+test('parseYahooChart returns null for an unknown ticker', () => {
+  assert.equal(parseYahooChart(yahooChart('not-found')), null);
+});
+
+test('US codes map to Yahoo tickers', () => {
+  assert.equal(parseForeignCode('US:AAPL').market, US);
+  assert.equal(US.ticker('BRK.B'), 'BRK-B');
+  assert.equal(parseForeignCode('US:aapl'), null);
+  assert.equal(US.limits('AAPL', 197.49), null);
+});
+
+test('US sessions follow New York time', () => {
+  const phaseAt = iso => foreignSessionAt(US, new Date(iso)).phase;
+  // Friday 2025-05-09 is on daylight saving time (UTC-4)
+  assert.equal(phaseAt('2025-05-09T07:59:00Z'), 'closed');
+  assert.equal(phaseAt('2025-05-09T08:00:00Z'), 'preMarket');
+  assert.equal(phaseAt('2025-05-09T13:30:00Z'), 'regular');
+  assert.equal(phaseAt('2025-05-09T20:00:00Z'), 'postMarket');
+  assert.equal(phaseAt('2025-05-10T00:00:00Z'), 'closed');
+  // Saturday in New York
+  assert.equal(phaseAt('2025-05-10T14:00:00Z'), 'closed');
+  // Standard time (UTC-5) in January
+  assert.equal(phaseAt('2025-01-10T14:29:00Z'), 'preMarket');
+  assert.equal(phaseAt('2025-01-10T14:30:00Z'), 'regular');
+  assert.deepEqual(foreignSessionAt(US, new Date('2025-05-09T15:00:00Z')), {
+    phase: 'regular',
+    label: '盤中交易',
+    live: true,
+    localTime: '2025-05-09 11:00:00'
+  });
+});
+
+test('the foreign quote service serves a US quote from the recorded chart', async () => {
+  const provider = fixtureProvider('2025-05-09T15:00:00Z', { AAPL: yahooChart('AAPL') });
+  const service = createForeignQuoteService(provider);
+  await service.request(['US:AAPL', 'tse_2330.tw']);
+
+  assert.deepEqual(provider.requested, ['AAPL']);
+  const quote = service.get('US:AAPL');
+  assert.equal(quote.price, 198.53);
+  assert.equal(quote.currency, 'USD');
+  assert.equal(quote.market.currency, 'USD');
+  assert.equal(quote.symbol, 'AAPL');
+  assert.equal(quote.session.phase, 'regular');
+  assert.equal(quote.session.live, true);
+  assert.equal(quote.stale, false);
+});
+
+test('the foreign quote service leaves unknown US tickers out of the cache', async () => {
+  const provider = fixtureProvider('2025-05-10T02:00:00Z', {});
+  const service = createForeignQuoteService(provider);
+  await service.request(['US:ZZZZ']);
+
+  assert.deepEqual(provider.requested, ['ZZZZ']);
+  assert.equal(service.get('US:ZZZZ'), null);
+  assert.equal(service.status().lastError, null);
+});
+
+test('the replay provider plays back a recorded US chart', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twsx-foreign-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  appendForeignQuote(dir, 'AAPL', Date.now(), yahooChart('AAPL'));
+
+  const provider = createReplayProvider(dir);
+  assert.equal(parseYahooChart(await provider.getForeignQuote('AAPL')).price, 198.53);
+  assert.equal(parseYahooChart(await provider.getForeignQuote('MSFT')), null);
+});
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+/** The first msgArray item of a getStockInfo.jsp response under fixtures/getStockInfo. */
+function stockInfoItem(name) {
+  const body = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'getStockInfo', `${name}.json`), 'utf8'));
+  return body.msgArray[0];
+}
+
+/** A Yahoo Finance chart response under fixtures/yahooChart. */
+function yahooChart(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'yahooChart', `${name}.json`), 'utf8'));
+}
+
+module.exports = { stockInfoItem, yahooChart };
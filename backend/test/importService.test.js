@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createImportService } = require('../services/importService');
+
+const SYMBOLS = { 2330: { code: '2330', market: 'tse', name: '台灣積體電路製造', shortName: '台積電' } };
+
+const createService = (lists = []) => createImportService({
+  watchlistService: { get: () => ({ version: 1, lists }), mergeLists: () => {} },
+  portfolioService: {
+    get: () => ({ settings: { feeDiscount: 0.6 }, transactions: [] }),
+    importTransactions: () => ({ errors: [], error: null }),
+    updateSettings: () => {}
+  },
+  symbolDirectory: {
+    isReady: () => true,
+    lookup: code => SYMBOLS[code] || null,
+    search: () => []
+  },
+  now: () => new Date('2025-05-12T08:00:00Z')
+});
+
+test('an exported watchlist CSV with foreign codes imports again', () => {
+  const service = createService([{ id: 'a1', name: '自選', codes: ['tse_2330', 'US:AAPL', 'SH:600519'], sort: 'manual' }]);
+  const csv = service.exportCsv('watchlists');
+  const plan = createService().preview({ kind: 'watchlists', content: csv });
+
+  assert.deepEqual(plan.unresolved, []);
+  assert.deepEqual(plan.watchlists[0].added, [
+    { code: 'tse_2330', name: '台積電' },
+    { code: 'US:AAPL', name: null },
+    { code: 'SH:600519', name: null }
+  ]);
+});
+
+test('foreign codes are matched case-insensitively and still validated', () => {
+  const plan = createService().preview({ kind: 'watchlists', content: '股票代號\nus:msft\nUS:aapl!\n' });
+  assert.deepEqual(plan.watchlists[0].added, [{ code: 'US:MSFT', name: null }]);
+  assert.equal(plan.unresolved.length, 1);
+  assert.equal(plan.unresolved[0].value, 'US:aapl!');
+});
+
+test('a backup keeps the known display settings', () => {
+  const backup = {
+    ...createService().exportBackup(),
+    display: {
+      indicatorColumns: ['ma5', 7],
+      headerIndices: ['tse_t00'],
+      convertToTwd: true,
+      theme: 'dark'
+    }
+  };
+  const plan = createService().preview({ kind: 'backup', content: JSON.stringify(backup) });
+  assert.deepEqual(plan.display, { indicatorColumns: ['ma5'], headerIndices: ['tse_t00'], convertToTwd: true });
+});
+
+test('a backup without display settings restores none', () => {
+  const plan = createService().preview({ kind: 'backup', content: JSON.stringify(createService().exportBackup()) });
+  assert.equal(plan.display, null);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIntradayBars } = require('../lib/intradayBars');
+
+test('volume of a tick without a price is counted with the next priced tick', () => {
+  const bars = buildIntradayBars([
+    { t: '08:59:55', p: null, v: 0 },
+    { t: '09:00:05', p: 100, v: 50 },
+    { t: '09:00:50', p: 101, v: 60 },
+    { t: '09:01:00', p: null, v: 80 }, // opens the 09:01 bar without a price
+    { t: '09:01:10', p: 102, v: 90 }
+  ]);
+  assert.deepEqual(bars.map(bar => [bar.time, bar.volume]), [['09:00', 60], ['09:01', 30]]);
+  assert.equal(bars.reduce((sum, bar) => sum + bar.volume, 0), 90);
+  assert.equal(bars[1].vwap, Math.round(((50 * 100 + 10 * 101 + 30 * 102) / 90) * 100) / 100);
+});
+
+test('the first bar counts the opening auction, later bars only the growth', () => {
+  const bars = buildIntradayBars([
+    { t: '09:00:10', p: 100, v: 500 },
+    { t: '09:02:00', p: 99.5, v: 520 }
+  ]);
+  assert.deepEqual(bars.map(bar => [bar.time, bar.open, bar.close, bar.volume]), [['09:00', 100, 100, 500], ['09:02', 99.5, 99.5, 20]]);
+});
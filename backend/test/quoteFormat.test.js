@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTaiexQuote, formatIndexQuote } = require('../lib/quoteFormat');
+const { lastTradeOf } = require('../lib/quoteModel');
+const { stockInfoItem } = require('./helpers');
+
+const cached = (item, lastTrade = null) => ({ item, lastTrade, asOf: '2025-05-12T02:15:24.000Z', stale: false });
+const TAIEX = { id: 'tse_t00', name: '加權指數', shortName: '加權', dailyHistory: true };
+
+test('formatTaiexQuote formats a snapshot with a value', () => {
+  const { taiexData } = formatTaiexQuote(cached(stockInfoItem('taiex')));
+  assert.deepEqual(taiexData, { Value: '20960.41', ChangePercentage: '0.21%', ValueDiff: '44.44' });
+});
+
+test('formatTaiexQuote keeps the last value when z is "-"', () => {
+  const item = stockInfoItem('taiex');
+  const { taiexData } = formatTaiexQuote(cached({ ...item, z: '-' }, lastTradeOf(item)));
+  assert.deepEqual(taiexData, { Value: '20960.41', ChangePercentage: '0.21%', ValueDiff: '44.44' });
+});
+
+test('formatTaiexQuote shows N/A before the first value of the day', () => {
+  const { taiexData } = formatTaiexQuote(cached({ ...stockInfoItem('taiex'), z: '-' }));
+  assert.deepEqual(taiexData, { Value: 'N/A', ChangePercentage: 'N/A', ValueDiff: 'N/A' });
+});
+
+test('formatIndexQuote never renders NaN', () => {
+  const quote = formatIndexQuote(cached({ ...stockInfoItem('taiex'), z: '-', o: '-', h: '-', l: '-' }), TAIEX);
+  assert.equal(quote.Value, 'N/A');
+  assert.equal(quote.Change, 'N/A');
+  assert.equal(quote.ChangePercentage, 'N/A');
+  assert.equal(quote.Open, 'N/A');
+  assert.equal(quote.YesterdayClose, '20915.97');
+  assert.equal(quote.Turnover, 146520);
+});
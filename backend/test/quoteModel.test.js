@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, lastTradeOf, normalizeStockQuote } = require('../lib/quoteModel');
+const { stockInfoItem } = require('./helpers');
+
+test('parsePrice treats "-", empty and 0 as missing', () => {
+  assert.equal(parsePrice('1045.0000'), 1045);
+  assert.equal(parsePrice('-'), null);
+  assert.equal(parsePrice(''), null);
+  assert.equal(parsePrice('0.0000'), null);
+  assert.equal(parsePrice(undefined), null);
+});
+
+test('a snapshot with a trade uses z', () => {
+  const quote = normalizeStockQuote(stockInfoItem('trade'));
+  assert.equal(quote.code, '2330');
+  assert.equal(quote.market, 'tse');
+  assert.equal(quote.securityType, 'stock');
+  assert.equal(quote.price, 1045);
+  assert.equal(quote.priceSource, 'trade');
+  assert.equal(quote.previousClose, 1015);
+  assert.equal(quote.change, 30);
+  assert.equal(quote.changePct, 2.96);
+  assert.equal(quote.open, 1040);
+  assert.equal(quote.high, 1050);
+  assert.equal(quote.low, 1035);
+  assert.equal(quote.upperLimit, 1115);
+  assert.equal(quote.lowerLimit, 914);
+  assert.equal(quote.volume, 11822);
+  assert.equal(quote.tradeVolume, 2);
+  assert.equal(quote.tickSize, 5);
+  assert.deepEqual(quote.bids[0], { price: 1045, volume: 233 });
+  assert.deepEqual(quote.asks[0], { price: 1050, volume: 405 });
+  assert.equal(quote.bids.length, 5);
+  assert.equal(quote.asks.length, 5);
+});
+
+test('z "-" falls back to the last trade of an earlier snapshot', () => {
+  const lastTrade = lastTradeOf(stockInfoItem('trade'));
+  assert.deepEqual(lastTrade, { price: 1045, time: '10:15:20', date: '20250512' });
+
+  const quote = normalizeStockQuote(stockInfoItem('no-trade'), lastTrade);
+  assert.equal(quote.price, 1045);
+  assert.equal(quote.priceSource, 'lastTrade');
+  assert.equal(quote.change, 30);
+  assert.equal(quote.tradeVolume, null);
+});
+
+test('z "-" ignores a last trade from another day', () => {
+  const quote = normalizeStockQuote(stockInfoItem('no-trade'), { price: 990, time: '13:30:00', date: '20250509' });
+  assert.equal(quote.priceSource, 'bid');
+  assert.equal(quote.price, 1045);
+});
+
+test('z "-" uses pz when TWSE sends it', () => {
+  const quote = normalizeStockQuote({ ...stockInfoItem('no-trade'), pz: '1040.0000' });
+  assert.equal(quote.price, 1040);
+  assert.equal(quote.priceSource, 'lastTrade');
+});
+
+test('a bid-only snapshot (locked at limit up before any trade) shows the best bid', () => {
+  const item = stockInfoItem('bid-only');
+  assert.equal(lastTradeOf(item), null);
+
+  const quote = normalizeStockQuote(item);
+  assert.equal(quote.market, 'otc');
+  assert.equal(quote.price, 58.9);
+  assert.equal(quote.priceSource, 'bid');
+  assert.equal(quote.price, quote.upperLimit);
+  assert.equal(quote.asks.length, 0);
+  assert.equal(quote.open, null);
+  assert.equal(quote.volume, 0);
+  assert.equal(quote.tickSize, 0.1);
+});
+
+test('an ask-only snapshot (locked at limit down before any trade) shows the best ask', () => {
+  const quote = normalizeStockQuote(stockInfoItem('ask-only'));
+  assert.equal(quote.price, 8.1);
+  assert.equal(quote.priceSource, 'ask');
+  assert.equal(quote.price, quote.lowerLimit);
+  assert.equal(quote.bids.length, 0);
+  assert.equal(quote.changePct, -10);
+  assert.equal(quote.tickSize, 0.01);
+});
+
+test('a snapshot without trade or quotes has no price', () => {
+  const quote = normalizeStockQuote({ ...stockInfoItem('ask-only'), a: '-', f: '-' });
+  assert.equal(quote.price, null);
+  assert.equal(quote.priceSource, null);
+  assert.equal(quote.change, null);
+  assert.equal(quote.changePct, null);
+  assert.equal(quote.tickSize, null);
+});
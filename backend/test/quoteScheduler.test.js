@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuoteScheduler } = require('../services/quoteScheduler');
+const { stockInfoItem } = require('./helpers');
+
+const failingProvider = () => {
+  const provider = {
+    name: 'failing',
+    calls: 0,
+    async getStockInfo() {
+      provider.calls++;
+      throw new Error('upstream down');
+    }
+  };
+  return provider;
+};
+
+test('failed samples do not open the circuit breaker', async () => {
+  const provider = failingProvider();
+  // No backoff between samples, so every call reaches the provider
+  const scheduler = createQuoteScheduler(provider, { pollIntervalMs: 0, maxRequestsPerMinute: 100, breakerThreshold: 2 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await scheduler.sample(['tse_2330.tw']), null);
+  }
+  assert.equal(provider.calls, 5);
+  const status = scheduler.status();
+  assert.equal(status.breaker, 'closed');
+  assert.equal(status.consecutiveFailures, 0);
+  assert.equal(status.sampleFailures, 5);
+});
+
+test('a failed sample backs off before the next one', async () => {
+  const provider = failingProvider();
+  const scheduler = createQuoteScheduler(provider, { pollIntervalMs: 60 * 1000, maxRequestsPerMinute: 100 });
+
+  assert.equal(await scheduler.sample(['tse_2330.tw']), null);
+  assert.equal(await scheduler.sample(['tse_2330.tw']), null);
+  assert.equal(provider.calls, 1);
+});
+
+test('a successful sample resets the sample failures', async () => {
+  let fail = true;
+  const provider = {
+    name: 'flaky',
+    async getStockInfo() {
+      if (fail) {
+        throw new Error('upstream down');
+      }
+      return { msgArray: [stockInfoItem('trade')] };
+    }
+  };
+  const scheduler = createQuoteScheduler(provider, { pollIntervalMs: 0, maxRequestsPerMinute: 100 });
+
+  await scheduler.sample(['tse_2330.tw']);
+  fail = false;
+  const items = await scheduler.sample(['tse_2330.tw']);
+  assert.equal(items.length, 1);
+  assert.equal(scheduler.status().sampleFailures, 0);
+});
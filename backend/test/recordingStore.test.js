@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeStockDay, readStockDay, appendForeignQuote, writeMarketSource } = require('../providers/recordingStore');
+
+// Every file under `dir`, relative to it
+const listFiles = (dir) => fs.readdirSync(dir, { recursive: true })
+  .filter(name => fs.statSync(path.join(dir, name)).isFile())
+  .sort();
+
+test('recorded file names stay inside the recording directory', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twsx-recording-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dir = path.join(root, 'recording');
+
+  writeStockDay(dir, '2330', '20250501', { stat: 'OK' });
+  writeStockDay(dir, '../../../victim', '20250501', { stat: 'OK' });
+  writeStockDay(dir, '..', '20250501', { stat: 'OK' });
+  appendForeignQuote(dir, '../AAPL', 0, {});
+  writeMarketSource(dir, '../daily-tse', []);
+
+  assert.deepEqual(fs.readdirSync(root), ['recording']);
+  assert.deepEqual(listFiles(dir), [
+    path.join('foreign', '__AAPL.jsonl'),
+    path.join('market', '__daily-tse.json'),
+    path.join('stock-day', '2330-202505.json'),
+    path.join('stock-day', '__.._.._victim-202505.json'),
+    path.join('stock-day', '_-202505.json')
+  ].sort());
+  assert.deepEqual(readStockDay(dir, '2330', '20250501'), { stat: 'OK' });
+});
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStockCode } = require('../lib/symbols');
+const { createHistoryStore } = require('../services/historyStore');
+
+test('parseStockCode reads bare and market-prefixed codes', () => {
+  assert.deepEqual(parseStockCode('2330'), { market: null, stockNo: '2330' });
+  assert.deepEqual(parseStockCode('tse_00631L'), { market: 'tse', stockNo: '00631L' });
+  assert.deepEqual(parseStockCode('otc_6446'), { market: 'otc', stockNo: '6446' });
+  assert.deepEqual(parseStockCode('020020'), { market: null, stockNo: '020020' });
+});
+
+test('parseStockCode rejects paths and other codes', () => {
+  ['tse_../../../victim', '../watchlists', 'tse_..%2Fx', 'tse_2330/..', '..', 'otc_', 'tse_t00', 'US:AAPL', '', null].forEach(code => {
+    assert.equal(parseStockCode(code), null, String(code));
+  });
+});
+
+test('the history store never writes outside its directory', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twsx-history-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dir = path.join(root, 'history');
+  const provider = {
+    now: () => new Date('2025-05-12T02:00:00Z'),
+    getStockDay: async () => ({ stat: 'OK', data: [] })
+  };
+  const store = createHistoryStore(provider, { dir, minFetchIntervalMs: 0 });
+
+  for (const code of ['../victim', '../../x/y', '2330/..']) {
+    await assert.rejects(store.getDailyBars(code, '2025-05-01', '2025-05-09'), /Invalid stock code/);
+  }
+  assert.deepEqual(fs.readdirSync(root), []);
+});
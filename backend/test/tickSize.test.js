@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { securityType, tickSize, limitPrices } = require('../lib/tickSize');
+
+test('securityType recognizes ETFs and ETNs', () => {
+  assert.equal(securityType('2330'), 'stock');
+  assert.equal(securityType('tse_0050'), 'etf');
+  assert.equal(securityType('00878'), 'etf');
+  assert.equal(securityType('00631L'), 'etf');
+  assert.equal(securityType('otc_00679B'), 'etf');
+  assert.equal(securityType('020020'), 'etf');
+  assert.equal(securityType('2881A'), 'stock');
+});
+
+test('stock tick sizes change at every ladder boundary', () => {
+  const cases = [
+    [0.01, 0.01], [9.99, 0.01],
+    [10, 0.05], [49.95, 0.05],
+    [50, 0.1], [99.9, 0.1],
+    [100, 0.5], [499.5, 0.5],
+    [500, 1], [999, 1],
+    [1000, 5], [4500, 5]
+  ];
+  cases.forEach(([price, tick]) => assert.equal(tickSize(price), tick, `price ${price}`));
+});
+
+test('ETF tick sizes change at 50', () => {
+  const cases = [[0.01, 0.01], [49.99, 0.01], [50, 0.05], [185.3, 0.05]];
+  cases.forEach(([price, tick]) => assert.equal(tickSize(price, 'etf'), tick, `price ${price}`));
+});
+
+test('tickSize is null for unknown prices', () => {
+  assert.equal(tickSize(null), null);
+  assert.equal(tickSize(0), null);
+  assert.equal(tickSize(-1), null);
+  assert.equal(tickSize(NaN), null);
+});
+
+test('stock limit prices round towards the reference on the tick of the limit', () => {
+  // [reference, limitUp, limitDown]; each limit sits on or next to a ladder boundary
+  const cases = [
+    [9, 9.9, 8.1],
+    [9.5, 10.45, 8.55],
+    [9.99, 10.95, 9],
+    [10, 11, 9],
+    [10.5, 11.55, 9.45],
+    [45.5, 50, 40.95],
+    [46, 50.6, 41.4],
+    [55, 60.5, 49.5],
+    [91, 100, 81.9],
+    [110, 121, 99],
+    [455, 500, 409.5],
+    [550, 605, 495],
+    [910, 1000, 819],
+    [1015, 1115, 914],
+    [1100, 1210, 990]
+  ];
+  cases.forEach(([reference, limitUp, limitDown]) => {
+    assert.deepEqual(limitPrices(reference), { limitUp, limitDown }, `reference ${reference}`);
+  });
+});
+
+test('ETF limit prices use the ETF ladder', () => {
+  const cases = [
+    [45.6, 50.15, 41.04],
+    [46, 50.6, 41.4],
+    [55.55, 61.1, 50],
+    [55.56, 61.1, 50.05]
+  ];
+  cases.forEach(([reference, limitUp, limitDown]) => {
+    assert.deepEqual(limitPrices(reference, 'etf'), { limitUp, limitDown }, `reference ${reference}`);
+  });
+});
+
+test('limitPrices is null without a reference price', () => {
+  assert.deepEqual(limitPrices(null), { limitUp: null, limitDown: null });
+  assert.deepEqual(limitPrices(0, 'etf'), { limitUp: null, limitDown: null });
+});
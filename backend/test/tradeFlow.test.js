@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { updateFlow, summarizeFlow } = require('../lib/tradeFlow');
+const { stockInfoItem } = require('./helpers');
+
+test('a snapshot without a trade only updates the book and volume', () => {
+  const first = updateFlow(undefined, { ...stockInfoItem('trade'), v: '11800' });
+  const traded = updateFlow(first, stockInfoItem('trade'));
+  assert.equal(traded.price, 1045);
+  assert.equal(traded.innerVolume, 22); // 1045 is at the best bid
+
+  const idle = updateFlow(traded, stockInfoItem('no-trade'));
+  assert.equal(idle.price, 1045);
+  assert.equal(idle.observedVolume, 22);
+  assert.equal(idle.bid, 1045);
+  assert.equal(idle.ask, 1050);
+});
+
+test('a day that starts without a trade has no price yet', () => {
+  const flow = updateFlow(undefined, stockInfoItem('bid-only'));
+  assert.equal(flow.price, null);
+  assert.equal(flow.ask, null);
+  assert.equal(flow.bid, 58.9);
+  assert.equal(summarizeFlow(flow).averagePrice, null);
+});
+
+test('volume that grows without a price is counted by the next priced snapshot', () => {
+  const first = updateFlow(undefined, { ...stockInfoItem('trade'), v: '11800' });
+  const unpriced = updateFlow(first, { ...stockInfoItem('no-trade'), v: '11810' });
+  assert.equal(unpriced.observedVolume, 0);
+  assert.equal(unpriced.volume, 11800);
+
+  const priced = updateFlow(unpriced, { ...stockInfoItem('trade'), v: '11830' });
+  assert.equal(priced.observedVolume, 30);
+  assert.equal(priced.innerVolume, 30); // 1045 is at the best bid
+  assert.equal(summarizeFlow(priced).averagePrice, 1045);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { taipeiDate, parseCalendar, isTradingDay, recentTradingDays, sessionAt } = require('../lib/tradingCalendar');
+
+const calendar = parseCalendar([{ years: { 2025: [{ date: '2025-05-01', name: '勞動節' }] } }]);
+
+// Run under any TZ (e.g. TZ=America/New_York npm test): results must not depend on it
+test('taipeiDate uses the Taipei calendar day', () => {
+  assert.equal(taipeiDate(new Date('2025-05-11T16:30:00Z')), '2025-05-12');
+  assert.equal(taipeiDate(new Date('2025-05-12T15:59:59Z')), '2025-05-12');
+  assert.equal(taipeiDate(new Date('2025-05-12T16:00:00Z')), '2025-05-13');
+});
+
+test('weekends and holidays are taken on the Taipei day', () => {
+  // Friday 2025-05-02 00:30 in Taipei is still Thursday in UTC
+  assert.equal(isTradingDay(calendar, new Date('2025-05-01T16:30:00Z')), true);
+  // Saturday 00:30 in Taipei
+  assert.equal(isTradingDay(calendar, new Date('2025-05-02T16:30:00Z')), false);
+  // 勞動節 all day in Taipei
+  assert.equal(isTradingDay(calendar, new Date('2025-04-30T16:30:00Z')), false);
+  assert.deepEqual(recentTradingDays(calendar, new Date('2025-05-04T16:30:00Z'), 3), ['2025-04-30', '2025-05-02', '2025-05-05']);
+});
+
+test('session phases follow Taipei wall-clock time', () => {
+  const regular = sessionAt(calendar, new Date('2025-05-12T02:00:00Z')); // 10:00 Taipei
+  assert.equal(regular.phase, 'regular');
+  assert.equal(regular.live, true);
+  assert.equal(regular.changesAt.toISOString(), '2025-05-12T05:25:00.000Z'); // 13:25
+  assert.equal(regular.closesAt.toISOString(), '2025-05-12T05:30:00.000Z');
+
+  const evening = sessionAt(calendar, new Date('2025-05-12T12:00:00Z')); // 20:00 Taipei
+  assert.equal(evening.phase, 'closed');
+  assert.equal(evening.label, '已收盤');
+  assert.equal(evening.nextOpenAt.toISOString(), '2025-05-13T01:00:00.000Z');
+  assert.equal(evening.changesAt.toISOString(), '2025-05-13T00:30:00.000Z'); // 08:30 pre-open
+
+  const holiday = sessionAt(calendar, new Date('2025-04-30T17:00:00Z')); // 05-01 01:00 Taipei
+  assert.equal(holiday.label, '休市（勞動節）');
+  assert.equal(holiday.nextOpenAt.toISOString(), '2025-05-02T01:00:00.000Z');
+});
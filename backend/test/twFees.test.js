@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isEtf, taxRateFor, transactionTax, brokerageFee, normalizeFeeSettings } = require('../lib/twFees');
+
+test('ETFs and ETNs pay the ETF tax rate, like their tick sizes', () => {
+  ['0050', '00878', 'tse_00631L', '00679B.tw', '020011'].forEach(code => assert.equal(isEtf(code), true, code));
+  ['2330', 'otc_6446', '2881'].forEach(code => assert.equal(isEtf(code), false, code));
+
+  const settings = normalizeFeeSettings();
+  assert.equal(taxRateFor('020011', false, settings), 0.001);
+  assert.equal(taxRateFor('2330', true, settings), 0.0015);
+  assert.equal(transactionTax(100000, '2330', false, settings), 300);
+});
+
+test('the brokerage fee is rounded down with a minimum', () => {
+  const settings = normalizeFeeSettings({ feeDiscount: 0.6 });
+  assert.equal(brokerageFee(100000, settings), 85);
+  assert.equal(brokerageFee(1000, settings), 20);
+  assert.equal(brokerageFee(0, settings), 0);
+});
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification } = require('electron');
 const path = require('path');
 const { spawn } = require('child_process');
 let mainWindow;
@@ -36,6 +36,25 @@ function createWindow() {
   }
 }
 
+// 後端觸發股價警示時，以系統原生通知提醒
+function showAlertNotification(alert) {
+  if (!alert || !Notification.isSupported()) {
+    return;
+  }
+  const notification = new Notification({
+    title: `TWSX 警示：${alert.name}`,
+    body: alert.message,
+    silent: !alert.sound
+  });
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+  notification.show();
+}
+
 function startBackend() {
   const backendPath = app.isPackaged 
     ? path.join(process.resourcesPath, 'backend')
@@ -48,12 +67,36 @@ function startBackend() {
     cwd: backendPath,
     env: {
       ...process.env,
-      NODE_ENV: app.isPackaged ? 'production' : 'development'
+      NODE_ENV: app.isPackaged ? 'production' : 'development',
+      // 行情來源：live（即時）/ record（即時並錄製）/ replay（回放錄製資料）
+      TWSX_PROVIDER: process.env.TWSX_PROVIDER || 'live',
+      TWSX_RECORDING_DIR: process.env.TWSX_RECORDING_DIR || path.join(app.getPath('userData'), 'recordings'),
+      // 日線歷史資料庫
+      TWSX_HISTORY_DIR: process.env.TWSX_HISTORY_DIR || path.join(app.getPath('userData'), 'history'),
+      // 盤中報價紀錄（分時走勢圖）
+      TWSX_INTRADAY_DIR: process.env.TWSX_INTRADAY_DIR || path.join(app.getPath('userData'), 'intraday'),
+      // 股票清單（每日更新）
+      TWSX_SYMBOLS_FILE: process.env.TWSX_SYMBOLS_FILE || path.join(app.getPath('userData'), 'symbols.json'),
+      // 三大法人買賣超與融資融券（每個交易日一個檔案）
+      TWSX_CHIPS_DIR: process.env.TWSX_CHIPS_DIR || path.join(app.getPath('userData'), 'chips'),
+      // 本益比、殖利率、股價淨值比與月營收（每日更新）
+      TWSX_FUNDAMENTALS_FILE: process.env.TWSX_FUNDAMENTALS_FILE || path.join(app.getPath('userData'), 'fundamentals.json'),
+      // 除權除息行事曆（每日更新，保留已過的事件供還原股價）
+      TWSX_DIVIDENDS_FILE: process.env.TWSX_DIVIDENDS_FILE || path.join(app.getPath('userData'), 'dividends.json'),
+      // 全市場當日行情（選股與排行用，收盤後更新）
+      TWSX_MARKET_FILE: process.env.TWSX_MARKET_FILE || path.join(app.getPath('userData'), 'market.json'),
+      // 大盤成交值歷史與類股指數（大盤概況用，收盤後更新）
+      TWSX_BREADTH_FILE: process.env.TWSX_BREADTH_FILE || path.join(app.getPath('userData'), 'breadth.json'),
+      // 較新的休市日行事曆（選用，放在使用者資料夾即可，不必更新程式）
+      TWSX_CALENDAR_FILE: process.env.TWSX_CALENDAR_FILE || path.join(app.getPath('userData'), 'tradingCalendar.json')
     }
   });
 
   backendProcess.on('message', (message) => {
     console.log('Backend message:', message);
+    if (message && message.type === 'alert') {
+      showAlertNotification(message.alert);
+    }
   });
 
   backendProcess.on('error', (err) => {
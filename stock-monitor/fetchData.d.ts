@@ -1 +0,0 @@
-export declare function fetchData(): Promise<any[]>;
\ No newline at end of file
@@ -0,0 +1,70 @@
+// 股價警示規則與觸發紀錄的後端 API
+
+const ALERTS_URL = 'http://localhost:3000/api/alerts';
+
+export type AlertRuleType = 'priceAbove' | 'priceBelow' | 'changePct' | 'limitUp' | 'limitDown' | 'volumeSpike';
+
+export interface AlertRule {
+  id?: string;
+  code: string;
+  type: AlertRuleType;
+  value: number | null;
+  cooldownMinutes: number;
+  sound: boolean;
+  enabled: boolean;
+  lastFiredAt?: string | null;
+}
+
+export interface FiredAlert {
+  id: string;
+  ruleId: string;
+  code: string;
+  name: string;
+  type: AlertRuleType;
+  value: number | null;
+  price: number | null;
+  message: string;
+  sound: boolean;
+  firedAt: string;
+}
+
+export const ALERT_TYPE_LABELS: Record<AlertRuleType, string> = {
+  priceAbove: '股價突破',
+  priceBelow: '股價跌破',
+  changePct: '漲跌幅超過 (%)',
+  limitUp: '觸及漲停',
+  limitDown: '觸及跌停',
+  volumeSpike: '成交量達均量倍數',
+};
+
+// 漲跌停規則不需要門檻值
+export const alertTypeNeedsValue = (type: AlertRuleType): boolean => type !== 'limitUp' && type !== 'limitDown';
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as T;
+};
+
+export const fetchAlertRules = (): Promise<AlertRule[]> => request(ALERTS_URL);
+
+export const createAlertRule = (rule: AlertRule): Promise<AlertRule> =>
+  request(ALERTS_URL, { method: 'POST', body: JSON.stringify(rule) });
+
+export const updateAlertRule = (id: string, rule: Partial<AlertRule>): Promise<AlertRule> =>
+  request(`${ALERTS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(rule) });
+
+export const deleteAlertRule = (id: string): Promise<{ message: string }> =>
+  request(`${ALERTS_URL}/${id}`, { method: 'DELETE' });
+
+export const fetchAlertHistory = (limit = 100): Promise<FiredAlert[]> =>
+  request(`${ALERTS_URL}/history?limit=${limit}`);
+
+export const clearAlertHistory = (): Promise<{ message: string }> =>
+  request(`${ALERTS_URL}/history`, { method: 'DELETE' });
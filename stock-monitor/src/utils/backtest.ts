@@ -0,0 +1,106 @@
+// 策略回測：在本地日線歷史上模擬均線交叉、KD 黃金交叉、突破 N 日高點、買進持有與定期定額，計入台股手續費、證交稅與交易單位
+
+const BACKTEST_URL = 'http://localhost:3000/api/backtest';
+
+export type StrategyType = 'maCross' | 'kdCross' | 'breakout' | 'buyHold' | 'dca';
+
+export interface Strategy {
+  type: StrategyType;
+  fast?: number; // maCross：短均線
+  slow?: number; // maCross：長均線
+  period?: number; // kdCross：KD 週期；breakout：突破前 N 日最高價
+  below?: number | null; // kdCross：K 值低於此值的黃金交叉才買進
+  exitPeriod?: number; // breakout：跌破前 N 日最低價賣出
+  amount?: number; // dca：每月投入金額
+  day?: number; // dca：每月扣款日（1～28）
+}
+
+export interface StrategyOption {
+  type: StrategyType;
+  label: string;
+  defaults: Strategy;
+}
+
+export const STRATEGY_OPTIONS: StrategyOption[] = [
+  { type: 'maCross', label: '均線交叉', defaults: { type: 'maCross', fast: 5, slow: 20 } },
+  { type: 'kdCross', label: 'KD 黃金交叉', defaults: { type: 'kdCross', period: 9, below: null } },
+  { type: 'breakout', label: '突破 N 日高點', defaults: { type: 'breakout', period: 20, exitPeriod: 10 } },
+  { type: 'buyHold', label: '買進持有', defaults: { type: 'buyHold' } },
+  { type: 'dca', label: '定期定額', defaults: { type: 'dca', amount: 10000, day: 1 } },
+];
+
+export const DEFAULT_CAPITAL = 1000000;
+
+export interface BacktestTrade {
+  date: string;
+  side: 'buy' | 'sell';
+  price: number;
+  shares: number;
+  amount: number;
+  fee: number;
+  tax: number;
+  profit: number | null; // 賣出才有：扣除手續費與稅後的損益
+  returnPct: number | null;
+}
+
+export interface EquityPoint {
+  date: string;
+  close: number;
+  equity: number; // 現金加持股市值
+  invested: number; // 累計投入金額
+  shares: number;
+}
+
+export interface BacktestStats {
+  invested: number;
+  finalEquity: number;
+  profit: number;
+  totalReturnPct: number | null;
+  cagrPct: number | null; // 年化報酬；定期定額為資金加權（IRR）
+  maxDrawdownPct: number | null; // 負值
+  sharpe: number | null;
+  winRatePct: number | null;
+  tradeCount: number; // 已平倉的交易次數
+  fees: number;
+  taxes: number;
+  stockReturnPct: number | null; // 同期間股價漲跌
+}
+
+export interface BacktestRequest {
+  code: string;
+  from: string;
+  to?: string;
+  strategy: Strategy;
+  capital?: number;
+  oddLots?: boolean;
+  adjusted?: boolean;
+}
+
+export interface BacktestResult {
+  stockCode: string;
+  market: 'tse' | 'otc';
+  name: string;
+  from: string;
+  to: string;
+  strategy: Strategy;
+  capital: number | null;
+  oddLots: boolean;
+  adjusted: boolean;
+  trades: BacktestTrade[];
+  points: EquityPoint[];
+  position: { shares: number; cost: number; value: number };
+  stats: BacktestStats;
+}
+
+export const runBacktest = async (request: BacktestRequest): Promise<BacktestResult> => {
+  const response = await fetch(BACKTEST_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as BacktestResult;
+};
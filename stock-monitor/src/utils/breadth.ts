@@ -0,0 +1,49 @@
+// 大盤概況：上市櫃漲跌家數、漲跌停家數、成交值與類股漲跌。盤中由後端抽樣即時報價，收盤後改用每日行情報表
+
+const BREADTH_URL = 'http://localhost:3000/api/breadth';
+
+export interface MarketBreadth {
+  advancing: number;
+  declining: number;
+  unchanged: number;
+  untraded: number; // 尚未成交
+  limitUp: number;
+  limitDown: number;
+  total: number;
+  turnover: number | null; // 元
+  averageTurnover: number | null; // 前 20 個交易日平均（元）
+  turnoverRatio: number | null; // turnover / averageTurnover
+}
+
+export interface SectorMove {
+  id: string; // 指數頻道，例如 tse_t24
+  name: string;
+  shortName: string;
+  close: number | null;
+  changePct: number | null;
+}
+
+export interface BreadthSnapshot {
+  source: 'quotes' | 'reports'; // quotes：盤中即時報價抽樣；reports：收盤後報表
+  date: string | null;
+  asOf: string | null;
+  markets: { tse: MarketBreadth; otc: MarketBreadth };
+  coverage: { sampled: number; total: number } | null; // 盤中已抽樣的股票數
+  sectors: SectorMove[];
+}
+
+export const fetchBreadth = async (): Promise<BreadthSnapshot> => {
+  const response = await fetch(BREADTH_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 熱度圖配色：漲紅跌綠，漲跌幅越大顏色越深，±3% 以上同色
+export const heatColor = (changePct: number | null): string => {
+  if (!changePct) return '#f5f5f5';
+  const strength = Math.min(Math.abs(changePct) / 3, 1);
+  const alpha = (0.12 + strength * 0.78).toFixed(2);
+  return changePct >= 0 ? `rgba(255, 0, 0, ${alpha})` : `rgba(0, 128, 0, ${alpha})`;
+};
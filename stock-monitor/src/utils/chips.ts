@@ -0,0 +1,46 @@
+// 籌碼資料：三大法人買賣超與融資融券餘額（張），後端每日收盤後保存全市場報表
+
+const CHIPS_URL = 'http://localhost:3000/api/chips';
+
+export interface ChipDay {
+  date: string;
+  close: number | null;
+  foreign: number | null; // 外資（不含外資自營商）
+  trust: number | null; // 投信
+  dealer: number | null; // 自營商
+  total: number | null;
+  marginBalance: number | null; // 融資餘額
+  marginChange: number | null;
+  shortBalance: number | null; // 融券餘額
+  shortChange: number | null;
+}
+
+export interface ChipsResponse {
+  stockCode: string;
+  market: 'tse' | 'otc';
+  days: ChipDay[];
+}
+
+// 主表可加入的籌碼欄位
+export const CHIP_COLUMNS: { key: keyof ChipDay; label: string }[] = [
+  { key: 'foreign', label: '外資' },
+  { key: 'trust', label: '投信' },
+  { key: 'dealer', label: '自營商' },
+  { key: 'marginChange', label: '融資增減' },
+];
+
+export const fetchChips = async (stockCode: string, days = 20): Promise<ChipsResponse> => {
+  const response = await fetch(`${CHIPS_URL}/${encodeURIComponent(stockCode)}?days=${days}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as ChipsResponse;
+};
+
+// 最近一個已有法人報表的交易日；當天報表下午才公布，之前沿用前一個交易日
+export const latestChipDay = (response: ChipsResponse): ChipDay | null =>
+  [...response.days].reverse().find(day => day.total !== null || day.marginBalance !== null) || null;
+
+export const formatLots = (value: number | null | undefined): string =>
+  (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value.toLocaleString()}`);
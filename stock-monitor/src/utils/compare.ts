@@ -0,0 +1,42 @@
+// 走勢比較：多檔股票與加權指數以起始日為 0% 換算報酬率，並計算相對加權指數的強弱與相關性（股票使用還原股價）
+
+const COMPARE_URL = 'http://localhost:3000/api/compare';
+
+export const MAX_COMPARE_SERIES = 8;
+export const BENCHMARK_CODE = 'tse_t00';
+
+export interface ComparePoint {
+  date: string;
+  close: number;
+  returnPct: number;
+}
+
+export interface CompareSeries {
+  code: string; // 含市場前綴，指數為 tse_t00
+  name: string;
+  baseDate: string | null; // 報酬率的起算日（區間內第一個有收盤價的交易日）
+  points: ComparePoint[];
+  returnPct: number | null;
+  relativeStrength: number | null; // 相對加權指數的超額報酬（%）：(1 + 報酬) / (1 + 指數報酬) - 1
+  correlation: number | null; // 日報酬與加權指數的相關係數
+  beta: number | null;
+  volatilityPct: number | null; // 年化波動率
+}
+
+export interface Comparison {
+  from: string;
+  to: string;
+  benchmark: string;
+  series: CompareSeries[]; // 第一筆為基準指數
+}
+
+export const fetchComparison = async (codes: string[], from: string, to?: string): Promise<Comparison> => {
+  const params = new URLSearchParams({ codes: codes.join(','), from });
+  if (to) params.set('to', to);
+  const response = await fetch(`${COMPARE_URL}?${params.toString()}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as Comparison;
+};
@@ -0,0 +1,47 @@
+// 除權除息行事曆：證交所 / 櫃買中心的除權除息預告與已除權息的計算結果，後端每日更新一次
+
+const DIVIDENDS_URL = 'http://localhost:3000/api/dividends';
+
+export interface ExRightsEvent {
+  code: string;
+  name: string;
+  market: 'tse' | 'otc';
+  date: string; // 除權除息交易日 YYYY-MM-DD
+  type: string; // 權、息、權息
+  cashDividend: number; // 每股現金股利（元）
+  stockDividend: number; // 無償配股率（每股配股數）
+  rightsRate: number; // 現金增資配股率
+  rightsPrice: number; // 現金增資認購價
+  previousClose?: number | null; // 除權息前收盤價，已除權息的事件才有
+  reference?: number | null; // 除權息參考價，已除權息的事件才有
+}
+
+export interface DividendCalendar {
+  updatedAt: string | null;
+  from: string; // 後端的今天（回放模式為模擬時鐘的日期）
+  to: string;
+  events: ExRightsEvent[];
+}
+
+export const EX_RIGHTS_LABELS: Record<string, string> = { 權: '除權', 息: '除息', 權息: '除權息' };
+
+export const fetchDividendCalendar = async (codes: string[], days = 60): Promise<DividendCalendar> => {
+  const params = new URLSearchParams({ codes: codes.join(','), days: String(days) });
+  const response = await fetch(`${DIVIDENDS_URL}?${params.toString()}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as DividendCalendar;
+};
+
+export const exRightsLabel = (event: ExRightsEvent): string => EX_RIGHTS_LABELS[event.type] || '除權息';
+
+// 「現金 3.5 元・配股 0.1 股」；現金增資另列認購價
+export const describeExRights = (event: ExRightsEvent): string => {
+  const parts: string[] = [];
+  if (event.cashDividend) parts.push(`現金 ${event.cashDividend} 元`);
+  if (event.stockDividend) parts.push(`配股 ${event.stockDividend} 股`);
+  if (event.rightsRate) parts.push(`現增 ${event.rightsRate} 股（認購價 ${event.rightsPrice}）`);
+  return parts.join('・') || '-';
+};
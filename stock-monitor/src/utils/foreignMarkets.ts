@@ -0,0 +1,51 @@
+// 海外市場（美股、滬深 A 股）：代碼帶市場前綴，如 US:AAPL、SH:600519、SZ:000001
+
+const FX_URL = 'http://localhost:3000/api/fx';
+export const CONVERT_TO_TWD_KEY = 'convertToTwd';
+
+export type ForeignMarket = 'US' | 'SH' | 'SZ';
+
+export const FOREIGN_MARKET_LABELS: Record<ForeignMarket, string> = {
+  US: '美股',
+  SH: '滬市',
+  SZ: '深市',
+};
+
+export interface ForeignSession {
+  phase: string;
+  label: string; // 盤前交易、盤中交易、午間休市、休市…
+  live: boolean;
+}
+
+export interface FxRates {
+  base: 'TWD';
+  source: string;
+  rates: { [currency: string]: number }; // 1 單位外幣可換多少台幣
+  asOf: string | null;
+  stale: boolean;
+}
+
+export const isForeignCode = (code: string): boolean => /^(US|SH|SZ):/.test(code);
+
+// 使用者輸入的 us:aapl、SH:600519 轉成追蹤代碼，格式不符時回傳 null
+export const normalizeForeignCode = (value: string): string | null => {
+  const match = /^(US|SH|SZ):([A-Z0-9.\-]{1,12})$/.exec(value.trim().toUpperCase());
+  if (!match) return null;
+  if (match[1] !== 'US' && !/^\d{6}$/.test(match[2])) return null;
+  return `${match[1]}:${match[2]}`;
+};
+
+export const fetchFxRates = async (): Promise<FxRates> => {
+  const response = await fetch(FX_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 換算成台幣，沒有匯率或價格時回傳 null
+export const toTwd = (price: number | null | undefined, currency: string | undefined, fx: FxRates | null): number | null => {
+  const rate = currency && fx ? fx.rates[currency] : undefined;
+  if (price === null || price === undefined || !rate) return null;
+  return price * rate;
+};
@@ -0,0 +1,67 @@
+// 基本面資料：本益比、殖利率、股價淨值比（證交所 / 櫃買中心每日公布）與月營收，後端每日更新一次
+
+const FUNDAMENTALS_URL = 'http://localhost:3000/api/fundamentals';
+
+export interface Valuation {
+  peRatio: number | null; // 虧損時為 null
+  dividendYield: number | null; // %
+  pbRatio: number | null;
+  date: string | null;
+}
+
+export interface MonthlyRevenue {
+  month: string; // YYYY-MM
+  revenue: number; // 千元
+  momPct: number | null;
+  yoyPct: number | null;
+  cumulative: number | null;
+  cumulativeYoyPct: number | null;
+}
+
+export interface Fundamentals {
+  stockCode: string;
+  updatedAt: string | null;
+  valuation: Valuation | null;
+  revenue: MonthlyRevenue[];
+}
+
+// 主表可加入的基本面欄位
+export const FUNDAMENTAL_COLUMNS: { key: string; label: string }[] = [
+  { key: 'pe', label: '本益比' },
+  { key: 'yield', label: '殖利率' },
+  { key: 'pb', label: '淨值比' },
+  { key: 'revenueYoy', label: '營收年增' },
+];
+
+export const fetchFundamentals = async (stockCode: string): Promise<Fundamentals> => {
+  const response = await fetch(`${FUNDAMENTALS_URL}/${encodeURIComponent(stockCode)}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as Fundamentals;
+};
+
+export const formatPct = (value: number | null | undefined): string =>
+  (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`);
+
+// 主表儲存格的顯示文字；營收年增另附資料月份
+export const fundamentalCell = (data: Fundamentals | undefined, key: string): string[] => {
+  const valuation = data?.valuation;
+  const latest = data?.revenue[data.revenue.length - 1];
+  switch (key) {
+    case 'pe':
+      return [valuation?.peRatio?.toFixed(2) ?? '-'];
+    case 'yield':
+      return [valuation?.dividendYield === null || valuation?.dividendYield === undefined ? '-' : `${valuation.dividendYield.toFixed(2)}%`];
+    case 'pb':
+      return [valuation?.pbRatio?.toFixed(2) ?? '-'];
+    case 'revenueYoy':
+      return latest ? [formatPct(latest.yoyPct), latest.month.slice(2).replace('-', '/')] : ['-'];
+    default:
+      return ['-'];
+  }
+};
+
+// 千元 -> 億元
+export const formatRevenue = (thousands: number): string => `${(thousands / 100000).toFixed(2)}億`;
@@ -0,0 +1,61 @@
+// 個股日線資料（後端本地歷史資料庫，日期已轉為西元 YYYY-MM-DD，由舊到新排序）
+// 代碼可帶市場前綴（tse_2330、otc_6446），上櫃股票需帶 otc_ 前綴
+
+const API_BASE = 'http://localhost:3000/api';
+
+export interface DailyBar {
+  date: string;
+  open: number | null;
+  high: number | null;
+  low: number | null;
+  close: number | null; // 當日無成交時為 null
+  change: number | null; // 除權息日為相對參考價的漲跌
+  changePct: number | null;
+  exRights: boolean; // 交易所標示的除權息交易日
+  limit: 'up' | 'down' | null; // 收在漲停 / 跌停價（日 K，依未還原的參考價計算）
+  volume: number | null; // 成交股數
+  value: number | null; // 成交金額
+  trades: number | null;
+}
+
+export type HistoryInterval = 'day' | 'week' | 'month';
+
+// 還原股價時找到的除權息日；factor 為參考價 / 前一日收盤，套用在之前的每一根 K 棒
+export interface ExDate {
+  date: string;
+  reference: number;
+  factor: number;
+}
+
+export interface DailyBars {
+  stockCode: string;
+  market: 'tse' | 'otc';
+  interval: HistoryInterval;
+  from: string;
+  to: string;
+  adjusted?: boolean;
+  exDates?: ExDate[];
+  bars: DailyBar[];
+}
+
+const fetchBars = async (url: string): Promise<DailyBars> => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 任意區間的日線、週線或月線（from / to 為 YYYY-MM-DD，省略時為近一年）；adjusted 取還原股價
+export const fetchHistory = (
+  stockCode: string,
+  options: { from?: string; to?: string; interval?: HistoryInterval; adjusted?: boolean } = {},
+): Promise<DailyBars> => {
+  const params = new URLSearchParams();
+  if (options.from) params.set('from', options.from);
+  if (options.to) params.set('to', options.to);
+  if (options.interval) params.set('interval', options.interval);
+  if (options.adjusted) params.set('adjusted', '1');
+  const query = params.toString();
+  return fetchBars(`${API_BASE}/stock-history/${stockCode}${query ? `?${query}` : ''}`);
+};
@@ -0,0 +1,113 @@
+// 匯入匯出 API：自選清單與交易紀錄的 CSV、完整備份 JSON，匯入前先預覽
+
+const API_BASE = 'http://localhost:3000/api';
+
+export type ImportKind = 'watchlists' | 'transactions' | 'backup';
+
+export interface ImportRequest {
+  kind: ImportKind;
+  content: string;
+  listName?: string; // 沒有清單欄位的 CSV 要匯入的清單，不存在時自動建立
+  mapping?: Record<string, string>; // 交易欄位 -> CSV 標題
+}
+
+// 只存在瀏覽器的顯示設定，匯出完整備份時一併寫入，匯入備份時還原
+export interface DisplaySettings {
+  indicatorColumns?: string[];
+  fundamentalColumns?: string[];
+  chipColumns?: string[];
+  headerIndices?: string[];
+  convertToTwd?: boolean;
+}
+
+export interface ImportStock {
+  code: string;
+  name: string | null;
+}
+
+export interface ImportTransaction {
+  line: number | null;
+  code: string;
+  name: string | null;
+  date: string;
+  side: 'buy' | 'sell';
+  dayTrade: boolean;
+  shares: number;
+  price: number;
+  fee: number | null; // null 時依費用設定計算
+  tax: number | null;
+}
+
+export interface ImportPlan {
+  watchlists: { name: string; listId: string | null; added: ImportStock[]; alreadyListed: number }[];
+  transactions: ImportTransaction[];
+  duplicates: ImportTransaction[];
+  settings: Record<string, number> | null;
+  display: DisplaySettings | null; // 備份檔中的顯示設定，由前端還原
+  unresolved: { line: number | null; value: string; reason: string }[];
+  headers?: string[];
+  mapping?: Record<string, string>;
+  fields?: string[];
+  error: string | null;
+}
+
+export const TRANSACTION_FIELD_LABELS: Record<string, string> = {
+  date: '成交日期',
+  code: '股票代號',
+  name: '股票名稱',
+  side: '買賣別',
+  shares: '成交股數',
+  lots: '成交張數',
+  price: '成交價格',
+  fee: '手續費',
+  tax: '交易稅',
+  note: '備註',
+};
+
+const postImport = async (action: 'preview' | 'apply', request: ImportRequest): Promise<ImportPlan> => {
+  const response = await fetch(`${API_BASE}/import/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+  const body = await response.json().catch(() => null);
+  if (!body) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return body as ImportPlan;
+};
+
+export const previewImport = (request: ImportRequest): Promise<ImportPlan> => postImport('preview', request);
+
+export const applyImport = (request: ImportRequest): Promise<ImportPlan> => postImport('apply', request);
+
+// 券商匯出的 CSV 多為 Big5，無法以 UTF-8 解碼時改用 Big5
+export const readTextFile = async (file: File): Promise<string> => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('big5').decode(buffer);
+  }
+};
+
+// 下載匯出檔，檔名由後端決定；完整備份再加上瀏覽器端的顯示設定
+export const downloadExport = async (format: 'json' | 'csv', type?: 'watchlists' | 'transactions', display?: DisplaySettings) => {
+  const params = new URLSearchParams({ format });
+  if (type) params.set('type', type);
+  const response = await fetch(`${API_BASE}/export?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = /filename="?([^";]+)"?/.exec(disposition)?.[1] || `export.${format}`;
+  const blob = format === 'json' && display
+    ? new Blob([JSON.stringify({ ...(await response.json()), display })], { type: 'application/json' })
+    : await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,78 @@
+// 技術指標 API（MA、KD、MACD、RSI、布林通道），計算方式依台灣券商慣例，由後端依日線歷史計算
+
+const INDICATORS_URL = 'http://localhost:3000/api/indicators';
+
+type Values = (number | null)[];
+
+export interface IndicatorSeries {
+  [key: string]: Values | { [line: string]: Values };
+}
+
+export interface IndicatorResponse {
+  stockCode: string;
+  market: 'tse' | 'otc';
+  from: string;
+  to: string;
+  dates: string[];
+  series: IndicatorSeries;
+}
+
+// 主表可加入的指標欄位
+export const INDICATOR_COLUMNS: { key: string; label: string }[] = [
+  { key: 'ma5', label: 'MA5' },
+  { key: 'ma20', label: 'MA20' },
+  { key: 'ma60', label: 'MA60' },
+  { key: 'kd9', label: 'K/D' },
+  { key: 'macd', label: 'DIF/OSC' },
+  { key: 'rsi14', label: 'RSI14' },
+  { key: 'bb20', label: '布林上/下' },
+];
+
+export const fetchIndicators = async (
+  stockCode: string,
+  set: string[],
+  options: { from?: string; to?: string; adjusted?: boolean } = {},
+): Promise<IndicatorResponse> => {
+  const params = new URLSearchParams({ set: set.join(',') });
+  if (options.from) params.set('from', options.from);
+  if (options.to) params.set('to', options.to);
+  if (options.adjusted) params.set('adjusted', '1');
+  const response = await fetch(`${INDICATORS_URL}/${stockCode}?${params.toString()}`);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as IndicatorResponse;
+};
+
+// 單一數列（如 ma5）或群組中的一條線（如 kd9 的 k）
+export const seriesValues = (response: IndicatorResponse, key: string, line?: string): Values => {
+  const series = response.series[key];
+  if (!series) return [];
+  if (Array.isArray(series)) return series;
+  return line ? series[line] || [] : [];
+};
+
+export type LatestIndicatorValues = { [key: string]: { [line: string]: number | null } };
+
+// 每個指標最後一個交易日的數值，供主表欄位顯示
+export const latestIndicatorValues = (response: IndicatorResponse): LatestIndicatorValues => {
+  const last = response.dates.length - 1;
+  const result: LatestIndicatorValues = {};
+  Object.entries(response.series).forEach(([key, series]) => {
+    if (Array.isArray(series)) {
+      result[key] = { value: last >= 0 ? series[last] : null };
+    } else {
+      result[key] = Object.fromEntries(Object.entries(series).map(([line, values]) => [line, last >= 0 ? values[last] : null]));
+    }
+  });
+  return result;
+};
+
+// 只取近兩週，後端仍會以更早的日線暖機，數值與完整區間計算的一致
+export const fetchLatestIndicators = async (stockCode: string, set: string[]): Promise<LatestIndicatorValues> => {
+  const from = new Date();
+  from.setDate(from.getDate() - 14);
+  const iso = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`;
+  return latestIndicatorValues(await fetchIndicators(stockCode, set, { from: iso }));
+};
@@ -0,0 +1,72 @@
+// 表頭指數列：加權、櫃買、類股指數等，代碼為報價通道去掉 .tw（tse_t00、otc_o00）
+
+const INDICES_URL = 'http://localhost:3000/api/indices';
+
+export const DEFAULT_INDEX_IDS = ['tse_t00', 'otc_o00'];
+export const HEADER_INDICES_KEY = 'headerIndices';
+
+export interface IndexDefinition {
+  id: string;
+  name: string;
+  shortName: string;
+  dailyHistory: boolean; // 只有加權指數有日線資料，其餘只有分時
+}
+
+export interface IndexQuote {
+  Id: string;
+  Name: string;
+  ShortName: string;
+  Value: string;
+  Change: string;
+  ChangePercentage: string;
+  YesterdayClose: string;
+  Open: string;
+  High: string;
+  Low: string;
+  Turnover: number | null; // 成交金額（百萬元）
+  t?: string;
+  DailyHistory: boolean;
+  asOf: string;
+  stale: boolean;
+}
+
+export interface IndicesResponse {
+  catalog: IndexDefinition[];
+  indices: { [id: string]: IndexQuote };
+}
+
+export const fetchIndices = async (ids: string[]): Promise<IndicesResponse> => {
+  const response = await fetch(`${INDICES_URL}?ids=${encodeURIComponent(ids.join(','))}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 使用者輸入的代碼（t26、tse_t26、tse_t26.tw）轉成指數代碼，不是指數通道時回傳 null
+export const normalizeIndexId = (value: string): string | null => {
+  const id = value.trim().replace(/\.tw$/, '');
+  if (/^(tse|otc)_[A-Za-z][A-Za-z0-9]*$/.test(id)) return id;
+  if (/^t[A-Za-z0-9]+$/.test(id)) return `tse_${id}`;
+  if (/^o[A-Za-z0-9]+$/.test(id)) return `otc_${id}`;
+  return null;
+};
+
+export const loadHeaderIndices = (): string[] => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HEADER_INDICES_KEY) || 'null');
+    if (Array.isArray(saved) && saved.every(id => typeof id === 'string')) return saved;
+  } catch (error) {
+    console.error('無法讀取指數列設定:', error);
+  }
+  localStorage.removeItem(HEADER_INDICES_KEY);
+  return DEFAULT_INDEX_IDS;
+};
+
+export const saveHeaderIndices = (ids: string[]) => {
+  localStorage.setItem(HEADER_INDICES_KEY, JSON.stringify(ids));
+};
+
+// 成交金額：後端單位為百萬元，以億元顯示
+export const formatTurnover = (turnover: number | null): string =>
+  turnover === null ? '-' : `${(turnover / 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}億`;
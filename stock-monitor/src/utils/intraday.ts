@@ -0,0 +1,47 @@
+// 分時資料：後端在盤中記錄的報價快照彙整成的分鐘 K 棒與均價線
+
+const INTRADAY_URL = 'http://localhost:3000/api/intraday';
+
+export type IntradayInterval = '1m' | '5m';
+
+export interface IntradayBar {
+  time: string; // HH:MM，以區間開始時間標示，13:30 為收盤集合競價
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number; // 張（指數為成交金額）
+  vwap: number | null; // 累計均價
+}
+
+export interface IntradayData {
+  code: string;
+  date: string | null;
+  interval: IntradayInterval;
+  sessionStart: string;
+  sessionEnd: string;
+  yesterdayClose: number | null;
+  bars: IntradayBar[];
+}
+
+// 未指定日期時回傳最近一個有紀錄的交易日
+export const fetchIntraday = async (code: string, interval: IntradayInterval = '1m', date?: string): Promise<IntradayData> => {
+  const params = new URLSearchParams({ interval });
+  if (date) params.set('date', date);
+  const response = await fetch(`${INTRADAY_URL}/${encodeURIComponent(code)}?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 交易時段內每個區間的標籤，讓走勢圖的橫軸固定為整個交易時段
+export const sessionTimes = (start: string, end: string, intervalMinutes: number): string[] => {
+  const toMinutes = (time: string) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+  const times: string[] = [];
+  for (let minutes = toMinutes(start); minutes <= toMinutes(end); minutes += intervalMinutes) {
+    times.push(`${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`);
+  }
+  if (times[times.length - 1] !== end) times.push(end);
+  return times;
+};
@@ -0,0 +1,40 @@
+// 台股交易時段 API：盤前試撮、盤中、收盤集合競價、盤後零股 / 定價與休市日
+
+const MARKET_SESSION_URL = 'http://localhost:3000/api/market-session';
+
+export type MarketPhase = 'preOpen' | 'regular' | 'closingAuction' | 'postClose' | 'oddLot' | 'afterHours' | 'closed';
+
+export interface MarketSession {
+  phase: MarketPhase;
+  label: string;
+  live: boolean; // 報價是否在變動（盤前試撮、盤中、收盤集合競價）
+  tradingDay: boolean;
+  holiday: string | null;
+  now: string; // 後端的市場時間，回放時為錄製當時的時間
+  changesAt: string;
+  nextOpenAt: string;
+  closesAt: string | null;
+  calendarYears: number[];
+  calendarMissing: boolean; // 行事曆沒有今年的休市日
+}
+
+export const fetchMarketSession = async (): Promise<MarketSession> => {
+  const response = await fetch(MARKET_SESSION_URL);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+// 倒數時間：未滿一天顯示 時:分:秒，否則顯示 天 / 小時
+export const formatCountdown = (ms: number): string => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  if (days > 0) {
+    return `${days} 天 ${hours} 小時`;
+  }
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+};
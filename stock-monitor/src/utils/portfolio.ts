@@ -0,0 +1,127 @@
+// 持股交易紀錄 API 與即時損益計算（手續費規則與後端 lib/twFees.js 相同，證交稅率由後端依證券類別提供）
+
+const PORTFOLIO_URL = 'http://localhost:3000/api/portfolio';
+
+export const LOT_SIZE = 1000; // 1 張 = 1000 股
+
+export interface FeeSettings {
+  feeRate: number;
+  feeDiscount: number;
+  minFee: number;
+  taxRate: number;
+  dayTradeTaxRate: number;
+  etfTaxRate: number;
+}
+
+export interface Transaction {
+  id?: string;
+  code: string;
+  side: 'buy' | 'sell';
+  lots: number;
+  oddShares: number;
+  shares?: number;
+  price: number;
+  date: string;
+  dayTrade?: boolean;
+  fee?: number;
+  tax?: number;
+  note?: string;
+}
+
+export interface Position {
+  code: string;
+  shares: number;
+  lots: number;
+  oddShares: number;
+  averageCost: number;
+  totalCost: number;
+  realizedPnl: number;
+  todayBoughtShares: number;
+  todayBoughtAmount: number;
+  sellTaxRate: number; // 賣出證交稅率（ETF / ETN 或股票）
+}
+
+export interface Portfolio {
+  settings: FeeSettings;
+  transactions: Transaction[];
+  positions: Position[];
+}
+
+export interface PositionValue {
+  marketValue: number;
+  unrealizedPnl: number; // 已扣除預估賣出手續費與證交稅
+  unrealizedPct: number;
+  dailyPnl: number;
+}
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as T;
+};
+
+export const fetchPortfolio = (): Promise<Portfolio> => request(PORTFOLIO_URL);
+
+export const addTransaction = (transaction: Transaction): Promise<Transaction> =>
+  request(`${PORTFOLIO_URL}/transactions`, { method: 'POST', body: JSON.stringify(transaction) });
+
+export const deleteTransaction = (id: string): Promise<{ message: string }> =>
+  request(`${PORTFOLIO_URL}/transactions/${id}`, { method: 'DELETE' });
+
+export const updateFeeSettings = (settings: Partial<FeeSettings>): Promise<FeeSettings> =>
+  request(`${PORTFOLIO_URL}/settings`, { method: 'PUT', body: JSON.stringify(settings) });
+
+// 以目前價格全部賣出時的手續費 + 證交稅
+export const estimateSellCost = (amount: number, taxRate: number, settings: FeeSettings): number => {
+  if (amount <= 0) return 0;
+  const fee = Math.max(Math.floor(amount * settings.feeRate * settings.feeDiscount), settings.minFee);
+  const tax = Math.floor(amount * taxRate);
+  return fee + tax;
+};
+
+/**
+ * 以即時價格計算市值與損益。
+ * 今日損益：昨日以前的持股以昨收為基準，今日買進的部分以買進價為基準。
+ */
+export const valuePosition = (
+  position: Position,
+  price: number,
+  yesterdayClose: number,
+  settings: FeeSettings,
+): PositionValue => {
+  const marketValue = price * position.shares;
+  const unrealizedPnl = marketValue - estimateSellCost(marketValue, position.sellTaxRate, settings) - position.totalCost;
+  const priorShares = position.shares - position.todayBoughtShares;
+  const dailyPnl = (isNaN(yesterdayClose) ? 0 : priorShares * (price - yesterdayClose))
+    + (position.todayBoughtShares * price - position.todayBoughtAmount);
+
+  return {
+    marketValue,
+    unrealizedPnl,
+    unrealizedPct: position.totalCost > 0 ? (unrealizedPnl / position.totalCost) * 100 : 0,
+    dailyPnl,
+  };
+};
+
+// 金額格式：整數、千分位，正數加上 + 號
+export const formatMoney = (value: number, signed = false): string => {
+  const rounded = Math.round(value);
+  const text = Math.abs(rounded).toLocaleString();
+  if (rounded < 0) return `-${text}`;
+  return signed && rounded > 0 ? `+${text}` : text;
+};
+
+// 股數顯示為「張 + 零股」
+export const formatShares = (shares: number): string => {
+  const lots = Math.floor(shares / LOT_SIZE);
+  const odd = shares % LOT_SIZE;
+  if (lots > 0 && odd > 0) return `${lots}張${odd}股`;
+  if (lots > 0) return `${lots}張`;
+  return `${odd}股`;
+};
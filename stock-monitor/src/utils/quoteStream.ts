@@ -0,0 +1,123 @@
+// 訂閱後端報價推播（Server-Sent Events），斷線時自動以指數退避重新連線
+import type { FiredAlert } from './alerts';
+import type { IndexQuote } from './indices';
+
+const STREAM_URL = 'http://localhost:3000/api/stream';
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// 最佳五檔的一檔：價格與委託張數
+export interface OrderBookLevel {
+  price: number;
+  volume: number;
+}
+
+export interface QuotesEvent {
+  snapshot: boolean; // true 表示完整快照，false 表示只包含有變動的股票
+  sysTime: string | null;
+  asOf: string | null;
+  stale: boolean;
+  stockData: { [key: string]: any };
+}
+
+export interface TaiexEvent {
+  taiexData: {
+    Value: string;
+    ChangePercentage: string;
+    ValueDiff: string;
+  };
+  asOf: string;
+  stale: boolean;
+}
+
+// 只包含有變動的指數
+export interface IndicesEvent {
+  indices: { [id: string]: IndexQuote };
+}
+
+export interface QuoteStreamHandlers {
+  onQuotes: (event: QuotesEvent) => void;
+  onTaiex?: (event: TaiexEvent) => void;
+  onIndices?: (event: IndicesEvent) => void;
+  onAlert?: (alert: FiredAlert) => void;
+  onOpen?: () => void;
+  onDisconnect?: () => void;
+}
+
+export interface QuoteStreamConnection {
+  close: () => void;
+}
+
+export const connectQuoteStream = (codes: string[], handlers: QuoteStreamHandlers, indices: string[] = []): QuoteStreamConnection => {
+  let source: EventSource | null = null;
+  let retryTimer: number | null = null;
+  let retryDelay = INITIAL_RETRY_DELAY;
+  let closed = false;
+
+  const parse = (event: MessageEvent) => {
+    try {
+      return JSON.parse(event.data);
+    } catch (error) {
+      console.error('無法解析報價推播資料:', error);
+      return null;
+    }
+  };
+
+  const connect = () => {
+    retryTimer = null;
+    const params = new URLSearchParams({ codes: codes.join(',') });
+    if (indices.length > 0) params.set('indices', indices.join(','));
+    const url = `${STREAM_URL}?${params.toString()}`;
+    source = new EventSource(url);
+
+    source.addEventListener('open', () => {
+      retryDelay = INITIAL_RETRY_DELAY;
+      handlers.onOpen?.();
+    });
+
+    source.addEventListener('quotes', (event) => {
+      const data = parse(event as MessageEvent);
+      if (data) handlers.onQuotes(data);
+    });
+
+    source.addEventListener('taiex', (event) => {
+      const data = parse(event as MessageEvent);
+      if (data) handlers.onTaiex?.(data);
+    });
+
+    source.addEventListener('indices', (event) => {
+      const data = parse(event as MessageEvent);
+      if (data) handlers.onIndices?.(data);
+    });
+
+    source.addEventListener('alert', (event) => {
+      const data = parse(event as MessageEvent);
+      if (data) handlers.onAlert?.(data);
+    });
+
+    source.addEventListener('error', () => {
+      // 自行管理重連，避免瀏覽器內建重試與退避邏輯重疊
+      source?.close();
+      source = null;
+      if (closed) return;
+      handlers.onDisconnect?.();
+      console.log(`報價推播中斷，${retryDelay / 1000} 秒後重新連線`);
+      retryTimer = window.setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    });
+  };
+
+  connect();
+
+  return {
+    close: () => {
+      closed = true;
+      if (retryTimer !== null) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      }
+      source?.close();
+      source = null;
+    }
+  };
+};
@@ -0,0 +1,146 @@
+// 全市場選股與漲跌排行：資料為證交所 / 櫃買中心收盤後公布的當日行情，每個交易日更新一次
+
+const SCREENER_URL = 'http://localhost:3000/api/screener';
+const MOVERS_URL = 'http://localhost:3000/api/movers';
+const SCREENS_URL = 'http://localhost:3000/api/screens';
+
+export interface ScreenerStock {
+  code: string; // 不含市場前綴
+  name: string;
+  market: 'tse' | 'otc';
+  type: 'stock' | 'etf';
+  date: string | null;
+  open: number | null;
+  high: number | null;
+  low: number | null;
+  close: number | null;
+  change: number | null;
+  changePct: number | null;
+  previousClose: number | null; // 除權息日為參考價
+  gapPct: number | null; // 開盤跳空幅度（%）
+  volume: number | null; // 張
+  turnover: number | null; // 元
+  trades: number | null;
+  limitUp: number | null;
+  limitDown: number | null;
+  limit: 'up' | 'down' | null; // 收盤在漲停 / 跌停
+  exRights: boolean; // 除權息交易日
+  peRatio?: number | null; // 選股結果才有
+  dividendYield?: number | null;
+  pbRatio?: number | null;
+}
+
+export type ScreenSort = 'changePct' | 'close' | 'volume' | 'turnover' | 'gapPct' | 'peRatio' | 'dividendYield' | 'pbRatio' | 'code';
+
+export interface ScreenFilters {
+  market: 'all' | 'tse' | 'otc';
+  type: 'all' | 'stock' | 'etf';
+  limit: 'up' | 'down' | null;
+  sort: ScreenSort;
+  order: 'asc' | 'desc';
+  minPrice?: number;
+  maxPrice?: number;
+  minChangePct?: number;
+  maxChangePct?: number;
+  minVolume?: number; // 張
+  minTurnover?: number; // 百萬元
+  minGapPct?: number;
+  maxGapPct?: number;
+  maxPe?: number;
+  minYield?: number;
+  maxPb?: number;
+}
+
+export interface SavedScreen {
+  id: string;
+  name: string;
+  filters: ScreenFilters;
+  createdAt: string;
+}
+
+export interface MarketDates {
+  tse: string | null;
+  otc: string | null;
+}
+
+export interface ScreenerResult {
+  dates: MarketDates;
+  filters: ScreenFilters;
+  total: number;
+  results: ScreenerStock[];
+}
+
+export interface MarketMovers {
+  dates: MarketDates;
+  gainers: ScreenerStock[];
+  losers: ScreenerStock[];
+  volume: ScreenerStock[];
+  turnover: ScreenerStock[];
+  limitUp: ScreenerStock[];
+  limitDown: ScreenerStock[];
+}
+
+export type MoversList = Exclude<keyof MarketMovers, 'dates'>;
+
+export const MOVERS_LABELS: Record<MoversList, string> = {
+  gainers: '漲幅',
+  losers: '跌幅',
+  volume: '成交量',
+  turnover: '成交值',
+  limitUp: '漲停',
+  limitDown: '跌停',
+};
+
+export const SORT_LABELS: Record<ScreenSort, string> = {
+  changePct: '漲跌幅',
+  close: '收盤價',
+  volume: '成交量',
+  turnover: '成交值',
+  gapPct: '跳空幅度',
+  peRatio: '本益比',
+  dividendYield: '殖利率',
+  pbRatio: '股價淨值比',
+  code: '代碼',
+};
+
+export const DEFAULT_FILTERS: ScreenFilters = { market: 'all', type: 'all', limit: null, sort: 'changePct', order: 'desc' };
+
+const request = async <T>(url: string, options: RequestInit = {}): Promise<T> => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error || `HTTP error! status: ${response.status}`);
+  }
+  return body as T;
+};
+
+// 未填的條件不送出
+export const runScreener = (filters: ScreenFilters, top = 100): Promise<ScreenerResult> => {
+  const params = new URLSearchParams({ top: String(top) });
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) params.set(name, String(value));
+  });
+  return request(`${SCREENER_URL}?${params.toString()}`);
+};
+
+export const fetchMovers = (market: ScreenFilters['market'] = 'all', count = 20): Promise<MarketMovers> =>
+  request(`${MOVERS_URL}?${new URLSearchParams({ market, count: String(count) }).toString()}`);
+
+export const fetchScreens = (): Promise<SavedScreen[]> => request(SCREENS_URL);
+
+export const createScreen = (name: string, filters: ScreenFilters): Promise<SavedScreen> =>
+  request(SCREENS_URL, { method: 'POST', body: JSON.stringify({ name, filters }) });
+
+export const updateScreen = (id: string, changes: Partial<Pick<SavedScreen, 'name' | 'filters'>>): Promise<SavedScreen> =>
+  request(`${SCREENS_URL}/${id}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+export const deleteScreen = (id: string): Promise<void> => request(`${SCREENS_URL}/${id}`, { method: 'DELETE' });
+
+// 成交值以「億」顯示，不到一億時以「萬」顯示
+export const formatTurnover = (value: number | null): string => {
+  if (value === null) return '-';
+  return value >= 1e8 ? `${(value / 1e8).toFixed(2)} 億` : `${Math.round(value / 1e4).toLocaleString()} 萬`;
+};
@@ -0,0 +1,44 @@
+// 股票清單 API：上市、上櫃、興櫃股票與 ETF，供代碼 / 名稱搜尋與自動判斷市場
+
+const SYMBOLS_URL = 'http://localhost:3000/api/symbols';
+
+export type SymbolMarket = 'tse' | 'otc' | 'emerging';
+
+export interface StockSymbol {
+  code: string;
+  name: string; // 公司全名，ETF 為簡稱
+  shortName: string;
+  market: SymbolMarket;
+  type: 'stock' | 'etf';
+  industry: string | null;
+  listedAt: string | null;
+}
+
+export const MARKET_LABELS: Record<SymbolMarket, string> = {
+  tse: '上市',
+  otc: '上櫃',
+  emerging: '興櫃',
+};
+
+// 興櫃股票沒有即時報價，不能加入追蹤
+export const isTrackable = (symbol: StockSymbol): boolean => symbol.market === 'tse' || symbol.market === 'otc';
+
+export const searchSymbols = async (query: string, limit = 20): Promise<StockSymbol[]> => {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  const response = await fetch(`${SYMBOLS_URL}/search?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const body = await response.json();
+  return body.results as StockSymbol[];
+};
+
+// 查無此代碼時回傳 null；清單尚未下載完成時拋出錯誤
+export const lookupSymbol = async (code: string): Promise<StockSymbol | null> => {
+  const response = await fetch(`${SYMBOLS_URL}/${encodeURIComponent(code)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(response.status === 503 ? '股票清單尚未下載完成，請稍後再試' : `HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { formatChange, formatPrice, tickSize } from './tickSize';
+
+// 級距須與後端 lib/tickSize.js 相同（backend/test/tickSize.test.js 測同一組邊界）
+describe('tickSize', () => {
+  it('股票在每個級距邊界換升降單位', () => {
+    const cases: [number, number][] = [
+      [0.01, 0.01], [9.99, 0.01],
+      [10, 0.05], [49.95, 0.05],
+      [50, 0.1], [99.9, 0.1],
+      [100, 0.5], [499.5, 0.5],
+      [500, 1], [999, 1],
+      [1000, 5], [4500, 5],
+    ];
+    cases.forEach(([price, tick]) => expect(tickSize(price), `price ${price}`).toBe(tick));
+  });
+
+  it('ETF 以 50 元為界', () => {
+    const cases: [number, number][] = [[0.01, 0.01], [49.99, 0.01], [50, 0.05], [185.3, 0.05]];
+    cases.forEach(([price, tick]) => expect(tickSize(price, 'etf'), `price ${price}`).toBe(tick));
+  });
+
+  it('海外股票與無效價格沒有升降單位', () => {
+    expect(tickSize(150, 'foreign')).toBeNull();
+    expect(tickSize(0)).toBeNull();
+    expect(tickSize(NaN)).toBeNull();
+  });
+});
+
+describe('formatPrice', () => {
+  it('小數位數依級距決定', () => {
+    expect(formatPrice(9.99)).toBe('9.99');
+    expect(formatPrice(10)).toBe('10.00');
+    expect(formatPrice(50)).toBe('50.0');
+    expect(formatPrice(100)).toBe('100.0');
+    expect(formatPrice(500)).toBe('500');
+    expect(formatPrice(1045)).toBe('1045');
+    expect(formatPrice(55.55, 'etf')).toBe('55.55');
+    expect(formatPrice(150.123, 'foreign')).toBe('150.12');
+    expect(formatPrice(null)).toBe('-');
+  });
+
+  it('漲跌取現價與昨收較細的級距', () => {
+    expect(formatChange(0.06, 10.05, 9.99)).toBe('0.06');
+    expect(formatChange(30, 1045, 1015)).toBe('30');
+    expect(formatChange(null, 1045, 1015)).toBe('-');
+  });
+});
@@ -0,0 +1,50 @@
+// 台股升降單位：價格顯示的小數位數依所在級距決定，與後端 lib/tickSize.js 相同
+// 股票：未滿 10 元 0.01、10~50 元 0.05、50~100 元 0.1、100~500 元 0.5、500~1000 元 1、1000 元以上 5
+// ETF / ETN：未滿 50 元 0.01、50 元以上 0.05；海外股票固定兩位小數
+
+export type SecurityType = 'stock' | 'etf' | 'foreign';
+export type PriceSource = 'trade' | 'lastTrade' | 'bid' | 'ask';
+
+const STOCK_BANDS: [number, number][] = [[10, 0.01], [50, 0.05], [100, 0.1], [500, 0.5], [1000, 1], [Infinity, 5]];
+const ETF_BANDS: [number, number][] = [[50, 0.01], [Infinity, 0.05]];
+
+// 不是最新成交價時，在價格旁標示來源
+export const PRICE_SOURCE_LABELS: Record<PriceSource, string> = {
+  trade: '成交價',
+  lastTrade: '本快照無成交，沿用最近一筆成交價',
+  bid: '尚未成交，顯示最佳委買價',
+  ask: '尚未成交，顯示最佳委賣價',
+};
+
+export const tickSize = (price: number, type: SecurityType = 'stock'): number | null => {
+  if (type === 'foreign' || !isFinite(price) || price <= 0) return null;
+  const bands = type === 'etf' ? ETF_BANDS : STOCK_BANDS;
+  return (bands.find(([upper]) => price < upper) as [number, number])[1];
+};
+
+const tickDecimals = (price: number, type: SecurityType): number => {
+  const tick = tickSize(price, type);
+  if (tick === null) return 2;
+  return tick < 0.1 ? 2 : tick < 1 ? 1 : 0;
+};
+
+export const formatPrice = (price: number | null | undefined, type: SecurityType = 'stock'): string =>
+  (price === null || price === undefined ? '-' : price.toFixed(tickDecimals(price, type)));
+
+// 漲跌取現價與昨收兩者中較細的級距，例如 9.99 → 10.05 顯示 0.06
+export const formatChange = (
+  change: number | null | undefined,
+  price: number | null | undefined,
+  previousClose: number | null | undefined,
+  type: SecurityType = 'stock',
+): string => {
+  if (change === null || change === undefined) return '-';
+  const decimals = Math.max(
+    price ? tickDecimals(price, type) : 0,
+    previousClose ? tickDecimals(previousClose, type) : 0,
+  );
+  return change.toFixed(decimals);
+};
+
+export const formatChangePct = (pct: number | null | undefined): string =>
+  (pct === null || pct === undefined ? '-' : `${pct.toFixed(2)}%`);
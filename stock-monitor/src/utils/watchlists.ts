@@ -0,0 +1,57 @@
+// 自選清單 API：資料由後端保存，每次修改都回傳完整的清單狀態
+
+const WATCHLISTS_URL = 'http://localhost:3000/api/watchlists';
+
+export type WatchlistSort = 'manual' | 'code' | 'changePct' | 'volume';
+
+export interface Watchlist {
+  id: string;
+  name: string;
+  codes: string[]; // 含市場前綴的代碼，依手動排序
+  sort: WatchlistSort;
+}
+
+export interface WatchlistState {
+  version: number;
+  lists: Watchlist[];
+}
+
+export const SORT_LABELS: Record<WatchlistSort, string> = {
+  manual: '自訂順序',
+  code: '代碼',
+  changePct: '漲跌幅',
+  volume: '成交量',
+};
+
+const request = async (url: string, method = 'GET', body?: unknown): Promise<WatchlistState> => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const result = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(result?.error || `HTTP error! status: ${response.status}`);
+  }
+  return result as WatchlistState;
+};
+
+export const fetchWatchlists = (): Promise<WatchlistState> => request(WATCHLISTS_URL);
+
+export const createWatchlist = (name: string): Promise<WatchlistState> => request(WATCHLISTS_URL, 'POST', { name });
+
+export const updateWatchlist = (
+  id: string,
+  changes: Partial<Pick<Watchlist, 'name' | 'sort' | 'codes'>>,
+): Promise<WatchlistState> => request(`${WATCHLISTS_URL}/${id}`, 'PUT', changes);
+
+export const deleteWatchlist = (id: string): Promise<WatchlistState> => request(`${WATCHLISTS_URL}/${id}`, 'DELETE');
+
+export const addToWatchlist = (id: string, code: string): Promise<WatchlistState> =>
+  request(`${WATCHLISTS_URL}/${id}/stocks`, 'POST', { code });
+
+export const removeFromWatchlist = (id: string, code: string): Promise<WatchlistState> =>
+  request(`${WATCHLISTS_URL}/${id}/stocks/${code}`, 'DELETE');
+
+export const moveToWatchlist = (id: string, code: string, to: string): Promise<WatchlistState> =>
+  request(`${WATCHLISTS_URL}/${id}/stocks/${code}/move`, 'POST', { to });